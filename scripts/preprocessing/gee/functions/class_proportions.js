@@ -0,0 +1,203 @@
+/**
+ * title: Class Proportions from Categorical Images
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Converts a categorical image (e.g., land cover) into one band per
+ * class holding the proportion of pixels in that class, either on a
+ * coarser grid (e.g., the share of coniferous forest in each 1 km
+ * cell) or within a moving neighbourhood kernel around each pixel
+ * (e.g., the share of coniferous forest within 1 km). Classes can be
+ * grouped first with a remap table. Codes and a grouping for the
+ * CA_FOREST_LC_VLCE2 annual forest land cover (see lc_fn) are
+ * included.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+/**
+ * CA_FOREST_LC_VLCE2 class names and codes.
+ */
+var VLCE2_CLASSES = {
+  water: 20,
+  snow_ice: 31,
+  rock_rubble: 32,
+  exposed_barren_land: 33,
+  bryoids: 40,
+  shrubs: 50,
+  wetland: 80,
+  wetland_treed: 81,
+  herbs: 100,
+  coniferous: 210,
+  broadleaf: 220,
+  mixedwood: 230
+};
+
+exports.VLCE2_CLASSES = VLCE2_CLASSES;
+
+/**
+ * Remap table grouping the VLCE2 classes into broader classes, with
+ * the matching class names: 1 water, 2 barren (snow/ice, rock/rubble,
+ * exposed/barren land), 3 non-forest vegetation (bryoids, shrubs,
+ * herbs), 4 wetland (including treed wetland) and 5 forest
+ * (coniferous, broadleaf, mixedwood). Unclassified pixels (0) are
+ * masked.
+ */
+var VLCE2_GROUPS = {
+  remap: {
+    from: [20, 31, 32, 33, 40, 50, 100, 80, 81, 210, 220, 230],
+    to: [1, 2, 2, 2, 3, 3, 3, 4, 4, 5, 5, 5]
+  },
+  classes: {
+    water: 1,
+    barren: 2,
+    non_forest_vegetation: 3,
+    wetland: 4,
+    forest: 5
+  }
+};
+
+exports.VLCE2_GROUPS = VLCE2_GROUPS;
+
+/**
+ * Function to calculate class proportions from a categorical image.
+ *
+ * Masked pixels, including codes missing from the remap table, are
+ * left out of both the class counts and the total, so proportions are
+ * shares of the unmasked pixels. Without a remap table, every unmasked
+ * code counts toward the total, including VLCE2 0 (unclassified). When
+ * remapping, list every code that should count toward the total.
+ * Neighbourhood proportions are masked where the centre pixel is
+ * masked.
+ *
+ * @param {ee.Image} image - Single-band categorical image.
+ * @param {Object} classes - Class names mapped to codes (after
+ *                           remapping), e.g., {coniferous: 210}. Each
+ *                           class gives one output band.
+ * @param {Object} options - Proportion options. Set scale, kernel or
+ *                           radius.
+ * @param {number} [options.scale] - Output grid scale in meters. Each
+ *                        output pixel holds the proportion of the
+ *                        input pixels it covers.
+ * @param {string|ee.Projection} [options.crs] - Output grid CRS, used
+ *                        with scale. Defaults to the image's
+ *                        projection.
+ * @param {number} [options.maxPixels=65535] - Maximum input pixels per
+ *                        output pixel, used with scale.
+ * @param {ee.Kernel} [options.kernel] - Neighbourhood kernel. Each
+ *                        pixel holds the proportion of the pixels in
+ *                        its neighbourhood, at the image's resolution.
+ * @param {number} [options.radius] - Radius in meters of a circular
+ *                        neighbourhood; shorthand for kernel.
+ * @param {Object} [options.remap] - {from, to} codes applied before
+ *                        calculating proportions, to group classes.
+ * @param {string} [options.prefix=''] - Prefix for output band names.
+ * @param {string} [options.suffix='_proportion'] - Suffix for output
+ *                        band names.
+ * @returns {ee.Image} - Float proportion (0-1) bands named
+ *                       prefix + class name + suffix, in the order of
+ *                       classes.
+ * @throws {Error} If none or more than one of scale, kernel and radius
+ *                 is set, or the remap table is uneven.
+ */
+exports.classProportions = function(image, classes, options) {
+  var opts = options || {};
+  var prefix = opts.prefix || '';
+  var suffix = opts.suffix === undefined ? '_proportion' : opts.suffix;
+
+  var methods = ['scale', 'kernel', 'radius'].filter(function(key) {
+    return opts[key] !== undefined && opts[key] !== null;
+  });
+  if (methods.length !== 1) {
+    throw new Error('Set one of options.scale (coarser grid), ' +
+                    'options.kernel or options.radius (neighbourhood).');
+  }
+
+  var categories = ee.Image(image).select(0);
+  if (opts.remap) {
+    if (opts.remap.from.length !== opts.remap.to.length) {
+      throw new Error('The remap table needs as many "to" codes as ' +
+                      '"from" codes.');
+    }
+    categories = categories.remap(opts.remap.from, opts.remap.to);
+  }
+
+  // One 0/1 band per class; masked pixels stay masked, so they drop
+  // out of the mean
+  var names = Object.keys(classes);
+  var oneHot = ee.Image.cat(names.map(function(name) {
+    return categories.eq(classes[name]).rename(prefix + name + suffix);
+  })).toFloat();
+  var bandNames = names.map(function(name) {
+    return prefix + name + suffix;
+  });
+
+  if (methods[0] === 'scale') {
+    var crs = opts.crs || categories.projection();
+    return oneHot.reduceResolution({
+      reducer: ee.Reducer.mean(),
+      maxPixels: opts.maxPixels || 65535
+    }).reproject({crs: crs, scale: opts.scale}).rename(bandNames);
+  }
+
+  var kernel = opts.kernel || ee.Kernel.circle({
+    radius: opts.radius,
+    units: 'meters'
+  });
+  return oneHot.reduceNeighborhood({
+    reducer: ee.Reducer.mean(),
+    kernel: kernel
+  }).rename(bandNames);
+};
+
+
+// // Usage example of classProportions
+
+// var classProportions = require(
+//   "users/bgcasey/science_centre:functions/class_proportions"
+// );
+// var forest_lc = require(
+//   "users/bgcasey/science_centre:functions/annual_forest_land_cover"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// var lc2019 = ee.Image(
+//   forest_lc.lc_fn('2019-01-01', '2019-12-31', aoi).first()
+// );
+
+// // Share of coniferous, broadleaf and mixedwood forest within 1 km of
+// // each pixel
+// var forestWithin1km = classProportions.classProportions(lc2019, {
+//   coniferous: classProportions.VLCE2_CLASSES.coniferous,
+//   broadleaf: classProportions.VLCE2_CLASSES.broadleaf,
+//   mixedwood: classProportions.VLCE2_CLASSES.mixedwood
+// }, {radius: 1000, suffix: '_1km'});
+// print('Forest within 1 km:', forestWithin1km);
+
+// // Share of each grouped class in 1 km grid cells
+// var groups = classProportions.classProportions(
+//   lc2019, classProportions.VLCE2_GROUPS.classes, {
+//     scale: 1000,
+//     remap: classProportions.VLCE2_GROUPS.remap
+//   }
+// );
+// print('Grouped class proportions:', groups);
+
+// Map.centerObject(aoi, 10);
+// Map.addLayer(forestWithin1km.select('coniferous_1km'),
+//              {min: 0, max: 1, palette: ['white', 'darkgreen']},
+//              'Coniferous within 1 km');
+// Map.addLayer(groups.select('forest_proportion'),
+//              {min: 0, max: 1, palette: ['white', 'darkgreen']},
+//              'Forest proportion (1 km cells)');
@@ -0,0 +1,253 @@
+/**
+ * title: Get Annual Forest Attributes from NTEMS Products
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Returns, for each year, land cover, forest age, canopy height and
+ * cover, and the most recent harvest and fire year from the Canadian
+ * National Terrestrial Ecosystem Monitoring System (NTEMS) products
+ * (https://gee-community-catalog.org/projects/ca_lc/). Each product
+ * covers a limited range of years, so years outside a layer's range
+ * are handled explicitly: either the nearest year in range is used
+ * ('nearest') or the layer is masked ('mask'). The year used for each
+ * layer is recorded in the image properties.
+ *
+ * data citations:
+ * Hermosilla, T., Wulder, M.A., White, J.C., Coops, N.C., 2022. Land
+ * cover classification in an era of big and open data: Optimizing
+ * localized implementation and training data selection to improve
+ * mapping outcomes. Remote Sensing of Environment 268, 112780.
+ * Hermosilla, T., Wulder, M.A., White, J.C., Coops, N.C., Hobart,
+ * G.W., Campbell, L.B., 2016. Mass data processing of time series
+ * Landsat imagery: pixels to data products for forest monitoring.
+ * International Journal of Digital Earth 9, 1035-1054.
+ * Matasci, G., Hermosilla, T., Wulder, M.A., White, J.C., Coops, N.C.,
+ * Hobart, G.W., Zald, H.S.J., 2018. Large-area mapping of Canadian
+ * boreal forest cover, height, biomass and other structural attributes
+ * using Landsat composites and lidar plots. Remote Sensing of
+ * Environment 209, 90-106.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var ASSET_ROOT = 'projects/sat-io/open-datasets/CA_FOREST/';
+
+/**
+ * Forest attribute layers: the years each covers, and a loader
+ * returning the layer for a source year within that range.
+ *
+ * - forest_lc_class: VLCE2 land cover class (see lc_fn).
+ * - forest_age: stand age in years. Ages for years before the 2019
+ *   map are rewound from it, and masked where the stand had not yet
+ *   established (its earlier age is unknown).
+ * - canopy_height: 95th percentile of lidar return heights (m), 2015.
+ * - canopy_cover: percentage of first returns above 2 m, 2015.
+ * - harvest_year, fire_year: year of the most recent stand-replacing
+ *   harvest or fire up to the source year. Pixels disturbed after the
+ *   source year are masked, since the products keep only the latest
+ *   disturbance.
+ */
+var LAYERS = {
+  forest_lc_class: {
+    years: [1984, 2019],
+    load: function(year, aoi) {
+      var forest_lc = require(
+        "users/bgcasey/science_centre:functions/annual_forest_land_cover"
+      );
+      var start = ee.Date.fromYMD(year, 1, 1);
+      return ee.Image(forest_lc.lc_fn(start, start.advance(1, 'year'), aoi)
+                               .first());
+    }
+  },
+  forest_age: {
+    years: [1985, 2019],
+    load: function(year, aoi) {
+      var age = ee.Image(ASSET_ROOT + 'CA_forest_age_2019').select(0)
+                  .add(ee.Number(year).subtract(2019));
+      return age.updateMask(age.gte(0));
+    }
+  },
+  canopy_height: {
+    years: [2015, 2015],
+    load: function(year, aoi) {
+      return ee.Image(ASSET_ROOT + 'CA_forest_elev_p95').select(0);
+    }
+  },
+  canopy_cover: {
+    years: [2015, 2015],
+    load: function(year, aoi) {
+      return ee.Image(
+        ASSET_ROOT + 'CA_forest_percentage_first_returns_above_2m'
+      ).select(0);
+    }
+  },
+  harvest_year: {
+    years: [1985, 2020],
+    load: function(year, aoi) {
+      var harvest = ee.Image(ASSET_ROOT + 'CA_Forest_Harvest_1985-2020')
+                      .select(0);
+      return harvest.updateMask(harvest.gt(0).and(harvest.lte(year)));
+    }
+  },
+  fire_year: {
+    years: [1985, 2020],
+    load: function(year, aoi) {
+      var fire = ee.Image(ASSET_ROOT + 'CA_Forest_Fire_1985-2020')
+                   .select(0);
+      return fire.updateMask(fire.gt(0).and(fire.lte(year)));
+    }
+  }
+};
+
+exports.layers = LAYERS;
+
+var OUT_OF_RANGE = ['nearest', 'mask'];
+
+/**
+ * Resolves the out-of-range policy for each layer.
+ *
+ * @param {Array} layers - Layer names.
+ * @param {string|Object} [outOfRange='nearest'] - 'nearest' or 'mask'
+ *                        for all layers, or an object mapping layer
+ *                        names to either (unlisted layers use
+ *                        'nearest').
+ * @returns {Object} - Layer name -> policy.
+ * @throws {Error} If a layer or policy is unknown.
+ */
+var getPolicies = function(layers, outOfRange) {
+  var policies = {};
+  layers.forEach(function(layer) {
+    if (!LAYERS[layer]) {
+      throw new Error('Unknown forest attribute "' + layer + '". Use one ' +
+                      'of: ' + Object.keys(LAYERS).join(', ') + '.');
+    }
+    var policy = typeof outOfRange === 'object' && outOfRange !== null ?
+      outOfRange[layer] : outOfRange;
+    policy = policy || 'nearest';
+    if (OUT_OF_RANGE.indexOf(policy) === -1) {
+      throw new Error('Unknown out-of-range policy "' + policy + '" for ' +
+                      layer + '. Use one of: ' + OUT_OF_RANGE.join(', ') +
+                      '.');
+    }
+    policies[layer] = policy;
+  });
+  return policies;
+};
+
+/**
+ * Function to get forest attributes for a single year.
+ *
+ * @param {number|ee.Number} year - Year of interest.
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Object} [options] - Forest attribute options.
+ * @param {Array} [options.layers] - Layers to return (see LAYERS).
+ *                        Defaults to all of them.
+ * @param {string|Object} [options.outOfRange='nearest'] - What to do
+ *                        for years outside a layer's range: 'nearest'
+ *                        uses the nearest year in range, 'mask' masks
+ *                        the layer. Use an object such as
+ *                        {canopy_height: 'mask'} to set it per layer.
+ * @returns {ee.Image} - One band per layer, clipped to AOI, with
+ *                       'year' and, per layer, '<layer>_source_year'
+ *                       (the year used) and '<layer>_in_range' (1 if
+ *                       the year is within the layer's range)
+ *                       properties.
+ * @throws {Error} If a layer or out-of-range policy is unknown.
+ */
+var getForestAttributes = function(year, aoi, options) {
+  var opts = options || {};
+  var layers = opts.layers || Object.keys(LAYERS);
+  var policies = getPolicies(layers, opts.outOfRange);
+  year = ee.Number(year);
+
+  var image = ee.Image().select([]).set('year', year);
+  layers.forEach(function(layer) {
+    var def = LAYERS[layer];
+    var sourceYear = year.max(def.years[0]).min(def.years[1]);
+    var inRange = year.eq(sourceYear);
+
+    var band = ee.Image(def.load(sourceYear, aoi)).rename(layer);
+    if (policies[layer] === 'mask') {
+      band = band.updateMask(ee.Image.constant(inRange));
+    }
+
+    var properties = {};
+    properties[layer + '_source_year'] = sourceYear;
+    properties[layer + '_in_range'] = inRange;
+    image = image.addBands(band).set(properties);
+  });
+
+  return aoi ? image.clip(aoi) : image;
+};
+
+exports.getForestAttributes = getForestAttributes;
+
+/**
+ * Function to get forest attributes for the year of each date in a
+ * date list.
+ *
+ * @param {Array} dates - Date strings (or an ee.List of dates, e.g.,
+ *                        from utils.createDateList). Only the year of
+ *                        each date is used.
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Object} [options] - Forest attribute options (see
+ *                             getForestAttributes).
+ * @returns {ee.ImageCollection} - One image per date, with the date's
+ *                                 'system:time_start' and the
+ *                                 properties of getForestAttributes.
+ * @throws {Error} If a layer or out-of-range policy is unknown.
+ */
+exports.forest_attributes_fn = function(dates, aoi, options) {
+  // Fail early on unknown layers and policies
+  getPolicies((options || {}).layers || Object.keys(LAYERS),
+              (options || {}).outOfRange);
+
+  return ee.ImageCollection.fromImages(dates.map(function(d) {
+    var date = ee.Date(d);
+    return getForestAttributes(date.get('year'), aoi, options)
+      .set('system:time_start', date.millis());
+  }));
+};
+
+
+// // Usage example of forest_attributes_fn
+
+// var forest_attributes = require(
+//   "users/bgcasey/science_centre:functions/forest_attributes"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// var dates = ['2010-06-01', '2015-06-01', '2020-06-01', '2022-06-01'];
+
+// // Use the nearest year for land cover, but mask canopy structure
+// // outside 2015
+// var forest = forest_attributes.forest_attributes_fn(dates, aoi, {
+//   outOfRange: {canopy_height: 'mask', canopy_cover: 'mask'}
+// });
+// print('Forest Attributes:', forest);
+
+// // Check which year each layer came from
+// print('Land cover source years:',
+//       forest.aggregate_array('forest_lc_class_source_year'));
+// print('Age source years:', forest.aggregate_array('forest_age_source_year'));
+
+// // Display stand age and the most recent harvest for 2015
+// var forest2015 = forest_attributes.getForestAttributes(2015, aoi);
+// Map.centerObject(aoi, 10);
+// Map.addLayer(forest2015.select('forest_age'),
+//              {min: 0, max: 150, palette: ['white', 'darkgreen']},
+//              'Forest age 2015');
+// Map.addLayer(forest2015.select('harvest_year'),
+//              {min: 1985, max: 2015, palette: ['yellow', 'red']},
+//              'Harvest year');
@@ -1,34 +1,64 @@
+/**
+ * title: Gap Filling
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Functions for filling masked pixels in image composites. Spatial
+ * methods (Gaussian focal mean, inverse distance weighting) fill from
+ * neighbouring pixels of the same image. Temporal methods (linear
+ * interpolation, harmonic-fit prediction, same-season climatology)
+ * fill from other composites in the time series. fillGaps chains
+ * methods in order and records the method that filled each pixel in a
+ * gap_fill QA band.
+ */
+
+
 /**
  * Applies Inverse Distance Weighting (IDW) interpolation to fill gaps in the image.
+ * Observed pixels are kept and only masked pixels are filled. Known 
+ * values are sampled once, in the image's projection and at its 
+ * nominal scale, and the output keeps the input band names.
+ * 
+ * An idw_distance band gives the distance (in meters) from each pixel 
+ * to the nearest sample: 0 where every band was observed, masked beyond 
+ * `range`. Use it to mask fills that are too far from real data.
+ * 
+ * Composites made by reducing a collection have a default 1-degree 
+ * projection, so pass the source projection for those.
+ * 
  * @param {ee.Image} image - The input image with gaps to fill.
  * @param {ee.Geometry} aoi - The area of interest for interpolation.
  * @param {number} range - The maximum distance (in meters) to search for values.
  * @param {number} gamma - The decay factor for the inverse distance.
  * @param {number} numPixels - The number of pixels to sample for interpolation.
- * @returns {ee.Image} - The image with gaps filled by interpolation.
+ * @param {ee.Projection} [projection] - Projection and scale to sample 
+ *                        and interpolate in. Defaults to the projection 
+ *                        of the image's first band.
+ * @returns {ee.Image} - The image with gaps filled by interpolation and 
+ *                       an idw_distance band.
+ * 
+ * @example
+ * var filled = applyIDWInterpolation(image, aoi, 5000, 0.5, 500);
+ * var nearFills = filled.updateMask(filled.select('idw_distance').lte(1000));
  */
-function applyIDWInterpolation(image, aoi, range, gamma, numPixels) {
+function applyIDWInterpolation(image, aoi, range, gamma, numPixels, projection) {
   // Get the list of band names as an ee.List
   var bandNames = image.bandNames();
+  projection = projection || image.select(0).projection();
+
+  // Sample known values of all bands at the same locations
+  var samples = image.sample({
+    region: aoi,
+    numPixels: numPixels,
+    scale: projection.nominalScale(),
+    projection: projection,
+    geometries: true
+  });
 
   // Function to interpolate a single band
   var interpolateBand = function(bandName) {
     bandName = ee.String(bandName);
-    // Sample the image band to get known values
-    var samples = image.select([bandName]).addBands(ee.Image.pixelLonLat())
-      .sample({
-        region: aoi,
-        numPixels: numPixels,
-        scale: 30,
-        projection: 'EPSG:4326'
-      })
-      .map(function(sample) {
-        var lat = sample.get('latitude');
-        var lon = sample.get('longitude');
-        var value = sample.get(bandName);
-        // Return a feature with the band name set dynamically
-        return ee.Feature(ee.Geometry.Point([lon, lat])).set(bandName, value);
-      });
 
     // Estimate global mean and standard deviation from the samples
     var stats = samples.reduceColumns({
@@ -40,28 +70,350 @@ function applyIDWInterpolation(image, aoi, range, gamma, numPixels) {
     });
 
     // Apply IDW interpolation
-    var interpolated = samples.inverseDistance({
+    return samples.inverseDistance({
       range: range,
       propertyName: bandName,
       mean: stats.get('mean'),
       stdDev: stats.get('stdDev'),
       gamma: gamma
     });
+  };
+
+  // Combine the interpolated bands and restore the original band names
+  var interpolatedImage = ee.ImageCollection(bandNames.map(interpolateBand))
+    .toBands()
+    .rename(bandNames)
+    .reproject(projection);
+
+  // Keep observed pixels and fill only the masked ones
+  var filledImage = image.unmask(interpolatedImage);
+
+  // Distance to the nearest sample, 0 where every band was observed
+  var observed = image.mask().reduce(ee.Reducer.min()).gt(0);
+  var distance = samples.distance(range)
+    .reproject(projection)
+    .blend(ee.Image(0).updateMask(observed))
+    .rename('idw_distance');
+
+  return filledImage.addBands(distance).clip(aoi);
+}
+
+exports.applyIDWInterpolation = applyIDWInterpolation;
+
+
+/**
+ * Gap-fill methods and the gap_fill QA band value that flags pixels 
+ * each one filled. 0 marks pixels that were observed or left unfilled.
+ */
+var GAP_FILL_METHODS = {
+  linear: 1,      // Linear interpolation between neighbouring composites
+  harmonic: 2,    // Prediction from a harmonic fit to the time series
+  climatology: 3, // Median of same-season composites from other years
+  gaussian: 4,    // Gaussian-weighted focal mean of nearby pixels
+  idw: 5          // Inverse distance weighted interpolation
+};
+
+exports.gapFillMethods = GAP_FILL_METHODS;
+
+// Reference date for time variables
+var EPOCH = ee.Date('1970-01-01');
 
-    // Return the interpolated band
-    return interpolated.rename(bandName);
+/**
+ * Fills masked pixels with a Gaussian-weighted focal mean (radius 3 
+ * pixels, sigma 1) of the surrounding pixels.
+ * 
+ * @param {ee.Image} image - The input image with gaps to fill.
+ * @returns {ee.Image} - Focal mean values, masked where the kernel 
+ *                       found no data.
+ */
+function gaussianFill(image) {
+  return image.focal_mean({
+    kernel: ee.Kernel.gaussian({
+      radius: 3,  // Gaussian kernel radius
+      sigma: 1,   // Gaussian kernel standard deviation
+      units: 'pixels'
+    }),
+    iterations: 1
+  });
+}
+
+exports.gaussianFill = gaussianFill;
+
+/**
+ * Interpolates linearly, per pixel and band, between the nearest 
+ * earlier and nearest later composites with data.
+ * 
+ * @param {ee.Image} image - The composite with gaps to fill.
+ * @param {ee.ImageCollection} series - The time series it belongs to.
+ * @returns {ee.Image} - Interpolated values, masked where there is no 
+ *                       observation on one side.
+ */
+function linearFill(image, series) {
+  var time = image.date().millis();
+
+  // Replace each value with the composite's date, in days
+  var toDays = function(img) {
+    img = ee.Image(img);
+    return img.multiply(0).add(img.date().difference(EPOCH, 'day')).float();
   };
 
-  // Map the interpolation function over all band names
-  var interpolatedBands = bandNames.map(function(bandName) {
-    return interpolateBand(bandName);
+  // A fully masked copy keeps the bands when one side has no images
+  var empty = ee.ImageCollection([image.updateMask(0)]);
+
+  // A mosaic shows its last image on top, so these hold the nearest 
+  // earlier and nearest later observation of each pixel
+  var before = empty.merge(series.filter(
+    ee.Filter.lt('system:time_start', time)
+  )).sort('system:time_start');
+  var after = empty.merge(series.filter(
+    ee.Filter.gt('system:time_start', time)
+  )).sort('system:time_start', false);
+
+  var v0 = before.mosaic();
+  var v1 = after.mosaic();
+  var t0 = before.map(toDays).mosaic();
+  var t1 = after.map(toDays).mosaic();
+  var t = ee.Image.constant(image.date().difference(EPOCH, 'day'));
+  var weight = t.subtract(t0).divide(t1.subtract(t0));
+  return v0.add(v1.subtract(v0).multiply(weight));
+}
+
+exports.linearFill = linearFill;
+
+/**
+ * Adds the harmonic model's independent variables to an image: a 
+ * constant, time in years (t) and the first harmonic (cos and sin of 
+ * 2 * pi * t).
+ * 
+ * @param {ee.Image} image - An image with system:time_start.
+ * @returns {ee.Image} - The constant, t, cos and sin bands.
+ */
+function harmonicVariables(image) {
+  var t = ee.Date(image.get('system:time_start'))
+            .difference(EPOCH, 'year');
+  var radians = t.multiply(2 * Math.PI);
+  return ee.Image.constant(1)
+    .addBands(ee.Image.constant(t))
+    .addBands(ee.Image.constant(radians.cos()))
+    .addBands(ee.Image.constant(radians.sin()))
+    .rename(['constant', 't', 'cos', 'sin'])
+    .float();
+}
+
+/**
+ * Fits a harmonic model (constant, linear trend and one annual 
+ * harmonic) to every band of a time series by least squares. Each band 
+ * is fitted separately so its own mask decides which composites count.
+ * The fit needs several composites per year; with one per year the 
+ * harmonic terms cannot be separated from the constant and the 
+ * coefficients are masked.
+ * 
+ * @param {ee.ImageCollection} series - Images with system:time_start.
+ * @returns {Object} - Coefficient images keyed by variable (constant, 
+ *                     t, cos, sin), each with the series' band names.
+ */
+function fitHarmonics(series) {
+  var bandNames = ee.Image(series.first()).bandNames();
+  var variables = ['constant', 't', 'cos', 'sin'];
+
+  var fits = bandNames.map(function(bandName) {
+    return series.map(function(image) {
+      return harmonicVariables(image).addBands(image.select([bandName]));
+    })
+    .reduce(ee.Reducer.linearRegression(variables.length, 1))
+    .select('coefficients')
+    .arrayProject([0])
+    .arrayFlatten([variables]);
+  });
+
+  var coefficients = {};
+  variables.forEach(function(variable) {
+    coefficients[variable] = ee.ImageCollection(fits.map(function(fit) {
+      return ee.Image(fit).select(variable);
+    })).toBands().rename(bandNames);
   });
+  return coefficients;
+}
 
-  // Combine all interpolated bands into a single image
-  var interpolatedImage = ee.ImageCollection(interpolatedBands).toBands().clip(aoi);
+exports.fitHarmonics = fitHarmonics;
 
-  return interpolatedImage;
+/**
+ * Predicts an image's values from harmonic coefficients.
+ * 
+ * @param {ee.Image} image - The composite with gaps to fill.
+ * @param {Object} coefficients - Output of fitHarmonics.
+ * @returns {ee.Image} - Predicted values, masked where the fit failed.
+ */
+function harmonicFill(image, coefficients) {
+  var x = harmonicVariables(image);
+  return coefficients.constant
+    .add(coefficients.t.multiply(x.select('t')))
+    .add(coefficients.cos.multiply(x.select('cos')))
+    .add(coefficients.sin.multiply(x.select('sin')));
 }
 
-exports.applyIDWInterpolation = applyIDWInterpolation;
+exports.harmonicFill = harmonicFill;
+
+/**
+ * Fills from the median of same-season composites in other years: 
+ * those starting within a window of the image's day of year.
+ * 
+ * @param {ee.Image} image - The composite with gaps to fill.
+ * @param {ee.ImageCollection} series - The time series it belongs to.
+ * @param {number} window - Days either side of the day of year.
+ * @returns {ee.Image} - Climatology values, masked where no other year 
+ *                       has data.
+ */
+function climatologyFill(image, series, window) {
+  var date = image.date();
+  var doy = date.getRelative('day', 'year').add(1);
+  var year = date.get('year');
+
+  // Day-of-year range, wrapping across the new year
+  var start = doy.subtract(window + 1).add(365).mod(365).add(1);
+  var end = doy.add(window - 1).mod(365).add(1);
+
+  var sameSeason = series
+    .filter(ee.Filter.calendarRange(start, end, 'day_of_year'))
+    .filter(ee.Filter.calendarRange(year, year, 'year').not());
+
+  // A fully masked copy keeps the bands when no other year matches
+  return ee.ImageCollection([image.updateMask(0)])
+    .merge(sameSeason)
+    .median();
+}
+
+exports.climatologyFill = climatologyFill;
+
+/**
+ * Gives images without bands (e.g., composites of intervals with no 
+ * scenes) the bands of the first image that has them, fully masked, 
+ * so the series can be fitted, stacked and filled as a whole.
+ * 
+ * @param {ee.ImageCollection} collection - Images with 
+ *                             system:time_start.
+ * @returns {ee.ImageCollection} - Images that all share the same bands,
+ *                                 unless none has any.
+ */
+function maskEmptyImages(collection) {
+  var withBands = collection.map(function(image) {
+    return image.set('band_count', image.bandNames().size());
+  }).filter(ee.Filter.gt('band_count', 0));
+  var template = ee.Image(ee.Algorithms.If(
+    withBands.size().gt(0), withBands.first(), ee.Image([])
+  )).updateMask(0);
+
+  return collection.map(function(image) {
+    return ee.Image(ee.Algorithms.If(
+      image.bandNames().size().gt(0), image, image.addBands(template)
+    ));
+  });
+}
+
+/**
+ * Fill Gaps in an Image Collection
+ * 
+ * Fills masked pixels in every image of a time series, trying each 
+ * method in turn on the pixels still missing. Temporal methods draw on 
+ * the original (unfilled) series, so filled values never feed other 
+ * fills. A gap_fill QA band records the first method that filled each 
+ * pixel (see gapFillMethods); 0 means the pixel was not filled.
+ * Images without bands, such as composites of intervals with no 
+ * scenes, are filled as fully masked images.
+ * With 'idw', an idw_distance band is also added.
+ * 
+ * @param {ee.ImageCollection} collection - Images with 
+ *                             system:time_start.
+ * @param {string|Array} methods - A method or methods in the order to 
+ *                       try: 'linear', 'harmonic', 'climatology', 
+ *                       'gaussian', 'idw'. 'none' leaves the collection
+ *                       unchanged.
+ * @param {Object} [options] - Method options.
+ * @param {ee.Geometry} [options.aoi] - Sampling region; required by 
+ *                      'idw'.
+ * @param {number} [options.idwRange=5000] - IDW search range (metres).
+ * @param {number} [options.idwGamma=0.5] - IDW decay factor.
+ * @param {number} [options.idwPixels=500] - IDW sample size.
+ * @param {ee.Projection} [options.idwProjection] - IDW sampling 
+ *                        projection (see applyIDWInterpolation).
+ * @param {number} [options.climatologyWindow=15] - Days either side of 
+ *                 the day of year that count as the same season.
+ * @return {ee.ImageCollection} - The filled images with a gap_fill band.
+ * @throws {Error} If a method is unknown, or 'idw' has no aoi.
+ * 
+ * @example
+ * var filled = fillGaps(composites, ['linear', 'climatology', 
+ *                                    'gaussian']);
+ */
+function fillGaps(collection, methods, options) {
+  var list = Array.isArray(methods) ? methods : [methods];
+  if (list.length === 0 || (list.length === 1 && list[0] === 'none')) {
+    return collection;
+  }
+  var opts = options || {};
+  list.forEach(function(method) {
+    if (!GAP_FILL_METHODS.hasOwnProperty(method)) {
+      throw new Error(
+        'Unknown gap-fill method "' + method + '". Use one of ' + 
+        Object.keys(GAP_FILL_METHODS).join(', ') + ', or "none".'
+      );
+    }
+  });
+  if (list.indexOf('idw') !== -1 && !opts.aoi) {
+    throw new Error('The "idw" gap-fill method needs options.aoi.');
+  }
+  collection = maskEmptyImages(collection);
+
+  var coefficients = list.indexOf('harmonic') !== -1 ? 
+                     fitHarmonics(collection) : null;
+
+  var fillers = {
+    linear: function(image) {
+      return linearFill(image, collection);
+    },
+    harmonic: function(image) {
+      return harmonicFill(image, coefficients);
+    },
+    climatology: function(image) {
+      return climatologyFill(image, collection, 
+                             opts.climatologyWindow || 15);
+    },
+    gaussian: gaussianFill,
+    idw: function(image) {
+      return applyIDWInterpolation(
+        image, opts.aoi, opts.idwRange || 5000, opts.idwGamma || 0.5,
+        opts.idwPixels || 500, opts.idwProjection
+      );
+    }
+  };
+
+  return collection.map(function(image) {
+    var filled = image;
+    var qa = ee.Image(0);
+
+    var idwDistance = null;
+
+    list.forEach(function(method) {
+      var fill = fillers[method](filled);
+      if (method === 'idw') {
+        idwDistance = fill.select('idw_distance');
+        fill = fill.select(filled.bandNames());
+      }
+      var next = filled.unmask(fill);
+
+      // Flag pixels where this method filled at least one band
+      var gained = next.mask().reduce(ee.Reducer.sum())
+                       .gt(filled.mask().reduce(ee.Reducer.sum()));
+      qa = qa.where(qa.eq(0).and(gained), GAP_FILL_METHODS[method]);
+      filled = next;
+    });
+
+    filled = filled.addBands(qa.rename('gap_fill').toByte());
+    if (idwDistance) {
+      filled = filled.addBands(idwDistance);
+    }
+    return ee.Image(filled.copyProperties(image, image.propertyNames()));
+  });
+}
 
+exports.fillGaps = fillGaps;
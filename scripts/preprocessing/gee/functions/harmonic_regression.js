@@ -0,0 +1,254 @@
+/**
+ * title: Harmonic Regression Time Series
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Fits per-pixel harmonic (Fourier) regressions to spectral index time
+ * series from Landsat or Sentinel-2 and summarises each index's
+ * seasonal cycle as continuous descriptors:
+ *
+ * 1. Builds the cloud-masked image collection for a date range: the
+ *    harmonized Landsat 5, 7, 8, and 9 collection used by ls_fn, or
+ *    the Sentinel-2 collection used by s2_fn.
+ * 2. Calculates the selected indices from the spectral index registry.
+ * 3. Fits y = mean + trend * t + sum(a_k * cos(2 * pi * k * t) +
+ *    b_k * sin(2 * pi * k * t)) per pixel, with t in years from the
+ *    middle of the date range.
+ * 4. Outputs mean, trend, amplitude, phase and RMSE bands per index,
+ *    and can synthesise a predicted image for any date from them.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var spectral = require("users/bgcasey/science_centre:functions/spectral_indices");
+var landsatTimeSeries = require("users/bgcasey/science_centre:functions/landsat_time_series");
+var sentinelTimeSeries = require("users/bgcasey/science_centre:functions/sentinel_time_series");
+
+/**
+ * Names of the regression's independent variables.
+ *
+ * @param {number} harmonics - Number of harmonics.
+ * @returns {Array} - ['constant', 't', 'cos_1', 'sin_1', ...].
+ */
+var variableNames = function(harmonics) {
+  var names = ['constant', 't'];
+  for (var k = 1; k <= harmonics; k++) {
+    names.push('cos_' + k, 'sin_' + k);
+  }
+  return names;
+};
+
+/**
+ * Builds the independent variables for an image: a constant, time in
+ * years from the origin (t), and the cos and sin of 2 * pi * k * t for
+ * each harmonic k.
+ *
+ * @param {ee.Image} image - An image with system:time_start.
+ * @param {number} harmonics - Number of harmonics.
+ * @param {ee.Date} origin - Date at which t is 0.
+ * @returns {ee.Image} - One band per variable (see variableNames).
+ */
+var harmonicVariables = function(image, harmonics, origin) {
+  var t = ee.Date(image.get('system:time_start')).difference(origin, 'year');
+  var variables = ee.Image.constant(1).addBands(ee.Image.constant(t));
+  for (var k = 1; k <= harmonics; k++) {
+    var radians = t.multiply(2 * Math.PI * k);
+    variables = variables.addBands(ee.Image.constant(radians.cos()))
+                         .addBands(ee.Image.constant(radians.sin()));
+  }
+  return variables.rename(variableNames(harmonics)).float();
+};
+
+exports.harmonicVariables = harmonicVariables;
+
+/**
+ * Fits harmonic regressions to index bands of an image collection.
+ *
+ * Output bands, per index (e.g., NDVI):
+ * - NDVI_mean: Fitted value at the origin, without the seasonal cycle.
+ * - NDVI_trend: Linear change per year.
+ * - NDVI_amplitude_k: Amplitude of harmonic k.
+ * - NDVI_phase_k: Phase of harmonic k in radians (-pi to pi); harmonic
+ *   k peaks when 2 * pi * k * t equals the phase.
+ * - NDVI_rmse: Root mean square error of the fit.
+ *
+ * Pixels with fewer clear observations than regression variables
+ * (2 + 2 * harmonics) are masked.
+ *
+ * @param {ee.ImageCollection} collection - Images with the index bands
+ *                             and system:time_start.
+ * @param {Array} selectedIndices - Index bands to fit (e.g., ['NDVI']).
+ * @param {number} harmonics - Number of harmonics.
+ * @param {ee.Date} origin - Date at which t is 0.
+ * @returns {ee.Image} - Fit image with the properties harmonics and
+ *                       t_origin (milliseconds).
+ */
+var fitHarmonics = function(collection, selectedIndices, harmonics, origin) {
+  var variables = variableNames(harmonics);
+
+  var regression = collection.map(function(image) {
+    return harmonicVariables(image, harmonics, origin)
+             .addBands(image.select(selectedIndices));
+  }).reduce(ee.Reducer.linearRegression(variables.length,
+                                        selectedIndices.length));
+
+  // Coefficient bands are named <variable>_<index>
+  var coefficients = regression.select('coefficients')
+                               .arrayFlatten([variables, selectedIndices]);
+  var rmse = regression.select('residuals')
+                       .arrayFlatten([selectedIndices]);
+
+  var fits = selectedIndices.map(function(index) {
+    var coefficient = function(variable) {
+      return coefficients.select(variable + '_' + index);
+    };
+    var fit = coefficient('constant').rename(index + '_mean')
+      .addBands(coefficient('t').rename(index + '_trend'));
+    for (var k = 1; k <= harmonics; k++) {
+      var a = coefficient('cos_' + k);
+      var b = coefficient('sin_' + k);
+      fit = fit.addBands(a.hypot(b).rename(index + '_amplitude_' + k))
+               .addBands(b.atan2(a).rename(index + '_phase_' + k));
+    }
+    return fit.addBands(rmse.select(index).rename(index + '_rmse'));
+  });
+
+  return ee.Image.cat(fits).set({
+    'harmonics': harmonics,
+    't_origin': ee.Date(origin).millis()
+  });
+};
+
+exports.fitHarmonics = fitHarmonics;
+
+/**
+ * Function to fit harmonic regressions to Landsat or Sentinel-2 index
+ * time series.
+ *
+ * @param {string} startDate - Start of the date range (inclusive).
+ * @param {string} endDate - End of the date range (exclusive).
+ * @param {ee.Geometry} aoi - Area of interest.
+ * @param {Array} selectedIndices - Indices to fit (e.g., ['NDVI']).
+ *                                 See functions/spectral_indices.js.
+ * @param {Object} [options] - Fit options.
+ * @param {string} [options.sensor='landsat'] - 'landsat' or 'sentinel2'.
+ * @param {number} [options.harmonics=2] - Number of harmonics.
+ * @param {string|Object} [options.maskMethod='qa60'] - Sentinel-2 cloud
+ *                        mask method (see s2_fn).
+ * @param {string|Object} [options.maskProfile='standard'] - Landsat QA
+ *                        masking profile (see ls_fn).
+ * @returns {ee.Image} - Fit image clipped to AOI (see fitHarmonics) with
+ *                       start_date and end_date properties.
+ * @throws {Error} If the sensor is unknown or an index is not available
+ *                 for it.
+ */
+exports.harmonic_fn = function(startDate, endDate, aoi, selectedIndices,
+                               options) {
+  var opts = options || {};
+  var sensor = opts.sensor || 'landsat';
+  var harmonics = opts.harmonics || 2;
+  if (sensor !== 'landsat' && sensor !== 'sentinel2') {
+    throw new Error('Unknown sensor "' + sensor + '". Use "landsat" or ' +
+                    '"sentinel2".');
+  }
+  spectral.checkIndices(selectedIndices, sensor);
+
+  var start = ee.Date(startDate);
+  var end = ee.Date(endDate);
+  var origin = start.advance(end.difference(start, 'day').divide(2), 'day');
+
+  // Get the cloud-masked collection for the date range
+  var collection = sensor === 'landsat' ?
+    landsatTimeSeries.getCombinedHarmonizedCollection(start, end, aoi, null,
+                                                      opts.maskProfile) :
+    sentinelTimeSeries.getS2Collection(start, end, aoi, opts.maskMethod);
+
+  // Calculate the selected indices
+  collection = collection.map(function(image) {
+    return spectral.addIndices(image, selectedIndices, sensor);
+  });
+
+  return fitHarmonics(collection, selectedIndices, harmonics, origin)
+    .set({
+      'start_date': start.format('YYYY-MM-dd'),
+      'end_date': end.format('YYYY-MM-dd')
+    })
+    .clip(aoi);
+};
+
+/**
+ * Synthesises an image of predicted index values for a date from a fit
+ * made by harmonic_fn or fitHarmonics.
+ *
+ * @param {ee.Image} fit - Fit image.
+ * @param {ee.Date|string} date - Date to predict.
+ * @returns {ee.Image} - One band per index (e.g., NDVI), with
+ *                       system:time_start set to the date.
+ *
+ * @example
+ * var july = harmonic_regression.predictHarmonics(fit, '2022-07-15');
+ */
+exports.predictHarmonics = function(fit, date) {
+  date = ee.Date(date);
+  var t = date.difference(ee.Date(fit.get('t_origin')), 'year');
+
+  var mean = fit.select('.*_mean');
+  var names = mean.bandNames().map(function(bandName) {
+    return ee.String(bandName).replace('_mean$', '');
+  });
+
+  // Mean and trend, then add each harmonic: A * cos(2 * pi * k * t - phase)
+  var predicted = mean.add(fit.select('.*_trend').multiply(t));
+  predicted = ee.List.sequence(1, fit.get('harmonics')).iterate(
+    function(k, image) {
+      k = ee.Number(k).int();
+      var suffix = ee.String('_').cat(k.format());
+      var amplitude = fit.select(ee.String('.*_amplitude').cat(suffix));
+      var phase = fit.select(ee.String('.*_phase').cat(suffix));
+      var angle = phase.multiply(-1).add(t.multiply(k).multiply(2 * Math.PI));
+      return ee.Image(image).add(amplitude.multiply(angle.cos()));
+    },
+    predicted
+  );
+
+  return ee.Image(predicted).rename(names)
+                            .set('system:time_start', date.millis());
+};
+
+
+// Usage example of harmonic_fn
+
+// var harmonic_regression = require(
+//   "users/bgcasey/science_centre:functions/harmonic_regression"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Fit two harmonics to three years of Landsat NDVI and NBR
+// var fit = harmonic_regression.harmonic_fn(
+//   '2020-01-01', '2023-01-01', aoi, ['NDVI', 'NBR'],
+//   {sensor: 'landsat', harmonics: 2}
+// );
+// print('Harmonic fit:', fit);
+
+// // Map the amplitude of the annual NDVI cycle
+// Map.centerObject(aoi, 10);
+// Map.addLayer(fit.select('NDVI_amplitude_1'),
+//              {min: 0, max: 0.4, palette: ['white', 'green']},
+//              'NDVI amplitude');
+
+// // Predict NDVI for mid-July 2022
+// var predicted = harmonic_regression.predictHarmonics(fit, '2022-07-15');
+// Map.addLayer(predicted.select('NDVI'),
+//              {min: -1, max: 1, palette: ['red', 'yellow', 'green']},
+//              'Predicted NDVI 2022-07-15');
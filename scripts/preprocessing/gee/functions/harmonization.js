@@ -0,0 +1,358 @@
+/**
+ * title: Cross-Sensor Harmonization
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Linear, per-band harmonization of surface reflectance between
+ * Landsat 5 TM, Landsat 7 ETM+, Landsat 8 OLI, Landsat 9 OLI-2 and
+ * Sentinel-2 MSI, so collections from different sensors can be
+ * combined in one time series.
+ *
+ * 1. Published coefficient sets (COEFFICIENT_SETS) each map one
+ *    sensor's reflectance to another's: reflectance_to = intercept +
+ *    slope * reflectance_from.
+ * 2. A harmonization picks a target sensor space ('etm' or 'oli') and,
+ *    for the ETM+-OLI step, a regression model ('rma' or 'ols').
+ * 3. The steps from each sensor to the target are chained into one
+ *    slope and intercept per band, which are applied to the blue,
+ *    green, red, NIR, SWIR1 and SWIR2 bands. The coefficients used are
+ *    written to the image properties.
+ *
+ * Harmonized images use the ETM+ band numbers of the harmonized
+ * Landsat collection (SR_B1, SR_B2, SR_B3, SR_B4, SR_B5, SR_B7),
+ * whichever sensor space is the target.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+// Common reflectance bands harmonized by every coefficient set, in the
+// order of the slopes and intercepts
+var HARMONIZED_BANDS = ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'];
+
+/**
+ * Sensor key -> sensor space and the source bands for blue, green,
+ * red, NIR, SWIR1 and SWIR2. Sentinel-2 uses the narrow NIR band
+ * (B8A), which matches the OLI NIR bandpass.
+ */
+var SENSORS = {
+  LT05: {space: 'tm', bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5',
+                              'SR_B7']},
+  LE07: {space: 'etm', bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5',
+                               'SR_B7']},
+  LC08: {space: 'oli', bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6',
+                               'SR_B7']},
+  LC09: {space: 'oli2', bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6',
+                                'SR_B7']},
+  S2: {space: 'msi', bands: ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12']}
+};
+
+/**
+ * Published coefficient sets, reflectance_to = intercept + slope *
+ * reflectance_from, per band (blue, green, red, NIR, SWIR1, SWIR2).
+ * RMA fits are symmetric, so they are also inverted to go from 'to'
+ * back to 'from'; OLS fits are not, so each direction has its own set.
+ */
+var COEFFICIENT_SETS = {
+  roy2016_rma: {
+    from: 'etm',
+    to: 'oli',
+    slopes: [0.9785, 0.9542, 0.9825, 1.0073, 1.0171, 0.9949],
+    intercepts: [-0.0095, -0.0016, -0.0022, -0.0021, -0.0030, 0.0029],
+    invertible: true,
+    citation: 'Roy, D. P., Kovalskyy, V., Zhang, H. K., Vermote, E. F., ' +
+      'Yan, L., Kumar, S. S., & Egorov, A. (2016). Characterization of ' +
+      'Landsat-7 to Landsat-8 reflective wavelength and normalized ' +
+      'difference vegetation index continuity. Remote Sensing of ' +
+      'Environment, 185, 57-70. Table 2 (RMA).'
+  },
+  roy2016_ols_etm_to_oli: {
+    from: 'etm',
+    to: 'oli',
+    slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+    intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172],
+    invertible: false,
+    citation: 'Roy et al. (2016). Table 2 (OLS, ETM+ to OLI).'
+  },
+  roy2016_ols_oli_to_etm: {
+    from: 'oli',
+    to: 'etm',
+    slopes: [0.8850, 0.9317, 0.9372, 0.8339, 0.8639, 0.9165],
+    intercepts: [0.0183, 0.0123, 0.0123, 0.0448, 0.0306, 0.0116],
+    invertible: false,
+    citation: 'Roy et al. (2016). Table 2 (OLS, OLI to ETM+).'
+  },
+  // Landsat 9 OLI-2 was cross-calibrated to Landsat 8 OLI during the
+  // underfly, so no adjustment is applied by default
+  landsat9_to_landsat8: {
+    from: 'oli2',
+    to: 'oli',
+    slopes: [1, 1, 1, 1, 1, 1],
+    intercepts: [0, 0, 0, 0, 0, 0],
+    invertible: true,
+    citation: 'Kaita, E., Markham, B., Haque, M. O., Dichmann, D., ' +
+      'Gerace, A., Leigh, L., Good, S., Schmidt, M., & Crawford, C. J. ' +
+      '(2022). Landsat 9 cross calibration under-fly of Landsat 8: ' +
+      'Planning, and execution. Remote Sensing, 14(21), 5414.'
+  },
+  // TM and ETM+ Collection 2 surface reflectance are both produced by
+  // LEDAPS and are treated as equivalent by default
+  tm_to_etm: {
+    from: 'tm',
+    to: 'etm',
+    slopes: [1, 1, 1, 1, 1, 1],
+    intercepts: [0, 0, 0, 0, 0, 0],
+    invertible: true,
+    citation: null
+  },
+  hls_msi_to_oli: {
+    from: 'msi',
+    to: 'oli',
+    slopes: [0.9778, 1.0053, 0.9765, 0.9983, 0.9987, 1.0030],
+    intercepts: [-0.0040, -0.0009, 0.0009, -0.0001, -0.0011, -0.0012],
+    invertible: true,
+    citation: 'Claverie, M., Ju, J., Masek, J. G., Dungan, J. L., ' +
+      'Vermote, E. F., Roger, J.-C., Skakun, S. V., & Justice, C. ' +
+      '(2018). The Harmonized Landsat and Sentinel-2 surface ' +
+      'reflectance data set. Remote Sensing of Environment, 219, ' +
+      '145-161. Bandpass adjustment (HLS v1.4).'
+  }
+};
+
+/**
+ * Coefficient-set steps from each sensor space to each target space,
+ * by model. A step is a set id, with '-1' appended when the RMA set
+ * is inverted.
+ */
+var PATHS = {
+  etm: {
+    rma: {
+      tm: ['tm_to_etm'],
+      etm: [],
+      oli: ['roy2016_rma-1'],
+      oli2: ['landsat9_to_landsat8', 'roy2016_rma-1'],
+      msi: ['hls_msi_to_oli', 'roy2016_rma-1']
+    },
+    ols: {
+      tm: ['tm_to_etm'],
+      etm: [],
+      oli: ['roy2016_ols_oli_to_etm'],
+      oli2: ['landsat9_to_landsat8', 'roy2016_ols_oli_to_etm'],
+      msi: ['hls_msi_to_oli', 'roy2016_ols_oli_to_etm']
+    }
+  },
+  oli: {
+    rma: {
+      tm: ['tm_to_etm', 'roy2016_rma'],
+      etm: ['roy2016_rma'],
+      oli: [],
+      oli2: ['landsat9_to_landsat8'],
+      msi: ['hls_msi_to_oli']
+    },
+    ols: {
+      tm: ['tm_to_etm', 'roy2016_ols_etm_to_oli'],
+      etm: ['roy2016_ols_etm_to_oli'],
+      oli: [],
+      oli2: ['landsat9_to_landsat8'],
+      msi: ['hls_msi_to_oli']
+    }
+  }
+};
+
+/**
+ * Reads a harmonization from a target name ('etm' or 'oli') or an
+ * options object such as {target: 'oli', model: 'ols'}, and fills in
+ * the defaults (ETM+ target, RMA model).
+ *
+ * Custom coefficients for any set can be given as options.coefficients,
+ * e.g., {tm_to_etm: {slopes: [...], intercepts: [...]}}.
+ *
+ * @param {string|Object} [harmonization='etm'] - Target or options.
+ * @returns {Object} - Complete options: target, model, coefficients.
+ * @throws {Error} If the target, model or a custom set is unknown, or a
+ *                 custom set does not have six slopes and intercepts.
+ */
+var getHarmonization = function(harmonization) {
+  var spec = typeof harmonization === 'string' ? {target: harmonization}
+                                               : harmonization || {};
+  var target = spec.target || 'etm';
+  var model = spec.model || 'rma';
+  if (!PATHS[target]) {
+    throw new Error('Unknown harmonization target "' + target +
+                    '". Use one of: ' + Object.keys(PATHS).join(', ') + '.');
+  }
+  if (!PATHS[target][model]) {
+    throw new Error('Unknown harmonization model "' + model +
+                    '". Use one of: ' +
+                    Object.keys(PATHS[target]).join(', ') + '.');
+  }
+
+  var coefficients = {};
+  Object.keys(COEFFICIENT_SETS).forEach(function(id) {
+    coefficients[id] = COEFFICIENT_SETS[id];
+  });
+  Object.keys(spec.coefficients || {}).forEach(function(id) {
+    var custom = spec.coefficients[id];
+    if (!COEFFICIENT_SETS[id]) {
+      throw new Error('Unknown coefficient set "' + id + '". Use one of: ' +
+                      Object.keys(COEFFICIENT_SETS).join(', ') + '.');
+    }
+    if (!custom.slopes || custom.slopes.length !== 6 ||
+        !custom.intercepts || custom.intercepts.length !== 6) {
+      throw new Error('Coefficient set "' + id + '" needs six slopes and ' +
+                      'six intercepts (blue, green, red, NIR, SWIR1, ' +
+                      'SWIR2).');
+    }
+    var set = {};
+    Object.keys(COEFFICIENT_SETS[id]).forEach(function(key) {
+      set[key] = COEFFICIENT_SETS[id][key];
+    });
+    set.slopes = custom.slopes;
+    set.intercepts = custom.intercepts;
+    set.citation = custom.citation || null;
+    coefficients[id] = set;
+  });
+
+  return {target: target, model: model, coefficients: coefficients};
+};
+
+exports.getHarmonization = getHarmonization;
+
+/**
+ * Chains the coefficient sets from a sensor to the harmonization target
+ * into one slope and intercept per band. Runs client-side.
+ *
+ * @param {string} sensor - Sensor key: 'LT05', 'LE07', 'LC08', 'LC09'
+ *                          or 'S2'.
+ * @param {string|Object} [harmonization='etm'] - Target or options (see
+ *                        getHarmonization).
+ * @returns {Object} - steps (set ids, '-1' for inverted sets), slopes
+ *                     and intercepts (blue, green, red, NIR, SWIR1,
+ *                     SWIR2).
+ * @throws {Error} If the sensor or harmonization is unknown.
+ */
+var getCoefficients = function(sensor, harmonization) {
+  if (!SENSORS[sensor]) {
+    throw new Error('Unknown sensor "' + sensor + '". Use one of: ' +
+                    Object.keys(SENSORS).join(', ') + '.');
+  }
+  var options = getHarmonization(harmonization);
+  var steps = PATHS[options.target][options.model][SENSORS[sensor].space];
+
+  // y = a2 + b2 * (a1 + b1 * x) = (a2 + b2 * a1) + b2 * b1 * x
+  var slopes = [1, 1, 1, 1, 1, 1];
+  var intercepts = [0, 0, 0, 0, 0, 0];
+  steps.forEach(function(step) {
+    var inverse = step.slice(-2) === '-1';
+    var set = options.coefficients[inverse ? step.slice(0, -2) : step];
+    for (var b = 0; b < 6; b++) {
+      // The inverse of y = a + b * x is x = -a / b + (1 / b) * y
+      var slope = inverse ? 1 / set.slopes[b] : set.slopes[b];
+      var intercept = inverse ? -set.intercepts[b] / set.slopes[b]
+                              : set.intercepts[b];
+      intercepts[b] = intercept + slope * intercepts[b];
+      slopes[b] = slope * slopes[b];
+    }
+  });
+
+  return {steps: steps, slopes: slopes, intercepts: intercepts};
+};
+
+exports.getCoefficients = getCoefficients;
+
+/**
+ * Function to harmonize a surface reflectance image to the target
+ * sensor space.
+ *
+ * @param {ee.Image} image - Image with the sensor's reflectance bands
+ *                           scaled to reflectance (0-1).
+ * @param {string} sensor - Sensor key: 'LT05', 'LE07', 'LC08', 'LC09'
+ *                          or 'S2'.
+ * @param {string|Object} [harmonization='etm'] - Target or options (see
+ *                        getHarmonization).
+ * @returns {ee.Image} - The six harmonized bands (SR_B1, SR_B2, SR_B3,
+ *                       SR_B4, SR_B5, SR_B7) with system:time_start and
+ *                       the properties harmonization_target,
+ *                       harmonization_model, harmonization_steps,
+ *                       harmonization_slopes and
+ *                       harmonization_intercepts.
+ * @throws {Error} If the sensor or harmonization is unknown.
+ */
+var harmonize = function(image, sensor, harmonization) {
+  var options = getHarmonization(harmonization);
+  var coefficients = getCoefficients(sensor, options);
+
+  return image.select(SENSORS[sensor].bands, HARMONIZED_BANDS)
+              .multiply(ee.Image.constant(coefficients.slopes))
+              .add(ee.Image.constant(coefficients.intercepts))
+              .set({
+                'system:time_start': image.get('system:time_start'),
+                'harmonization_target': options.target,
+                'harmonization_model': options.model,
+                'harmonization_steps': coefficients.steps.join(', '),
+                'harmonization_slopes': coefficients.slopes,
+                'harmonization_intercepts': coefficients.intercepts
+              });
+};
+
+exports.harmonize = harmonize;
+
+/**
+ * Summarises a harmonization for composite image properties, where
+ * scenes from several sensors are combined.
+ *
+ * @param {string|Object} [harmonization='etm'] - Target or options (see
+ *                        getHarmonization).
+ * @param {Array} sensors - Sensor keys in the composite.
+ * @returns {Object} - harmonization_target, harmonization_model and
+ *                     harmonization_coefficients (a JSON string of the
+ *                     steps, slopes and intercepts per sensor).
+ */
+exports.describeHarmonization = function(harmonization, sensors) {
+  var options = getHarmonization(harmonization);
+  var coefficients = {};
+  sensors.forEach(function(sensor) {
+    coefficients[sensor] = getCoefficients(sensor, options);
+  });
+  return {
+    'harmonization_target': options.target,
+    'harmonization_model': options.model,
+    'harmonization_coefficients': JSON.stringify(coefficients)
+  };
+};
+
+
+// Usage example of harmonize
+
+// var harmonization = require(
+//   "users/bgcasey/science_centre:functions/harmonization"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Print the chained coefficients from Landsat 7 to OLI space
+// print(harmonization.getCoefficients('LE07', {target: 'oli',
+//                                              model: 'ols'}));
+
+// // Harmonize a Landsat 7 scene to OLI space
+// var le07 = ee.ImageCollection('LANDSAT/LE07/C02/T1_L2')
+//              .filterBounds(aoi)
+//              .filterDate('2012-07-01', '2012-08-01')
+//              .first();
+// var reflectance = le07.select('SR_B.').multiply(0.0000275).add(-0.2)
+//                       .copyProperties(le07, ['system:time_start']);
+// var oli = harmonization.harmonize(ee.Image(reflectance), 'LE07', 'oli');
+// print('Harmonized scene:', oli);
+
+// Map.centerObject(aoi, 10);
+// Map.addLayer(oli, {bands: ['SR_B3', 'SR_B2', 'SR_B1'], max: 0.15},
+//              'LE07 in OLI space');
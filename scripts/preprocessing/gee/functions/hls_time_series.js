@@ -0,0 +1,257 @@
+/**
+ * title: Get a Fused Landsat and Sentinel-2 (HLS-style) Time Series
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Builds one time series from Landsat 5, 7, 8, 9 and Sentinel-2 in the
+ * manner of NASA's Harmonized Landsat Sentinel-2 (HLS) product, so that
+ * both sensors contribute clear observations to every composite. The
+ * script performs the following steps:
+ *
+ * 1. Retrieves the cloud-masked, harmonized Landsat collection used by
+ *    ls_fn and the cloud-masked Sentinel-2 collection used by s2_fn.
+ * 2. Applies bandpass adjustment so both sensors are in one Landsat
+ *    sensor space with the same band names (see
+ *    functions/harmonization.js).
+ * 3. Co-registers each Sentinel-2 scene to the interval's Landsat
+ *    near-infrared median, then resamples both sensors to a common 30 m
+ *    grid (bilinear for Landsat, area-weighted mean for Sentinel-2).
+ * 4. Calculates the selected indices per scene and composites both
+ *    sensors together per interval, with counts of the clear
+ *    observations each sensor contributed.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var spectral = require("users/bgcasey/science_centre:functions/spectral_indices");
+var harmonization = require("users/bgcasey/science_centre:functions/harmonization");
+var qa_masks = require("users/bgcasey/science_centre:functions/landsat_qa_masks");
+var cloudMasks = require("users/bgcasey/science_centre:functions/sentinel_cloud_masks");
+var landsatTimeSeries = require("users/bgcasey/science_centre:functions/landsat_time_series");
+var sentinelTimeSeries = require("users/bgcasey/science_centre:functions/sentinel_time_series");
+var utils = require("users/bgcasey/science_centre:functions/utils");
+
+// Reflectance bands both sensors share after harmonization
+var HLS_BANDS = ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'];
+
+/**
+ * Co-registers Sentinel-2 scenes to a Landsat reference. Displacements
+ * are estimated on the near-infrared band (SR_B4), which has the most
+ * spatial texture over vegetation, and applied to every band.
+ *
+ * @param {ee.ImageCollection} s2Collection - Harmonized Sentinel-2
+ *                                           scenes.
+ * @param {ee.Image} reference - Single-band Landsat NIR reference on
+ *                               the output grid.
+ * @param {number} maxOffset - Largest displacement searched for, in
+ *                             meters.
+ * @returns {ee.ImageCollection} - Displaced scenes.
+ */
+var coRegister = function(s2Collection, reference, maxOffset) {
+  return s2Collection.map(function(image) {
+    var displacement = image.select('SR_B4').displacement({
+      referenceImage: reference,
+      maxOffset: maxOffset
+    });
+    return ee.Image(image.displace(displacement)
+                         .copyProperties(image, image.propertyNames()));
+  });
+};
+
+/**
+ * Function to build a fused Landsat and Sentinel-2 time series,
+ * compositing both sensors together per interval on a common grid.
+ *
+ * @param {Array} dates - Date strings for image collection time range.
+ * @param {number} interval - Interval units to advance from dates.
+ * @param {string} intervalType - Type of interval ('days', 'weeks',
+ *                                'months', 'years').
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Array} selectedIndices - Indices to calculate (e.g., ['NDVI']).
+ *                                 Only indices available to both
+ *                                 sensors can be used, so thermal
+ *                                 (LST, TVDI) and red-edge indices are
+ *                                 not. See functions/spectral_indices.js.
+ * @param {string|Array} [statistic='median'] - Statistic to apply
+ *                                  ('mean', 'median', a percentile such
+ *                                  as 'p90', etc.), or an array of them.
+ *                                  See utils.reduceByStatistic.
+ * @param {Object} [options] - Fusion options.
+ * @param {string|Object} [options.harmonization='oli'] - Sensor space
+ *                        both sensors are harmonized to (see
+ *                        harmonization.getHarmonization). HLS uses
+ *                        Landsat 8 OLI.
+ * @param {string|Object} [options.maskProfile='standard'] - Landsat QA
+ *                        masking profile (see ls_fn).
+ * @param {string|Object} [options.maskMethod='qa60'] - Sentinel-2 cloud
+ *                        mask method (see s2_fn).
+ * @param {boolean} [options.coRegister=true] - Co-register Sentinel-2
+ *                        scenes to Landsat. Intervals without clear
+ *                        Landsat scenes are not co-registered.
+ * @param {number} [options.maxOffset=60] - Largest co-registration
+ *                        shift searched for, in meters.
+ * @param {string} [options.crs='EPSG:4326'] - Output grid CRS.
+ * @param {number} [options.scale=30] - Output grid scale in meters.
+ * @returns {ee.ImageCollection} - Composites clipped to AOI, with
+ *                                 landsat_obs, sentinel2_obs and
+ *                                 clear_obs bands counting the clear
+ *                                 observations per pixel, and the
+ *                                 harmonization target, model and
+ *                                 per-sensor coefficients as properties.
+ * @throws {Error} If an index is not available to both sensors, or a
+ *                 statistic, mask profile, mask method or harmonization
+ *                 is unknown.
+ */
+exports.hls_fn = function(dates, interval, intervalType, aoi,
+                          selectedIndices, statistic, options) {
+  var opts = options || {};
+  var harmonizationOptions = opts.harmonization || 'oli';
+  var maxOffset = opts.maxOffset || 60;
+  var grid = ee.Projection(opts.crs || 'EPSG:4326').atScale(opts.scale || 30);
+
+  // Fail early on index names, statistics, masks and harmonizations
+  // that are not supported
+  spectral.checkIndices(selectedIndices, 'landsat');
+  spectral.checkIndices(selectedIndices, 'sentinel2_harmonized');
+  statistic = statistic || 'median';
+  utils.getStatisticReducer(statistic);
+  qa_masks.getMaskProfile(opts.maskProfile);
+  cloudMasks.getMaskMethod(opts.maskMethod);
+  var harmonizationProperties = harmonization.describeHarmonization(
+    harmonizationOptions, ['LT05', 'LE07', 'LC08', 'LC09', 'S2']
+  );
+  var bandNames = HLS_BANDS.concat(selectedIndices);
+
+  /**
+   * Process images for a single date.
+   *
+   * @param {string} d1 - Start date string for the image collection.
+   * @returns {ee.Image} - Composite of both sensors.
+   */
+  var hls_ts = function(d1) {
+    var start = ee.Date(d1);
+    var end = start.advance(interval, intervalType);
+
+    // Landsat: bilinear resampling onto the output grid
+    var landsat = landsatTimeSeries.getCombinedHarmonizedCollection(
+      start, end, aoi, null, opts.maskProfile, harmonizationOptions
+    ).map(function(image) {
+      return ee.Image(image.select(HLS_BANDS)
+                           .resample('bilinear')
+                           .reproject(grid)
+                           .copyProperties(image, ['system:time_start']));
+    });
+
+    // Intervals without Sentinel-2 surface reflectance (e.g., before
+    // 2017) are Landsat only
+    var sentinel2 = sentinelTimeSeries.getS2Collection(
+      start, end, aoi, opts.maskMethod, harmonizationOptions
+    );
+
+    if (opts.coRegister !== false) {
+      var reference = landsat.select('SR_B4').median().reproject(grid);
+      sentinel2 = ee.ImageCollection(ee.Algorithms.If(
+        landsat.size().gt(0),
+        coRegister(sentinel2, reference, maxOffset),
+        sentinel2
+      ));
+    }
+
+    // Sentinel-2: area-weighted mean of the 10 m and 20 m pixels in
+    // each output pixel
+    sentinel2 = sentinel2.map(function(image) {
+      return ee.Image(image.reduceResolution({
+                             reducer: ee.Reducer.mean(),
+                             maxPixels: 64
+                           })
+                           .reproject(grid)
+                           .copyProperties(image, ['system:time_start']));
+    });
+
+    // Calculate indices per scene, then composite both sensors together
+    landsat = landsat.map(function(image) {
+      return spectral.addIndices(image, selectedIndices, 'landsat');
+    });
+    sentinel2 = sentinel2.map(function(image) {
+      return spectral.addIndices(image, selectedIndices,
+                                 'sentinel2_harmonized');
+    });
+    var fused = landsat.select(bandNames).merge(
+      sentinel2.select(bandNames)
+    );
+    var composite = utils.reduceByStatistic(fused, statistic);
+
+    // Count the clear observations behind each pixel (red band)
+    var landsatObs = utils.countObservations(landsat, 'SR_B3',
+                                             'landsat_obs');
+    var sentinel2Obs = utils.countObservations(sentinel2, 'SR_B3',
+                                               'sentinel2_obs');
+    var clearObs = landsatObs.add(sentinel2Obs).rename('clear_obs');
+
+    return composite.addBands(clearObs.toUint16())
+      .addBands(landsatObs.toUint16())
+      .addBands(sentinel2Obs.toUint16())
+      .set({
+        "system:time_start": start.millis(),
+        "start_date": start.format('YYYY-MM-dd'),
+        "end_date": end.format('YYYY-MM-dd'),
+        "month": start.get('month'),
+        "year": start.get('year'),
+        "landsat_scenes": landsat.size(),
+        "sentinel2_scenes": sentinel2.size()
+      }).set(harmonizationProperties);
+  };
+
+  // Map processing function over dates, clip to AOI, return collection
+  return ee.ImageCollection.fromImages(dates.map(function(d) {
+    return hls_ts(d).clip(aoi);
+  }));
+};
+
+
+// // Usage example of hls_fn
+
+// var hls_time_series = require(
+//   "users/bgcasey/science_centre:functions/hls_time_series"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Define the dates for the analysis: summer windows
+// var dates = ['2021-06-01', '2022-06-01', '2023-06-01'];
+// var interval = 3;
+// var intervalType = 'months';
+
+// // Define which indices to calculate. Thermal and red-edge indices
+// // are not available to both sensors.
+// var selectedIndices = ['NDVI', 'NBR'];
+
+// // Fuse both sensors in Landsat 8 OLI space on a 30 m grid
+// var hlsCollection = hls_time_series.hls_fn(
+//   dates, interval, intervalType, aoi, selectedIndices, 'median', {
+//     harmonization: 'oli',
+//     maskMethod: 'cloudScorePlus',
+//     crs: 'EPSG:3400'
+//   }
+// );
+// print('HLS Image Collection:', hlsCollection);
+
+// // Compare the clear observations behind each composite
+// Map.centerObject(aoi, 10);
+// var first = hlsCollection.first();
+// Map.addLayer(first.select('NDVI'),
+//              {min: -1, max: 1, palette: ['red', 'yellow', 'green']},
+//              'NDVI');
+// Map.addLayer(first.select('clear_obs'), {min: 0, max: 30}, 'clear_obs');
+// Map.addLayer(first.select('sentinel2_obs'), {min: 0, max: 30},
+//              'sentinel2_obs');
@@ -1,146 +1,715 @@
 /**
- * imageToPoints
- * 
- * Processes points by optionally buffering them, applying a reducer to
- * the buffered regions (or directly to the points if the buffer size
- * is 0), and renaming the properties of the resulting features based
- * on the reducer type, buffer size, and specified CRS, scale, and
- * tileScale. The final collection is also exported to Google Drive as
- * a CSV.
- * 
- * @param {number} bufferSize - The buffer size (in meters) to apply to
- * points.
- * @param {Object} reducer - The ee.Reducer to apply to the buffered
- * regions.
- * @param {ee.FeatureCollection} xyPoints - The collection of points
- * for analysis.
- * @param {ee.FeatureCollection} aoi - The area of interest for
- * filtering points.
- * @param {ee.Image} image - The image to process for values at each
+ * title: Extract Image Values to Points
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Extraction engine used by every point-extraction helper in the
+ * toolkit. Reduces an image, or each image in an image collection, over
+ * points (optionally buffered) and returns the values as a
+ * FeatureCollection. The script performs the following steps:
+ *
+ * 1. Filters the points to an AOI, if given, and builds each
+ *    neighbourhood around them: a disk of the buffer radius, or an
+ *    annulus, square pixel window, directional sector or cost-distance
+ *    area.
+ * 2. Applies one or more reducers over each point or buffer with the
+ *    given CRS, scale and tileScale, in one reduceRegions job per
+ *    buffer. For image collections, each image is reduced and its
+ *    properties (e.g., year) are copied onto its features. Given a
+ *    point date property, each point is instead reduced over the one
+ *    image whose date window contains, or is nearest to, its date,
+ *    and the offset in days is recorded.
+ * 3. Names the extracted values <band>_<reducer>_<buffer> (e.g.,
+ *    NDVI_mean_500, NDVI_stdDev_annulus150to500), leaving point and
+ *    image properties as they are, and joins the buffers into one wide
+ *    table.
+ *
+ * Exporting is a separate, optional step (exportTable).
+ * image_to_points and imageCollectionToPoints keep the older
+ * positional signatures and value names, and extract and export in
+ * one call.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+/**
+ * Wraps a single value in an array.
+ *
+ * @param {*} value - Value or array of values.
+ * @returns {Array} - Array of values.
+ */
+var toArray = function(value) {
+  return Array.isArray(value) ? value : [value];
+};
+
+// Point property holding the system:index of the image matched to it
+var MATCH_PROPERTY = 'matched_image';
+
+// Region property holding the point geometry a region was built around
+var POINT_PROPERTY = 'point_geometry';
+
+/**
+ * Neighbourhood shapes. Each gives the suffix encoding its size for
+ * value names, and the region to reduce over around a point. Shapes
+ * with a mask also limit the region to pixels reachable from the
  * point.
- * @param {string} crs - The coordinate reference system to use (e.g.,
- * 'EPSG:4326').
- * @param {number} scale - The nominal scale in meters of the
- * projection to work at.
- * @param {number} tileScale - The scaling factor for large parallel
- * computations.
- * @param {string} fileName - The prefix for the exported file in
- * Google Drive.
- * @return {ee.FeatureCollection} The collection of features with
- * renamed properties.
- * 
- * @example
- * // Create an example FeatureCollection of points.
- * var point1 = ee.Feature(
- *   ee.Geometry.Point([-113.55, 55.20]),
- *   {id: 'point1'}
- * );
- * var point2 = ee.Feature(
- *   ee.Geometry.Point([-113.40, 55.30]),
- *   {id: 'point2'}
- * );
- * var examplePoints = ee.FeatureCollection([point1, point2]);
- * 
- * // Define the AOI as an ee.Geometry object with simplified
- * // coordinates (2 decimals).
- * var aoi = ee.Geometry.Polygon([
- *   [
- *     [-113.60, 55.15],
- *     [-113.60, 55.35],
- *     [-113.15, 55.35],
- *     [-113.15, 55.15],
- *     [-113.60, 55.15]
- *   ]
- * ]);
- * 
- * // Load an example image (SRTM elevation).
- * var image = ee.Image('CGIAR/SRTM90_V4');
- * 
- * // Call the function with example parameters.
- * var result = image_to_points(
- *   1000,
- *   ee.Reducer.mean(),
- *   examplePoints,
- *   ee.FeatureCollection([aoi]),
- *   image,
- *   'EPSG:4326',
- *   30,
- *   1,
- *   'example_export'
- * );
- * 
- * // Print the result to the console.
- * print('Example Result', result);
+ *
+ * - disk: circular buffer of radius meters (0 for the point's pixel).
+ *   Suffix: <radius>, e.g., 500.
+ * - annulus: ring between inner and outer radii in meters.
+ *   Suffix: annulus<inner>to<outer>, e.g., annulus150to500.
+ * - square: window of whole pixels centred on the point's pixel and
+ *   aligned to the grid of options.crs and options.scale, with sides
+ *   of size meters rounded to an odd number of pixels.
+ *   Suffix: square<side>, e.g., square90 for 3 x 3 pixels at 30 m.
+ * - sector: wedge of radius meters facing azimuth degrees (clockwise
+ *   from north in options.crs), width degrees wide (default 90).
+ *   Suffix: sector<radius>az<azimuth>w<width>, e.g.,
+ *   sector500az45w90.
+ * - cost: pixels within maxCost of the point, accumulated over a
+ *   friction image (cost per meter, e.g., derived from slope), and
+ *   searched up to maxDistance meters (default maxCost, enough when
+ *   friction is at least 1). Suffix: cost<maxCost>, e.g., cost1000.
+ *
+ * Any shape can set label to replace its suffix.
  */
-exports.image_to_points = function image_to_points(
-  bufferSize,
-  reducer,
-  xyPoints,
-  aoi,
-  image,
-  crs,
-  scale,
-  tileScale,
-  fileName
-) {
-  // Step 1: Prepare a string suffix based on buffer size and
-  // reducer type.
-  var bufferStr = String(bufferSize);
-  var reducerInfo = reducer.getInfo();
-  var reducerType = reducerInfo.type.split('.').pop();
-  var suffix = ee.String(reducerType).cat('_').cat(bufferStr);
-
-  // Step 2: Filter the input points by the AOI and buffer them
-  // if bufferSize is not 0.
-  var processedPoints = xyPoints.filterBounds(aoi).map(
-    function (pt) {
-      return bufferSize === 0
-        ? pt
-        : pt.buffer(bufferSize);
+var SHAPES = {
+  disk: {
+    required: ['radius'],
+    label: function(spec) {
+      return String(spec.radius);
+    },
+    region: function(point, spec) {
+      return spec.radius === 0 ? point : point.buffer(spec.radius);
+    }
+  },
+  annulus: {
+    required: ['inner', 'outer'],
+    label: function(spec) {
+      return 'annulus' + spec.inner + 'to' + spec.outer;
+    },
+    region: function(point, spec) {
+      var centre = point.geometry();
+      return point.setGeometry(
+        centre.buffer(spec.outer).difference(centre.buffer(spec.inner), 1)
+      );
+    }
+  },
+  square: {
+    required: ['size'],
+    label: function(spec, opts) {
+      return 'square' + squarePixels(spec, opts) * opts.scale;
+    },
+    region: function(point, spec, opts) {
+      var proj = ee.Projection(opts.crs);
+      var xy = ee.List(point.geometry().transform(proj, 1).coordinates());
+      var half = (squarePixels(spec, opts) - 1) / 2;
+      var edges = function(coordinate) {
+        var cell = ee.Number(coordinate).divide(opts.scale).floor();
+        return [cell.subtract(half).multiply(opts.scale),
+                cell.add(half + 1).multiply(opts.scale)];
+      };
+      var x = edges(xy.get(0));
+      var y = edges(xy.get(1));
+      return point.setGeometry(ee.Geometry.Rectangle(
+        [x[0], y[0], x[1], y[1]], proj, false
+      ));
     }
-  );
+  },
+  sector: {
+    required: ['radius', 'azimuth'],
+    label: function(spec) {
+      return 'sector' + spec.radius + 'az' + spec.azimuth + 'w' +
+        sectorWidth(spec);
+    },
+    region: function(point, spec, opts) {
+      var proj = ee.Projection(opts.crs);
+      var xy = ee.List(point.geometry().transform(proj, 1).coordinates());
+      var x = ee.Number(xy.get(0));
+      var y = ee.Number(xy.get(1));
+      var width = sectorWidth(spec);
+      // One arc vertex every 5 degrees or less
+      var steps = Math.max(2, Math.ceil(width / 5));
+      var ring = [[x, y]];
+      for (var i = 0; i <= steps; i++) {
+        var angle = (spec.azimuth - width / 2 + width * i / steps) *
+          Math.PI / 180;
+        ring.push([x.add(spec.radius * Math.sin(angle)),
+                   y.add(spec.radius * Math.cos(angle))]);
+      }
+      ring.push([x, y]);
+      return point.setGeometry(ee.Geometry.Polygon([ring], proj, false));
+    }
+  },
+  cost: {
+    required: ['friction', 'maxCost'],
+    label: function(spec) {
+      return 'cost' + spec.maxCost;
+    },
+    region: function(point, spec) {
+      return point.buffer(costDistance(spec));
+    },
+    mask: function(centre, spec) {
+      // Pixels above 0 are sources
+      var source = ee.Image.constant(0).toByte().paint(centre, 1);
+      return ee.Image(spec.friction).select(0).cumulativeCost({
+        source: source,
+        maxDistance: costDistance(spec)
+      }).lte(spec.maxCost);
+    }
+  }
+};
 
-  // Step 3: Reduce the image over the processed points.
-  var reducedRegions = image.reduceRegions({
-    collection: processedPoints,
-    reducer: reducer,
-    crs: crs,
-    scale: scale,
-    tileScale: tileScale
+/**
+ * Number of pixels along each side of a square window.
+ *
+ * @param {Object} spec - Square shape.
+ * @param {Object} opts - Extraction options with scale.
+ * @returns {number} - Odd number of pixels, at least 1.
+ */
+var squarePixels = function(spec, opts) {
+  return Math.max(1, 2 * Math.round((spec.size / opts.scale - 1) / 2) + 1);
+};
+
+var sectorWidth = function(spec) {
+  return spec.width === undefined ? 90 : spec.width;
+};
+
+var costDistance = function(spec) {
+  return spec.maxDistance === undefined ? spec.maxCost : spec.maxDistance;
+};
+
+/**
+ * Checks a buffer entry and resolves it to a shape.
+ *
+ * @param {number|Object} buffer - Radius in meters, or a shape object
+ *                        such as {shape: 'annulus', inner: 150,
+ *                        outer: 500}.
+ * @param {Object} opts - Extraction options.
+ * @returns {Object} - {spec, def, label}.
+ * @throws {Error} If the shape is unknown, misses a parameter, or
+ *                 needs options.crs or options.scale.
+ */
+var toShape = function(buffer, opts) {
+  var spec = typeof buffer === 'object' ? buffer
+    : {shape: 'disk', radius: buffer};
+  var def = SHAPES[spec.shape];
+  if (!def) {
+    throw new Error('Unknown buffer shape "' + spec.shape + '". Use a ' +
+                    'radius or one of: ' + Object.keys(SHAPES).join(', ') +
+                    '.');
+  }
+  def.required.forEach(function(key) {
+    if (spec[key] === undefined || spec[key] === null) {
+      throw new Error('The ' + spec.shape + ' buffer shape needs ' +
+                      key + '.');
+    }
   });
+  if (spec.shape === 'annulus' && spec.inner >= spec.outer) {
+    throw new Error('The annulus inner radius must be smaller than the ' +
+                    'outer radius.');
+  }
+  if ((spec.shape === 'square' || spec.shape === 'sector') && !opts.crs) {
+    throw new Error('The ' + spec.shape + ' buffer shape needs ' +
+                    'options.crs, in meters (e.g., \'EPSG:3348\').');
+  }
+  if (spec.shape === 'square' && !opts.scale) {
+    throw new Error('The square buffer shape needs options.scale to ' +
+                    'align to the pixel grid.');
+  }
+  return {
+    spec: spec,
+    def: def,
+    label: spec.label || def.label(spec, opts)
+  };
+};
 
-  // Step 4: Rename properties of each feature to include the suffix
-  // for non-XY properties.
-  var xyProperties = ee.Feature(xyPoints.first())
-    .propertyNames();
-
-  var renameProperties = function (feature) {
-    var newProperties = ee.Dictionary(
-      feature.propertyNames().map(function (name) {
-        var newName = ee.Algorithms.If(
-          xyProperties.contains(name),
-          name,
-          ee.String(name).cat('_').cat(suffix)
-        );
-        return [newName, feature.get(name)];
-      }).flatten()
+/**
+ * Matches each point to the image whose start_date/end_date window
+ * contains the point's date or, failing that, the image with the
+ * nearest window. Windows include start_date but not end_date, as in
+ * filterDate, so a date on a shared boundary falls in the later one.
+ *
+ * @param {ee.FeatureCollection} points - Points with a date property.
+ * @param {ee.ImageCollection} collection - Images with start_date and
+ *                        end_date properties (e.g., from ls_fn).
+ * @param {string} dateProperty - Point property holding the date (a
+ *                        date string or milliseconds).
+ * @param {number} [maxOffset] - Maximum offset in days between the
+ *                        point's date and the image window. Points
+ *                        without an image this close are dropped.
+ * @param {string} offsetProperty - Property for the offset in days.
+ * @returns {ee.FeatureCollection} - Matched points, with the offset in
+ *                                   days (0 within the window) and
+ *                                   the matched image's system:index.
+ */
+var matchDates = function(points, collection, dateProperty, maxOffset,
+                          offsetProperty) {
+  return points.map(function(point) {
+    var date = ee.Date(point.get(dateProperty));
+    var candidates = collection.map(function(image) {
+      // Days before the window starts or after its last day, 0 within
+      // it; end_date itself is one day after the last day
+      var afterEnd = date.difference(ee.Date(image.get('end_date')), 'day');
+      var offset = ee.Date(image.get('start_date')).difference(date, 'day')
+        .max(afterEnd.gte(0).multiply(afterEnd.add(1)))
+        .max(0);
+      return image.set(offsetProperty, offset);
+    });
+    if (maxOffset !== undefined && maxOffset !== null) {
+      candidates = candidates.filter(
+        ee.Filter.lte(offsetProperty, maxOffset)
+      );
+    }
+    var best = candidates.limit(1, offsetProperty);
+    return ee.Algorithms.If(
+      best.size().gt(0),
+      point.set(offsetProperty, best.aggregate_first(offsetProperty))
+           .set(MATCH_PROPERTY, best.aggregate_first('system:index')),
+      null
     );
-    return ee.Feature(feature.geometry(), newProperties);
+  }, true);
+};
+
+/**
+ * Function to extract image or image collection values to points.
+ *
+ * @param {ee.Image|ee.ImageCollection} source - Image, or image
+ *                        collection (e.g., from ls_fn), to extract
+ *                        values from.
+ * @param {ee.FeatureCollection} points - Points to extract values at.
+ * @param {Object} [options] - Extraction options.
+ * @param {ee.Reducer|Array} [options.reducer=ee.Reducer.mean()] -
+ *                        Reducer, or array of reducers, applied over
+ *                        each point or buffer. Reducers are combined,
+ *                        so all of them are computed in one pass.
+ * @param {number|Object|Array} [options.buffer=0] - Buffer radius in
+ *                        meters, a shape object (see SHAPES; e.g.,
+ *                        {shape: 'annulus', inner: 150, outer: 500}),
+ *                        or an array of either (e.g., [150, 500,
+ *                        1000]). 0 extracts the values at the points.
+ *                        Square and sector shapes need options.crs in
+ *                        meters; squares also need options.scale.
+ * @param {ee.Geometry|ee.FeatureCollection} [options.aoi] - Only
+ *                        extract points within this area.
+ * @param {string} [options.crs] - CRS to reduce in (e.g.,
+ *                        'EPSG:3348'). Defaults to the image's.
+ * @param {number} [options.scale] - Scale in meters to reduce at.
+ *                        Defaults to the image's.
+ * @param {number} [options.tileScale=1] - Tile scale for large
+ *                        reductions.
+ * @param {string} [options.suffix] - With one reducer and one buffer,
+ *                        replaces the <reducer>_<buffer> suffix of
+ *                        value names. Use '' to name values by band
+ *                        only.
+ * @param {string} [options.dateProperty] - For image collections,
+ *                        point property holding each point's date
+ *                        (e.g., the survey date, as 'YYYY-MM-dd' or
+ *                        milliseconds). When set, each point is
+ *                        extracted from one image only: the one whose
+ *                        start_date/end_date window contains the date,
+ *                        or else the nearest.
+ * @param {number} [options.maxOffset] - With dateProperty, maximum
+ *                        days between a point's date and the matched
+ *                        image's window. Points with no image this
+ *                        close are dropped. Defaults to no limit.
+ * @param {string} [options.offsetProperty='offset_days'] - With
+ *                        dateProperty, property for the days between
+ *                        each point's date and its image's window (0
+ *                        within the window).
+ * @param {string} [legacySuffix] - Not exported; used by
+ *                        image_to_points and imageCollectionToPoints
+ *                        to keep their older value names,
+ *                        <name>_<legacySuffix>, where <name> is the
+ *                        one reduceRegions gives (e.g., mean_mean_500
+ *                        for a single-band image).
+ * @returns {ee.FeatureCollection} - One feature per point (per point
+ *                                   and image for collections, unless
+ *                                   matched by date), with the point's
+ *                                   properties, the image's properties
+ *                                   for collections, and a
+ *                                   <band>_<reducer>_<buffer> value
+ *                                   for each band, reducer and
+ *                                   buffer. With one buffer, features
+ *                                   have the buffer geometry; with
+ *                                   several, the point geometry.
+ * @throws {Error} If a suffix is given with several reducers or
+ *                 buffers, dateProperty is given with an image, or a
+ *                 buffer shape is unknown or incomplete.
+ */
+var extractToPoints = function(source, points, options, legacySuffix) {
+  var opts = options || {};
+  var reducers = toArray(opts.reducer || ee.Reducer.mean());
+  var shapes = toArray(opts.buffer || 0).map(function(buffer) {
+    return toShape(buffer, opts);
+  });
+  var suffix = opts.suffix;
+  if (suffix !== undefined && (reducers.length > 1 || shapes.length > 1)) {
+    throw new Error('options.suffix can only be used with one reducer ' +
+                    'and one buffer.');
+  }
+  var isCollection = source.name() === 'ImageCollection';
+  var matchByDate = opts.dateProperty !== undefined;
+  if (matchByDate && !isCollection) {
+    throw new Error('options.dateProperty needs an image collection to ' +
+                    'match point dates to.');
+  }
+  var offsetProperty = opts.offsetProperty || 'offset_days';
+  points = ee.FeatureCollection(points);
+  if (opts.aoi) {
+    points = points.filterBounds(opts.aoi);
+  }
+
+  // Compute every reducer in the same pass
+  var reducer = reducers.slice(1).reduce(function(combined, next) {
+    return combined.combine({reducer2: next, sharedInputs: true});
+  }, reducers[0]);
+  var outputs = reducer.getOutputs();
+
+  // Properties that are not extracted values, so keep their names
+  var keep = ee.Feature(points.first()).propertyNames();
+  if (matchByDate) {
+    points = matchDates(points, ee.ImageCollection(source),
+                        opts.dateProperty, opts.maxOffset, offsetProperty);
+    keep = keep.add(offsetProperty);
+  }
+
+  /**
+   * Reduces an image over the neighbourhood of each point and renames
+   * the values.
+   *
+   * @param {ee.Image} image - Image to reduce.
+   * @param {ee.FeatureCollection} pts - Points.
+   * @param {Object} shape - Neighbourhood shape (see toShape).
+   * @returns {ee.FeatureCollection} - Features with renamed values.
+   */
+  var reduceImage = function(image, pts, shape) {
+    var bands = image.bandNames();
+    var regions = pts.map(function(pt) {
+      return ee.Feature(shape.def.region(pt, shape.spec, opts))
+        .set(POINT_PROPERTY, pt.geometry());
+    });
+
+    // Masked shapes differ per point, so each point is reduced on its
+    // own with reduceRegion, which names single-band values by band
+    var reduced;
+    var singleBand = bands.size().eq(1);
+    if (shape.def.mask) {
+      singleBand = ee.Number(0);
+      reduced = regions.map(function(region) {
+        var centre = ee.Geometry(region.get(POINT_PROPERTY));
+        return region.set(image.updateMask(
+          shape.def.mask(centre, shape.spec)
+        ).reduceRegion({
+          reducer: reducer,
+          geometry: region.geometry(),
+          crs: opts.crs,
+          scale: opts.scale,
+          tileScale: opts.tileScale || 1
+        }));
+      });
+    } else {
+      reduced = image.reduceRegions({
+        collection: regions,
+        reducer: reducer,
+        crs: opts.crs,
+        scale: opts.scale,
+        tileScale: opts.tileScale || 1
+      });
+    }
+
+    // reduceRegions names values by output for single-band images, by
+    // band for single-output reducers, and <band>_<output> otherwise
+    var names = bands.map(function(band) {
+      return outputs.map(function(output) {
+        return ee.Algorithms.If(
+          singleBand, output,
+          ee.Algorithms.If(outputs.size().eq(1), band,
+                           ee.String(band).cat('_').cat(output))
+        );
+      });
+    }).flatten();
+    var newNames = legacySuffix !== undefined ? names.map(function(name) {
+      return ee.String(name).cat('_' + legacySuffix);
+    }) : bands.map(function(band) {
+      return outputs.map(function(output) {
+        if (suffix === '') {
+          return band;
+        }
+        return ee.String(band).cat('_').cat(
+          suffix !== undefined ? suffix
+            : ee.String(output).cat('_' + shape.label)
+        );
+      });
+    }).flatten();
+    var nameMap = ee.Dictionary.fromLists(names, newNames);
+
+    return reduced.map(function(feature) {
+      var properties = ee.Dictionary(
+        feature.propertyNames().remove(POINT_PROPERTY).map(function(name) {
+          var newName = ee.Algorithms.If(
+            keep.contains(name), name, nameMap.get(name, name)
+          );
+          return [newName, feature.get(name)];
+        }).flatten()
+      );
+      // With several shapes, features keep the point they were built
+      // around
+      var geometry = shapes.length > 1 ?
+        ee.Geometry(feature.get(POINT_PROPERTY)) : feature.geometry();
+      return ee.Feature(geometry, properties);
+    });
   };
 
-  var renamedFeatureCollection = reducedRegions.map(
-    renameProperties
-  );
+  // One job per shape
+  var jobs = shapes.map(function(shape) {
+    if (!isCollection) {
+      return reduceImage(ee.Image(source), points, shape);
+    }
+    return ee.ImageCollection(source).map(function(image) {
+      var imagePoints = points;
+      if (matchByDate) {
+        // Only the points matched to this image
+        imagePoints = points.filter(
+          ee.Filter.eq(MATCH_PROPERTY, image.get('system:index'))
+        ).map(function(pt) {
+          return pt.select(keep);
+        });
+      }
+      return reduceImage(image, imagePoints, shape)
+        .map(function(feature) {
+          return feature.copyProperties(image);
+        });
+    }).flatten();
+  });
+
+  if (jobs.length === 1) {
+    return jobs[0];
+  }
+
+  // Join the shapes into one wide table on each feature's index,
+  // which is the same in every job
+  var sameFeature = ee.Filter.equals({
+    leftField: 'system:index',
+    rightField: 'system:index'
+  });
+  return jobs.slice(1).reduce(function(joined, job) {
+    return ee.Join.inner().apply(joined, job, sameFeature)
+      .map(function(pair) {
+        return ee.Feature(pair.get('primary'))
+          .copyProperties(ee.Feature(pair.get('secondary')));
+      });
+  }, jobs[0]);
+};
+
+exports.extractToPoints = function(source, points, options) {
+  return extractToPoints(source, points, options);
+};
 
-  // Step 5: Export the resulting collection to Google Drive and
-  // return it.
-  Export.table.toDrive({
-    collection: renamedFeatureCollection,
+/**
+ * Exports extracted points (or any FeatureCollection) to Google Drive.
+ *
+ * @param {ee.FeatureCollection} collection - Features to export.
+ * @param {string} fileName - Task description and file name prefix.
+ * @param {Object} [options] - Export options.
+ * @param {string} [options.folder='gee_exports'] - Google Drive
+ *                        folder.
+ * @param {string} [options.fileFormat='CSV'] - File format (e.g.,
+ *                        'CSV', 'GeoJSON', 'SHP').
+ * @param {Array} [options.selectors] - Properties to export. Defaults
+ *                        to all.
+ */
+var exportTable = function(collection, fileName, options) {
+  var opts = options || {};
+  var params = {
+    collection: collection,
     description: fileName,
-    folder: 'gee_exports',
+    folder: opts.folder || 'gee_exports',
     fileNamePrefix: fileName,
-    fileFormat: 'CSV'
-  });
+    fileFormat: opts.fileFormat || 'CSV'
+  };
+  if (opts.selectors) {
+    params.selectors = opts.selectors;
+  }
+  Export.table.toDrive(params);
+};
+
+exports.exportTable = exportTable;
+
+/**
+ * Extracts values with the older positional arguments and exports them
+ * to the gee_exports Google Drive folder as a CSV. Values keep the
+ * older names, <name>_<reducer>_<buffer>, where <name> is the one
+ * reduceRegions gives: the reducer output for single-band images
+ * (e.g., mean_mean_500), the band for single-output reducers (e.g.,
+ * NDVI_mean_500).
+ *
+ * @param {ee.Image|ee.ImageCollection} source - Image or collection.
+ * The other parameters are as in image_to_points.
+ * @returns {ee.FeatureCollection} - Extracted points.
+ */
+var extractAndExport = function(source, bufferSize, reducer, xyPoints,
+                                aoi, crs, scale, tileScale, fileName) {
+  var reducerType = reducer.getInfo().type.split('.').pop();
+  var extracted = extractToPoints(source, xyPoints, {
+    buffer: bufferSize,
+    reducer: reducer,
+    aoi: aoi,
+    crs: crs,
+    scale: scale,
+    tileScale: tileScale
+  }, reducerType + '_' + bufferSize);
+  exportTable(extracted, fileName);
+  return extracted;
+};
 
-  return renamedFeatureCollection;
+/**
+ * Reduce image to buffered points and export the results. Kept for
+ * existing scripts; new code should use extractToPoints and
+ * exportTable.
+ *
+ * @param {number} bufferSize - Buffer size in meters (0 for points).
+ * @param {ee.Reducer} reducer - Reducer to apply.
+ * @param {ee.FeatureCollection} xyPoints - Points.
+ * @param {ee.Geometry|ee.FeatureCollection} aoi - Area of interest to
+ *                                                filter points.
+ * @param {ee.Image} image - Image to extract values from.
+ * @param {string} crs - CRS to use.
+ * @param {number} scale - Scale in meters for the reduction.
+ * @param {number} tileScale - Tile scale for parallel processing.
+ * @param {string} fileName - Prefix for the exported file.
+ * @returns {ee.FeatureCollection} - Points with extracted values.
+ */
+exports.image_to_points = function(bufferSize, reducer, xyPoints, aoi,
+                                   image, crs, scale, tileScale,
+                                   fileName) {
+  return extractAndExport(ee.Image(image), bufferSize, reducer, xyPoints,
+                          aoi, crs, scale, tileScale, fileName);
+};
+
+/**
+ * Reduce image collection to buffered points and export the results.
+ * Kept for existing scripts; new code should use extractToPoints and
+ * exportTable.
+ *
+ * @param {number} bufferSize - Buffer size in meters (0 for points).
+ * @param {ee.Reducer} reducer - Reducer to apply.
+ * @param {ee.FeatureCollection} xyPoints - Points.
+ * @param {ee.Geometry|ee.FeatureCollection} aoi - Area of interest to
+ *                                                filter points.
+ * @param {ee.ImageCollection} imageCollection - Collection to extract
+ *                                               values from.
+ * @param {string} crs - CRS to use.
+ * @param {number} scale - Scale in meters for the reduction.
+ * @param {number} tileScale - Tile scale for parallel processing.
+ * @param {string} fileName - Prefix for the exported file.
+ * @returns {ee.FeatureCollection} - Points with extracted values and
+ *                                   image properties.
+ */
+exports.imageCollectionToPoints = function(bufferSize, reducer, xyPoints,
+                                           aoi, imageCollection, crs,
+                                           scale, tileScale, fileName) {
+  return extractAndExport(ee.ImageCollection(imageCollection), bufferSize,
+                          reducer, xyPoints, aoi, crs, scale, tileScale,
+                          fileName);
 };
+
+
+// // Usage example of extractToPoints
+
+// var extraction = require(
+//   "users/bgcasey/science_centre:functions/image_to_points"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Create an example FeatureCollection of points
+// var points = ee.FeatureCollection([
+//   ee.Feature(ee.Geometry.Point([-113.55, 55.20]), {id: 'point1'}),
+//   ee.Feature(ee.Geometry.Point([-113.40, 55.30]), {id: 'point2'})
+// ]);
+
+// // Mean elevation within 500 m of each point
+// var elevation = extraction.extractToPoints(
+//   ee.Image('CGIAR/SRTM90_V4'), points, {
+//     buffer: 500,
+//     reducer: ee.Reducer.mean(),
+//     scale: 90
+//   }
+// );
+// print('Elevation:', elevation);
+
+// // Mean and standard deviation of elevation within 150 m, 500 m and
+// // 1 km in one pass (elevation_mean_150 ... elevation_stdDev_1000)
+// var elevationMultiScale = extraction.extractToPoints(
+//   ee.Image('CGIAR/SRTM90_V4'), points, {
+//     buffer: [150, 500, 1000],
+//     reducer: [ee.Reducer.mean(), ee.Reducer.stdDev()],
+//     scale: 90
+//   }
+// );
+// print('Elevation (multi-scale):', elevationMultiScale);
+
+// // Edge and context neighbourhoods: a 150-500 m ring, a 3 x 3 pixel
+// // window, a north-facing wedge, and the area within a travel cost of
+// // 1000 over a slope-based friction surface
+// var slope = ee.Terrain.slope(ee.Image('CGIAR/SRTM90_V4'));
+// var friction = slope.divide(10).add(1);
+// var elevationShapes = extraction.extractToPoints(
+//   ee.Image('CGIAR/SRTM90_V4'), points, {
+//     buffer: [
+//       {shape: 'annulus', inner: 150, outer: 500},
+//       {shape: 'square', size: 270},
+//       {shape: 'sector', radius: 500, azimuth: 0, width: 90},
+//       {shape: 'cost', friction: friction, maxCost: 1000}
+//     ],
+//     crs: 'EPSG:3348',
+//     scale: 90
+//   }
+// );
+// // elevation_mean_annulus150to500, elevation_mean_square270,
+// // elevation_mean_sector500az0w90, elevation_mean_cost1000
+// print('Elevation (shaped neighbourhoods):', elevationShapes);
+
+// // Values of every image in a collection at the points, with the
+// // image properties (e.g., year) on each feature
+// var landsatTimeSeries = require(
+//   "users/bgcasey/science_centre:functions/landsat_time_series"
+// );
+// var ls = landsatTimeSeries.ls_fn(
+//   ['2021-06-01', '2022-06-01'], 3, 'months', aoi, ['NDVI']
+// );
+// var ndvi = extraction.extractToPoints(ls.select('NDVI'), points, {
+//   reducer: ee.Reducer.first(),
+//   crs: 'EPSG:3348',
+//   scale: 30,
+//   tileScale: 8
+// });
+// print('NDVI:', ndvi);
+
+// // NDVI from the composite containing each point's survey date, or
+// // the nearest one within 30 days, with the offset in offset_days
+// var surveys = points.map(function(pt) {
+//   return pt.set('survey_date', '2021-06-20');
+// });
+// var ndviAtSurvey = extraction.extractToPoints(ls.select('NDVI'), surveys, {
+//   dateProperty: 'survey_date',
+//   maxOffset: 30,
+//   buffer: 150,
+//   crs: 'EPSG:3348',
+//   scale: 30
+// });
+// print('NDVI at survey dates:', ndviAtSurvey);
+
+// // Exporting is optional
+// extraction.exportTable(ndvi, 'points_ndvi');
@@ -0,0 +1,396 @@
+/**
+ * title: Get a Multi-Product Land Cover Time Series
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Stacks annual land cover from several products on a shared legend so
+ * they can be compared and combined year by year. The script performs
+ * the following steps:
+ *
+ * 1. Loads, for the year of each date in a date list, the Canadian
+ *    annual forest land cover (CA_FOREST_LC_VLCE2), ESA WorldCover,
+ *    an annual mode of Dynamic World labels, and MODIS MCD12Q1 (IGBP).
+ *    Years outside a product's record use its nearest year, which is
+ *    recorded in the image properties.
+ * 2. Crosswalks each product's classes to a shared legend (water, snow
+ *    and ice, barren, built-up, cropland, grassland, shrubland,
+ *    wetland, moss and lichen, forest).
+ * 3. Resamples the classes to a common grid (mode), and adds the
+ *    proportion of each shared class within each grid cell.
+ * 4. Adds change bands flagging the cells whose class differs from the
+ *    previous date, with the from-to transition.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var classProportions = require(
+  "users/bgcasey/science_centre:functions/class_proportions"
+);
+
+/**
+ * Shared legend. Codes are what the crosswalks map to; names are used
+ * in proportion band names.
+ */
+var LEGEND = [
+  {code: 1, name: 'water', label: 'Water', color: '#3333ff'},
+  {code: 2, name: 'snow_ice', label: 'Snow and ice', color: '#ccffff'},
+  {code: 3, name: 'barren', label: 'Barren', color: '#996633'},
+  {code: 4, name: 'built', label: 'Built-up', color: '#ff0000'},
+  {code: 5, name: 'cropland', label: 'Cropland', color: '#ffcc66'},
+  {code: 6, name: 'grassland', label: 'Grassland', color: '#ccff33'},
+  {code: 7, name: 'shrubland', label: 'Shrubland', color: '#ffff00'},
+  {code: 8, name: 'wetland', label: 'Wetland', color: '#993399'},
+  {code: 9, name: 'moss_lichen', label: 'Moss and lichen',
+   color: '#ffccff'},
+  {code: 10, name: 'forest', label: 'Forest', color: '#006600'}
+];
+
+exports.legend = LEGEND;
+
+/**
+ * Crosswalks from each product's class codes to the shared legend.
+ * Codes that are not listed (e.g., VLCE2 0, unclassified) are masked.
+ */
+var CROSSWALKS = {
+  // 20 water, 31 snow/ice, 32 rock/rubble, 33 exposed/barren land,
+  // 40 bryoids, 50 shrubs, 80 wetland, 81 wetland-treed, 100 herbs,
+  // 210 coniferous, 220 broadleaf, 230 mixedwood
+  vlce2: {
+    from: [20, 31, 32, 33, 40, 50, 80, 81, 100, 210, 220, 230],
+    to: [1, 2, 3, 3, 9, 7, 8, 8, 6, 10, 10, 10]
+  },
+  // 10 tree cover, 20 shrubland, 30 grassland, 40 cropland, 50 built-up,
+  // 60 bare/sparse vegetation, 70 snow and ice, 80 permanent water,
+  // 90 herbaceous wetland, 95 mangroves, 100 moss and lichen
+  worldcover: {
+    from: [10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 100],
+    to: [10, 7, 6, 5, 4, 3, 2, 1, 8, 8, 9]
+  },
+  // 0 water, 1 trees, 2 grass, 3 flooded vegetation, 4 crops,
+  // 5 shrub and scrub, 6 built, 7 bare, 8 snow and ice
+  dynamic_world: {
+    from: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    to: [1, 10, 6, 8, 5, 7, 4, 3, 2]
+  },
+  // IGBP (LC_Type1): 1-5 forests, 6-7 shrublands, 8 woody savannas
+  // (30-60% tree cover), 9 savannas, 10 grasslands, 11 permanent
+  // wetlands, 12 croplands, 13 urban, 14 cropland/natural mosaics,
+  // 15 snow and ice, 16 barren, 17 water
+  mcd12q1: {
+    from: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    to: [10, 10, 10, 10, 10, 7, 7, 10, 6, 6, 8, 5, 4, 5, 2, 3, 1]
+  }
+};
+
+exports.crosswalks = CROSSWALKS;
+
+/**
+ * Products: the years they cover (null for ongoing), native
+ * resolution in meters, and a loader returning the product's class
+ * band for a source year within that range.
+ */
+var PRODUCTS = {
+  vlce2: {
+    name: 'CA_FOREST_LC_VLCE2',
+    years: [1984, 2019],
+    scale: 30,
+    load: function(year, start, end, aoi) {
+      var date = ee.Date.fromYMD(year, 1, 1);
+      return ee.ImageCollection(
+        'projects/sat-io/open-datasets/CA_FOREST_LC_VLCE2'
+      ).filterDate(date, date.advance(1, 'year')).first().select('b1');
+    }
+  },
+  worldcover: {
+    name: 'ESA WorldCover',
+    years: [2020, 2021],
+    scale: 10,
+    // v100 is the 2020 map and v200 the 2021 map
+    load: function(year, start, end, aoi) {
+      return ee.Image(ee.Algorithms.If(
+        ee.Number(year).eq(2020),
+        ee.ImageCollection('ESA/WorldCover/v100').first(),
+        ee.ImageCollection('ESA/WorldCover/v200').first()
+      )).select('Map');
+    }
+  },
+  dynamic_world: {
+    name: 'Dynamic World',
+    years: [2016, null],
+    scale: 10,
+    // Most frequent label in the date's interval
+    load: function(year, start, end, aoi) {
+      var labels = ee.ImageCollection('GOOGLE/DYNAMICWORLD/V1')
+                     .filterBounds(aoi)
+                     .filterDate(start, end)
+                     .select('label');
+      // Windows without scenes get a fully masked label on a 10 m grid
+      labels = ee.ImageCollection(ee.Algorithms.If(
+        labels.size().gt(0),
+        labels,
+        ee.ImageCollection([
+          ee.Image(0).rename('label').updateMask(0).setDefaultProjection(
+            ee.Projection('EPSG:4326').atScale(10)
+          )
+        ])
+      ));
+      return labels.mode().setDefaultProjection(
+        ee.Image(labels.first()).projection()
+      );
+    }
+  },
+  mcd12q1: {
+    name: 'MODIS MCD12Q1',
+    years: [2001, 2023],
+    scale: 500,
+    load: function(year, start, end, aoi) {
+      return ee.ImageCollection('MODIS/061/MCD12Q1')
+        .filter(ee.Filter.calendarRange(year, year, 'year'))
+        .first()
+        .select('LC_Type1');
+    }
+  }
+};
+
+exports.products = PRODUCTS;
+
+/**
+ * Fills in and validates land cover options.
+ *
+ * @param {Object} [options] - Options (see land_cover_fn).
+ * @returns {Object} - {products, legend, crosswalks, crs, scale}.
+ * @throws {Error} If a product is unknown, or a crosswalk maps to a
+ *                 code that is not in the legend.
+ */
+var getOptions = function(options) {
+  var opts = options || {};
+  var products = opts.products || Object.keys(PRODUCTS);
+  var legend = opts.legend || LEGEND;
+  var crosswalks = {};
+  var codes = legend.map(function(entry) {
+    return entry.code;
+  });
+
+  products.forEach(function(product) {
+    if (!PRODUCTS[product]) {
+      throw new Error('Unknown land cover product "' + product + '". ' +
+                      'Use one of: ' + Object.keys(PRODUCTS).join(', ') +
+                      '.');
+    }
+    var crosswalk = (opts.crosswalks || {})[product] || CROSSWALKS[product];
+    if (crosswalk.from.length !== crosswalk.to.length) {
+      throw new Error('The ' + product + ' crosswalk needs as many "to" ' +
+                      'codes as "from" codes.');
+    }
+    crosswalk.to.forEach(function(code) {
+      if (codes.indexOf(code) === -1) {
+        throw new Error('The ' + product + ' crosswalk maps to code ' +
+                        code + ', which is not in the legend.');
+      }
+    });
+    crosswalks[product] = crosswalk;
+  });
+
+  return {
+    products: products,
+    legend: legend,
+    crosswalks: crosswalks,
+    crs: opts.crs || 'EPSG:4326',
+    scale: opts.scale || 30
+  };
+};
+
+/**
+ * Loads one product for a date interval, crosswalked to the shared
+ * legend. The product year is the interval's start year, or the
+ * nearest year the product covers.
+ *
+ * @param {string} product - Product key (e.g., 'worldcover').
+ * @param {ee.Date} start - Interval start.
+ * @param {ee.Date} end - Interval end.
+ * @param {ee.Geometry} aoi - Area of interest.
+ * @param {Object} crosswalk - {from, to} class codes.
+ * @returns {ee.Image} - Shared-legend class band named
+ *                       '<product>_class', with a
+ *                       '<product>_source_year' property.
+ */
+var getProductClasses = function(product, start, end, aoi, crosswalk) {
+  var def = PRODUCTS[product];
+  var year = ee.Number(start.get('year'));
+  var sourceYear = year.max(def.years[0]);
+  if (def.years[1] !== null) {
+    sourceYear = sourceYear.min(def.years[1]);
+  }
+
+  // Shift the interval to the source year
+  var shift = sourceYear.subtract(year);
+  var classes = ee.Image(def.load(sourceYear, start.advance(shift, 'year'),
+                                  end.advance(shift, 'year'), aoi))
+    .remap(crosswalk.from, crosswalk.to)
+    .rename(product + '_class');
+
+  return classes.set(product + '_source_year', sourceYear);
+};
+
+exports.getProductClasses = getProductClasses;
+
+/**
+ * Function to build a land cover time series from several products on
+ * a shared legend.
+ *
+ * @param {Array} dates - Date strings for image collection time range.
+ * @param {number} interval - Interval units to advance from dates.
+ *                            Only Dynamic World uses the interval; the
+ *                            other products are annual and use the
+ *                            start date's year.
+ * @param {string} intervalType - Type of interval ('days', 'weeks',
+ *                                'months', 'years').
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Object} [options] - Land cover options.
+ * @param {Array} [options.products] - Products to stack: 'vlce2'
+ *                        (1984-2019), 'worldcover' (2020-2021),
+ *                        'dynamic_world' (2016 onwards) and 'mcd12q1'
+ *                        (2001-2023). Defaults to all four.
+ * @param {Array} [options.legend] - Custom shared legend, as a list of
+ *                        {code, name} (see LEGEND).
+ * @param {Object} [options.crosswalks] - Product -> {from, to} class
+ *                        codes, replacing the default crosswalks.
+ * @param {string} [options.crs='EPSG:4326'] - Output grid CRS.
+ * @param {number} [options.scale=30] - Output grid scale in meters.
+ * @returns {ee.ImageCollection} - One image per date, clipped to AOI,
+ *                                 with bands per product:
+ *                                 '<product>_class' (modal shared
+ *                                 class), '<product>_<class>_proportion'
+ *                                 (share of the cell in each class),
+ *                                 '<product>_change' (1 where the class
+ *                                 differs from the previous date) and
+ *                                 '<product>_transition' (previous
+ *                                 class * 100 + class where changed,
+ *                                 else 0). Change bands are masked for
+ *                                 the first date, and Dynamic World
+ *                                 bands for intervals without scenes.
+ *                                 Properties record each product's
+ *                                 '<product>_source_year'.
+ * @throws {Error} If a product is unknown or a crosswalk is invalid.
+ */
+exports.land_cover_fn = function(dates, interval, intervalType, aoi,
+                                 options) {
+  var opts = getOptions(options);
+  var grid = ee.Projection(opts.crs).atScale(opts.scale);
+  var legendClasses = {};
+  opts.legend.forEach(function(entry) {
+    legendClasses[entry.name] = entry.code;
+  });
+
+  /**
+   * Process the products for a single date.
+   *
+   * @param {string} d1 - Start date string for the interval.
+   * @returns {ee.Image} - Class and proportion bands for each product.
+   */
+  var lc_ts = function(d1) {
+    var start = ee.Date(d1);
+    var end = start.advance(interval, intervalType);
+
+    var image = ee.Image().select([]).set({
+      "system:time_start": start.millis(),
+      "start_date": start.format('YYYY-MM-dd'),
+      "end_date": end.format('YYYY-MM-dd'),
+      "year": start.get('year')
+    });
+
+    opts.products.forEach(function(product) {
+      var classes = getProductClasses(product, start, end, aoi,
+                                      opts.crosswalks[product]);
+
+      // Modal class, and the share of each class, per output cell
+      var modal = classes.reduceResolution({
+        reducer: ee.Reducer.mode(),
+        maxPixels: 1024
+      }).reproject(grid).rename(product + '_class');
+      var proportions = classProportions.classProportions(
+        classes, legendClasses, {
+          crs: opts.crs,
+          scale: opts.scale,
+          maxPixels: 1024,
+          prefix: product + '_'
+        }
+      );
+
+      image = image.addBands(modal.toUint8())
+                   .addBands(proportions)
+                   .set(product + '_source_year',
+                        classes.get(product + '_source_year'));
+    });
+    return image;
+  };
+
+  var collection = ee.ImageCollection.fromImages(dates.map(function(d) {
+    return lc_ts(d);
+  }));
+
+  // Compare each date's classes with the previous date's
+  var list = collection.toList(collection.size());
+  var withChanges = ee.List.sequence(0, list.size().subtract(1))
+    .map(function(i) {
+      i = ee.Number(i);
+      var current = ee.Image(list.get(i));
+      var previous = ee.Image(list.get(i.subtract(1).max(0)));
+      var changes = opts.products.map(function(product) {
+        var now = current.select(product + '_class');
+        var before = previous.select(product + '_class');
+        var changed = now.neq(before);
+        return changed.rename(product + '_change').toUint8()
+          .addBands(before.multiply(100).add(now).multiply(changed)
+                          .rename(product + '_transition').toUint16());
+      });
+      return current.addBands(
+        ee.Image.cat(changes).updateMask(ee.Image.constant(i.gt(0)))
+      );
+    });
+
+  // Clip to AOI and return collection
+  return ee.ImageCollection.fromImages(withChanges).map(function(image) {
+    return image.clip(aoi);
+  });
+};
+
+
+// // Usage example of land_cover_fn
+
+// var land_cover_time_series = require(
+//   "users/bgcasey/science_centre:functions/land_cover_time_series"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // One date per year; Dynamic World uses the June-September window
+// var dates = ['2018-06-01', '2019-06-01', '2020-06-01', '2021-06-01'];
+
+// var lc = land_cover_time_series.land_cover_fn(
+//   dates, 4, 'months', aoi, {products: ['vlce2', 'worldcover']}
+// );
+// print('Land Cover Time Series:', lc);
+
+// // VLCE2 ends in 2019, so 2020 and 2021 repeat the 2019 map
+// print('VLCE2 source years:',
+//       lc.aggregate_array('vlce2_source_year'));
+
+// // Display the shared-legend classes for 2019
+// var palette = land_cover_time_series.legend.map(function(entry) {
+//   return entry.color;
+// });
+// Map.centerObject(aoi, 10);
+// Map.addLayer(lc.filter(ee.Filter.eq('year', 2019)).first()
+//                .select('vlce2_class'),
+//              {min: 1, max: 10, palette: palette}, 'VLCE2 2019');
@@ -7,8 +7,16 @@
  * indices and apply masks to a time-series of Landsat images. 
  * The indices include vegetation, moisture, and stress-related 
  * indices. Masks are used for cloud, snow, and QA filtering.
+ *
+ * The index functions take harmonized Landsat images (ETM+ band
+ * names, see landsat_time_series.js) and delegate to the formulas in
+ * functions/spectral_indices.js, so they match the indices from
+ * ls_fn.
  */
  
+var spectral = require(
+  "users/bgcasey/science_centre:functions/spectral_indices"
+);
  
 // Define Landsat indices functions
 
@@ -19,14 +27,7 @@
  * @returns {Object} The image with the BSI band added.
  */
 exports.addBSI = function(image) {
-  var BSI = image.expression(
-    '((Red + SWIR) - (NIR + Blue)) / ((Red + SWIR) + (NIR + Blue))', {
-      'NIR': image.select('SR_B4'),
-      'Red': image.select('SR_B3'),
-      'Blue': image.select('SR_B1'),
-      'SWIR': image.select('SR_B5')
-    }).rename('BSI');
-  return image.addBands([BSI]);
+  return spectral.addIndex(image, 'BSI', 'landsat');
 };
 
 /**
@@ -41,18 +42,7 @@ exports.addBSI = function(image) {
  * 534.
  */
 exports.addDSWI = function(image) {
-  var DSWI = image.expression(
-    '(NIR + Green) / (SWIR + Red)', {
-      'NIR': image.select('SR_B4'),
-      'Green': image.select('SR_B2'),
-      'SWIR': image.select('SR_B5'),
-      'Red': image.select('SR_B3')
-    }).rename('DSWI');
-  // Clamp DSWI to [0, 3].
-  var DSWI_clamped = DSWI.clamp(0, 3);
-  
-  // Add the clamped EVI band to the original image.
-  return image.addBands(DSWI_clamped);
+  return spectral.addIndex(image, 'DSWI', 'landsat');
 };
 
 
@@ -63,12 +53,7 @@ exports.addDSWI = function(image) {
  * @returns {Object} The image with the DRS band added.
  */
 exports.addDRS = function(image) {
-  var DRS = image.expression(
-    'sqrt(((RED) * (RED)) + ((SWIR) * (SWIR)))', {
-      'SWIR': image.select('SR_B5'),
-      'RED': image.select('SR_B3'),
-    }).rename('DRS');
-  return image.addBands([DRS]);
+  return spectral.addIndex(image, 'DRS', 'landsat');
 };
 
 /**
@@ -78,21 +63,7 @@ exports.addDRS = function(image) {
  * @returns {Object} The image with the EVI band added.
  */
 exports.addEVI = function(image) {
-  
-  // Calculate EVI from Surface Reflectance bands:
-  var EVI = image.expression(
-    '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))', {
-      'NIR': image.select('SR_B4'),
-      'RED': image.select('SR_B3'),
-      'BLUE': image.select('SR_B1')
-    }
-  ).rename('EVI');
-  
-  // Clamp EVI to [-2, 2].
-  var EVI_clamped = EVI.clamp(-2, 2);
-  
-  // Add the clamped EVI band to the original image.
-  return image.addBands(EVI_clamped);
+  return spectral.addIndex(image, 'EVI', 'landsat');
 };
 
 
@@ -104,12 +75,7 @@ exports.addEVI = function(image) {
  * @returns {ee.Image} The image with the added GNDVI band.
  */
 exports.addGNDVI = function(image) {
-  var GNDVI = image.expression(
-    '(NIR - Green) / (NIR + Green)', {
-      'NIR': image.select('SR_B4'), // Near-Infrared
-      'Green': image.select('SR_B2') // Green
-    }).rename('GNDVI');
-  return image.addBands([GNDVI]);
+  return spectral.addIndex(image, 'GNDVI', 'landsat');
 };
 
 /**
@@ -119,23 +85,7 @@ exports.addGNDVI = function(image) {
  * @returns {Object} The image with the LAI band added.
  */
 exports.addLAI = function(image) {
-  var epsilon = 1e-10; // Small constant to avoid division by zero
-    
-  var LAI = image.expression(
-    '3.618 * (EVI) - 0.118', {
-      'EVI': image.expression(
-        '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1 + epsilon))', {
-          'NIR': image.select('SR_B4'),
-          'RED': image.select('SR_B3'),
-          'BLUE': image.select('SR_B1'),
-          'epsilon': epsilon
-        })
-    }).rename('LAI');
-  
-  // Optional: Clamp LAI values to a realistic range
-  LAI = LAI.clamp(0, 10);
-  
-  return image.addBands([LAI]);
+  return spectral.addIndex(image, 'LAI', 'landsat');
 };
 
 /**
@@ -145,12 +95,7 @@ exports.addLAI = function(image) {
  * @returns {Object} The image with the NDMI band added.
  */
 exports.addNBR = function(image) {
-  var NBR = image.expression(
-    '(NIR - SWIR2) / (NIR + SWIR2)', {
-      'NIR': image.select('SR_B4'),
-      'SWIR2': image.select('SR_B7'),
-    }).rename('NBR');
-  return image.addBands([NBR]);
+  return spectral.addIndex(image, 'NBR', 'landsat');
 };
 
 
@@ -162,12 +107,7 @@ exports.addNBR = function(image) {
  * @returns {Object} The image with the NDMI band added.
  */
 exports.addNDMI = function(image) {
-  var NDMI = image.expression(
-    '(NIR - SWIR1) / (NIR + SWIR1)', {
-      'NIR': image.select('SR_B4'),
-      'SWIR1': image.select('SR_B5'),
-    }).rename('NDMI');
-  return image.addBands([NDMI]);
+  return spectral.addIndex(image, 'NDMI', 'landsat');
 };
 
 /**
@@ -177,13 +117,7 @@ exports.addNDMI = function(image) {
  * @returns {Object} The image with the NDSI band added.
  */
 exports.addNDSI = function(image) {
-  var NDSI = image.expression(
-    '(GREEN - SWIR) / (GREEN + SWIR)', {
-      'GREEN': image.select('SR_B2'), // Green band
-      'SWIR': image.select('SR_B5')   // SWIR band
-    }
-  ).rename('NDSI'); 
-  return image.addBands([NDSI]);
+  return spectral.addIndex(image, 'NDSI', 'landsat');
 };
 
 /**
@@ -193,15 +127,7 @@ exports.addNDSI = function(image) {
  * @returns {Object} The image with the NDVI band added.
  */
 exports.addNDVI = function(image) {
-  // Manually calculate NDVI
-  var NDVI = image.expression(
-    '(NIR - Red) / (NIR + Red)', {
-      'NIR': image.select('SR_B4'),  // Near-Infrared band
-      'Red': image.select('SR_B3')  // Red band
-    }).rename('NDVI');
-  
-  // Add the NDVI band to the image
-  return image.addBands([NDVI]);
+  return spectral.addIndex(image, 'NDVI', 'landsat');
 };
 
 /**
@@ -210,12 +136,7 @@ exports.addNDVI = function(image) {
  * @returns {ee.Image} The image with the added NDWI band.
  */
 exports.addNDWI = function(image) {
-  var NDWI = image.expression(
-    '(Green - NIR) / (Green + NIR)', {
-      'NIR': image.select('SR_B4'),
-      'Green': image.select('SR_B2'),
-    }).rename('NDWI');
-  return image.addBands([NDWI]);
+  return spectral.addIndex(image, 'NDWI', 'landsat');
 };
 
 /**
@@ -233,7 +154,9 @@ exports.addNDWI = function(image) {
  * @param {Object} image - The image to process.
  * @param {Array} forestTypes - Array of forest types to include 
  *                              (e.g., [210, 220, 230]).
- * @returns {Object} The image with the NDRS band added and renamed.
+ * @returns {Object} The image with the NDRS band added and renamed,
+ *                   and the land cover year used in the
+ *                   forest_lc_source_year property.
  */
 exports.addNDRS = function(image, forestTypes) {
   // Define the area of interest (AOI) using the image's geometry
@@ -241,25 +164,17 @@ exports.addNDRS = function(image, forestTypes) {
   
   // Extract the year from the image properties
   var year = ee.Number.parse(image.get('year'));
-  
-  // Define start and end dates based on the year
-  var startDate = ee.Algorithms.If(
-    year.gte(2019),
-    ee.Date('2019-01-01'),
-    ee.Date(year.format().cat('-01-01')) // Start date of "year-01-01"
-  );
-  
-  var endDate = ee.Algorithms.If(
-    year.gte(2019),
-    ee.Date('2019-12-31'),
-    ee.Date(year.format().cat('-12-31')) // End date of "year-12-31"
+
+  // Load landcover data for the year. VLCE2 covers 1984-2019, so
+  // other years use the nearest year in the record, which is recorded
+  // in the forest_lc_source_year property.
+  var forestAttributes = require(
+    "users/bgcasey/science_centre:functions/forest_attributes"
   );
-  
-  // Load landcover data for the specified period
-  var forest_lc = require("users/bgcasey/science_centre:functions/annual_forest_land_cover");
-  var lcCollection = forest_lc.lc_fn(startDate, endDate, aoi);
-  var landcoverImage = ee.Image(lcCollection.first())
-    .select('forest_lc_class');
+  var landcover = forestAttributes.getForestAttributes(year, aoi, {
+    layers: ['forest_lc_class']
+  });
+  var landcoverImage = landcover.select('forest_lc_class');
   
   // Create a mask for the specified forest types
   forestTypes = forestTypes || [210, 220, 230]; // Default to all three types
@@ -319,7 +234,10 @@ exports.addNDRS = function(image, forestTypes) {
   NDRS = NDRS.rename(renamedBands);
   
   // Add the renamed NDRS band to the image
-  return image.addBands(NDRS);
+  return image.addBands(NDRS).set(
+    'forest_lc_source_year',
+    landcover.get('forest_lc_class_source_year')
+  );
 };
 
 
@@ -331,12 +249,7 @@ exports.addNDRS = function(image, forestTypes) {
  * @returns {Object} The image with the SAVI band added.
  */
 exports.addSAVI = function(image) {
-  var SAVI = image.expression(
-    '((NIR - R) / (NIR + R + 0.428)) * (1.428)', {
-      'NIR': image.select('SR_B4'),
-      'R': image.select('SR_B3')
-    }).rename('SAVI');
-  return image.addBands([SAVI]);
+  return spectral.addIndex(image, 'SAVI', 'landsat');
 };
 
 /**
@@ -346,13 +259,7 @@ exports.addSAVI = function(image) {
  * @returns {Object} The image with the SI band added.
  */
 exports.addSI = function(image) {
-  var SI = image.expression(
-    '(1 - blue) * (1 - green) * (1 - red)', {
-      'blue': image.select('SR_B1'),
-      'green': image.select('SR_B2'),
-      'red': image.select('SR_B3')
-    }).rename('SI');
-  return image.addBands([SI]);
+  return spectral.addIndex(image, 'SI', 'landsat');
 };
 
 /**
@@ -365,14 +272,7 @@ exports.addSI = function(image) {
  * Remote Sensing of Environment, 8(2), 127-150.
  */
 exports.addRVI = function(image) {
-  var RVI = image.expression(
-    'NIR / Red', {
-      'NIR': image.select('SR_B4'),
-      'Red': image.select('SR_B3')
-    }).rename('RVI');
-  // Clamp RVI to reasonable range to handle extreme values
-  var RVI_clamped = RVI.clamp(0, 10);
-  return image.addBands([RVI_clamped]);
+  return spectral.addIndex(image, 'RVI', 'landsat');
 };
 
 /**
@@ -385,12 +285,7 @@ exports.addRVI = function(image) {
  * Ecology, 50(4), 663-666.
  */
 exports.addDVI = function(image) {
-  var DVI = image.expression(
-    'NIR - Red', {
-      'NIR': image.select('SR_B4'),
-      'Red': image.select('SR_B3')
-    }).rename('DVI');
-  return image.addBands([DVI]);
+  return spectral.addIndex(image, 'DVI', 'landsat');
 };
 
 /**
@@ -404,13 +299,7 @@ exports.addDVI = function(image) {
  * Remote Sensing of Environment, 76(2), 156-172.
  */
 exports.addTVI = function(image) {
-  var TVI = image.expression(
-    '0.5 * (120 * (NIR - Green) - 200 * (Red - Green))', {
-      'NIR': image.select('SR_B4'),
-      'Red': image.select('SR_B3'),
-      'Green': image.select('SR_B2')
-    }).rename('TVI');
-  return image.addBands([TVI]);
+  return spectral.addIndex(image, 'TVI', 'landsat');
 };
 
 /**
@@ -422,13 +311,7 @@ exports.addTVI = function(image) {
  */
 
 exports.addCI = function(image) {
-  var CI = image.expression(
-    'SWIR1 / SWIR2', {
-      'SWIR1': image.select('SR_B5'),
-      'SWIR2': image.select('SR_B7')
-    }).rename('CI');
-
-  return image.addBands(CI);
+  return spectral.addIndex(image, 'CI', 'landsat');
 };
 
 
@@ -442,12 +325,7 @@ exports.addCI = function(image) {
  * John Wiley & Sons.
  */
 exports.addBI = function(image) {
-  var BI = image.expression(
-    'sqrt((pow(Red,2) + pow(NIR,2)) / 2)', {
-      'Red': image.select('SR_B3'),
-      'NIR': image.select('SR_B4')
-  }).rename('BI');
-  return image.addBands([BI]);
+  return spectral.addIndex(image, 'BI', 'landsat');
 };
 
 /**
@@ -460,12 +338,7 @@ exports.addBI = function(image) {
  * International Journal of Remote Sensing, 24(3), 583-594.
  */
 exports.addNDBI = function(image) {
-  var NDBI = image.expression(
-    '(SWIR - NIR) / (SWIR + NIR)', {
-      'NIR': image.select('SR_B4'),
-      'SWIR': image.select('SR_B5')
-    }).rename('NDBI');
-  return image.addBands([NDBI]);
+  return spectral.addIndex(image, 'NDBI', 'landsat');
 };
 
 /**
@@ -478,12 +351,7 @@ exports.addNDBI = function(image) {
  * Remote Sensing of Environment, 25(3), 295-309.
  */
 exports.addNSRVI = function(image) {
-  var NSRVI = image.expression(
-    'NIR / SWIR1', {
-      'NIR': image.select('SR_B4'),
-      'SWIR1': image.select('SR_B5')
-    }).rename('NSRVI');
-  return image.addBands([NSRVI]);
+  return spectral.addIndex(image, 'NSRVI', 'landsat');
 };
 
 
@@ -634,7 +502,7 @@ exports.NDRS_stressed = function(image) {
  *                           according to the standard Landsat
  *                           naming convention (e.g., 'SR_B.' for
  *                           surface reflectance bands and 'ST_B6'
- *                           for the thermal band).
+ *                           or 'ST_B10' for the thermal band).
  * 
  * @returns {ee.Image} - The input image with optical and thermal
  *                       bands scaled. 
@@ -646,10 +514,11 @@ exports.applyScaleFactors = function(image) {
   var opticalBands = image.select('SR_B.')
                           .multiply(0.0000275).add(-0.2);
   
-  // Apply scaling factor to thermal band (ST_B6)
+  // Apply scaling factor to the thermal band (ST_B6 for Landsat 5
+  // and 7, ST_B10 for Landsat 8 and 9)
   // The thermal band is multiplied by 0.00341802 and then has
   // 149.0 added to it
-  var thermalBand = image.select('ST_B6')
+  var thermalBand = image.select('ST_B6|ST_B10')
                          .multiply(0.00341802).add(149.0);
   
   // Add the scaled bands back to the image, replacing the
@@ -0,0 +1,368 @@
+/**
+ * title: Landsat QA Masks
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Configurable quality masking for Landsat Collection 2 Level-2 scenes
+ * (Landsat 5, 7, 8, and 9) that reads the QA_PIXEL and QA_RADSAT bands
+ * together:
+ *
+ * - QA_PIXEL flags: fill, dilated cloud, cirrus (Landsat 8 and 9),
+ *   cloud, cloud shadow and snow.
+ * - QA_PIXEL confidence levels (0 none, 1 low, 2 medium, 3 high) for
+ *   cloud, cloud shadow, snow/ice and cirrus.
+ * - QA_RADSAT radiometric saturation of each reflectance band, dropped
+ *   pixels (Landsat 5 and 7) and terrain occlusion (Landsat 8 and 9).
+ *
+ * Masks are chosen by profile: 'standard', 'strict' or
+ * 'snow-retaining'. A decoded QA summary can be built for single scenes
+ * or as per-pixel flag counts over a date range, for auditing what the
+ * masks remove.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+// Landsat sensors and their Collection 2 Level-2 collections
+var SENSORS = ['LT05', 'LE07', 'LC08', 'LC09'];
+
+// QA_PIXEL flag bits
+var PIXEL_FLAGS = [
+  {option: 'fill', band: 'fill', bit: 0},
+  {option: 'dilatedCloud', band: 'dilated_cloud', bit: 1},
+  {option: 'cirrus', band: 'cirrus', bit: 2},
+  {option: 'cloud', band: 'cloud', bit: 3},
+  {option: 'cloudShadow', band: 'cloud_shadow', bit: 4},
+  {option: 'snow', band: 'snow', bit: 5}
+];
+
+// QA_PIXEL two-bit confidence levels, by lowest bit
+var CONFIDENCE_LEVELS = [
+  {option: 'cloudConfidence', band: 'cloud_confidence', bit: 8},
+  {option: 'shadowConfidence', band: 'shadow_confidence', bit: 10},
+  {option: 'snowConfidence', band: 'snow_confidence', bit: 12},
+  {option: 'cirrusConfidence', band: 'cirrus_confidence', bit: 14}
+];
+
+// QA_RADSAT flag bits. Bit n - 1 flags saturation in band n.
+var RADSAT_FLAGS = [
+  {option: 'droppedPixels', band: 'dropped_pixels', bit: 9},
+  {option: 'terrainOcclusion', band: 'terrain_occlusion', bit: 11}
+];
+
+// Masking profiles. Flags are masked when true; confidence levels mask
+// pixels at or above the level, and are off when 0.
+var STANDARD = {
+  fill: true,
+  dilatedCloud: true,
+  cirrus: true,
+  cloud: true,
+  cloudShadow: true,
+  snow: true,
+  cloudConfidence: 0,
+  shadowConfidence: 0,
+  snowConfidence: 0,
+  cirrusConfidence: 0,
+  saturation: true,       // Mask each reflectance band where saturated
+  droppedPixels: true,
+  terrainOcclusion: true
+};
+
+var QA_PROFILES = {
+  standard: {},
+  strict: {
+    cloudConfidence: 2,   // Medium or high cloud confidence
+    shadowConfidence: 3,  // Shadow, snow and cirrus are low or high only
+    snowConfidence: 3,
+    cirrusConfidence: 3
+  },
+  'snow-retaining': {
+    snow: false
+  }
+};
+
+/**
+ * Reads a masking profile from a profile name ('standard', 'strict' or
+ * 'snow-retaining') or an options object such as
+ * {profile: 'snow-retaining', cloudConfidence: 2}, and fills in the
+ * profile's settings.
+ *
+ * @param {string|Object} [maskProfile='standard'] - Profile name or
+ *                        options.
+ * @returns {Object} - Complete mask options, including profile.
+ * @throws {Error} If the profile is unknown.
+ */
+var getMaskProfile = function(maskProfile) {
+  var spec = typeof maskProfile === 'string' ? {profile: maskProfile}
+                                             : maskProfile || {};
+  var profile = spec.profile || 'standard';
+  if (!QA_PROFILES[profile]) {
+    throw new Error('Unknown mask profile "' + profile + '". Use one of: ' +
+                    Object.keys(QA_PROFILES).join(', ') + '.');
+  }
+
+  var options = {};
+  [STANDARD, QA_PROFILES[profile], spec].forEach(function(source) {
+    Object.keys(source).forEach(function(key) {
+      options[key] = source[key];
+    });
+  });
+  options.profile = profile;
+  return options;
+};
+
+exports.getMaskProfile = getMaskProfile;
+
+/**
+ * Reads a bit field from a QA band.
+ *
+ * @param {ee.Image} qa - QA_PIXEL or QA_RADSAT band.
+ * @param {number} bit - Lowest bit of the field.
+ * @param {number} [width=1] - Number of bits.
+ * @returns {ee.Image} - Field value.
+ */
+var readBits = function(qa, bit, width) {
+  return qa.rightShift(bit).bitwiseAnd((1 << (width || 1)) - 1);
+};
+
+/**
+ * Number of reflectance bands (SR_B1 to SR_B7) flagged as saturated in
+ * QA_RADSAT.
+ *
+ * @param {ee.Image} radsat - QA_RADSAT band.
+ * @returns {ee.Image} - Single band named 'saturated_bands'.
+ */
+var saturatedBandCount = function(radsat) {
+  var count = ee.Image(0);
+  for (var bit = 0; bit < 7; bit++) {
+    count = count.add(readBits(radsat, bit));
+  }
+  return count.rename('saturated_bands');
+};
+
+/**
+ * Function to decode the QA_PIXEL and QA_RADSAT bands of a Landsat
+ * Collection 2 Level-2 scene.
+ *
+ * Output bands (unsigned 8-bit):
+ * - fill, dilated_cloud, cirrus, cloud, cloud_shadow, snow: 1 where
+ *   flagged.
+ * - cloud_confidence, shadow_confidence, snow_confidence,
+ *   cirrus_confidence: 0 none, 1 low, 2 medium, 3 high.
+ * - saturated_bands: Number of saturated reflectance bands.
+ * - dropped_pixels, terrain_occlusion: 1 where flagged.
+ *
+ * @param {ee.Image} image - Landsat Collection 2 Level-2 scene with
+ *                           QA_PIXEL and QA_RADSAT.
+ * @returns {ee.Image} - Decoded QA bands with the scene's
+ *                       system:time_start.
+ */
+var decodeQA = function(image) {
+  var qa = image.select('QA_PIXEL');
+  var radsat = image.select('QA_RADSAT');
+
+  var decoded = PIXEL_FLAGS.map(function(flag) {
+    return readBits(qa, flag.bit).rename(flag.band);
+  }).concat(CONFIDENCE_LEVELS.map(function(level) {
+    return readBits(qa, level.bit, 2).rename(level.band);
+  })).concat([saturatedBandCount(radsat)])
+    .concat(RADSAT_FLAGS.map(function(flag) {
+      return readBits(radsat, flag.bit).rename(flag.band);
+    }));
+
+  return ee.Image.cat(decoded).toUint8()
+           .set('system:time_start', image.get('system:time_start'));
+};
+
+exports.decodeQA = decodeQA;
+
+/**
+ * Builds a pixel mask for a scene from its QA bands (1 = keep).
+ * Saturation is masked per band by applyQAMask instead.
+ *
+ * @param {ee.Image} image - Landsat Collection 2 Level-2 scene.
+ * @param {Object} options - Output of getMaskProfile.
+ * @returns {ee.Image} - Single band named 'qa_mask'.
+ */
+var qaMask = function(image, options) {
+  var qa = image.select('QA_PIXEL');
+  var radsat = image.select('QA_RADSAT');
+  var flagged = ee.Image(0);
+
+  PIXEL_FLAGS.forEach(function(flag) {
+    if (options[flag.option]) {
+      flagged = flagged.or(readBits(qa, flag.bit));
+    }
+  });
+  CONFIDENCE_LEVELS.forEach(function(level) {
+    if (options[level.option] > 0) {
+      flagged = flagged.or(
+        readBits(qa, level.bit, 2).gte(options[level.option])
+      );
+    }
+  });
+  RADSAT_FLAGS.forEach(function(flag) {
+    if (options[flag.option]) {
+      flagged = flagged.or(readBits(radsat, flag.bit));
+    }
+  });
+
+  return flagged.not().rename('qa_mask');
+};
+
+/**
+ * Function to mask a Landsat Collection 2 Level-2 scene with a QA
+ * masking profile. Flagged pixels are masked in every band; with
+ * saturation on, each reflectance band (SR_B1 to SR_B7) is also masked
+ * where QA_RADSAT flags it as saturated.
+ *
+ * @param {ee.Image} image - Landsat Collection 2 Level-2 scene with
+ *                           QA_PIXEL and QA_RADSAT.
+ * @param {string|Object} [maskProfile='standard'] - Profile name or
+ *                        options (see getMaskProfile).
+ * @returns {ee.Image} - Masked scene with its original bands and
+ *                       properties.
+ * @throws {Error} If the profile is unknown.
+ */
+var applyQAMask = function(image, maskProfile) {
+  var options = getMaskProfile(maskProfile);
+  var masked = image.updateMask(qaMask(image, options));
+  if (!options.saturation) {
+    return masked;
+  }
+
+  // Band SR_Bn is flagged by QA_RADSAT bit n - 1
+  var reflectance = masked.select('SR_B.');
+  var bits = reflectance.bandNames().map(function(bandName) {
+    return ee.Number.parse(ee.String(bandName).slice(4)).subtract(1);
+  });
+  var unsaturated = image.select('QA_RADSAT')
+                         .rightShift(ee.Image.constant(bits))
+                         .bitwiseAnd(1)
+                         .eq(0)
+                         .rename(reflectance.bandNames());
+  return masked.addBands(reflectance.updateMask(unsaturated), null, true);
+};
+
+exports.applyQAMask = applyQAMask;
+
+/**
+ * Function to summarise decoded QA flags over a date range as
+ * per-pixel counts across all Landsat 5, 7, 8, and 9 scenes, for
+ * auditing what a masking profile removes.
+ *
+ * Output bands (unsigned 16-bit):
+ * - observations: Number of scenes.
+ * - kept: Number of scenes the profile keeps the pixel in.
+ * - fill, dilated_cloud, cirrus, cloud, cloud_shadow, snow,
+ *   dropped_pixels, terrain_occlusion: Number of scenes flagged.
+ * - cloud_confidence, shadow_confidence, snow_confidence,
+ *   cirrus_confidence: Number of scenes with medium or high confidence.
+ * - saturated: Number of scenes with any saturated reflectance band.
+ *
+ * @param {string} startDate - Start of the date range (inclusive).
+ * @param {string} endDate - End of the date range (exclusive).
+ * @param {ee.Geometry} aoi - Area of interest.
+ * @param {string|Object} [maskProfile='standard'] - Profile name or
+ *                        options (see getMaskProfile).
+ * @returns {ee.Image} - Count image clipped to AOI with start_date,
+ *                       end_date and mask_profile properties.
+ * @throws {Error} If the profile is unknown.
+ */
+exports.qaSummary = function(startDate, endDate, aoi, maskProfile) {
+  var options = getMaskProfile(maskProfile);
+  var start = ee.Date(startDate);
+  var end = ee.Date(endDate);
+
+  var scenes = SENSORS.map(function(sensor) {
+    return ee.ImageCollection('LANDSAT/' + sensor + '/C02/T1_L2')
+             .filterBounds(aoi)
+             .filterDate(start, end);
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+
+  var flagBands = PIXEL_FLAGS.concat(RADSAT_FLAGS).map(function(flag) {
+    return flag.band;
+  });
+  var confidenceBands = CONFIDENCE_LEVELS.map(function(level) {
+    return level.band;
+  });
+
+  var counts = scenes.map(function(image) {
+    var decoded = decodeQA(image);
+    var kept = qaMask(image, options);
+    if (options.saturation) {
+      kept = kept.and(decoded.select('saturated_bands').eq(0));
+    }
+    return image.select('QA_PIXEL').mask().rename('observations')
+      .addBands(kept.rename('kept'))
+      .addBands(decoded.select(flagBands))
+      .addBands(decoded.select(confidenceBands).gte(2))
+      .addBands(decoded.select('saturated_bands').gt(0)
+                       .rename('saturated'))
+      .unmask(0)
+      .toUint16();
+  }).sum();
+
+  return counts.toUint16().set({
+    'start_date': start.format('YYYY-MM-dd'),
+    'end_date': end.format('YYYY-MM-dd'),
+    'mask_profile': options.profile
+  }).clip(aoi);
+};
+
+
+// Usage example of applyQAMask and qaSummary
+
+// var qa_masks = require(
+//   "users/bgcasey/science_centre:functions/landsat_qa_masks"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// var lc08 = ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
+//              .filterBounds(aoi)
+//              .filterDate('2023-01-01', '2023-04-01');
+
+// // Strict masking, and a winter composite that keeps snow
+// var strict = lc08.map(function(image) {
+//   return qa_masks.applyQAMask(image, 'strict');
+// });
+// var snowy = lc08.map(function(image) {
+//   return qa_masks.applyQAMask(image, 'snow-retaining');
+// });
+
+// Map.centerObject(aoi, 10);
+// Map.addLayer(strict.median(),
+//              {bands: ['SR_B4', 'SR_B3', 'SR_B2'], min: 7000, max: 20000},
+//              'Strict');
+// Map.addLayer(snowy.median(),
+//              {bands: ['SR_B4', 'SR_B3', 'SR_B2'], min: 7000, max: 20000},
+//              'Snow-retaining');
+
+// // Decoded QA bands of one scene
+// Map.addLayer(qa_masks.decodeQA(lc08.first()).select('cloud_confidence'),
+//              {min: 0, max: 3}, 'Cloud confidence');
+
+// // Export per-pixel QA flag counts for auditing
+// var summary = qa_masks.qaSummary('2023-01-01', '2024-01-01', aoi,
+//                                  'standard');
+// Export.image.toDrive({
+//   image: summary,
+//   description: 'landsat_qa_summary_2023',
+//   folder: 'gee_exports',
+//   region: aoi,
+//   scale: 30,
+//   crs: 'EPSG:4326',
+//   maxPixels: 1e13
+// });
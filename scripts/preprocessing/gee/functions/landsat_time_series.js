@@ -18,6 +18,9 @@
  *    Landsat 5, 8, and 9 over 7.
  * 3. Processes the combined collection and calculates composites of selected
  *    vegetation indices and merges them into a single image collection.
+ * 4. Optionally builds pixel-based composites (medoid or best available
+ *    pixel) that keep one real observation per pixel, along with bands
+ *    recording when and by which sensor it was acquired.
  * 
  * Example usage is provided that demonstrates how to specify dates,
  * intervals, AOI, and indices for the analysis and visualize the results in
@@ -27,81 +30,129 @@
 
 // Import the landsat indices and masks functions module
 var landsat = require("users/bgcasey/science_centre:functions/landsat_indices_and_masks");
-var gap_filling = require("users/bgcasey/science_centre:functions/gap_filling")
+var qa_masks = require("users/bgcasey/science_centre:functions/landsat_qa_masks");
+var harmonization = require("users/bgcasey/science_centre:functions/harmonization");
+var gap_filling = require("users/bgcasey/science_centre:functions/gap_filling");
+var spectral = require("users/bgcasey/science_centre:functions/spectral_indices");
+var utils = require("users/bgcasey/science_centre:functions/utils");
+// Landsat mission number recorded in the acquisition_sensor band
+var SENSOR_NUMBERS = {LT05: 5, LE07: 7, LC08: 8, LC09: 9};
+
 /**
- * Function to harmonizes Landsat 8 or 9 (OLI) to Landsat 7 (ETM+) spectral
- * reflectance values using reduced major axis (RMA) regression
- * coefficients. 
+ * Adds the bands used by pixel-based composites: the acquisition year, 
+ * day of year and sensor (5, 7, 8 or 9) of each pixel, and an 
+ * atmospheric opacity score and cloud flag used for BAP scoring.
+ * 
+ * Opacity is read from SR_ATMOS_OPACITY (Landsat 5 and 7, scale 0.001) 
+ * or from the aerosol level in bits 6-7 of SR_QA_AEROSOL (Landsat 8 
+ * and 9). Opacity below 0.2 or a low aerosol level scores 1. The 
+ * score falls linearly to 0 at an opacity of 0.3; a medium aerosol 
+ * level scores 0.5 and a high level 0.
  * 
- * Citation: Roy, D.P., Kovalskyy, V., Zhang, H.K., Vermote, E.F., 
- * Yan, L., Kumar, S.S, Egorov, A., 2016, Characterization of Landsat-7 
- * to Landsat-8 reflective wavelength and normalized difference 
- * vegetation index continuity, Remote Sensing of Environment, 185, 
- * 57-70. http://dx.doi.org/10.1016/j.rse.2015.12.024; Table 2
+ * The qa_cloud band is 1 where the scene's QA_PIXEL flags dilated 
+ * cloud, cloud or cloud shadow (bits 1, 3 and 4), and 0 elsewhere. 
+ * Unlike the other bands it is not masked at those pixels.
  * 
- * @param {ee.Image} image - The input Landsat 8 or 9 image.
- * @returns {ee.Image} The harmonized image.
+ * @param {ee.Image} image - The harmonized, scaled image.
+ * @param {ee.Image} scene - The unprocessed Collection 2 Level-2 scene.
+ * @param {string} sensor - The Landsat sensor code (e.g., 'LC08').
+ * @returns {ee.Image} The image with acquisition_year, acquisition_doy,
+ *                     acquisition_sensor, opacity_score and 
+ *                     qa_cloud bands.
  */
-var harmonize_OLI_to_ETM = function(image) {
-  // Define slopes and intercepts for each band
-  var slopes = ee.Image.constant([0.9785, 0.9542, 0.9825, 
-                                  1.0073, 1.0171, 0.9949]);
-  var itcp = ee.Image.constant([-0.0095, -0.0016, -0.0022, 
-                                -0.0021, -0.0030, 0.0029]);
-  
-  // Apply the harmonization transformation
-  var harmonized = image.select(['SR_B2', 'SR_B3', 'SR_B4', 
-                                 'SR_B5', 'SR_B6', 'SR_B7'], 
-                                ['SR_B1', 'SR_B2', 'SR_B3', 
-                                 'SR_B4', 'SR_B5', 'SR_B7'])
-                        .resample('bicubic')
-                        .subtract(itcp.multiply(10000))
-                        .divide(slopes)
-                        .set('system:time_start', 
-                             image.get('system:time_start'));
-  
-  // Preserve the QA_PIXEL band
-  var qa_pixel = image.select('QA_PIXEL');
-  return harmonized.addBands(qa_pixel, null, true);
+var addAcquisitionBands = function(image, scene, sensor) {
+  var date = scene.date();
+  var opacityScore;
+  if (sensor === 'LC08' || sensor === 'LC09') {
+    var aerosol = scene.select('SR_QA_AEROSOL').rightShift(6).bitwiseAnd(3);
+    opacityScore = ee.Image(1).where(aerosol.eq(2), 0.5)
+                              .where(aerosol.eq(3), 0);
+  } else {
+    opacityScore = ee.Image(1).subtract(
+      scene.select('SR_ATMOS_OPACITY').multiply(0.001)
+           .subtract(0.2).divide(0.1)
+    ).clamp(0, 1);
+  }
+
+  var acquisition = ee.Image.constant(date.get('year'))
+    .addBands(ee.Image.constant(date.getRelative('day', 'year').add(1)))
+    .addBands(ee.Image.constant(SENSOR_NUMBERS[sensor]))
+    .rename(['acquisition_year', 'acquisition_doy', 'acquisition_sensor'])
+    .toInt16()
+    .addBands(opacityScore.rename('opacity_score'))
+    .updateMask(image.select('QA_PIXEL').mask());
+  var cloud = scene.select('QA_PIXEL')
+                   .bitwiseAnd((1 << 1) | (1 << 3) | (1 << 4)).neq(0);
+
+  return image.addBands(acquisition).addBands(cloud.rename('qa_cloud'));
 };
 
 /**
  * Retrieves and harmonizes a Landsat Surface Reflectance (SR) sensor 
- * collection for a given time period and area of interest (AOI).
+ * collection for a given time period and area of interest (AOI). 
+ * Surface temperature is kept as ST_B6, in degrees Celsius.
  * 
  * @param {string} startDate - The start date for the collection.
  * @param {string} endDate - The end date for the collection.
  * @param {string} sensor - The Landsat sensor code (e.g., 'LC08').
  * @param {ee.Geometry} aoi - The area of interest.
+ * @param {boolean} [acquisitionBands=false] - Whether to add the bands
+ *                  pixel-based composites need (see addAcquisitionBands).
+ * @param {string|Object} [maskProfile='standard'] - QA masking profile 
+ *                  (see landsat_qa_masks.getMaskProfile).
+ * @param {string|Object} [harmonizationOptions='etm'] - Target sensor 
+ *                  space and model (see harmonization.getHarmonization).
  * @returns {ee.ImageCollection} The harmonized image collection.
  */
-var getHarmonizedLSCollection = function(startDate, endDate, sensor, aoi) {
+var getHarmonizedLSCollection = function(startDate, endDate, sensor, aoi,
+                                         acquisitionBands, maskProfile,
+                                         harmonizationOptions) {
   var lsCollection = ee.ImageCollection('LANDSAT/' + sensor + '/C02/T1_L2')
                        .filterBounds(aoi)
                        .filterDate(startDate, endDate)
-                       .map(landsat.mask_cloud_snow); // apply cloud and snow mask
+                       .map(function(image) {
+                         // Apply the QA mask (clouds, shadow, snow, 
+                         // saturation, etc.)
+                         return qa_masks.applyQAMask(image, maskProfile);
+                       });
 
-  
-  // Apply harmonization to Landsat 8 or 9 images
-  if (sensor === 'LC08' || sensor === 'LC09') {
-    lsCollection = lsCollection.map(harmonize_OLI_to_ETM);
-  }
-  
-  // Apply scaling function to all images
-  var scaleReflectance = function(image) {
-      return image.multiply(0.0000275).add(-0.2);
+
+  // Scale reflectance, harmonize it to the target sensor space, and add
+  // surface temperature, scaled to kelvin and converted to degrees 
+  // Celsius, as ST_B6 and the QA_PIXEL band
+  var thermalBand = sensor === 'LC08' || sensor === 'LC09' ? 'ST_B10' 
+                                                          : 'ST_B6';
+  var harmonizeScene = function(image) {
+    var reflectance = image.select('SR_B.').multiply(0.0000275).add(-0.2)
+                           .copyProperties(image, ['system:time_start']);
+    var thermal = image.select([thermalBand], ['ST_B6'])
+                       .multiply(0.00341802).add(149.0 - 273.15);
+    return harmonization.harmonize(ee.Image(reflectance), sensor,
+                                   harmonizationOptions)
+                        .addBands(thermal)
+                        .addBands(image.select('QA_PIXEL'));
   };
 
-  lsCollection = lsCollection.map(scaleReflectance);
+  lsCollection = lsCollection.map(harmonizeScene);
   
   // Apply the negative value mask
   lsCollection = lsCollection.map(landsat.mask_negative_surface_reflectance);
 
-  // Select relevant bands and add the QA_PIXEL band
-  return lsCollection.map(function(img) {
-    var qa_pixel = img.select('QA_PIXEL');
-    return img.select(['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 
-                       'SR_B5', 'SR_B7']).addBands(qa_pixel);
+  if (!acquisitionBands) {
+    return lsCollection;
+  }
+
+  // Scaling drops image properties, so the acquisition date and 
+  // opacity bands are read from the unprocessed scene with the same ID
+  var scenes = ee.ImageCollection('LANDSAT/' + sensor + '/C02/T1_L2')
+                 .filterBounds(aoi)
+                 .filterDate(startDate, endDate);
+  var joined = ee.Join.saveFirst('scene').apply(lsCollection, scenes,
+    ee.Filter.equals({leftField: 'system:index', 
+                      rightField: 'system:index'}));
+
+  return ee.ImageCollection(joined).map(function(img) {
+    return addAcquisitionBands(img, ee.Image(img.get('scene')), sensor);
   });
 };
 
@@ -114,14 +165,37 @@ var getHarmonizedLSCollection = function(startDate, endDate, sensor, aoi) {
  * @param {string} startDate - The start date for the collection.
  * @param {string} endDate - The end date for the collection.
  * @param {ee.Geometry} aoi - The area of interest.
+ * @param {Object} [pixelComposite] - Pixel-based compositing options 
+ *                 (see getPixelComposite). Adds acquisition bands; BAP 
+ *                 compositing also keeps Landsat 7, which its sensor 
+ *                 score down-weights instead.
+ * @param {string|Object} [maskProfile='standard'] - QA masking profile 
+ *                 (see landsat_qa_masks.getMaskProfile).
+ * @param {string|Object} [harmonizationOptions='etm'] - Target sensor 
+ *                 space and model (see harmonization.getHarmonization).
  * @returns {ee.ImageCollection} The combined harmonized collection.
  */
-var getCombinedHarmonizedCollection = function(startDate, endDate, aoi) {
+var getCombinedHarmonizedCollection = function(startDate, endDate, aoi,
+                                               pixelComposite, maskProfile,
+                                               harmonizationOptions) {
   // Retrieve harmonized collections for each sensor
-  var lt5 = getHarmonizedLSCollection(startDate, endDate, 'LT05', aoi);
-  var le7 = getHarmonizedLSCollection(startDate, endDate, 'LE07', aoi);
-  var lc8 = getHarmonizedLSCollection(startDate, endDate, 'LC08', aoi);
-  var lc9 = getHarmonizedLSCollection(startDate, endDate, 'LC09', aoi);
+  var acquisition = Boolean(pixelComposite);
+  var lt5 = getHarmonizedLSCollection(startDate, endDate, 'LT05', aoi,
+                                      acquisition, maskProfile,
+                                      harmonizationOptions);
+  var le7 = getHarmonizedLSCollection(startDate, endDate, 'LE07', aoi,
+                                      acquisition, maskProfile,
+                                      harmonizationOptions);
+  var lc8 = getHarmonizedLSCollection(startDate, endDate, 'LC08', aoi,
+                                      acquisition, maskProfile,
+                                      harmonizationOptions);
+  var lc9 = getHarmonizedLSCollection(startDate, endDate, 'LC09', aoi,
+                                      acquisition, maskProfile,
+                                      harmonizationOptions);
+
+  if (pixelComposite && pixelComposite.method === 'bap') {
+    return lt5.merge(le7).merge(lc8).merge(lc9);
+  }
 
   // Determine collection sizes for priority handling
   var lt5Size = lt5.size();
@@ -148,6 +222,150 @@ var getCombinedHarmonizedCollection = function(startDate, endDate, aoi) {
   return combinedCollection;
 };
 
+exports.getCombinedHarmonizedCollection = getCombinedHarmonizedCollection;
+
+// Reflectance bands compared when choosing the medoid
+var MEDOID_BANDS = ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'];
+
+// Default best-available-pixel (BAP) scoring parameters
+var BAP_DEFAULTS = {
+  doySigma: 30,          // Days; width of the day-of-year score curve
+  maxCloudDistance: 150, // Metres from cloud at which the score is 1
+  slcOffScore: 0.5,      // Sensor score for Landsat 7 after SLC failure
+  weights: {doy: 0.4, cloud: 0.3, sensor: 0.2, opacity: 0.1}
+};
+
+/**
+ * Reads a pixel-based compositing mode from the ls_fn statistic 
+ * argument: 'medoid', 'bap', or a BAP options object such as 
+ * {method: 'bap', targetDoy: 213}. Other statistics are reducers.
+ * 
+ * @param {string|Array|Object} statistic - The ls_fn statistic.
+ * @returns {Object|null} Compositing options with a method of 'medoid' 
+ *                        or 'bap', or null for reducer statistics.
+ * @throws {Error} If an options object has an unknown method.
+ */
+var getPixelComposite = function(statistic) {
+  if (statistic === 'medoid' || statistic === 'bap') {
+    return {method: statistic};
+  }
+  if (statistic && typeof statistic === 'object' && 
+      !Array.isArray(statistic)) {
+    if (statistic.method !== 'medoid' && statistic.method !== 'bap') {
+      throw new Error('Unknown compositing method "' + statistic.method + 
+                      '". Use "medoid" or "bap".');
+    }
+    return statistic;
+  }
+  return null;
+};
+
+/**
+ * Builds a medoid composite: for each pixel, the observation whose 
+ * reflectance is closest (squared Euclidean distance) to the 
+ * per-band median of the collection.
+ * 
+ * @param {ee.ImageCollection} collection - Images with MEDOID_BANDS.
+ * @returns {ee.Image} Composite with every band of the chosen images
+ *                     and a pixel_score band (negative distance).
+ */
+var medoidComposite = function(collection) {
+  var median = collection.select(MEDOID_BANDS).median();
+  return collection.map(function(image) {
+    var distance = image.select(MEDOID_BANDS).subtract(median).pow(2)
+                        .reduce(ee.Reducer.sum());
+    return image.addBands(distance.multiply(-1).rename('pixel_score'));
+  }).qualityMosaic('pixel_score');
+};
+
+/**
+ * Builds a best-available-pixel (BAP) composite: for each pixel, the 
+ * observation with the highest weighted score for
+ * - day of year: Gaussian curve centred on the target day of year;
+ * - cloud distance: distance to the nearest pixel the scene's QA flags 
+ *   as cloud, dilated cloud or cloud shadow (the qa_cloud band), 
+ *   reaching 1 at maxCloudDistance metres. Pixels masked for other 
+ *   reasons (snow, saturation, gaps) do not lower the score;
+ * - sensor: 1, or slcOffScore for Landsat 7 after 2003-05-31;
+ * - opacity: the opacity_score band (see addAcquisitionBands).
+ * 
+ * Citation: White, J.C., Wulder, M.A., Hobart, G.W., Luther, J.E., 
+ * Hermosilla, T., Griffiths, P., Coops, N.C., Hall, R.J., Hostert, P., 
+ * Dyk, A., Guindon, L., 2014. Pixel-based image compositing for 
+ * large-area dense time series applications and science. Canadian 
+ * Journal of Remote Sensing, 40, 192-212.
+ * 
+ * @param {ee.ImageCollection} collection - Images with acquisition 
+ *                             bands.
+ * @param {Object} options - BAP options; unset values use BAP_DEFAULTS.
+ * @param {number} [options.targetDoy] - Target day of year. Defaults 
+ *                 to the middle of the compositing interval.
+ * @param {number} [options.doySigma] - Width of the day-of-year curve.
+ * @param {number} [options.maxCloudDistance] - Metres.
+ * @param {number} [options.slcOffScore] - Landsat 7 SLC-off score.
+ * @param {Object} [options.weights] - Weights for doy, cloud, sensor and
+ *                 opacity scores.
+ * @param {ee.Date} start - Start of the compositing interval.
+ * @param {ee.Date} end - End of the compositing interval.
+ * @returns {ee.Image} Composite with every band of the chosen images
+ *                     and a pixel_score band (weighted score, 0-1).
+ */
+var bapComposite = function(collection, options, start, end) {
+  var doySigma = options.doySigma || BAP_DEFAULTS.doySigma;
+  var maxCloudDistance = options.maxCloudDistance || 
+                         BAP_DEFAULTS.maxCloudDistance;
+  var slcOffScore = options.slcOffScore === undefined ? 
+                    BAP_DEFAULTS.slcOffScore : options.slcOffScore;
+  var weights = {};
+  Object.keys(BAP_DEFAULTS.weights).forEach(function(key) {
+    weights[key] = options.weights && options.weights[key] !== undefined ?
+                   options.weights[key] : BAP_DEFAULTS.weights[key];
+  });
+  var totalWeight = weights.doy + weights.cloud + weights.sensor + 
+                    weights.opacity;
+
+  var targetDoy = options.targetDoy !== undefined ? 
+    ee.Number(options.targetDoy) :
+    start.advance(end.difference(start, 'day').divide(2), 'day')
+         .getRelative('day', 'year').add(1);
+
+  var scoreImage = function(image) {
+    var year = image.select('acquisition_year');
+    var doy = image.select('acquisition_doy');
+
+    // Day-of-year score, measuring distance across the year boundary
+    var doyDistance = doy.subtract(targetDoy).abs();
+    doyDistance = doyDistance.min(ee.Image(365).subtract(doyDistance));
+    var doyScore = doyDistance.divide(doySigma).pow(2).multiply(-0.5).exp();
+
+    // Cloud distance score, from the QA cloud and shadow flags only
+    var cloudScore = image.select('qa_cloud').unmask(0)
+      .fastDistanceTransform(Math.ceil(maxCloudDistance / 30))
+      .sqrt()
+      .multiply(ee.Image.pixelArea().sqrt())
+      .divide(maxCloudDistance)
+      .min(1)
+      .unmask(1);
+
+    // Sensor score, penalising Landsat 7 after the SLC failure
+    var slcOff = image.select('acquisition_sensor').eq(7).and(
+      year.gt(2003).or(year.eq(2003).and(doy.gte(151)))
+    );
+    var sensorScore = ee.Image(1).where(slcOff, slcOffScore);
+
+    var score = doyScore.multiply(weights.doy)
+      .add(cloudScore.multiply(weights.cloud))
+      .add(sensorScore.multiply(weights.sensor))
+      .add(image.select('opacity_score').multiply(weights.opacity))
+      .divide(totalWeight)
+      .updateMask(image.select('QA_PIXEL').mask());
+
+    return image.addBands(score.rename('pixel_score'));
+  };
+
+  return collection.map(scoreImage).qualityMosaic('pixel_score');
+};
+
 /**
  * Function to process Landsat images, calculate indices,
  * and merge them into a single collection.
@@ -158,11 +376,66 @@ var getCombinedHarmonizedCollection = function(startDate, endDate, aoi) {
  *                                'months', 'years').
  * @param {Object} aoi - Area of interest as an ee.Geometry object.
  * @param {Array} selectedIndices - Indices to calculate (e.g., ['NDVI']).
- * @param {string} statistic - Statistic to apply ('mean', 'median', 'max', etc.).
- * @returns {ee.ImageCollection} - Processed images clipped to AOI.
+ *                                 See functions/spectral_indices.js.
+ * @param {string|Array} statistic - Statistic to apply ('mean', 'median', 
+ *                                  'max', a percentile such as 'p90', etc.),
+ *                                  or an array of them for one band per 
+ *                                  statistic (e.g., NDVI_mean, NDVI_p90).
+ *                                  See utils.reduceByStatistic.
+ *                                  'medoid', 'bap' or a BAP options 
+ *                                  object (e.g., {method: 'bap', 
+ *                                  targetDoy: 213}; see bapComposite) 
+ *                                  instead pick one observation per 
+ *                                  pixel and add acquisition_year, 
+ *                                  acquisition_doy and acquisition_sensor
+ *                                  bands.
+ * @param {string|Array} [gapFill] - Gap-fill method, or methods tried in 
+ *                                  order: 'linear', 'harmonic', 
+ *                                  'climatology', 'gaussian', 'idw' or 
+ *                                  'none'. Defaults to 'gaussian' for 
+ *                                  statistics and 'none' for pixel-based 
+ *                                  composites. Filled pixels are flagged 
+ *                                  in a gap_fill band. See 
+ *                                  gap_filling.fillGaps.
+ * @param {Object} [gapFillOptions] - Options for gap_filling.fillGaps.
+ * @param {string|Object} [maskProfile='standard'] - QA masking profile: 
+ *                                  'standard' (fill, dilated cloud, 
+ *                                  cirrus, cloud, shadow, snow, 
+ *                                  saturated bands, dropped pixels and 
+ *                                  terrain occlusion), 'strict' (also 
+ *                                  medium cloud confidence and high 
+ *                                  shadow, snow and cirrus confidence), 
+ *                                  'snow-retaining' (standard without 
+ *                                  snow), or an options object. See 
+ *                                  landsat_qa_masks.getMaskProfile.
+ * @param {string|Object} [harmonizationOptions='etm'] - Sensor space 
+ *                                  all scenes are harmonized to: 'etm' 
+ *                                  (Landsat 7 ETM+) or 'oli' (Landsat 8 
+ *                                  OLI), or an options object such as 
+ *                                  {target: 'oli', model: 'ols'}. See 
+ *                                  harmonization.getHarmonization.
+ * @returns {ee.ImageCollection} - Processed images clipped to AOI, with 
+ *                                 the harmonization target, model and 
+ *                                 per-sensor coefficients as properties.
+ * @throws {Error} If an index is not in the spectral index registry, a
+ *                 gap-fill method is unknown, or the mask profile or 
+ *                 harmonization is unknown.
  */
 
-exports.ls_fn = function(dates, interval, intervalType, aoi, selectedIndices, statistic) {
+exports.ls_fn = function(dates, interval, intervalType, aoi, selectedIndices, 
+                         statistic, gapFill, gapFillOptions, maskProfile,
+                         harmonizationOptions) {
+  
+  // Fail early on index names the registry does not know
+  spectral.checkIndices(selectedIndices, 'landsat');
+  qa_masks.getMaskProfile(maskProfile);
+  var harmonizationProperties = harmonization.describeHarmonization(
+    harmonizationOptions, ['LT05', 'LE07', 'LC08', 'LC09']
+  );
+  var pixelComposite = getPixelComposite(statistic);
+  if (gapFill === undefined) {
+    gapFill = pixelComposite ? 'none' : 'gaussian';
+  }
   
   /**
    * Process images for a single date.
@@ -175,116 +448,61 @@ exports.ls_fn = function(dates, interval, intervalType, aoi, selectedIndices, st
     var end = start.advance(interval, intervalType);
     
     // Get combined Landsat collection for the date range
-    var combinedCollection = getCombinedHarmonizedCollection(start, end, aoi);
+    var combinedCollection = getCombinedHarmonizedCollection(
+      start, end, aoi, pixelComposite, maskProfile, harmonizationOptions
+    );
     
     // Apply selected indices to the combined collection
-    selectedIndices.forEach(function(index) {
-      switch(index) {
-        case 'BSI':
-          combinedCollection = combinedCollection.map(landsat.addBSI);
-          break;
-        case 'DRS':
-          combinedCollection = combinedCollection.map(landsat.addDRS);
-          break;
-        case 'DSWI':
-          combinedCollection = combinedCollection.map(landsat.addDSWI);
-          break;
-        case 'EVI':
-          combinedCollection = combinedCollection.map(landsat.addEVI);
-          break;
-        case 'GNDVI':
-          combinedCollection = combinedCollection.map(landsat.addGNDVI);
-          break;
-        case 'LAI':
-          combinedCollection = combinedCollection.map(landsat.addLAI);
-          break;
-        case 'NBR':
-          combinedCollection = combinedCollection.map(landsat.addNBR);
-          break;
-        case 'NDMI':
-          combinedCollection = combinedCollection.map(landsat.addNDMI);
-          break;
-        case 'NDSI':
-          combinedCollection = combinedCollection.map(landsat.addNDSI);
-          break;
-        case 'NDVI':
-          combinedCollection = combinedCollection.map(landsat.addNDVI);
-          break;
-        case 'NDWI':
-          combinedCollection = combinedCollection.map(landsat.addNDWI);
-          break;
-        case 'SAVI':
-          combinedCollection = combinedCollection.map(landsat.addSAVI);
-          break;
-        case 'SI':
-          combinedCollection = combinedCollection.map(landsat.addSI);
-          break;
-        case 'RVI':
-          combinedCollection = combinedCollection.map(landsat.addRVI);
-          break;
-        case 'DVI':
-          combinedCollection = combinedCollection.map(landsat.addDVI);
-          break;
-        case 'TVI':
-          combinedCollection = combinedCollection.map(landsat.addTVI);
-          break;
-        case 'CI':
-          combinedCollection = combinedCollection.map(landsat.addCI);
-          break;
-        case 'BI':
-          combinedCollection = combinedCollection.map(landsat.addBI);
-          break;
-        case 'NDBI':
-          combinedCollection = combinedCollection.map(landsat.addNDBI);
-          break;
-        case 'NSRVI':
-          combinedCollection = combinedCollection.map(landsat.addNSRVI);
-          break;
-        // Additional indices can be added here
-      }
+    combinedCollection = combinedCollection.map(function(image) {
+      return spectral.addIndices(image, selectedIndices, 'landsat');
     });
     
-    // Dynamically apply the specified statistic
-    var reducer = ee.Reducer[statistic]();
-    var reducedImage = combinedCollection.reduce(reducer);
-    
-    // Rename bands to remove "_statistic" suffix
-    var renamedBands = reducedImage.bandNames().map(function(bandName) {
-      return ee.String(bandName).replace('_' + statistic + '$', '');
-    });
-    reducedImage = reducedImage.rename(renamedBands);
-    
-    // Mask for missing pixels (where mask is 0)
-    var missingPixelsMask = reducedImage.mask().not();
-    
-    // Apply Gaussian spline interpolation to missing pixels
-    var interpolatedImage = reducedImage.focal_mean({
-      kernel: ee.Kernel.gaussian({
-        radius: 3,  // Gaussian kernel radius
-        sigma: 1,   // Gaussian kernel standard deviation
-        units: 'pixels'
-      }),
-      iterations: 1 // Apply the smoothing iteratively
-    }).updateMask(missingPixelsMask); // Interpolate only missing pixels
-    
-    // Combine original and interpolated images
-    var combinedImage = reducedImage.unmask(interpolatedImage);
+    var combinedImage;
+    if (pixelComposite) {
+      // Keep one real observation per pixel
+      var composite = pixelComposite.method === 'medoid' ?
+        medoidComposite(combinedCollection) :
+        bapComposite(combinedCollection, pixelComposite, start, end);
+      combinedImage = composite.select(
+        composite.bandNames().removeAll(['pixel_score', 'opacity_score',
+                                         'qa_cloud'])
+      );
+    } else {
+      // Apply the specified statistic(s)
+      combinedImage = utils.reduceByStatistic(combinedCollection, statistic);
+    }
 
     // Set metadata for the reduced image
     return combinedImage.set({
+      "system:time_start": start.millis(),
       "start_date": start.format('YYYY-MM-dd'), 
       "end_date": end.format('YYYY-MM-dd'), 
       "month": start.get('month'), 
       "year": start.get('year')
-    });
+    }).set(harmonizationProperties);
   };
 
-  // Map processing function over dates, clip to AOI, return collection
+  // Map processing function over dates
   var ls = ee.ImageCollection.fromImages(dates.map(function(d) {
-    return ls_ts(d).clip(aoi);
+    return ls_ts(d);
   }));
-  
-  return ls;
+
+  // Fill gaps before clipping so spatial methods can use nearby pixels.
+  // Composites lose the scenes' projection, so IDW samples at Landsat's 
+  // 30 m scale unless told otherwise.
+  var fillOptions = {
+    aoi: aoi, 
+    idwProjection: ee.Projection('EPSG:4326').atScale(30)
+  };
+  Object.keys(gapFillOptions || {}).forEach(function(key) {
+    fillOptions[key] = gapFillOptions[key];
+  });
+  ls = gap_filling.fillGaps(ls, gapFill, fillOptions);
+
+  // Clip to AOI and return collection
+  return ls.map(function(image) {
+    return image.clip(aoi);
+  });
 };
 
 
@@ -315,9 +533,13 @@ exports.ls_fn = function(dates, interval, intervalType, aoi, selectedIndices, st
 
 // // Define reducer statistic
 // var statistic = 'mean'; // Choose 'mean', 'median', 'max', etc.
+// // or a pixel-based composite: 'medoid', 'bap' or 
+// // {method: 'bap', targetDoy: 213}
 
 // // Define which indices to calculate
-// Available Indices: BSI, DRS, DSWI, EVI, GNDVI, LAI, NBR, NDMI, NDSI, NDVI, NDWI, SAVI, SI, RVI, DVI, TVI, CI, BI, RI, NDBI, LSWI, NSRVI, NDBal, VID
+// Available Indices: BI, BSI, CI, DRS, DSWI, DVI, EVI, GNDVI, LAI, LST, NBR, NDBI, NDMI, NDSI, NDVI, NDWI, NSRVI, RVI, SAVI, SI, TVDI, TVI
+// NDRS is normalised against the forest pixels of a composite, so add
+// it to the output with landsat_indices_and_masks.addNDRS instead.
 // var selectedIndices = ['NDVI'];
 
 // // Call s2_fn with specified parameters
@@ -0,0 +1,336 @@
+/**
+ * title: LandTrendr Disturbance and Recovery
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Maps forest disturbance and recovery from the harmonized Landsat 5,
+ * 7, 8, and 9 stack with LandTrendr temporal segmentation:
+ *
+ * 1. Builds one seasonal composite per year with ls_fn (medoid by
+ *    default) and calculates the chosen index (NBR by default).
+ * 2. Orients the index so disturbance is an increase, as LandTrendr
+ *    expects, and segments each pixel's annual series.
+ * 3. Splits the fitted trajectory into segments between vertices and
+ *    picks one disturbance segment per pixel (e.g., the greatest).
+ * 4. Outputs standardised change-attribute bands: year of detection,
+ *    magnitude, duration, pre-disturbance value, rate, and the rate of
+ *    recovery in the following segment.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var landsatTimeSeries = require("users/bgcasey/science_centre:functions/landsat_time_series");
+
+/**
+ * Default LandTrendr parameters (Kennedy et al. 2018).
+ */
+var LT_PARAMS = {
+  maxSegments: 6,
+  spikeThreshold: 0.9,
+  vertexCountOvershoot: 3,
+  preventOneYearRecovery: true,
+  recoveryThreshold: 0.25,
+  pvalThreshold: 0.05,
+  bestModelProportion: 0.75,
+  minObservationsNeeded: 6
+};
+
+/**
+ * Indices whose values rise with vegetation loss. All others (NBR,
+ * NDVI, NDMI, ...) fall, and are multiplied by -1 before segmentation.
+ */
+var RISING_INDICES = ['BI', 'BSI', 'NDBI'];
+
+/**
+ * Rows of the per-pixel segment array built by getChangeImage. Each
+ * column is one segment of the fitted trajectory.
+ */
+var SEGMENT_ROWS = [
+  'yod', 'magnitude', 'duration', 'preval', 'rate',
+  'recovery_magnitude', 'recovery_duration'
+];
+
+/**
+ * Change types: which disturbance segment to keep per pixel, as the
+ * segment row to sort on and the sort order (-1 keeps the largest).
+ */
+var CHANGE_TYPES = {
+  greatest: {row: 'magnitude', order: -1},
+  newest: {row: 'yod', order: -1},
+  oldest: {row: 'yod', order: 1},
+  longest: {row: 'duration', order: -1},
+  fastest: {row: 'rate', order: -1}
+};
+
+/**
+ * Returns the sign that makes an index increase with disturbance.
+ *
+ * @param {string} index - Index name (e.g., 'NBR').
+ * @returns {number} - 1 or -1.
+ */
+var disturbanceDirection = function(index) {
+  return RISING_INDICES.indexOf(index) !== -1 ? 1 : -1;
+};
+
+exports.disturbanceDirection = disturbanceDirection;
+
+/**
+ * Builds one composite per year of a spectral index from the
+ * harmonized Landsat collection, for use as a LandTrendr time series.
+ *
+ * Years without any clear observation get a fully masked image, so
+ * the series always has one image per year.
+ *
+ * @param {number} startYear - First year.
+ * @param {number} endYear - Last year (inclusive).
+ * @param {ee.Geometry} aoi - Area of interest.
+ * @param {string} index - Index to composite (e.g., 'NBR'). See
+ *                         functions/spectral_indices.js.
+ * @param {Object} [options] - Compositing options.
+ * @param {string} [options.seasonStart='06-01'] - First day of each
+ *                 year's compositing window ('MM-dd').
+ * @param {number} [options.seasonMonths=3] - Length of the window.
+ * @param {string|Object} [options.statistic='medoid'] - Statistic or
+ *                        pixel composite passed to ls_fn.
+ * @param {string|Array} [options.gapFill] - Gap filling passed to
+ *                       ls_fn. Defaults to ls_fn's default.
+ * @param {string|Object} [options.maskProfile='standard'] - Landsat QA
+ *                        masking profile passed to ls_fn.
+ * @returns {ee.ImageCollection} - One single-band image per year,
+ *                                 named after the index.
+ */
+var annualComposites = function(startYear, endYear, aoi, index, options) {
+  var opts = options || {};
+  var seasonStart = opts.seasonStart || '06-01';
+  var dates = [];
+  for (var year = startYear; year <= endYear; year++) {
+    dates.push(year + '-' + seasonStart);
+  }
+
+  var composites = landsatTimeSeries.ls_fn(
+    dates, opts.seasonMonths || 3, 'months', aoi, [index],
+    opts.statistic || 'medoid', opts.gapFill, undefined, opts.maskProfile
+  );
+
+  // A masked stand-in keeps years without scenes in the series
+  var empty = ee.Image.constant(0).float().rename(index).updateMask(0);
+  return composites.map(function(image) {
+    return empty.addBands(image, null, true).select(index)
+                .copyProperties(image, ['system:time_start', 'year']);
+  });
+};
+
+exports.annualComposites = annualComposites;
+
+/**
+ * Runs LandTrendr on an annual index series.
+ *
+ * @param {ee.ImageCollection} composites - One image per year with
+ *                             the index as its only band.
+ * @param {number} direction - Sign that makes the index increase with
+ *                             disturbance (see disturbanceDirection).
+ * @param {Object} [params] - LandTrendr parameters overriding
+ *                            LT_PARAMS.
+ * @returns {ee.Image} - LandTrendr output: the 'LandTrendr' array band
+ *                       (rows: year, source, fitted, is vertex) and
+ *                       'rmse', both in the oriented index units.
+ */
+var runLandTrendr = function(composites, direction, params) {
+  var ltParams = {};
+  Object.keys(LT_PARAMS).forEach(function(key) {
+    ltParams[key] = LT_PARAMS[key];
+  });
+  Object.keys(params || {}).forEach(function(key) {
+    ltParams[key] = params[key];
+  });
+
+  ltParams.timeSeries = composites.map(function(image) {
+    return image.multiply(direction)
+                .copyProperties(image, ['system:time_start']);
+  });
+  return ee.Algorithms.TemporalSegmentation.LandTrendr(ltParams);
+};
+
+exports.runLandTrendr = runLandTrendr;
+
+/**
+ * Extracts one disturbance segment per pixel from a LandTrendr result
+ * and returns its attributes as bands:
+ * - yod: Year of detection, the first year after the segment's start
+ *   vertex.
+ * - magnitude: Index change over the segment, positive for disturbance.
+ * - duration: Segment length in years.
+ * - preval: Index value at the start of the segment.
+ * - rate: magnitude / duration.
+ * - recovery_rate: Index regained per year over the next segment; 0 if
+ *   the next segment does not recover or the series ends.
+ * - rmse: Root mean square error of the LandTrendr fit.
+ *
+ * Pixels without a segment whose magnitude exceeds minMagnitude are
+ * masked.
+ *
+ * @param {ee.Image} lt - Output of runLandTrendr.
+ * @param {number} direction - Sign used in runLandTrendr.
+ * @param {string} [changeType='greatest'] - Segment to keep: one of
+ *                 'greatest', 'newest', 'oldest', 'longest', 'fastest'.
+ * @param {number} [minMagnitude=0] - Smallest magnitude counted as a
+ *                 disturbance, in index units.
+ * @returns {ee.Image} - Float image of change attributes.
+ * @throws {Error} If the change type is unknown.
+ */
+var getChangeImage = function(lt, direction, changeType, minMagnitude) {
+  changeType = changeType || 'greatest';
+  minMagnitude = minMagnitude || 0;
+  var sort = CHANGE_TYPES[changeType];
+  if (!sort) {
+    throw new Error('Unknown change type "' + changeType + '". Use one ' +
+                    'of: ' + Object.keys(CHANGE_TYPES).join(', ') + '.');
+  }
+
+  // Keep the vertex columns of the trajectory
+  var trajectory = lt.select('LandTrendr');
+  var vertices = trajectory.arrayMask(trajectory.arraySlice(0, 3, 4));
+
+  // Repeat the last vertex so the last segment also has a following
+  // segment, zero years long
+  var padded = vertices.arrayCat(vertices.arraySlice(1, -1), 1);
+  var years = padded.arraySlice(0, 0, 1);
+  var fitted = padded.arraySlice(0, 2, 3);
+
+  // Segment start, end and following-segment end, by vertex column
+  var startYear = years.arraySlice(1, 0, -2);
+  var endYear = years.arraySlice(1, 1, -1);
+  var nextYear = years.arraySlice(1, 2);
+  var startValue = fitted.arraySlice(1, 0, -2);
+  var endValue = fitted.arraySlice(1, 1, -1);
+  var nextValue = fitted.arraySlice(1, 2);
+
+  var magnitude = endValue.subtract(startValue);
+  var duration = endYear.subtract(startYear);
+  var segments = ee.Image.cat([
+    startYear.add(1),
+    magnitude,
+    duration,
+    startValue.multiply(direction),
+    magnitude.divide(duration),
+    endValue.subtract(nextValue),
+    nextYear.subtract(endYear)
+  ]).toArray(0);
+
+  // Keep disturbance segments, then the first in the change type's order
+  var row = SEGMENT_ROWS.indexOf(sort.row);
+  segments = segments.arrayMask(magnitude.gt(minMagnitude));
+  var keys = segments.arraySlice(0, row, row + 1).multiply(sort.order);
+  var change = segments.arraySort(keys)
+                       .arraySlice(1, 0, 1)
+                       .arrayProject([0])
+                       .arrayFlatten([SEGMENT_ROWS]);
+
+  var recoveryRate = change.select('recovery_magnitude').max(0)
+    .divide(change.select('recovery_duration'))
+    .unmask(0)
+    .updateMask(change.select('magnitude').mask())
+    .rename('recovery_rate');
+
+  return change.select(['yod', 'magnitude', 'duration', 'preval', 'rate'])
+    .addBands(recoveryRate)
+    .addBands(lt.select('rmse').updateMask(change.select('magnitude').mask()))
+    .float();
+};
+
+exports.getChangeImage = getChangeImage;
+
+/**
+ * Function to map disturbance and recovery with LandTrendr.
+ *
+ * @param {number} startYear - First year of the series.
+ * @param {number} endYear - Last year of the series (inclusive).
+ * @param {ee.Geometry} aoi - Area of interest.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.index='NBR'] - Index to segment.
+ * @param {Array} [options.changeTypes=['greatest']] - Change types to
+ *                output, one image each (see getChangeImage).
+ * @param {number} [options.minMagnitude=0] - Smallest magnitude counted
+ *                 as a disturbance, in index units.
+ * @param {Object} [options.ltParams] - LandTrendr parameters overriding
+ *                 the defaults.
+ * @param {string} [options.seasonStart] - See annualComposites.
+ * @param {number} [options.seasonMonths] - See annualComposites.
+ * @param {string|Object} [options.statistic] - See annualComposites.
+ * @param {string|Array} [options.gapFill] - See annualComposites.
+ * @param {string|Object} [options.maskProfile] - See annualComposites.
+ * @returns {ee.ImageCollection} - One change-attribute image per change
+ *          type, clipped to AOI, with change_type, index, start_year,
+ *          end_year and system:time_start (1 January of startYear).
+ */
+exports.landtrendr_fn = function(startYear, endYear, aoi, options) {
+  var opts = options || {};
+  var index = opts.index || 'NBR';
+  var changeTypes = opts.changeTypes || ['greatest'];
+  changeTypes.forEach(function(changeType) {
+    if (!CHANGE_TYPES[changeType]) {
+      throw new Error('Unknown change type "' + changeType + '". Use ' +
+                      'one of: ' + Object.keys(CHANGE_TYPES).join(', ') +
+                      '.');
+    }
+  });
+  var direction = disturbanceDirection(index);
+
+  var composites = annualComposites(startYear, endYear, aoi, index, opts);
+  var lt = runLandTrendr(composites, direction, opts.ltParams);
+
+  return ee.ImageCollection.fromImages(changeTypes.map(function(changeType) {
+    return getChangeImage(lt, direction, changeType, opts.minMagnitude)
+      .set({
+        'change_type': changeType,
+        'index': index,
+        'start_year': startYear,
+        'end_year': endYear,
+        'system:time_start': ee.Date.fromYMD(startYear, 1, 1).millis()
+      })
+      .clip(aoi);
+  }));
+};
+
+
+// Usage example of landtrendr_fn
+
+// var landtrendr = require(
+//   "users/bgcasey/science_centre:functions/landtrendr"
+// );
+// var utils = require("users/bgcasey/science_centre:functions/utils");
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Greatest and most recent NBR disturbances, 1990-2024, ignoring
+// // losses smaller than 0.1
+// var changes = landtrendr.landtrendr_fn(1990, 2024, aoi, {
+//   index: 'NBR',
+//   changeTypes: ['greatest', 'newest'],
+//   minMagnitude: 0.1
+// });
+// print('Change images:', changes);
+
+// // Map the year of the greatest disturbance
+// var greatest = changes.filter(ee.Filter.eq('change_type', 'greatest'))
+//                       .first();
+// Map.centerObject(aoi, 10);
+// Map.addLayer(greatest.select('yod'),
+//              {min: 1990, max: 2024, palette: ['yellow', 'red']},
+//              'Year of disturbance');
+
+// // Export one multiband image per change type
+// utils.exportImageCollection(changes, aoi, 'gee_exports', 30,
+//                             'EPSG:4326', function(img) {
+//   return 'landtrendr_NBR_' + img.get('change_type').getInfo();
+// });
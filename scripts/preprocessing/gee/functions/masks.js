@@ -3,36 +3,55 @@
 ////////////////////////
 
   
-// Define a function to mask an image by multiple landcover classes
-exports.maskByForestAge= function(image) {
-  
-  var age = ee.Image("projects/sat-io/open-datasets/CA_FOREST/CA_forest_age_2019");
-
-  // Define the threshold for forest age (greater than 30 years)
-  var ageThreshold = 60;
-  
-  var mask = age.gt(ageThreshold);
-    
-  return  image.updateMask(mask); 
-}
+/**
+ * Masks an image to forest older than an age threshold, using NTEMS
+ * stand age for the image's year (see functions/forest_attributes.js).
+ * Ages are only known up to 2019, so later years use the 2019 ages
+ * unless outOfRange is 'mask'. The age year used is recorded in the
+ * forest_age_source_year property.
+ *
+ * @param {ee.Image} image - Image to mask, with a 'year' property
+ *                           (images without one use 2019 ages).
+ * @param {number} [ageThreshold=60] - Keep pixels older than this
+ *                                     many years.
+ * @param {string} [outOfRange='nearest'] - 'nearest' or 'mask' (see
+ *                                          getForestAttributes).
+ * @returns {ee.Image} The masked image.
+ */
+exports.maskByForestAge = function(image, ageThreshold, outOfRange) {
+  var forestAttributes = require(
+    "users/bgcasey/science_centre:functions/forest_attributes"
+  );
+  ageThreshold = ageThreshold === undefined ? 60 : ageThreshold;
+
+  var year = ee.Algorithms.If(image.get('year'), image.get('year'), 2019);
+  var age = forestAttributes.getForestAttributes(year, null, {
+    layers: ['forest_age'],
+    outOfRange: outOfRange
+  });
+
+  var mask = age.select('forest_age').gt(ageThreshold);
+
+  return image.updateMask(mask).set(
+    'forest_age_source_year', age.get('forest_age_source_year')
+  );
+};
 
 ////////////////////////////////////////
 // Sentinel masks
 ////////////////////////////////////////
 
-// cloud mask
+// cloud mask (QA60 cloud and cirrus bits; see
+// functions/sentinel_cloud_masks.js for other methods)
 exports.maskS2clouds=function(image){
-  var qa = image.select('QA60');
-
-  // Bits 10 and 11 are clouds and cirrus, respectively.
-  var cloudBitMask = 1 << 10;
-  var cirrusBitMask = 1 << 11;
-
-  // Both flags should be set to zero, indicating clear conditions.
-  var mask = qa.bitwiseAnd(cloudBitMask).eq(0)
-      .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
-
-  return image.updateMask(mask).divide(10000).copyProperties(image, ['system:time_start']);
+  var cloudMasks = require(
+    "users/bgcasey/science_centre:functions/sentinel_cloud_masks"
+  );
+  var masked = ee.Image(cloudMasks.maskS2Collection(
+    ee.ImageCollection([image]), 'qa60'
+  ).first());
+
+  return masked.divide(10000).copyProperties(image, ['system:time_start']);
 }
 
 // snow mask
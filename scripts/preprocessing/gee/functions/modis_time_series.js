@@ -0,0 +1,378 @@
+/**
+ * title: Get a Time Series of MODIS Images
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Processes MODIS surface reflectance and vegetation index products
+ * into interval composites for coarse-scale models that need the long
+ * (2000 onwards), near-daily MODIS record. The script performs the
+ * following steps:
+ *
+ * 1. Retrieves the chosen product for the specified date range and
+ *    AOI: MOD09GA daily surface reflectance, MOD13Q1 16-day vegetation
+ *    indices, or MCD43A4 daily nadir BRDF-adjusted reflectance (NBAR).
+ *    Terra products can be merged with their Aqua equivalents.
+ * 2. Masks each image with its quality bands (state_1km for MOD09GA,
+ *    SummaryQA and DetailedQA for MOD13Q1, and the BRDF mandatory
+ *    quality bands for MCD43A4) and applies the scale factors.
+ * 3. Calculates the selected indices from the spectral index registry.
+ * 4. Composites each interval by the chosen statistic(s), with a count
+ *    of the clear observations behind each pixel.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var spectral = require("users/bgcasey/science_centre:functions/spectral_indices");
+var gap_filling = require("users/bgcasey/science_centre:functions/gap_filling");
+var utils = require("users/bgcasey/science_centre:functions/utils");
+
+/**
+ * Reads a bit field from a QA band.
+ *
+ * @param {ee.Image} qa - QA band.
+ * @param {number} start - First bit.
+ * @param {number} count - Number of bits.
+ * @returns {ee.Image} - The field's value.
+ */
+var readBits = function(qa, start, count) {
+  return qa.rightShift(start).bitwiseAnd(Math.pow(2, count) - 1);
+};
+
+/**
+ * Supported products: collection ids (Terra, and Aqua where there is
+ * one), registry sensor key, reflectance bands, native resolution,
+ * quality flags that can be masked (with whether they are masked by
+ * default), and the function that builds the keep-mask from them.
+ */
+var PRODUCTS = {
+  MOD09GA: {
+    terra: 'MODIS/061/MOD09GA',
+    aqua: 'MODIS/061/MYD09GA',
+    sensor: 'modis',
+    bands: ['sur_refl_b01', 'sur_refl_b02', 'sur_refl_b03', 'sur_refl_b04',
+            'sur_refl_b05', 'sur_refl_b06', 'sur_refl_b07'],
+    scale: 500,
+    flags: {cloud: true, shadow: true, cirrus: true, adjacentCloud: true,
+            snow: true, aerosol: true},
+    // state_1km bits: 0-1 cloud state, 2 shadow, 6-7 aerosol quantity,
+    // 8-9 cirrus, 10 internal cloud, 12 snow/ice, 13 adjacent to cloud,
+    // 15 internal snow
+    mask: function(image, flags) {
+      var state = image.select('state_1km');
+      var keep = ee.Image(1);
+      if (flags.cloud) {
+        keep = keep.and(readBits(state, 0, 2).eq(0))
+                   .and(readBits(state, 10, 1).eq(0));
+      }
+      if (flags.shadow) {
+        keep = keep.and(readBits(state, 2, 1).eq(0));
+      }
+      if (flags.aerosol) {
+        keep = keep.and(readBits(state, 6, 2).neq(3));
+      }
+      if (flags.cirrus) {
+        keep = keep.and(readBits(state, 8, 2).lte(1));
+      }
+      if (flags.snow) {
+        keep = keep.and(readBits(state, 12, 1).eq(0))
+                   .and(readBits(state, 15, 1).eq(0));
+      }
+      if (flags.adjacentCloud) {
+        keep = keep.and(readBits(state, 13, 1).eq(0));
+      }
+      return keep;
+    }
+  },
+  MOD13Q1: {
+    terra: 'MODIS/061/MOD13Q1',
+    aqua: 'MODIS/061/MYD13Q1',
+    sensor: 'modis_vi',
+    bands: ['sur_refl_b01', 'sur_refl_b02', 'sur_refl_b03',
+            'sur_refl_b07'],
+    // Vegetation indices the product provides itself
+    indices: ['NDVI', 'EVI'],
+    scale: 250,
+    flags: {cloud: true, shadow: true, adjacentCloud: true, snow: true,
+            aerosol: true},
+    // SummaryQA: 0 good, 1 marginal, 2 snow/ice, 3 cloudy. DetailedQA
+    // bits: 6-7 aerosol quantity, 8 adjacent cloud, 10 mixed clouds,
+    // 14 possible snow/ice, 15 possible shadow
+    mask: function(image, flags) {
+      var summary = image.select('SummaryQA');
+      var detailed = image.select('DetailedQA');
+      var keep = ee.Image(1);
+      if (flags.cloud) {
+        keep = keep.and(summary.neq(3))
+                   .and(readBits(detailed, 10, 1).eq(0));
+      }
+      if (flags.shadow) {
+        keep = keep.and(readBits(detailed, 15, 1).eq(0));
+      }
+      if (flags.aerosol) {
+        keep = keep.and(readBits(detailed, 6, 2).neq(3));
+      }
+      if (flags.snow) {
+        keep = keep.and(summary.neq(2))
+                   .and(readBits(detailed, 14, 1).eq(0));
+      }
+      if (flags.adjacentCloud) {
+        keep = keep.and(readBits(detailed, 8, 1).eq(0));
+      }
+      return keep;
+    }
+  },
+  MCD43A4: {
+    terra: 'MODIS/061/MCD43A4',
+    sensor: 'modis_nbar',
+    bands: ['Nadir_Reflectance_Band1', 'Nadir_Reflectance_Band2',
+            'Nadir_Reflectance_Band3', 'Nadir_Reflectance_Band4',
+            'Nadir_Reflectance_Band5', 'Nadir_Reflectance_Band6',
+            'Nadir_Reflectance_Band7'],
+    scale: 500,
+    flags: {magnitudeInversion: false},
+    // Per band: 0 full BRDF inversion, 1 magnitude inversion. Each
+    // band is masked by its own quality band.
+    mask: function(image, flags) {
+      var quality = image.select('BRDF_Albedo_Band_Mandatory_Quality_.*');
+      return flags.magnitudeInversion ? quality.eq(0) : quality.lte(1);
+    }
+  }
+};
+
+exports.products = PRODUCTS;
+
+/**
+ * Resolves a product name and quality flag overrides.
+ *
+ * @param {string} product - 'MOD09GA', 'MOD13Q1' or 'MCD43A4'.
+ * @param {Object} [qaFlags] - Flag name -> true to mask, false to keep.
+ * @returns {Object} - {product, flags} with the defaults filled in.
+ * @throws {Error} If the product or a flag is unknown.
+ */
+var getProduct = function(product, qaFlags) {
+  var def = PRODUCTS[product];
+  if (!def) {
+    throw new Error('Unknown MODIS product "' + product + '". Use one ' +
+                    'of: ' + Object.keys(PRODUCTS).join(', ') + '.');
+  }
+  var flags = {};
+  Object.keys(def.flags).forEach(function(flag) {
+    flags[flag] = def.flags[flag];
+  });
+  Object.keys(qaFlags || {}).forEach(function(flag) {
+    if (!(flag in def.flags)) {
+      throw new Error('Unknown ' + product + ' quality flag "' + flag +
+                      '". Use one of: ' + Object.keys(def.flags).join(', ') +
+                      '.');
+    }
+    flags[flag] = qaFlags[flag];
+  });
+  return {product: def, flags: flags};
+};
+
+/**
+ * Retrieves the quality-masked MODIS collection for a given time
+ * period and area of interest (AOI).
+ *
+ * @param {ee.Date|string} startDate - The start date for the collection.
+ * @param {ee.Date|string} endDate - The end date for the collection.
+ * @param {ee.Geometry} aoi - The area of interest.
+ * @param {string} [product='MOD09GA'] - 'MOD09GA', 'MOD13Q1' or
+ *                                      'MCD43A4'.
+ * @param {Object} [options] - {qaFlags, includeAqua}; see modis_fn.
+ * @returns {ee.ImageCollection} - Masked reflectance bands scaled to
+ *                                 reflectance (plus NDVI and EVI for
+ *                                 MOD13Q1), with system:time_start.
+ * @throws {Error} If the product or a quality flag is unknown.
+ */
+var getModisCollection = function(startDate, endDate, aoi, product,
+                                  options) {
+  var opts = options || {};
+  var resolved = getProduct(product || 'MOD09GA', opts.qaFlags);
+  var def = resolved.product;
+  var scaledBands = def.bands.concat(def.indices || []);
+
+  var collection = ee.ImageCollection(def.terra);
+  if (opts.includeAqua && def.aqua) {
+    collection = collection.merge(ee.ImageCollection(def.aqua));
+  }
+
+  return collection.filterBounds(aoi)
+    .filterDate(startDate, endDate)
+    .map(function(image) {
+      // Scaling drops the image's properties
+      var scaled = image.select(scaledBands).multiply(0.0001)
+                        .updateMask(def.mask(image, resolved.flags));
+      return ee.Image(scaled.copyProperties(image, ['system:time_start']));
+    });
+};
+
+exports.getModisCollection = getModisCollection;
+
+/**
+ * Function to process MODIS images, calculate indices, and merge them
+ * into a single collection.
+ *
+ * @param {Array} dates - Date strings for image collection time range.
+ * @param {number} interval - Interval units to advance from dates.
+ * @param {string} intervalType - Type of interval ('days', 'weeks',
+ *                                'months', 'years').
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Array} selectedIndices - Indices to calculate (e.g., ['NDVI']).
+ *                                 See functions/spectral_indices.js.
+ *                                 MOD13Q1 has blue, red, NIR and 2.1 um
+ *                                 SWIR only, and its NDVI and EVI are
+ *                                 the product's own.
+ * @param {string|Array} [statistic='median'] - Statistic to apply
+ *                                  ('mean', 'median', 'max', a
+ *                                  percentile such as 'p90', etc.), or
+ *                                  an array of them. See
+ *                                  utils.reduceByStatistic.
+ * @param {Object} [options] - Processing options.
+ * @param {string} [options.product='MOD09GA'] - 'MOD09GA' (daily 500 m
+ *                        surface reflectance), 'MOD13Q1' (16-day 250 m
+ *                        vegetation indices) or 'MCD43A4' (daily 500 m
+ *                        nadir BRDF-adjusted reflectance).
+ * @param {Object} [options.qaFlags] - Quality flags to mask (true) or
+ *                        keep (false). MOD09GA: cloud, shadow, cirrus,
+ *                        adjacentCloud, snow, aerosol (all masked by
+ *                        default). MOD13Q1: cloud, shadow,
+ *                        adjacentCloud, snow, aerosol (all masked by
+ *                        default). MCD43A4: magnitudeInversion (kept
+ *                        by default).
+ * @param {boolean} [options.includeAqua=false] - Merge the Aqua
+ *                        product (MYD09GA, MYD13Q1) with Terra's.
+ * @param {string|Array} [options.gapFill='none'] - Gap-fill method(s);
+ *                        see gap_filling.fillGaps.
+ * @param {Object} [options.gapFillOptions] - Options for
+ *                        gap_filling.fillGaps.
+ * @returns {ee.ImageCollection} - Processed images clipped to AOI, each
+ *                                 with a clear_obs band counting the
+ *                                 unmasked observations per pixel.
+ * @throws {Error} If an index is not in the spectral index registry or
+ *                 the product lacks its bands, or a statistic, product,
+ *                 quality flag or gap-fill method is unknown.
+ */
+exports.modis_fn = function(dates, interval, intervalType, aoi,
+                            selectedIndices, statistic, options) {
+  var opts = options || {};
+  var product = opts.product || 'MOD09GA';
+  var def = getProduct(product, opts.qaFlags).product;
+
+  // Indices the product provides are not recalculated
+  var nativeIndices = def.indices || [];
+  var calculated = selectedIndices.filter(function(index) {
+    return nativeIndices.indexOf(index) === -1;
+  });
+
+  // Fail early on index names and statistics that are not supported
+  spectral.checkIndices(calculated, def.sensor);
+  statistic = statistic || 'median';
+  utils.getStatisticReducer(statistic);
+
+  /**
+   * Process images for a single date.
+   *
+   * @param {string} d1 - Start date string for the image collection.
+   * @returns {ee.Image} - Composite image with selected indices.
+   */
+  var modis_ts = function(d1) {
+    var start = ee.Date(d1);
+    var end = start.advance(interval, intervalType);
+    var collection = getModisCollection(start, end, aoi, product, opts)
+      .map(function(image) {
+        return spectral.addIndices(image, calculated, def.sensor);
+      });
+
+    // Composite the reflectance bands and the indices
+    var rawBands = utils.reduceByStatistic(collection.select(def.bands),
+                                           statistic);
+    var indicesComposite = utils.reduceByStatistic(
+      collection.select(selectedIndices), statistic
+    );
+
+    // Count the clear observations behind each pixel (red band)
+    var clearObs = utils.countObservations(
+      collection, spectral.getBandAliases(def.sensor).red, 'clear_obs'
+    );
+
+    return indicesComposite.addBands(rawBands).addBands(clearObs).set({
+      "system:time_start": start.millis(),
+      "start_date": start.format('YYYY-MM-dd'),
+      "end_date": end.format('YYYY-MM-dd'),
+      "month": start.get('month'),
+      "year": start.get('year'),
+      "product": product
+    });
+  };
+
+  var modis = ee.ImageCollection.fromImages(dates.map(function(d) {
+    return modis_ts(d);
+  }));
+
+  // Fill gaps before clipping so spatial methods can use nearby pixels
+  var fillOptions = {
+    aoi: aoi,
+    idwProjection: ee.Projection('EPSG:4326').atScale(def.scale)
+  };
+  Object.keys(opts.gapFillOptions || {}).forEach(function(key) {
+    fillOptions[key] = opts.gapFillOptions[key];
+  });
+  modis = gap_filling.fillGaps(modis, opts.gapFill || 'none', fillOptions);
+
+  // Clip to AOI and return collection
+  return modis.map(function(image) {
+    return image.clip(aoi);
+  });
+};
+
+
+// // Usage example of modis_fn
+
+// var modis_time_series = require(
+//   "users/bgcasey/science_centre:functions/modis_time_series"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Monthly composites for the 2022 growing season
+// var dates = ['2022-05-01', '2022-06-01', '2022-07-01', '2022-08-01',
+//              '2022-09-01'];
+// var interval = 1;
+// var intervalType = 'months';
+
+// // Define which indices to calculate
+// var selectedIndices = ['NDVI', 'EVI', 'NDMI'];
+
+// // Daily surface reflectance from Terra and Aqua, keeping snow
+// var modisCollection = modis_time_series.modis_fn(
+//   dates, interval, intervalType, aoi, selectedIndices, 'median', {
+//     product: 'MOD09GA',
+//     includeAqua: true,
+//     qaFlags: {snow: false}
+//   }
+// );
+// print('MODIS Image Collection:', modisCollection);
+
+// // Or the 16-day vegetation index product's own NDVI and EVI
+// var modisVI = modis_time_series.modis_fn(
+//   dates, interval, intervalType, aoi, ['NDVI', 'EVI'], 'max',
+//   {product: 'MOD13Q1'}
+// );
+
+// // Display NDVI for July
+// Map.centerObject(aoi, 9);
+// Map.addLayer(modisCollection.filter(ee.Filter.eq('month', 7)).first()
+//                .select('NDVI'),
+//              {min: -1, max: 1, palette: ['red', 'yellow', 'green']},
+//              'NDVI July');
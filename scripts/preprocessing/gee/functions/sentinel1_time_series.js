@@ -0,0 +1,621 @@
+/**
+ * title: Get a Time Series of Sentinel-1 SAR Images
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Processes Sentinel-1 C-band SAR backscatter, which is not blocked by
+ * cloud, into interval composites that line up with the optical time
+ * series from ls_fn and s2_fn. The script performs the following steps:
+ *
+ * 1. Retrieves Sentinel-1 GRD scenes (linear power, COPERNICUS/
+ *    S1_GRD_FLOAT) in interferometric wide swath mode for the specified
+ *    date range and AOI, filtered by orbit pass, relative orbit and
+ *    polarisation, and masks the noisy near- and far-range borders.
+ * 2. Reduces speckle with a boxcar, Lee (1980) or refined Lee (1981)
+ *    filter.
+ * 3. Applies angular-based radiometric terrain flattening (Vollrath et
+ *    al. 2020) to convert sigma0 to gamma0 and masks active layover
+ *    and shadow.
+ * 4. Calculates the selected SAR indices (VV/VH ratio, cross-ratio and
+ *    the dual-pol radar vegetation index) and composites each interval
+ *    by the chosen statistic(s).
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var utils = require("users/bgcasey/science_centre:functions/utils");
+
+// Incidence angles (degrees) outside this range are border noise
+var ANGLE_RANGE = [31, 45];
+
+// Equivalent number of looks of an IW GRD high-resolution scene
+var ENL = 4.4;
+
+var SPECKLE_FILTERS = ['none', 'boxcar', 'lee', 'refinedLee'];
+var TERRAIN_MODELS = ['none', 'volume', 'surface'];
+var ORBIT_PASSES = ['ASCENDING', 'DESCENDING', 'both'];
+
+/**
+ * SAR index registry. Formulas use linear backscatter, named by
+ * polarisation.
+ */
+var INDICES = {
+  CR: {
+    name: 'Cross-Ratio',
+    formula: 'VH / VV',
+    bands: ['VV', 'VH'],
+    citation: 'Vreugdenhil, M., Wagner, W., Bauer-Marschallinger, B., ' +
+      'Pfeil, I., Teubner, I., Rüdiger, C., & Strauss, P. (2018). ' +
+      'Sensitivity of Sentinel-1 backscatter to vegetation dynamics: An ' +
+      'Austrian case study. Remote Sensing, 10(9), 1396.'
+  },
+  RVI: {
+    name: 'Dual-Polarisation Radar Vegetation Index',
+    formula: '4 * VH / (VV + VH)',
+    bands: ['VV', 'VH'],
+    range: [0, 4],
+    citation: 'Nasirzadehdizaji, R., Balik Sanli, F., Abdikan, S., ' +
+      'Cakir, Z., Sekertekin, A., & Ustuner, M. (2019). Sensitivity ' +
+      'analysis of multi-temporal Sentinel-1 SAR parameters to crop ' +
+      'height and canopy coverage. Applied Sciences, 9(4), 655.'
+  },
+  VV_VH: {
+    name: 'VV/VH Ratio',
+    formula: 'VV / VH',
+    bands: ['VV', 'VH'],
+    citation: 'Veloso, A., Mermoz, S., Bouvet, A., Le Toan, T., Planells, ' +
+      'M., Dejoux, J. F., & Ceschia, E. (2017). Understanding the ' +
+      'temporal behavior of crops using Sentinel-1 and Sentinel-2-like ' +
+      'data for agricultural applications. Remote Sensing of ' +
+      'Environment, 199, 415-426.'
+  }
+};
+
+exports.indices = INDICES;
+
+/**
+ * Throws if an option is not one of the allowed values.
+ *
+ * @param {string} name - Option name, for the error message.
+ * @param {string} value - Option value.
+ * @param {Array} allowed - Allowed values.
+ * @throws {Error} If the value is not allowed.
+ */
+var checkOption = function(name, value, allowed) {
+  if (allowed.indexOf(value) === -1) {
+    throw new Error('Unknown ' + name + ' "' + value + '". Use one of: ' +
+                    allowed.join(', ') + '.');
+  }
+};
+
+/**
+ * Fills in and validates Sentinel-1 processing options.
+ *
+ * @param {Object} [options] - Options (see s1_fn).
+ * @returns {Object} - Options with defaults.
+ * @throws {Error} If an option is unknown.
+ */
+var getOptions = function(options) {
+  var opts = options || {};
+  var resolved = {
+    orbit: opts.orbit || 'both',
+    relativeOrbit: opts.relativeOrbit,
+    polarisations: opts.polarisations || ['VV', 'VH'],
+    speckleFilter: opts.speckleFilter || 'refinedLee',
+    kernelSize: opts.kernelSize || 7,
+    enl: opts.enl || ENL,
+    terrainFlattening: opts.terrainFlattening || 'volume',
+    dem: opts.dem,
+    angleRange: opts.angleRange || ANGLE_RANGE,
+    units: opts.units || 'db'
+  };
+  checkOption('orbit pass', resolved.orbit, ORBIT_PASSES);
+  checkOption('speckle filter', resolved.speckleFilter, SPECKLE_FILTERS);
+  checkOption('terrain flattening model', resolved.terrainFlattening,
+              TERRAIN_MODELS);
+  checkOption('units', resolved.units, ['db', 'linear']);
+  resolved.polarisations.forEach(function(p) {
+    checkOption('polarisation', p, ['VV', 'VH']);
+  });
+  return resolved;
+};
+
+/**
+ * Throws if an index is unknown or needs a polarisation that is not
+ * being processed.
+ *
+ * @param {Array} selectedIndices - Index names (e.g., ['RVI']).
+ * @param {Array} polarisations - Processed polarisations.
+ * @throws {Error} If an index is unknown or cannot be calculated.
+ */
+var checkIndices = function(selectedIndices, polarisations) {
+  selectedIndices.forEach(function(index) {
+    var def = INDICES[index];
+    if (!def) {
+      throw new Error(
+        'Unknown index "' + index + '". Available indices: ' +
+        Object.keys(INDICES).join(', ') + '.'
+      );
+    }
+    var missing = def.bands.filter(function(band) {
+      return polarisations.indexOf(band) === -1;
+    });
+    if (missing.length > 0) {
+      throw new Error(
+        'Index "' + index + '" needs the ' + missing.join(', ') +
+        ' polarisation(s), which are not being processed.'
+      );
+    }
+  });
+};
+
+exports.checkIndices = checkIndices;
+
+/**
+ * Lee (1980) speckle filter: a minimum mean square error estimate from
+ * the local mean and variance in a square window.
+ *
+ * @param {ee.Image} image - Single-band image in linear power.
+ * @param {number} kernelSize - Window width in pixels (odd).
+ * @param {number} enl - Equivalent number of looks.
+ * @returns {ee.Image} - Filtered band with the input's name.
+ */
+var leeFilter = function(image, kernelSize, enl) {
+  var kernel = ee.Kernel.square(Math.floor(kernelSize / 2), 'pixels');
+  var mean = image.reduceNeighborhood(ee.Reducer.mean(), kernel);
+  var variance = image.reduceNeighborhood(ee.Reducer.variance(), kernel);
+
+  // Speckle coefficient of variation squared
+  var eta2 = 1 / enl;
+  var varX = variance.subtract(mean.pow(2).multiply(eta2))
+                     .divide(1 + eta2);
+  var b = varX.divide(variance).max(0);
+  return ee.Image(1).subtract(b).multiply(mean)
+    .add(b.multiply(image))
+    .rename(image.bandNames());
+};
+
+exports.leeFilter = leeFilter;
+
+/**
+ * Refined Lee (1981) speckle filter. Picks one of eight edge-aligned
+ * 7x7 windows per pixel from the gradients between 3x3 sub-window
+ * means, and applies the Lee estimate within it, so edges are kept
+ * sharp. Adapted from the Earth Engine implementation by Guido Lemoine.
+ *
+ * @param {ee.Image} image - Single-band image in linear power.
+ * @returns {ee.Image} - Filtered band with the input's name.
+ */
+var refinedLee = function(image) {
+  // 3x3 window statistics
+  var kernel3 = ee.Kernel.square(1, 'pixels', false);
+  var mean3 = image.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+  var variance3 = image.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+
+  // Sample the nine 3x3 windows inside the 7x7 window, as nine bands
+  // in row-major order (4 is the centre)
+  var sampleWeights = [[0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+                       [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+                       [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+                       [0, 0, 0, 0, 0, 0, 0]];
+  var sampleKernel = ee.Kernel.fixed(7, 7, sampleWeights, 3, 3, false);
+  var sampleMean = mean3.neighborhoodToBands(sampleKernel);
+  var sampleVar = variance3.neighborhoodToBands(sampleKernel);
+  var m = function(i) {
+    return sampleMean.select(i);
+  };
+
+  // Gradients across the vertical, two diagonal and horizontal edges
+  var gradients = ee.Image.cat([
+    m(1).subtract(m(7)).abs(),
+    m(6).subtract(m(2)).abs(),
+    m(3).subtract(m(5)).abs(),
+    m(0).subtract(m(8)).abs()
+  ]);
+  var maxGradient = gradients.reduce(ee.Reducer.max());
+  var gradMask = gradients.eq(maxGradient);
+  gradMask = gradMask.addBands(gradMask);
+
+  // Eight directions: which side of the strongest edge the centre is on
+  var directions = ee.Image.cat([
+    m(1).subtract(m(4)).gt(m(4).subtract(m(7))).multiply(1),
+    m(6).subtract(m(4)).gt(m(4).subtract(m(2))).multiply(2),
+    m(3).subtract(m(4)).gt(m(4).subtract(m(5))).multiply(3),
+    m(0).subtract(m(4)).gt(m(4).subtract(m(8))).multiply(4)
+  ]);
+  directions = directions.addBands(ee.Image.cat([
+    directions.select(0).not().multiply(5),
+    directions.select(1).not().multiply(6),
+    directions.select(2).not().multiply(7),
+    directions.select(3).not().multiply(8)
+  ]));
+  directions = directions.updateMask(gradMask).reduce(ee.Reducer.sum());
+
+  // Local noise variance: mean of the five most homogeneous windows
+  var sampleStats = sampleVar.divide(sampleMean.multiply(sampleMean));
+  var sigmaV = sampleStats.toArray().arraySort().arraySlice(0, 0, 5)
+                          .arrayReduce(ee.Reducer.mean(), [0])
+                          .arrayFlatten([['sigmaV']]);
+
+  // Half-window (rectangular) and triangular (diagonal) 7x7 kernels,
+  // rotated to each direction
+  var rectWeights = [[0, 0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0, 0],
+                     [0, 0, 0, 0, 0, 0, 0], [1, 1, 1, 1, 1, 1, 1],
+                     [1, 1, 1, 1, 1, 1, 1], [1, 1, 1, 1, 1, 1, 1],
+                     [1, 1, 1, 1, 1, 1, 1]];
+  var diagWeights = [[1, 0, 0, 0, 0, 0, 0], [1, 1, 0, 0, 0, 0, 0],
+                     [1, 1, 1, 0, 0, 0, 0], [1, 1, 1, 1, 0, 0, 0],
+                     [1, 1, 1, 1, 1, 0, 0], [1, 1, 1, 1, 1, 1, 0],
+                     [1, 1, 1, 1, 1, 1, 1]];
+  var rectKernel = ee.Kernel.fixed(7, 7, rectWeights, 3, 3, false);
+  var diagKernel = ee.Kernel.fixed(7, 7, diagWeights, 3, 3, false);
+
+  var dirMean = [];
+  var dirVar = [];
+  for (var i = 0; i < 4; i++) {
+    var rect = rectKernel.rotate(i);
+    var diag = diagKernel.rotate(i);
+    dirMean.push(
+      image.reduceNeighborhood(ee.Reducer.mean(), rect)
+           .updateMask(directions.eq(2 * i + 1)),
+      image.reduceNeighborhood(ee.Reducer.mean(), diag)
+           .updateMask(directions.eq(2 * i + 2))
+    );
+    dirVar.push(
+      image.reduceNeighborhood(ee.Reducer.variance(), rect)
+           .updateMask(directions.eq(2 * i + 1)),
+      image.reduceNeighborhood(ee.Reducer.variance(), diag)
+           .updateMask(directions.eq(2 * i + 2))
+    );
+  }
+  // Each pixel is unmasked in one direction only
+  var mean = ee.Image.cat(dirMean).reduce(ee.Reducer.sum());
+  var variance = ee.Image.cat(dirVar).reduce(ee.Reducer.sum());
+
+  var varX = variance.subtract(mean.multiply(mean).multiply(sigmaV))
+                     .divide(sigmaV.add(1));
+  var b = varX.divide(variance);
+  return mean.add(b.multiply(image.subtract(mean)))
+    .rename(image.bandNames());
+};
+
+exports.refinedLee = refinedLee;
+
+/**
+ * Applies a speckle filter to each polarisation band.
+ *
+ * @param {ee.Image} image - Scene in linear power.
+ * @param {Object} opts - Resolved options (see getOptions).
+ * @returns {ee.Image} - Filtered polarisation bands.
+ */
+var filterSpeckle = function(image, opts) {
+  var filtered = opts.polarisations.map(function(p) {
+    var band = image.select(p);
+    if (opts.speckleFilter === 'boxcar') {
+      return band.focal_mean(Math.floor(opts.kernelSize / 2), 'square',
+                             'pixels').rename(p);
+    }
+    if (opts.speckleFilter === 'lee') {
+      return leeFilter(band, opts.kernelSize, opts.enl);
+    }
+    if (opts.speckleFilter === 'refinedLee') {
+      return refinedLee(band);
+    }
+    return band;
+  });
+  return ee.Image.cat(filtered);
+};
+
+/**
+ * Default DEM for terrain flattening: the Canadian Digital Elevation
+ * Model, as in nrcan_topographic_indices.js.
+ *
+ * @returns {ee.Image} - Elevation in meters.
+ */
+var getDefaultDem = function() {
+  return ee.ImageCollection('NRCan/CDEM')
+    .mosaic()
+    .toFloat()
+    .setDefaultProjection('EPSG:3348', null, 23.19);
+};
+
+/**
+ * Angular-based radiometric terrain flattening (Vollrath et al. 2020).
+ * Converts sigma0 to gamma0, divides by the volume or surface
+ * scattering model's correction for the local slope, and masks active
+ * layover and shadow.
+ *
+ * Vollrath, A., Mullissa, A., & Reiche, J. (2020). Angular-based
+ * radiometric slope correction for Sentinel-1 on Google Earth Engine.
+ * Remote Sensing, 12(11), 1867.
+ *
+ * @param {ee.Image} image - Scene in linear power, with the angle band.
+ * @param {Array} polarisations - Polarisation bands to correct.
+ * @param {string} model - 'volume' (forests, other canopies) or
+ *                         'surface'.
+ * @param {ee.Image} [dem] - Elevation image. Defaults to the Canadian
+ *                           Digital Elevation Model.
+ * @returns {ee.Image} - Flattened gamma0 polarisation bands.
+ */
+var terrainFlatten = function(image, polarisations, model, dem) {
+  var elevation = dem || getDefaultDem();
+  var ninety = Math.PI / 2;
+  var thetaI = image.select('angle').multiply(Math.PI / 180);
+
+  // Satellite look direction from the incidence angle's gradient
+  var phiI = ee.Terrain.aspect(image.select('angle')).reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: image.geometry(),
+    scale: 1000
+  }).get('aspect');
+  phiI = ee.Image.constant(phiI).multiply(Math.PI / 180);
+
+  // Terrain slope and aspect, and their range and azimuth components
+  var alphaS = ee.Terrain.slope(elevation).multiply(Math.PI / 180);
+  var phiS = ee.Terrain.aspect(elevation).multiply(Math.PI / 180);
+  var phiR = phiI.subtract(phiS);
+  var alphaR = alphaS.tan().multiply(phiR.cos()).atan();
+  var alphaAz = alphaS.tan().multiply(phiR.sin()).atan();
+
+  var gamma0 = image.select(polarisations).divide(thetaI.cos());
+  var correction;
+  if (model === 'volume') {
+    correction = ee.Image(ninety).subtract(thetaI).add(alphaR).tan()
+      .divide(ee.Image(ninety).subtract(thetaI).tan());
+  } else {
+    correction = ee.Image(ninety).subtract(thetaI).cos()
+      .divide(alphaAz.cos().multiply(
+        ee.Image(ninety).subtract(thetaI).add(alphaR).cos()
+      ));
+  }
+
+  // Active layover faces the sensor more steeply than the incidence
+  // angle; active shadow faces away more steeply than the grazing angle
+  var layover = alphaR.lt(thetaI);
+  var shadow = alphaR.gt(ee.Image(ninety).subtract(thetaI).multiply(-1));
+
+  return gamma0.divide(correction)
+    .updateMask(layover.and(shadow))
+    .rename(polarisations);
+};
+
+exports.terrainFlatten = terrainFlatten;
+
+/**
+ * Retrieves the processed Sentinel-1 collection for a given time
+ * period and area of interest (AOI).
+ *
+ * @param {ee.Date|string} startDate - The start date for the collection.
+ * @param {ee.Date|string} endDate - The end date for the collection.
+ * @param {ee.Geometry} aoi - The area of interest.
+ * @param {Object} [options] - Processing options (see s1_fn).
+ * @returns {ee.ImageCollection} - Speckle-filtered, terrain-flattened
+ *                                 polarisation bands in linear power,
+ *                                 with system:time_start,
+ *                                 orbitProperties_pass and
+ *                                 relativeOrbitNumber_start.
+ * @throws {Error} If an option is unknown.
+ */
+var getS1Collection = function(startDate, endDate, aoi, options) {
+  var opts = getOptions(options);
+
+  var collection = ee.ImageCollection('COPERNICUS/S1_GRD_FLOAT')
+                     .filterBounds(aoi)
+                     .filterDate(startDate, endDate)
+                     .filter(ee.Filter.eq('instrumentMode', 'IW'));
+  opts.polarisations.forEach(function(p) {
+    collection = collection.filter(
+      ee.Filter.listContains('transmitterReceiverPolarisation', p)
+    );
+  });
+  if (opts.orbit !== 'both') {
+    collection = collection.filter(
+      ee.Filter.eq('orbitProperties_pass', opts.orbit)
+    );
+  }
+  if (opts.relativeOrbit !== undefined) {
+    collection = collection.filter(
+      ee.Filter.eq('relativeOrbitNumber_start', opts.relativeOrbit)
+    );
+  }
+
+  return collection.map(function(image) {
+    // Mask the near- and far-range border noise. The angle band stays
+    // unmasked: terrain flattening reads the look direction from it.
+    var angle = image.select('angle');
+    var border = angle.gt(opts.angleRange[0])
+                      .and(angle.lt(opts.angleRange[1]));
+    var scene = image.addBands(
+      image.select(opts.polarisations).updateMask(border), null, true
+    );
+
+    // Replace the polarisation bands with their filtered values
+    var filtered = scene.addBands(filterSpeckle(scene, opts), null, true);
+    var processed = opts.terrainFlattening === 'none' ?
+      filtered.select(opts.polarisations) :
+      terrainFlatten(filtered, opts.polarisations, opts.terrainFlattening,
+                     opts.dem);
+    return ee.Image(processed.copyProperties(image, [
+      'system:time_start', 'orbitProperties_pass', 'relativeOrbitNumber_start'
+    ]));
+  });
+};
+
+exports.getS1Collection = getS1Collection;
+
+/**
+ * Calculates SAR indices for a scene and adds them as bands.
+ *
+ * @param {ee.Image} image - Scene with linear polarisation bands.
+ * @param {Array} selectedIndices - Index names (e.g., ['RVI']).
+ * @returns {ee.Image} - The scene with one band per index.
+ */
+var addIndices = function(image, selectedIndices) {
+  selectedIndices.forEach(function(index) {
+    var def = INDICES[index];
+    var bandMap = {};
+    def.bands.forEach(function(band) {
+      bandMap[band] = image.select(band);
+    });
+    var indexImage = image.expression(def.formula, bandMap);
+    if (def.range) {
+      indexImage = indexImage.clamp(def.range[0], def.range[1]);
+    }
+    image = image.addBands(indexImage.rename(index));
+  });
+  return image;
+};
+
+exports.addIndices = addIndices;
+
+/**
+ * Function to process Sentinel-1 images, calculate SAR indices, and
+ * merge them into a single collection.
+ *
+ * @param {Array} dates - Date strings for image collection time range.
+ * @param {number} interval - Interval units to advance from dates.
+ * @param {string} intervalType - Type of interval ('days', 'weeks',
+ *                                'months', 'years').
+ * @param {Object} aoi - Area of interest as an ee.Geometry object.
+ * @param {Array} selectedIndices - SAR indices to calculate: 'VV_VH'
+ *                                 (VV/VH ratio), 'CR' (cross-ratio,
+ *                                 VH/VV) and 'RVI' (dual-pol radar
+ *                                 vegetation index).
+ * @param {string|Array} [statistic='median'] - Statistic to apply
+ *                                  ('mean', 'median', a percentile such
+ *                                  as 'p90', etc.), or an array of them.
+ *                                  See utils.reduceByStatistic.
+ * @param {Object} [options] - Processing options.
+ * @param {string} [options.orbit='both'] - Orbit pass: 'ASCENDING',
+ *                        'DESCENDING' or 'both'.
+ * @param {number} [options.relativeOrbit] - Keep one relative orbit
+ *                        only, so every scene has the same geometry.
+ * @param {Array} [options.polarisations=['VV', 'VH']] - Polarisations.
+ * @param {string} [options.speckleFilter='refinedLee'] - 'refinedLee',
+ *                        'lee', 'boxcar' or 'none'.
+ * @param {number} [options.kernelSize=7] - Window width in pixels for
+ *                        the 'lee' and 'boxcar' filters.
+ * @param {number} [options.enl=4.4] - Equivalent number of looks for
+ *                        the 'lee' filter.
+ * @param {string} [options.terrainFlattening='volume'] - Terrain
+ *                        flattening model: 'volume', 'surface' or
+ *                        'none'.
+ * @param {ee.Image} [options.dem] - DEM for terrain flattening.
+ *                        Defaults to the Canadian Digital Elevation
+ *                        Model (NRCan/CDEM).
+ * @param {Array} [options.angleRange=[31, 45]] - Incidence angles kept,
+ *                        in degrees.
+ * @param {string} [options.units='db'] - Units of the composited
+ *                        polarisation bands: 'db' or 'linear'.
+ *                        Composites are always computed in linear
+ *                        power. Indices are linear ratios.
+ * @returns {ee.ImageCollection} - Processed images clipped to AOI, each
+ *                                 with a valid_obs band counting the
+ *                                 unmasked observations per pixel.
+ * @throws {Error} If an index, statistic or option is unknown.
+ */
+exports.s1_fn = function(dates, interval, intervalType, aoi, selectedIndices,
+                         statistic, options) {
+  var opts = getOptions(options);
+
+  // Fail early on index names and statistics that are not supported
+  checkIndices(selectedIndices, opts.polarisations);
+  statistic = statistic || 'median';
+  utils.getStatisticReducer(statistic);
+
+  /**
+   * Process images for a single date.
+   *
+   * @param {string} d1 - Start date string for the image collection.
+   * @returns {ee.Image} - Composite image with selected indices.
+   */
+  var s1_ts = function(d1) {
+    var start = ee.Date(d1);
+    var end = start.advance(interval, intervalType);
+    var s1Collection = getS1Collection(start, end, aoi, options)
+      .map(function(image) {
+        return addIndices(image, selectedIndices);
+      });
+
+    // Composite the backscatter in linear power, then convert
+    var backscatter = utils.reduceByStatistic(
+      s1Collection.select(opts.polarisations), statistic
+    );
+    if (opts.units === 'db') {
+      backscatter = backscatter.log10().multiply(10);
+    }
+
+    var indicesComposite = utils.reduceByStatistic(
+      s1Collection.select(selectedIndices), statistic
+    );
+
+    // Count the valid observations behind each pixel
+    var validObs = utils.countObservations(
+      s1Collection, opts.polarisations[0], 'valid_obs'
+    );
+
+    return backscatter.addBands(indicesComposite).addBands(validObs).set({
+      "system:time_start": start.millis(),
+      "start_date": start.format('YYYY-MM-dd'),
+      "end_date": end.format('YYYY-MM-dd'),
+      "month": start.get('month'),
+      "year": start.get('year'),
+      "orbit": opts.orbit,
+      "speckle_filter": opts.speckleFilter,
+      "terrain_flattening": opts.terrainFlattening,
+      "units": opts.units
+    });
+  };
+
+  // Map processing function over dates, clip to AOI, return collection
+  return ee.ImageCollection.fromImages(dates.map(function(d) {
+    return s1_ts(d).clip(aoi);
+  }));
+};
+
+
+// // Usage example of s1_fn
+
+// var sentinel1_time_series = require(
+//   "users/bgcasey/science_centre:functions/sentinel1_time_series"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Define the dates for the analysis
+// var dates = ['2022-06-01', '2023-06-01'];
+// var interval = 3;
+// var intervalType = 'months';
+
+// // Define which SAR indices to calculate
+// // Available Indices: CR, RVI, VV_VH
+// var selectedIndices = ['RVI', 'CR'];
+
+// // Descending passes only, refined Lee filter, volume-model terrain
+// // flattening
+// var s1Collection = sentinel1_time_series.s1_fn(
+//   dates, interval, intervalType, aoi, selectedIndices, 'median', {
+//     orbit: 'DESCENDING',
+//     speckleFilter: 'refinedLee',
+//     terrainFlattening: 'volume'
+//   }
+// );
+// print('Sentinel-1 Image Collection:', s1Collection);
+
+// // Display the VH backscatter (dB) and RVI for the first interval
+// Map.centerObject(aoi, 10);
+// var first = s1Collection.first();
+// Map.addLayer(first.select('VH'), {min: -25, max: -10}, 'VH (dB)');
+// Map.addLayer(first.select('RVI'),
+//              {min: 0, max: 1, palette: ['brown', 'yellow', 'green']},
+//              'RVI');
@@ -0,0 +1,261 @@
+/**
+ * title: Sentinel-2 Cloud and Shadow Masks
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Pluggable cloud and cloud-shadow masking for Sentinel-2 SR
+ * (harmonized) collections. One mask method is chosen per collection:
+ *
+ * - 'qa60': QA60 opaque cloud and cirrus bits. The flag is unreliable
+ *   for scenes processed after January 2022.
+ * - 'cloudScorePlus': Cloud Score+ clear-sky scores, joined by scene,
+ *   below a threshold are masked (cloud, haze and shadow).
+ * - 's2cloudless': s2cloudless cloud probabilities, joined by scene,
+ *   above a threshold are masked.
+ * - 'scl': Scene classification classes (cloud shadow, cloud and
+ *   cirrus by default) are masked.
+ *
+ * Any method can add geometric cloud-shadow projection: dark NIR
+ * pixels within a set distance of a cloud, in the direction away from
+ * the sun, are masked as shadow. Cloud and shadow masks can be
+ * buffered.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+// Scene-matched cloud products
+var CLOUD_SCORE_PLUS = 'GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED';
+var S2_CLOUD_PROBABILITY = 'COPERNICUS/S2_CLOUD_PROBABILITY';
+
+// Default options per mask method
+var MASK_DEFAULTS = {
+  qa60: {},
+  cloudScorePlus: {
+    band: 'cs_cdf',  // 'cs' or 'cs_cdf'
+    threshold: 0.6   // Clear-sky scores below this are masked
+  },
+  s2cloudless: {
+    threshold: 50,   // Cloud probabilities (%) above this are masked
+    shadows: true,
+    buffer: 50
+  },
+  scl: {
+    classes: [3, 8, 9, 10]  // Shadow, medium and high cloud, cirrus
+  }
+};
+
+// Default options shared by all mask methods
+var COMMON_DEFAULTS = {
+  shadows: false,          // Add projected cloud shadows
+  nirDarkThreshold: 0.15,  // NIR reflectance below which shadow is kept
+  projectionDistance: 1,   // Kilometres to search for shadow from cloud
+  buffer: 0                // Metres to grow the cloud and shadow mask
+};
+
+/**
+ * Reads a mask method from a method name ('qa60', 'cloudScorePlus',
+ * 's2cloudless' or 'scl') or an options object such as
+ * {method: 'cloudScorePlus', threshold: 0.65, shadows: true}, and fills
+ * in the defaults.
+ *
+ * @param {string|Object} [maskMethod='qa60'] - Method name or options.
+ * @returns {Object} - Complete mask options, including method.
+ * @throws {Error} If the method is unknown.
+ */
+var getMaskMethod = function(maskMethod) {
+  var spec = typeof maskMethod === 'string' ? {method: maskMethod}
+                                            : maskMethod || {};
+  var method = spec.method || 'qa60';
+  if (!MASK_DEFAULTS[method]) {
+    throw new Error('Unknown mask method "' + method + '". Use one of: ' +
+                    Object.keys(MASK_DEFAULTS).join(', ') + '.');
+  }
+
+  var options = {};
+  [COMMON_DEFAULTS, MASK_DEFAULTS[method], spec].forEach(function(source) {
+    Object.keys(source).forEach(function(key) {
+      options[key] = source[key];
+    });
+  });
+  options.method = method;
+  return options;
+};
+
+exports.getMaskMethod = getMaskMethod;
+
+/**
+ * Adds the scene-matched cloud band a mask method needs: 'cs' or
+ * 'cs_cdf' for cloudScorePlus, 'probability' for s2cloudless. Scenes
+ * without a matching cloud image are dropped.
+ *
+ * @param {ee.ImageCollection} collection - Sentinel-2 SR scenes.
+ * @param {Object} options - Output of getMaskMethod.
+ * @returns {ee.ImageCollection} - Scenes with the cloud band added.
+ */
+var addCloudBands = function(collection, options) {
+  var products = {
+    cloudScorePlus: {id: CLOUD_SCORE_PLUS, band: options.band},
+    s2cloudless: {id: S2_CLOUD_PROBABILITY, band: 'probability'}
+  };
+  var product = products[options.method];
+  if (!product) {
+    return collection;
+  }
+
+  var sceneIds = collection.aggregate_array('system:index');
+  var cloudImages = ee.ImageCollection(product.id)
+                      .filter(ee.Filter.inList('system:index', sceneIds));
+  var joined = ee.Join.saveFirst('cloud_image').apply(collection,
+    cloudImages, ee.Filter.equals({leftField: 'system:index',
+                                   rightField: 'system:index'}));
+
+  return ee.ImageCollection(joined).map(function(image) {
+    return image.addBands(ee.Image(image.get('cloud_image'))
+                            .select(product.band));
+  });
+};
+
+/**
+ * Builds a cloud mask for a scene (1 = cloud).
+ *
+ * @param {ee.Image} image - Sentinel-2 SR scene, with the band added by
+ *                           addCloudBands where the method needs one.
+ * @param {Object} options - Output of getMaskMethod.
+ * @returns {ee.Image} - Single band named 'clouds'.
+ */
+var cloudMask = function(image, options) {
+  var clouds;
+  if (options.method === 'cloudScorePlus') {
+    clouds = image.select(options.band).lt(options.threshold);
+  } else if (options.method === 's2cloudless') {
+    clouds = image.select('probability').gt(options.threshold);
+  } else if (options.method === 'scl') {
+    clouds = image.select('SCL').remap(
+      options.classes,
+      options.classes.map(function() { return 1; }),
+      0
+    );
+  } else {
+    // Bits 10 and 11 are clouds and cirrus, respectively.
+    var qa = image.select('QA60');
+    clouds = qa.bitwiseAnd(1 << 10).neq(0)
+               .or(qa.bitwiseAnd(1 << 11).neq(0));
+  }
+  return clouds.rename('clouds');
+};
+
+/**
+ * Projects cloud shadows: dark, non-water pixels (NIR below
+ * nirDarkThreshold) that lie within projectionDistance of a cloud in
+ * the direction away from the sun.
+ *
+ * @param {ee.Image} image - Sentinel-2 SR scene (digital numbers) with
+ *                           MEAN_SOLAR_AZIMUTH_ANGLE.
+ * @param {ee.Image} clouds - Output of cloudMask.
+ * @param {Object} options - Output of getMaskMethod.
+ * @returns {ee.Image} - Single band named 'shadows' (1 = shadow).
+ */
+var shadowMask = function(image, clouds, options) {
+  var notWater = image.select('SCL').neq(6);
+  var dark = image.select('B8').lt(options.nirDarkThreshold * 10000)
+                  .and(notWater);
+
+  // Search from each pixel towards the sun, in 100 m steps; the angle
+  // is counter-clockwise from east
+  var towardsSun = ee.Number(90).subtract(
+    ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE'))
+  );
+  var nearCloud = clouds.directionalDistanceTransform(
+      towardsSun, options.projectionDistance * 10
+    )
+    .reproject({crs: image.select(0).projection(), scale: 100})
+    .select('distance')
+    .mask();
+
+  return nearCloud.and(dark).rename('shadows');
+};
+
+/**
+ * Masks clouds, and optionally cloud shadows, in a scene.
+ *
+ * @param {ee.Image} image - Sentinel-2 SR scene, with the band added by
+ *                           addCloudBands where the method needs one.
+ * @param {Object} options - Output of getMaskMethod.
+ * @returns {ee.Image} - Masked scene.
+ */
+var maskImage = function(image, options) {
+  var clouds = cloudMask(image, options);
+  var masked = clouds;
+  if (options.shadows) {
+    masked = masked.or(shadowMask(image, clouds, options));
+  }
+  if (options.buffer > 0) {
+    masked = masked.focalMax({radius: options.buffer, units: 'meters'});
+  }
+  return image.updateMask(masked.not());
+};
+
+/**
+ * Masks clouds, and optionally cloud shadows, in a Sentinel-2 SR
+ * (harmonized) collection.
+ *
+ * @param {ee.ImageCollection} collection - Sentinel-2 SR scenes.
+ * @param {string|Object} [maskMethod='qa60'] - Mask method name or
+ *                        options (see getMaskMethod).
+ * @returns {ee.ImageCollection} - Masked scenes with their original
+ *                                 bands and properties.
+ * @throws {Error} If the mask method is unknown.
+ */
+exports.maskS2Collection = function(collection, maskMethod) {
+  var options = getMaskMethod(maskMethod);
+  var cloudBands = {
+    cloudScorePlus: [options.band],
+    s2cloudless: ['probability']
+  }[options.method] || [];
+
+  // Drop the band added by addCloudBands. Band names come from each
+  // scene, so an empty collection stays valid.
+  return addCloudBands(collection, options).map(function(image) {
+    var masked = maskImage(image, options);
+    return masked.select(masked.bandNames().removeAll(cloudBands));
+  });
+};
+
+
+// Usage example of maskS2Collection
+
+// var cloud_masks = require(
+//   "users/bgcasey/science_centre:functions/sentinel_cloud_masks"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// var s2 = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+//            .filterBounds(aoi)
+//            .filterDate('2023-07-01', '2023-08-01');
+
+// // Cloud Score+ with the default threshold
+// var csPlus = cloud_masks.maskS2Collection(s2, 'cloudScorePlus');
+
+// // s2cloudless with projected shadows and a 100 m buffer
+// var s2cloudless = cloud_masks.maskS2Collection(s2, {
+//   method: 's2cloudless',
+//   threshold: 40,
+//   buffer: 100
+// });
+
+// Map.centerObject(aoi, 10);
+// Map.addLayer(csPlus.median(), {bands: ['B4', 'B3', 'B2'], max: 3000},
+//              'Cloud Score+');
+// Map.addLayer(s2cloudless.median(),
+//              {bands: ['B4', 'B3', 'B2'], max: 3000}, 's2cloudless');
@@ -8,7 +8,15 @@
  * indices and apply masks to a time series of Sentinel-2 images. 
  * The indices include vegetation, moisture, and stress-related 
  * indices. Masks are used for cloud, snow, and QA filtering.
+ *
+ * The index functions take Sentinel-2 surface reflectance images and
+ * delegate to the formulas in functions/spectral_indices.js, so they
+ * match the indices from s2_fn.
  */
+
+var spectral = require(
+  "users/bgcasey/science_centre:functions/spectral_indices"
+);
  
  
  
@@ -20,12 +28,7 @@
  */
  
 exports.addCRE = function(image) {
-  var CRE = image.expression(
-    '(RedEdge3 / RedEdge1) - 1', {
-      'RedEdge1': image.select('B5'),
-      'RedEdge3': image.select('B7'),
-    }).rename('CRE');
-  return image.addBands([CRE]);
+  return spectral.addIndex(image, 'CRE', 'sentinel2');
 };
  
 /**
@@ -35,14 +38,7 @@ exports.addCRE = function(image) {
  */
  
 exports.addDSWI = function(image) {
-  var DSWI = image.expression(
-    '(NIR + Green) / (Red + SWIR)', {
-      'NIR': image.select('B8'),
-      'Green': image.select('B3'),
-      'Red': image.select('B4'),
-      'SWIR': image.select('B11'),  
-    }).rename('DSWI');
-  return image.addBands([DSWI]);
+  return spectral.addIndex(image, 'DSWI', 'sentinel2');
 };
 
 /**
@@ -51,13 +47,7 @@ exports.addDSWI = function(image) {
  * @returns {ee.Image} The image with the added DRS band.
  */
 exports.addDRS = function(image) {
-  var DRS = image.expression(
-    'sqrt(((RED) * (RED)) + ((SWIR) * (SWIR)))', {
-      'SWIR': image.select('B11'),
-      'RED': image.select('B4'),
-    }).rename('DRS');
-  return image.addBands([DRS])
-    .copyProperties(image, ['system:time_start']);
+  return spectral.addIndex(image, 'DRS', 'sentinel2');
 };
 
 /**
@@ -67,13 +57,7 @@ exports.addDRS = function(image) {
  * @returns {Object} The image with the EVI band added.
  */
 exports.addEVI = function(image) {
-  var EVI = image.expression(
-    '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))', {
-      'NIR': image.select('B8'),
-      'RED': image.select('B4'),
-      'BLUE': image.select('B2')
-    }).rename('EVI');
-  return image.addBands([EVI]);
+  return spectral.addIndex(image, 'EVI', 'sentinel2');
 };
 
 /**
@@ -83,9 +67,7 @@ exports.addEVI = function(image) {
  * @returns {ee.Image} The image with the added GNDVI band.
  */
 exports.addGNDVI = function(image) {
-  var GNDVI = image.normalizedDifference(['B8', 'B3'])
-    .rename('GNDVI');
-  return image.addBands([GNDVI]);
+  return spectral.addIndex(image, 'GNDVI', 'sentinel2');
 };
 
 
@@ -96,16 +78,7 @@ exports.addGNDVI = function(image) {
  * @returns {Object} The image with the LAI band added.
  */
 exports.addLAI = function(image) {
-  var LAI = image.expression(
-    '3.618 * (EVI) - 0.118', {
-      'EVI': image.expression(
-        '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))', {
-          'NIR': image.select('B8'),
-          'RED': image.select('B4'),
-          'BLUE': image.select('B2')
-        })
-    }).rename('LAI');
-  return image.addBands([LAI]);
+  return spectral.addIndex(image, 'LAI', 'sentinel2');
 };
 
 /**
@@ -115,12 +88,7 @@ exports.addLAI = function(image) {
  * @returns {Object} The image with the NBR band added.
  */
 exports.addNBR = function(image) {
-  var NBR = image.expression(
-    '(NIR - SWIR2) / (NIR + SWIR2)', {
-      'NIR': image.select('B8'),
-      'SWIR2': image.select('B12'),
-    }).rename('NBR');
-  return image.addBands([NBR]);
+  return spectral.addIndex(image, 'NBR', 'sentinel2');
 };
 
 
@@ -131,12 +99,7 @@ exports.addNBR = function(image) {
  * @returns {ee.Image} The image with the added NDRE1 band.
  */
 exports.addNDRE1 = function(image) {
-  var NDRE1 = image.expression(
-    '(RedEdge2 - RedEdge1) / (RedEdge2 + RedEdge1)', {
-      'RedEdge2': image.select('B6'),
-      'RedEdge1': image.select('B5'),
-    }).rename('NDRE1');
-  return image.addBands([NDRE1]);
+  return spectral.addIndex(image, 'NDRE1', 'sentinel2');
 };
 
 /**
@@ -145,34 +108,17 @@ exports.addNDRE1 = function(image) {
  * @returns {ee.Image} The image with the added NDRE2 band.
  */
 exports.addNDRE2 = function(image) {
-  var NDRE2 = image.expression(
-    '(RedEdge3 - RedEdge1) / (RedEdge3 + RedEdge1)', {
-      'RedEdge3': image.select('B7'),
-      'RedEdge1': image.select('B5'),
-    }).rename('NDRE2');
-  return image.addBands([NDRE2]);
+  return spectral.addIndex(image, 'NDRE2', 'sentinel2');
 };
 
 
 /**
  * Adds Normalized Difference Red-edge Index 3 (NDRE3) band to an image.
- * Checks for required bands before applying the calculation.
  * @param {ee.Image} image - The input image.
- * @returns {ee.Image} The image with the added NDRE3 band (if bands exist).
+ * @returns {ee.Image} The image with the added NDRE3 band.
  */
 exports.addNDRE3 = function(image) {
-  var bands = ['B8A', 'B7']; // Required bands
-  var hasBands = bands.every(function(b) { return image.bandNames().contains(b); });
-
-  return ee.Algorithms.If(
-    hasBands,
-    image.addBands(image.expression(
-      '(RedEdge4 - RedEdge3) / (RedEdge4 + RedEdge3)', {
-        'RedEdge4': image.select('B8A'),
-        'RedEdge3': image.select('B7')
-      }).rename('NDRE3')),
-    image  // Return original image if bands are missing
-  );
+  return spectral.addIndex(image, 'NDRE3', 'sentinel2');
 };
 
 /**
@@ -181,9 +127,7 @@ exports.addNDRE3 = function(image) {
  * @returns {ee.Image} The image with the added NDVI band.
  */
 exports.addNDVI = function(image) {
-  var NDVI = image.normalizedDifference(['B8', 'B4'])
-    .rename('NDVI');
-  return image.addBands([NDVI])
+  return spectral.addIndex(image, 'NDVI', 'sentinel2');
 };
 
 
@@ -195,12 +139,7 @@ exports.addNDVI = function(image) {
  * @returns {ee.Image} The image with the added NDWI band.
  */
 exports.addNDWI = function(image) {
-  var NDWI = image.expression(
-    '(Green - NIR) / (Green + NIR)', {
-      'NIR': image.select('B8'),
-      'Green': image.select('B3'),
-    }).rename('NDWI');
-  return image.addBands([NDWI]);
+  return spectral.addIndex(image, 'NDWI', 'sentinel2');
 };
 
 // /**
@@ -222,24 +161,16 @@ exports.addNDRS = function(image, forestTypes) {
   // Extract the year from the image properties
   var year = ee.Number.parse(image.get('year'));
 
-  // Define start and end dates based on the year
-  var startDate = ee.Algorithms.If(
-    year.gte(2019),
-    ee.Date('2019-01-01'),
-    ee.Date(year.format().cat('-01-01')) // Start date of "year-01-01"
+  // Load landcover data for the year. VLCE2 covers 1984-2019, so
+  // other years use the nearest year in the record, which is recorded
+  // in the forest_lc_source_year property.
+  var forestAttributes = require(
+    "users/bgcasey/science_centre:functions/forest_attributes"
   );
-  
-  var endDate = ee.Algorithms.If(
-    year.gte(2019),
-    ee.Date('2019-12-31'),
-    ee.Date(year.format().cat('-12-31')) // End date of "year-12-31"
-  );
-  
-    // Load landcover data for the specified period
-  var forest_lc = require("users/bgcasey/science_centre:functions/annual_forest_land_cover");
-  var lcCollection = forest_lc.lc_fn(startDate, endDate, aoi);
-  var landcoverImage = ee.Image(lcCollection.first())
-    .select('forest_lc_class');
+  var landcover = forestAttributes.getForestAttributes(year, aoi, {
+    layers: ['forest_lc_class']
+  });
+  var landcoverImage = landcover.select('forest_lc_class');
   
   // Create a mask for the specified forest types
   forestTypes = forestTypes || [210, 220, 230]; // Default to all three types
@@ -298,30 +229,21 @@ exports.addNDRS = function(image, forestTypes) {
   NDRS = NDRS.rename(renamedBands);
   
   // Add the renamed NDRS band to the image
-  return image.addBands(NDRS);
+  return image.addBands(NDRS).set(
+    'forest_lc_source_year',
+    landcover.get('forest_lc_class_source_year')
+  );
 };
 
 
 
 /**
  * Adds Ratio Drought Index (RDI) band to an image.
- * Checks for required bands before applying the calculation.
  * @param {ee.Image} image - The input image.
- * @returns {ee.Image} The image with the added RDI band (if bands exist).
+ * @returns {ee.Image} The image with the added RDI band.
  */
 exports.addRDI = function(image) {
-  var bands = ['B12', 'B8A']; // Required bands
-  var hasBands = bands.every(function(b) { return image.bandNames().contains(b); });
-
-  return ee.Algorithms.If(
-    hasBands,
-    image.addBands(image.expression(
-      'SWIR2 / RedEdge4', {
-        'SWIR2': image.select('B12'),
-        'RedEdge4': image.select('B8A')
-      }).rename('RDI')),
-    image  // Return original image if bands are missing
-  );
+  return spectral.addIndex(image, 'RDI', 'sentinel2');
 };
 
 
@@ -345,20 +267,18 @@ exports.createBinaryMask = function(image) {
 
 
 /**
- * Function to mask clouds using the Sentinel-2 QA band
+ * Function to mask clouds using the Sentinel-2 QA band. Delegates to 
+ * sentinel_cloud_masks.maskS2Collection with the 'qa60' method.
  * @param {ee.Image} image Sentinel-2 image
  * @return {ee.Image} cloud masked Sentinel-2 image
  */
 exports.maskS2clouds = function(image) {
-  var qa = image.select('QA60');
-
-  // Bits 10 and 11 are clouds and cirrus, respectively.
-  var cloudBitMask = 1 << 10;
-  var cirrusBitMask = 1 << 11;
-
-  // Both flags should be set to zero, indicating clear conditions.
-  var mask = qa.bitwiseAnd(cloudBitMask).eq(0)
-      .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
+  var cloudMasks = require(
+    "users/bgcasey/science_centre:functions/sentinel_cloud_masks"
+  );
+  var masked = ee.Image(cloudMasks.maskS2Collection(
+    ee.ImageCollection([image]), 'qa60'
+  ).first());
 
-  return image.updateMask(mask).divide(10000);
+  return masked.divide(10000);
 }
@@ -10,21 +10,77 @@
  * The script performs the following steps:
  * 
  * 1. Retrieves the Sentinel-2 collection for the specified date range and AOI.
- * 2. Applies cloud masking to the images.
+ * 2. Applies cloud masking to the images with the chosen mask method
+ *    (QA60 by default; see functions/sentinel_cloud_masks.js), and
+ *    optionally harmonizes reflectance to a Landsat sensor space (see
+ *    functions/harmonization.js).
  * 3. Calculates the selected indices for each image in the collection.
- * 4. Merges the results into a single image collection, providing the median
- *    composite for each date range.
+ * 4. Merges the results into a single image collection, providing a
+ *    composite for each date range summarised by the chosen statistic(s)
+ *    (median by default), with a count of the clear observations
+ *    behind each pixel.
  * 
  * Example usage is provided that demonstrates how to specify dates,
  * intervals, AOI, and indices for the analysis, and how to visualize the
  * results in Google Earth Engine.
  */
  
-// Import the required module for Sentinel-2 indices calculations
-var indices = require(
-  "users/bgcasey/science_centre:functions/sentinel_indices_and_masks"
+// Import the required modules for indices, statistics and cloud masks
+var spectral = require(
+  "users/bgcasey/science_centre:functions/spectral_indices"
+);
+var utils = require("users/bgcasey/science_centre:functions/utils");
+var cloudMasks = require(
+  "users/bgcasey/science_centre:functions/sentinel_cloud_masks"
+);
+var harmonization = require(
+  "users/bgcasey/science_centre:functions/harmonization"
 );
 
+/**
+ * Retrieves the cloud-masked Sentinel-2 Surface Reflectance collection 
+ * for a given time period and area of interest (AOI). Granules with 
+ * 20% or more cloudy pixels are dropped before masking.
+ * 
+ * @param {ee.Date|string} startDate - The start date for the collection.
+ * @param {ee.Date|string} endDate - The end date for the collection.
+ * @param {ee.Geometry} aoi - The area of interest.
+ * @param {string|Object} [maskMethod='qa60'] - Cloud mask method name 
+ *                        or options. See 
+ *                        sentinel_cloud_masks.getMaskMethod.
+ * @param {string|Object} [harmonizationOptions] - Landsat sensor space 
+ *                        to harmonize reflectance to (see 
+ *                        harmonization.getHarmonization). Harmonized 
+ *                        images have only the six harmonized Landsat 
+ *                        bands (SR_B1 to SR_B5, SR_B7).
+ * @returns {ee.ImageCollection} Masked images scaled to reflectance, 
+ *                               with system:time_start.
+ */
+var getS2Collection = function(startDate, endDate, aoi, maskMethod,
+                               harmonizationOptions) {
+  var collection = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+                     .filterBounds(aoi)
+                     .filterDate(startDate, endDate)
+                     // Pre-filter to get less cloudy granules.
+                     .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE',20));
+  
+  var scaled = cloudMasks.maskS2Collection(collection, maskMethod)
+    .map(function(image) {
+      // Scaling drops the image's properties
+      return ee.Image(image.divide(10000)
+                        .copyProperties(image, ['system:time_start']));
+    });
+  if (!harmonizationOptions) {
+    return scaled;
+  }
+
+  return scaled.map(function(image) {
+    return harmonization.harmonize(image, 'S2', harmonizationOptions);
+  });
+};
+
+exports.getS2Collection = getS2Collection;
+
 /**
  * Function to process Sentinel-2 images, calculate indices,
  * and merge them into a single collection.
@@ -35,15 +91,57 @@ var indices = require(
  *                                'months', 'years').
  * @param {Object} aoi - Area of interest as an ee.Geometry object.
  * @param {Array} selectedIndices - Indices to calculate (e.g., ['NDVI']).
- * @returns {ee.ImageCollection} - Processed images clipped to AOI.
+ *                                 See functions/spectral_indices.js.
+ * @param {string|Array} [statistic='median'] - Statistic to apply ('mean',
+ *                                  'median', 'max', a percentile such as 
+ *                                  'p90', etc.), or an array of them for 
+ *                                  one band per statistic (e.g., 
+ *                                  NDVI_p10, NDVI_p50, NDVI_p90).
+ *                                  See utils.reduceByStatistic.
+ * @param {string|Object} [maskMethod='qa60'] - Cloud mask method: 
+ *                        'qa60', 'cloudScorePlus', 's2cloudless' or 
+ *                        'scl', or an options object such as 
+ *                        {method: 'cloudScorePlus', shadows: true}.
+ *                        See sentinel_cloud_masks.getMaskMethod.
+ * @param {string|Object} [harmonizationOptions] - Landsat sensor space 
+ *                        to harmonize to: 'etm' or 'oli', or an options 
+ *                        object such as {target: 'oli', model: 'ols'} 
+ *                        (see harmonization.getHarmonization). The 
+ *                        output then has the band names of ls_fn 
+ *                        (SR_B1 to SR_B5, SR_B7), so the two can be 
+ *                        merged into one time series. Red-edge indices
+ *                        are not available. Not harmonized by default.
+ * @returns {ee.ImageCollection} - Processed images clipped to AOI, each 
+ *                                 with a clear_obs band counting the 
+ *                                 unmasked observations per pixel.
+ * @throws {Error} If an index is not in the spectral index registry, or 
+ *                 a statistic, mask method or harmonization is unknown.
  */
-exports.s2_fn = function(dates, interval, intervalType, aoi, selectedIndices) {
+exports.s2_fn = function(dates, interval, intervalType, aoi, selectedIndices, 
+                         statistic, maskMethod, harmonizationOptions) {
+  
+  // Harmonized images use the harmonized Landsat band names
+  var sensor = harmonizationOptions ? 'sentinel2_harmonized' : 'sentinel2';
+  var rawBandNames = harmonizationOptions ?
+    ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'] :
+    ['B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 
+     'B8', 'B8A', 'B9', 'B11', 'B12'];
+  var redBand = harmonizationOptions ? 'SR_B3' : 'B4';
+  var properties = harmonizationOptions ?
+    harmonization.describeHarmonization(harmonizationOptions, ['S2']) : {};
+
+  // Fail early on index names, statistics, mask methods and 
+  // harmonizations that are not supported
+  spectral.checkIndices(selectedIndices, sensor);
+  statistic = statistic || 'median';
+  utils.getStatisticReducer(statistic);
+  cloudMasks.getMaskMethod(maskMethod);
   
   /**
    * Process images for a single date.
    * 
    * @param {string} d1 - Start date string for the image collection.
-   * @returns {ee.Image} - Median image with selected indices.
+   * @returns {ee.Image} - Composite image with selected indices.
    */
   var s2_ts = function(d1) {
     var start = ee.Date(d1);
@@ -54,90 +152,34 @@ exports.s2_fn = function(dates, interval, intervalType, aoi, selectedIndices) {
     
     var end = start.advance(interval, intervalType);
     // Get Sentinel-2 collection for the date range
-    var s2Collection = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
-                          .filterBounds(aoi)
-                          .filterDate(start, end)
-                          // Pre-filter to get less cloudy granules.
-                          .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE',20))
-                          .map(indices.maskS2clouds);
-
-// Apply selected indices to the collection
-selectedIndices.forEach(function(index) {
-  switch(index) {
-    case 'BSI':
-      s2Collection = s2Collection.map(indices.addBSI); 
-      break;
-    case 'CRE':
-      s2Collection = s2Collection.map(indices.addCRE);
-      break;
-    case 'DRS':
-      s2Collection = s2Collection.map(indices.addDRS);
-      break;
-    case 'DSWI':
-      s2Collection = s2Collection.map(indices.addDSWI);
-      break;
-    case 'EVI':
-      s2Collection = s2Collection.map(indices.addEVI); 
-      break;
-    case 'GNDVI':
-      s2Collection = s2Collection.map(indices.addGNDVI);
-      break;
-    case 'LAI':
-      s2Collection = s2Collection.map(indices.addLAI); 
-      break;
-    case 'NBR':
-      s2Collection = s2Collection.map(indices.addNBR);
-      break;
-    case 'NDMI':
-      s2Collection = s2Collection.map(indices.addNDWI); 
-      break;
-    case 'NDRE1':
-      s2Collection = s2Collection.map(indices.addNDRE1);
-      break;
-    case 'NDRE2':
-      s2Collection = s2Collection.map(indices.addNDRE2);
-      break;
-    case 'NDRE3':
-      s2Collection = s2Collection.map(indices.addNDRE3);
-      break;
-    case 'NDVI':
-      s2Collection = s2Collection.map(indices.addNDVI);
-      break;
-    case 'NDRS':
-      s2Collection = s2Collection.map(indices.addNDRS);
-      break;
-    case 'NDWI':
-      s2Collection = s2Collection.map(indices.addNDWI); 
-      break;  
-    case 'RDI':
-      s2Collection = s2Collection.map(indices.addRDI);
-      break;
-    case 'SAVI':
-      s2Collection = s2Collection.map(indices.addSAVI); 
-      break;
-    case 'SI':
-      s2Collection = s2Collection.map(indices.addSI); 
-      break;
-    // Additional indices can be added here
-  }
-});
+    var s2Collection = getS2Collection(start, end, aoi, maskMethod,
+                                       harmonizationOptions);
+
+    // Apply selected indices to the collection
+    s2Collection = s2Collection.map(function(image) {
+      return spectral.addIndices(image, selectedIndices, sensor);
+    });
     
-    // Create a median composite of the raw bands
-    var rawBands = s2Collection.select([
-      'B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 
-      'B8', 'B8A', 'B9', 'B11', 'B12'
-    ]).median();
+    // Create a composite of the raw bands
+    var rawBands = utils.reduceByStatistic(s2Collection.select(rawBandNames),
+                                           statistic);
+
+    // Create a composite of the calculated indices
+    var indicesComposite = utils.reduceByStatistic(
+      s2Collection.select(selectedIndices), statistic
+    );
 
-    // Create a median composite of the calculated indices
-    var indicesComposite = s2Collection.select(selectedIndices).median();
+    // Count the clear observations behind each pixel (red band)
+    var clearObs = utils.countObservations(s2Collection, redBand,
+                                           'clear_obs');
 
-    // Combine raw bands and calculated indices into one image
-    return indicesComposite.addBands(rawBands).set({
+    // Combine raw bands, calculated indices and the count into one image
+    return indicesComposite.addBands(rawBands).addBands(clearObs).set({
       "start_date": start.format('YYYY-MM-dd'), 
       "end_date": end.format('YYYY-MM-dd'), 
       "month": start.get('month'), 
       "year": start.get('year')
-    });
+    }).set(properties);
   };
 
   // Map processing function over dates, clip to AOI, return collection
@@ -175,12 +217,20 @@ selectedIndices.forEach(function(index) {
 // var intervalType = 'months';
 
 // // Define which indices to calculate
-// Available Indices: DSWI, DRS, NDRE3, NDVI, NDWI, NDRS, RDI
+// Available Indices: BI, BSI, CI, CRE, DRS, DSWI, DVI, EVI, GNDVI, LAI, NBR, NDBI, NDMI, NDRE1, NDRE2, NDRE3, NDSI, NDVI, NDWI, NSRVI, RDI, RVI, SAVI, SI, TVI
+// NDRS is normalised against the forest pixels of a composite, so add
+// it to the output with sentinel_indices_and_masks.addNDRS instead.
 // var selectedIndices = ['NDVI'];
 
+// // Define the cloud mask method: 'qa60' (default), 'cloudScorePlus',
+// // 's2cloudless' or 'scl', or an options object such as
+// // {method: 's2cloudless', shadows: true, buffer: 100}
+// var maskMethod = 'cloudScorePlus';
+
 // // Call s2_fn with specified parameters
 // var sentinel2Collection = sentinel_time_series.s2_fn(
-//   dates, interval, intervalType, aoi, selectedIndices
+//   dates, interval, intervalType, aoi, selectedIndices, 'median', 
+//   maskMethod
 // );
 // print('Sentinel-2 Image Collection:', sentinel2Collection);
 
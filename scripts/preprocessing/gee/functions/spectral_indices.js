@@ -0,0 +1,693 @@
+/**
+ * title: Spectral Index Registry
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * A single registry of the spectral indices used by the time-series
+ * functions. Each index records its formula (written with common
+ * band names such as 'nir' and 'red'), the bands it needs, its valid
+ * range and a citation. A band-alias table per sensor maps the
+ * common names (blue, green, red, rededge1-4, nir, swir1, swir2, and
+ * thermal for land surface temperature in degrees Celsius) to
+ * that sensor's band names, so `ls_fn`, `s2_fn` and any future sensor
+ * compute indices from the same definitions.
+ *
+ * `toCommonBands` and `getCommonCollection` rename a sensor's bands
+ * to the common names. The `addX` functions at the end of this file
+ * (e.g., `addNDVI`) then run unchanged on images from any sensor,
+ * including MODIS MOD09 surface reflectance.
+ *
+ * Unknown index names, or indices a sensor lacks the bands for,
+ * raise an error instead of being silently skipped.
+ *
+ * NDRS is not in the registry: it is normalised against forest
+ * pixels of a composite, so it is added to composites with
+ * `addNDRS` from the indices and masks modules.
+ */
+
+
+/**
+ * Common band names shared by every sensor. Index formulas are
+ * written with these names only.
+ */
+var COMMON_BANDS = [
+  'blue', 'green', 'red', 'rededge1', 'rededge2', 'rededge3',
+  'rededge4', 'nir', 'swir1', 'swir2', 'thermal'
+];
+
+// Landsat 8/9 OLI surface reflectance bands
+var OLI_BANDS = {
+  blue: 'SR_B2',
+  green: 'SR_B3',
+  red: 'SR_B4',
+  nir: 'SR_B5',
+  swir1: 'SR_B6',
+  swir2: 'SR_B7'
+};
+
+// Landsat 5/7 TM/ETM+ surface reflectance bands. Harmonized
+// Landsat collections use the same names.
+var ETM_BANDS = {
+  blue: 'SR_B1',
+  green: 'SR_B2',
+  red: 'SR_B3',
+  nir: 'SR_B4',
+  swir1: 'SR_B5',
+  swir2: 'SR_B7'
+};
+
+// Harmonized Landsat 5/7/8/9 bands: ETM+ reflectance bands plus
+// surface temperature in degrees Celsius, which harmonization maps
+// from ST_B10 (Landsat 8/9) to ST_B6
+var HARMONIZED_BANDS = {
+  blue: 'SR_B1',
+  green: 'SR_B2',
+  red: 'SR_B3',
+  nir: 'SR_B4',
+  swir1: 'SR_B5',
+  swir2: 'SR_B7',
+  thermal: 'ST_B6'
+};
+
+/**
+ * Common band name -> sensor band name, per sensor.
+ *
+ * - common: Images whose bands already use the common names, e.g.
+ *   the output of `toCommonBands`.
+ * - landsat: Harmonized Landsat 5/7/8/9 surface reflectance and
+ *   surface temperature (degrees Celsius), named with ETM+ band
+ *   numbers as returned by `getHarmonizedLSCollection` in
+ *   landsat_time_series.js.
+ * - landsat5, landsat7, landsat8, landsat9: Unharmonized Landsat
+ *   Collection 2 Level-2 surface reflectance. Their thermal bands are
+ *   not scaled by `getCommonCollection`, so they have no thermal
+ *   alias.
+ * - sentinel2: Sentinel-2 MSI surface reflectance.
+ * - sentinel2_harmonized: Sentinel-2 surface reflectance harmonized to
+ *   a Landsat sensor space (see harmonization.js), named like the
+ *   harmonized Landsat collection. It has no thermal band.
+ * - modis: MODIS MOD09 surface reflectance (MOD09GA, MOD09A1).
+ * - modis_vi: MODIS MOD13 vegetation index composite reflectance
+ *   (MOD13Q1), which has blue, red, NIR and 2.1 um SWIR bands only.
+ * - modis_nbar: MODIS MCD43A4 nadir BRDF-adjusted reflectance.
+ */
+var BAND_ALIASES = {
+  common: {
+    blue: 'blue',
+    green: 'green',
+    red: 'red',
+    rededge1: 'rededge1',
+    rededge2: 'rededge2',
+    rededge3: 'rededge3',
+    rededge4: 'rededge4',
+    nir: 'nir',
+    swir1: 'swir1',
+    swir2: 'swir2',
+    thermal: 'thermal'
+  },
+  landsat: HARMONIZED_BANDS,
+  landsat5: ETM_BANDS,
+  landsat7: ETM_BANDS,
+  landsat8: OLI_BANDS,
+  landsat9: OLI_BANDS,
+  sentinel2: {
+    blue: 'B2',
+    green: 'B3',
+    red: 'B4',
+    rededge1: 'B5',
+    rededge2: 'B6',
+    rededge3: 'B7',
+    nir: 'B8',
+    rededge4: 'B8A',
+    swir1: 'B11',
+    swir2: 'B12'
+  },
+  sentinel2_harmonized: ETM_BANDS,
+  modis: {
+    blue: 'sur_refl_b03',
+    green: 'sur_refl_b04',
+    red: 'sur_refl_b01',
+    nir: 'sur_refl_b02',
+    swir1: 'sur_refl_b06',
+    swir2: 'sur_refl_b07'
+  },
+  modis_vi: {
+    blue: 'sur_refl_b03',
+    red: 'sur_refl_b01',
+    nir: 'sur_refl_b02',
+    swir2: 'sur_refl_b07'
+  },
+  modis_nbar: {
+    blue: 'Nadir_Reflectance_Band3',
+    green: 'Nadir_Reflectance_Band4',
+    red: 'Nadir_Reflectance_Band1',
+    nir: 'Nadir_Reflectance_Band2',
+    swir1: 'Nadir_Reflectance_Band6',
+    swir2: 'Nadir_Reflectance_Band7'
+  }
+};
+
+/**
+ * Earth Engine collection id -> sensor and the scale and offset that
+ * convert its stored values to surface reflectance.
+ */
+var COLLECTIONS = {
+  'LANDSAT/LT05/C02/T1_L2': {
+    sensor: 'landsat5', scale: 0.0000275, offset: -0.2
+  },
+  'LANDSAT/LE07/C02/T1_L2': {
+    sensor: 'landsat7', scale: 0.0000275, offset: -0.2
+  },
+  'LANDSAT/LC08/C02/T1_L2': {
+    sensor: 'landsat8', scale: 0.0000275, offset: -0.2
+  },
+  'LANDSAT/LC09/C02/T1_L2': {
+    sensor: 'landsat9', scale: 0.0000275, offset: -0.2
+  },
+  'COPERNICUS/S2_SR_HARMONIZED': {
+    sensor: 'sentinel2', scale: 0.0001, offset: 0
+  },
+  'MODIS/061/MOD09GA': {
+    sensor: 'modis', scale: 0.0001, offset: 0
+  },
+  'MODIS/061/MOD09A1': {
+    sensor: 'modis', scale: 0.0001, offset: 0
+  },
+  'MODIS/061/MOD13Q1': {
+    sensor: 'modis_vi', scale: 0.0001, offset: 0
+  },
+  'MODIS/061/MCD43A4': {
+    sensor: 'modis_nbar', scale: 0.0001, offset: 0
+  }
+};
+
+// NDVI bins whose hottest pixels define the TVDI dry edge
+var TVDI_BINS = {min: 0.1, width: 0.05, count: 16};
+
+/**
+ * Calculates the Temperature Vegetation Dryness Index of an image
+ * from its NDVI-surface temperature space. The dry edge is a linear
+ * fit of the highest temperature in each NDVI bin (TVDI_BINS) against
+ * NDVI; the wet edge is the lowest temperature. Both are found over
+ * the image footprint at 120 m, so images need clear pixels in at
+ * least two NDVI bins; TVDI is masked for images that do not have them
+ * (e.g., fully cloud-masked scenes).
+ *
+ * @param {Object} bands - Single-band images by common band name
+ *                         (red, nir, thermal).
+ * @param {ee.Image} image - The image the bands come from.
+ * @returns {ee.Image} TVDI, 0 at the wet edge and 1 at the dry edge.
+ */
+var tvdi = function(bands, image) {
+  var ndvi = bands.nir.subtract(bands.red).divide(bands.nir.add(bands.red));
+  var lst = bands.thermal.rename('lst');
+  var region = image.geometry();
+
+  // Hottest pixel in each NDVI bin
+  var binned = [];
+  var centres = [];
+  for (var i = 0; i < TVDI_BINS.count; i++) {
+    var lower = TVDI_BINS.min + i * TVDI_BINS.width;
+    binned.push(lst.updateMask(ndvi.gte(lower)
+                                   .and(ndvi.lt(lower + TVDI_BINS.width)))
+                   .rename('bin_' + i));
+    centres.push(lower + TVDI_BINS.width / 2);
+  }
+  var maxima = ee.Image.cat(binned).reduceRegion({
+    reducer: ee.Reducer.max(),
+    geometry: region,
+    scale: 120,
+    bestEffort: true
+  });
+
+  // Dry edge: maximum temperature as a linear function of NDVI
+  var edgePoints = ee.FeatureCollection(centres.map(function(centre, i) {
+    return ee.Feature(null, {ndvi: centre, lst: maxima.get('bin_' + i)});
+  })).filter(ee.Filter.notNull(['lst']));
+  var dryEdge = edgePoints.reduceColumns(ee.Reducer.linearFit(),
+                                         ['ndvi', 'lst']);
+
+  // Wet edge: minimum temperature
+  var wetEdge = lst.reduceRegion({
+    reducer: ee.Reducer.min(),
+    geometry: region,
+    scale: 120,
+    bestEffort: true
+  }).get('lst');
+
+  // Without two filled bins the edges are null; use placeholders and
+  // mask the result
+  var fitted = edgePoints.size().gte(2);
+  var tMax = ndvi.multiply(ee.Number(ee.Algorithms.If(
+                   fitted, dryEdge.get('scale'), 0)))
+                 .add(ee.Number(ee.Algorithms.If(
+                   fitted, dryEdge.get('offset'), 0)));
+  var tMin = ee.Number(ee.Algorithms.If(fitted, wetEdge, 0));
+
+  return lst.subtract(tMin).divide(tMax.subtract(tMin))
+            .updateMask(ee.Image.constant(fitted));
+};
+
+/**
+ * Spectral index definitions.
+ *
+ * - name: Full index name.
+ * - formula: ee.Image.expression() formula over common band names,
+ *   or a function(bands, image) returning the index image for
+ *   indices that need more than the pixel's own values (e.g., TVDI).
+ * - bands: Common band names the formula uses.
+ * - range: [min, max] the result is clamped to, or null when the
+ *   index is unbounded.
+ * - citation: Source of the formula, or null when it has no single
+ *   published source.
+ */
+var INDICES = {
+  BI: {
+    name: 'Brightness Index',
+    formula: 'sqrt((pow(red, 2) + pow(nir, 2)) / 2)',
+    bands: ['red', 'nir'],
+    range: null,
+    citation: 'Lillesand, T. M., Kiefer, R. W., & Chipman, J. W. (2004). ' +
+      'Remote sensing and image interpretation. John Wiley & Sons.'
+  },
+  BSI: {
+    name: 'Bare Soil Index',
+    formula: '((red + swir1) - (nir + blue)) / ((red + swir1) + (nir + blue))',
+    bands: ['red', 'swir1', 'nir', 'blue'],
+    range: [-1, 1],
+    citation: 'Rikimaru, A., Roy, P. S., & Miyatake, S. (2002). Tropical ' +
+      'forest cover density mapping. Tropical Ecology, 43(1), 39-47.'
+  },
+  CI: {
+    name: 'Clay Index',
+    formula: 'swir1 / swir2',
+    bands: ['swir1', 'swir2'],
+    range: null,
+    citation: 'Drury, S. A. (1987). Image interpretation in geology. ' +
+      'Allen & Unwin.'
+  },
+  CRE: {
+    name: 'Chlorophyll Red Edge Index',
+    formula: '(rededge3 / rededge1) - 1',
+    bands: ['rededge3', 'rededge1'],
+    range: null,
+    citation: 'Gitelson, A. A., Gritz, Y., & Merzlyak, M. N. (2003). ' +
+      'Relationships between leaf chlorophyll content and spectral ' +
+      'reflectance and algorithms for non-destructive chlorophyll ' +
+      'assessment in higher plant leaves. Journal of Plant Physiology, ' +
+      '160(3), 271-282.'
+  },
+  DRS: {
+    name: 'Distance Red & SWIR',
+    formula: 'sqrt((red * red) + (swir1 * swir1))',
+    bands: ['red', 'swir1'],
+    range: null,
+    citation: null
+  },
+  DSWI: {
+    name: 'Disease Stress Water Index',
+    formula: '(nir + green) / (swir1 + red)',
+    bands: ['nir', 'green', 'swir1', 'red'],
+    range: [0, 3],
+    citation: 'Galvao, L. S., Formaggio, A. R., & Tisot, D. A. (2005). ' +
+      'Discrimination of sugarcane varieties in Southeastern Brazil with ' +
+      'EO-1 Hyperion data. Remote Sensing of Environment, 94, 523-534.'
+  },
+  DVI: {
+    name: 'Difference Vegetation Index',
+    formula: 'nir - red',
+    bands: ['nir', 'red'],
+    range: null,
+    citation: 'Jordan, C. F. (1969). Derivation of leaf area index from ' +
+      'quality of light on the forest floor. Ecology, 50(4), 663-666.'
+  },
+  EVI: {
+    name: 'Enhanced Vegetation Index',
+    formula: '2.5 * ((nir - red) / (nir + 6 * red - 7.5 * blue + 1))',
+    bands: ['nir', 'red', 'blue'],
+    range: [-2, 2],
+    citation: 'Huete, A., Didan, K., Miura, T., Rodriguez, E. P., Gao, X., ' +
+      '& Ferreira, L. G. (2002). Overview of the radiometric and ' +
+      'biophysical performance of the MODIS vegetation indices. Remote ' +
+      'Sensing of Environment, 83(1-2), 195-213.'
+  },
+  GNDVI: {
+    name: 'Green Normalized Difference Vegetation Index',
+    formula: '(nir - green) / (nir + green)',
+    bands: ['nir', 'green'],
+    range: [-1, 1],
+    citation: 'Gitelson, A. A., & Merzlyak, M. N. (1998). Remote sensing ' +
+      'of chlorophyll concentration in higher plant leaves. Advances in ' +
+      'Space Research, 22(5), 689-692.'
+  },
+  LAI: {
+    name: 'Leaf Area Index',
+    formula: '3.618 * (2.5 * ((nir - red) / ' +
+      '(nir + 6 * red - 7.5 * blue + 1))) - 0.118',
+    bands: ['nir', 'red', 'blue'],
+    range: [0, 10],
+    citation: 'Boegh, E., Soegaard, H., Broge, N., Hasager, C. B., ' +
+      'Jensen, N. O., Schelde, K., & Thomsen, A. (2002). Airborne ' +
+      'multispectral data for quantifying leaf area index, nitrogen ' +
+      'concentration, and photosynthetic efficiency in agriculture. ' +
+      'Remote Sensing of Environment, 81(2-3), 179-193.'
+  },
+  LST: {
+    name: 'Land Surface Temperature (degrees Celsius)',
+    formula: 'thermal',
+    bands: ['thermal'],
+    range: null,
+    citation: 'Cook, M., Schott, J. R., Mandel, J., & Raqueno, N. (2014). ' +
+      'Development of an operational calibration methodology for the ' +
+      'Landsat thermal data archive and initial testing of the ' +
+      'atmospheric compensation component of a Land Surface Temperature ' +
+      '(LST) product from the archive. Remote Sensing, 6(11), ' +
+      '11244-11266.'
+  },
+  NBR: {
+    name: 'Normalized Burn Ratio',
+    formula: '(nir - swir2) / (nir + swir2)',
+    bands: ['nir', 'swir2'],
+    range: [-1, 1],
+    citation: 'Key, C. H., & Benson, N. C. (2006). Landscape assessment ' +
+      '(LA). In FIREMON: Fire effects monitoring and inventory system. ' +
+      'USDA Forest Service, RMRS-GTR-164-CD.'
+  },
+  NDBI: {
+    name: 'Normalized Difference Built-up Index',
+    formula: '(swir1 - nir) / (swir1 + nir)',
+    bands: ['swir1', 'nir'],
+    range: [-1, 1],
+    citation: 'Zha, Y., Gao, J., & Ni, S. (2003). Use of normalized ' +
+      'difference built-up index in automatically mapping urban areas ' +
+      'from TM imagery. International Journal of Remote Sensing, 24(3), ' +
+      '583-594.'
+  },
+  NDMI: {
+    name: 'Normalized Difference Moisture Index',
+    formula: '(nir - swir1) / (nir + swir1)',
+    bands: ['nir', 'swir1'],
+    range: [-1, 1],
+    citation: 'Gao, B.-C. (1996). NDWI - A normalized difference water ' +
+      'index for remote sensing of vegetation liquid water from space. ' +
+      'Remote Sensing of Environment, 58(3), 257-266.'
+  },
+  NDRE1: {
+    name: 'Normalized Difference Red-edge Index 1',
+    formula: '(rededge2 - rededge1) / (rededge2 + rededge1)',
+    bands: ['rededge2', 'rededge1'],
+    range: [-1, 1],
+    citation: 'Gitelson, A., & Merzlyak, M. N. (1994). Spectral ' +
+      'reflectance changes associated with autumn senescence of Aesculus ' +
+      'hippocastanum L. and Acer platanoides L. leaves. Journal of Plant ' +
+      'Physiology, 143(3), 286-292.'
+  },
+  NDRE2: {
+    name: 'Normalized Difference Red-edge Index 2',
+    formula: '(rededge3 - rededge1) / (rededge3 + rededge1)',
+    bands: ['rededge3', 'rededge1'],
+    range: [-1, 1],
+    citation: 'Gitelson, A., & Merzlyak, M. N. (1994). Spectral ' +
+      'reflectance changes associated with autumn senescence of Aesculus ' +
+      'hippocastanum L. and Acer platanoides L. leaves. Journal of Plant ' +
+      'Physiology, 143(3), 286-292.'
+  },
+  NDRE3: {
+    name: 'Normalized Difference Red-edge Index 3',
+    formula: '(rededge4 - rededge3) / (rededge4 + rededge3)',
+    bands: ['rededge4', 'rededge3'],
+    range: [-1, 1],
+    citation: 'Gitelson, A., & Merzlyak, M. N. (1994). Spectral ' +
+      'reflectance changes associated with autumn senescence of Aesculus ' +
+      'hippocastanum L. and Acer platanoides L. leaves. Journal of Plant ' +
+      'Physiology, 143(3), 286-292.'
+  },
+  NDSI: {
+    name: 'Normalized Difference Snow Index',
+    formula: '(green - swir1) / (green + swir1)',
+    bands: ['green', 'swir1'],
+    range: [-1, 1],
+    citation: 'Hall, D. K., Riggs, G. A., & Salomonson, V. V. (1995). ' +
+      'Development of methods for mapping global snow cover using ' +
+      'moderate resolution imaging spectroradiometer data. Remote Sensing ' +
+      'of Environment, 54(2), 127-140.'
+  },
+  NDVI: {
+    name: 'Normalized Difference Vegetation Index',
+    formula: '(nir - red) / (nir + red)',
+    bands: ['nir', 'red'],
+    range: [-1, 1],
+    citation: 'Rouse, J. W., Haas, R. H., Schell, J. A., & Deering, D. W. ' +
+      '(1974). Monitoring vegetation systems in the Great Plains with ' +
+      'ERTS. NASA SP-351, 309-317.'
+  },
+  NDWI: {
+    name: 'Normalized Difference Water Index',
+    formula: '(green - nir) / (green + nir)',
+    bands: ['green', 'nir'],
+    range: [-1, 1],
+    citation: 'McFeeters, S. K. (1996). The use of the Normalized ' +
+      'Difference Water Index (NDWI) in the delineation of open water ' +
+      'features. International Journal of Remote Sensing, 17(7), ' +
+      '1425-1432.'
+  },
+  NSRVI: {
+    name: 'NIR-SWIR Ratio Vegetation Index',
+    formula: 'nir / swir1',
+    bands: ['nir', 'swir1'],
+    range: null,
+    citation: null
+  },
+  RDI: {
+    name: 'Ratio Drought Index',
+    formula: 'swir2 / rededge4',
+    bands: ['swir2', 'rededge4'],
+    range: null,
+    citation: null
+  },
+  RVI: {
+    name: 'Ratio Vegetation Index',
+    formula: 'nir / red',
+    bands: ['nir', 'red'],
+    range: [0, 10],
+    citation: 'Tucker, C. J. (1979). Red and photographic infrared linear ' +
+      'combinations for monitoring vegetation. Remote Sensing of ' +
+      'Environment, 8(2), 127-150.'
+  },
+  SAVI: {
+    name: 'Soil Adjusted Vegetation Index',
+    formula: '((nir - red) / (nir + red + 0.428)) * 1.428',
+    bands: ['nir', 'red'],
+    range: null,
+    citation: 'Huete, A. R. (1988). A soil-adjusted vegetation index ' +
+      '(SAVI). Remote Sensing of Environment, 25(3), 295-309.'
+  },
+  SI: {
+    name: 'Shadow Index',
+    formula: '(1 - blue) * (1 - green) * (1 - red)',
+    bands: ['blue', 'green', 'red'],
+    range: null,
+    citation: 'Rikimaru, A., Roy, P. S., & Miyatake, S. (2002). Tropical ' +
+      'forest cover density mapping. Tropical Ecology, 43(1), 39-47.'
+  },
+  TVDI: {
+    name: 'Temperature Vegetation Dryness Index',
+    formula: tvdi,
+    bands: ['red', 'nir', 'thermal'],
+    range: [0, 1],
+    citation: 'Sandholt, I., Rasmussen, K., & Andersen, J. (2002). A ' +
+      'simple interpretation of the surface temperature/vegetation ' +
+      'index space for assessment of surface moisture status. Remote ' +
+      'Sensing of Environment, 79(2-3), 213-224.'
+  },
+  TVI: {
+    name: 'Triangular Vegetation Index',
+    formula: '0.5 * (120 * (nir - green) - 200 * (red - green))',
+    bands: ['nir', 'red', 'green'],
+    range: null,
+    citation: 'Broge, N. H., & Leblanc, E. (2001). Comparing prediction ' +
+      'power and stability of broadband and hyperspectral vegetation ' +
+      'indices for estimation of green leaf area index and canopy ' +
+      'chlorophyll density. Remote Sensing of Environment, 76(2), 156-172.'
+  }
+};
+
+exports.indices = INDICES;
+exports.commonBands = COMMON_BANDS;
+exports.bandAliases = BAND_ALIASES;
+exports.collections = COLLECTIONS;
+
+
+/**
+ * Returns the band-alias table for a sensor.
+ *
+ * @param {string} sensor - Sensor key in the alias table
+ *                          (e.g., 'landsat', 'sentinel2', 'modis').
+ * @returns {Object} Common band name -> sensor band name.
+ */
+var getBandAliases = function(sensor) {
+  var aliases = BAND_ALIASES[sensor];
+  if (!aliases) {
+    throw new Error(
+      'Unknown sensor "' + sensor + '". Available sensors: ' +
+      Object.keys(BAND_ALIASES).join(', ') + '.'
+    );
+  }
+  return aliases;
+};
+exports.getBandAliases = getBandAliases;
+
+
+/**
+ * Checks that every selected index is in the registry and that the
+ * sensor has the bands it needs. Runs client-side, so a bad index
+ * name fails before any Earth Engine computation is built.
+ *
+ * @param {Array} selectedIndices - Index names (e.g., ['NDVI']).
+ * @param {string} sensor - Sensor key in the alias table.
+ * @throws {Error} If an index is unknown or unsupported by the sensor.
+ */
+var checkIndices = function(selectedIndices, sensor) {
+  var aliases = getBandAliases(sensor);
+  selectedIndices.forEach(function(index) {
+    var def = INDICES[index];
+    if (!def) {
+      throw new Error(
+        'Unknown index "' + index + '". Available indices: ' +
+        Object.keys(INDICES).join(', ') + '.'
+      );
+    }
+    var missing = def.bands.filter(function(band) {
+      return !aliases[band];
+    });
+    if (missing.length > 0) {
+      throw new Error(
+        'Index "' + index + '" needs the ' + missing.join(', ') +
+        ' band(s), which ' + sensor + ' does not have.'
+      );
+    }
+  });
+};
+exports.checkIndices = checkIndices;
+
+
+/**
+ * Calculates one registered index for an image and adds it as a
+ * band named after the index.
+ *
+ * @param {ee.Image} image - Image with the sensor's band names.
+ * @param {string} index - Index name (e.g., 'NDVI').
+ * @param {string} sensor - Sensor key in the alias table.
+ * @returns {ee.Image} The image with the index band added.
+ */
+exports.addIndex = function(image, index, sensor) {
+  checkIndices([index], sensor);
+  var def = INDICES[index];
+  var aliases = BAND_ALIASES[sensor];
+
+  // Map the formula's common band names to the sensor's bands
+  var bandMap = {};
+  def.bands.forEach(function(band) {
+    bandMap[band] = image.select(aliases[band]);
+  });
+
+  var indexImage = typeof def.formula === 'function' ?
+    def.formula(bandMap, image).rename(index) :
+    image.expression(def.formula, bandMap).rename(index);
+  if (def.range) {
+    indexImage = indexImage.clamp(def.range[0], def.range[1]);
+  }
+  return image.addBands(indexImage);
+};
+
+
+/**
+ * Calculates several registered indices for an image.
+ *
+ * @param {ee.Image} image - Image with the sensor's band names.
+ * @param {Array} selectedIndices - Index names (e.g., ['NDVI', 'NBR']).
+ * @param {string} sensor - Sensor key in the alias table.
+ * @returns {ee.Image} The image with one band added per index.
+ */
+exports.addIndices = function(image, selectedIndices, sensor) {
+  checkIndices(selectedIndices, sensor);
+  return selectedIndices.reduce(function(img, index) {
+    return exports.addIndex(img, index, sensor);
+  }, image);
+};
+
+
+/**
+ * Renames a sensor's bands to the common band names. Bands without
+ * a common name (e.g., QA_PIXEL) keep their names.
+ *
+ * @param {ee.Image} image - Image with the sensor's band names.
+ * @param {string} sensor - Sensor key in the alias table.
+ * @returns {ee.Image} The image with common band names.
+ */
+var toCommonBands = function(image, sensor) {
+  var aliases = getBandAliases(sensor);
+
+  // Invert the alias table: sensor band name -> common name
+  var lookup = {};
+  Object.keys(aliases).forEach(function(common) {
+    lookup[aliases[common]] = common;
+  });
+  lookup = ee.Dictionary(lookup);
+
+  var newNames = image.bandNames().map(function(bandName) {
+    return lookup.get(bandName, bandName);
+  });
+  return image.rename(newNames);
+};
+exports.toCommonBands = toCommonBands;
+
+
+/**
+ * Loads a registered collection with its reflectance bands scaled to
+ * surface reflectance and renamed to the common band names, ready
+ * for the `addX` functions below. Other bands (QA, angles) are
+ * kept unscaled under their original names.
+ *
+ * @param {string} collectionId - Earth Engine collection id
+ *                                (e.g., 'MODIS/061/MOD09A1').
+ * @returns {ee.ImageCollection} The collection with common band names.
+ */
+exports.getCommonCollection = function(collectionId) {
+  var info = COLLECTIONS[collectionId];
+  if (!info) {
+    throw new Error(
+      'Unknown collection "' + collectionId + '". Available ' +
+      'collections: ' + Object.keys(COLLECTIONS).join(', ') + '.'
+    );
+  }
+  var commonNames = Object.keys(BAND_ALIASES[info.sensor]);
+
+  return ee.ImageCollection(collectionId).map(function(image) {
+    var renamed = toCommonBands(image, info.sensor);
+    var reflectance = renamed.select(commonNames)
+                             .multiply(info.scale)
+                             .add(info.offset);
+    return renamed.addBands(reflectance, null, true)
+                  .copyProperties(image, image.propertyNames());
+  });
+};
+
+
+/*
+ * Sensor-agnostic index functions, one per registered index:
+ * addBI, addBSI, addCI, ..., addNDVI, ..., addTVI.
+ *
+ * Each takes (image, sensor) and adds the index band. `sensor`
+ * defaults to 'common', so the functions can be mapped directly over
+ * a collection from `getCommonCollection`:
+ *
+ *   spectral.getCommonCollection('MODIS/061/MOD09A1')
+ *     .map(spectral.addNDVI);
+ */
+Object.keys(INDICES).forEach(function(index) {
+  exports['add' + index] = function(image, sensor) {
+    return exports.addIndex(image, index, sensor || 'common');
+  };
+});
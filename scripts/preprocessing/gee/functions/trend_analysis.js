@@ -0,0 +1,219 @@
+/**
+ * title: Time Series Trend Analysis
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Per-pixel, non-parametric trend tests for annual image collections
+ * such as those from ls_fn, s2_fn and lc_fn:
+ *
+ * 1. Averages images that share a year into one, then pairs every
+ *    year with each later year, using the images' year property as
+ *    the time axis.
+ * 2. Sen's slope: the median of the pairwise slopes, in band units per
+ *    year.
+ * 3. Mann-Kendall test: the S statistic from the signs of the pairwise
+ *    differences, Kendall's tau, and a two-sided p-value from the
+ *    normal approximation.
+ * 4. Pettitt test: the year the series shifts level most abruptly,
+ *    with an approximate p-value.
+ * 5. Counts the valid years behind each pixel's test.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+/**
+ * Suffixes of the output bands, one set per input band.
+ */
+var TREND_BANDS = ['sens_slope', 'tau', 'p_value', 'n_years', 'break_year',
+                   'break_p_value'];
+
+/**
+ * Appends a suffix to every band name of an image.
+ *
+ * @param {ee.Image} image - Image to rename.
+ * @param {ee.List} bandNames - Input band names, in band order.
+ * @param {string} suffix - Suffix, without the underscore.
+ * @returns {ee.Image} - Image with bands named <band>_<suffix>.
+ */
+var renameWithSuffix = function(image, bandNames, suffix) {
+  return image.rename(bandNames.map(function(bandName) {
+    return ee.String(bandName).cat('_' + suffix);
+  }));
+};
+
+/**
+ * Function to calculate Sen's slope, Mann-Kendall and Pettitt
+ * breakpoint statistics for each band of an annual image collection.
+ *
+ * Output bands, per input band (e.g., NDVI):
+ * - NDVI_sens_slope: Median of the slopes between all pairs of years,
+ *   in band units per year.
+ * - NDVI_tau: Kendall's tau (-1 to 1).
+ * - NDVI_p_value: Two-sided Mann-Kendall p-value. The variance of S
+ *   has no correction for ties, which are rare in continuous data but
+ *   common in class or count bands.
+ * - NDVI_n_years: Number of years with a valid pixel.
+ * - NDVI_break_year: Pettitt breakpoint, the first year after the
+ *   most significant shift in level, i.e., the split of the series
+ *   into earlier and later years whose values differ most
+ *   consistently. Masked where no split separates the values.
+ * - NDVI_break_p_value: Approximate Pettitt p-value for the
+ *   breakpoint, 2 * exp(-6K^2 / (n^3 + n^2)), capped at 1.
+ *
+ * Pixels with fewer than two valid years have no slope, tau or
+ * p-value. Pettitt finds one breakpoint; for several disturbances and
+ * recoveries in Landsat indices, see functions/landtrendr.js.
+ *
+ * @param {ee.ImageCollection} collection - Annual images, each with a
+ *                             numeric year property. Images that share
+ *                             a year (e.g., seasonal composites) are
+ *                             averaged into one, so the tests count
+ *                             years, not images.
+ * @param {Array} [bands] - Bands to test. Defaults to all bands; leave
+ *                out QA bands such as gap_fill.
+ * @returns {ee.Image} - Float trend image with start_year, end_year and
+ *                       system:time_start (1 January of start_year).
+ */
+exports.trend_fn = function(collection, bands) {
+  if (bands) {
+    collection = collection.select(bands);
+  }
+  var bandNames = ee.Image(collection.first()).bandNames();
+
+  // One image per year, so n and the pair count are counts of years
+  var yearList = collection.aggregate_array('year').distinct().sort();
+  var annual = ee.ImageCollection.fromImages(yearList.map(function(year) {
+    return collection.filter(ee.Filter.eq('year', year)).mean()
+                     .set('year', year);
+  }));
+
+  // Pair each image with every image from a later year
+  var later = ee.Filter.lessThan({
+    leftField: 'year',
+    rightField: 'year'
+  });
+  var pairs = ee.ImageCollection(
+    ee.Join.saveAll('later').apply(annual, annual, later)
+  );
+
+  var pairwise = function(fn) {
+    return ee.ImageCollection(pairs.map(function(image) {
+      return ee.ImageCollection.fromImages(image.get('later'))
+        .map(function(laterImage) {
+          return fn(image, laterImage);
+        });
+    }).flatten());
+  };
+
+  // Sen's slope
+  var sensSlope = pairwise(function(image, laterImage) {
+    var years = ee.Number(laterImage.get('year'))
+                  .subtract(image.get('year'));
+    return laterImage.subtract(image).divide(years).float();
+  }).median();
+
+  // Signs of the pairwise differences; pairs with a masked year add
+  // nothing
+  var signs = pairwise(function(image, laterImage) {
+    return laterImage.subtract(image).signum().unmask(0).float()
+      .set({'year_from': image.get('year'),
+            'year_to': laterImage.get('year')});
+  });
+
+  // Mann-Kendall S
+  var s = signs.sum();
+
+  var n = annual.count().float();
+  var nPairs = n.multiply(n.subtract(1)).divide(2);
+  var variance = nPairs.multiply(n.multiply(2).add(5)).divide(9);
+  var z = s.subtract(s.signum()).divide(variance.sqrt());
+  var pValue = z.abs().divide(Math.SQRT2).erfc();
+  var tau = s.divide(nPairs);
+
+  // Pettitt U for each split into years before and from a candidate
+  // break year: the sum of the signs of the pairs across the split
+  var shifts = ee.ImageCollection.fromImages(
+    yearList.slice(1).map(function(year) {
+      return signs.filter(ee.Filter.lessThan('year_from', year))
+                  .filter(ee.Filter.greaterThanOrEquals('year_to', year))
+                  .sum().abs().set('year', year);
+    })
+  );
+  var k = shifts.max();
+  // Earliest candidate year with the largest shift
+  var breakYear = shifts.map(function(shift) {
+    return shift.multiply(0).add(ee.Number(shift.get('year')))
+                .updateMask(shift.eq(k));
+  }).min().updateMask(k.gt(0));
+  var breakP = k.pow(2).multiply(-6)
+                .divide(n.pow(3).add(n.pow(2))).exp().multiply(2).min(1);
+
+  var startYear = ee.Number(yearList.get(0));
+  return renameWithSuffix(sensSlope, bandNames, TREND_BANDS[0])
+    .addBands(renameWithSuffix(tau, bandNames, TREND_BANDS[1]))
+    .addBands(renameWithSuffix(pValue, bandNames, TREND_BANDS[2]))
+    .addBands(renameWithSuffix(n, bandNames, TREND_BANDS[3]))
+    .addBands(renameWithSuffix(breakYear, bandNames, TREND_BANDS[4]))
+    .addBands(renameWithSuffix(breakP, bandNames, TREND_BANDS[5]))
+    .float()
+    .set({
+      'start_year': startYear,
+      'end_year': yearList.get(-1),
+      'system:time_start': ee.Date.fromYMD(startYear, 1, 1).millis()
+    });
+};
+
+
+// Usage example of trend_fn
+
+// var landsat_time_series = require(
+//   "users/bgcasey/science_centre:functions/landsat_time_series"
+// );
+// var trend_analysis = require(
+//   "users/bgcasey/science_centre:functions/trend_analysis"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Annual summer NDVI composites, 2001-2024
+// var dates = [];
+// for (var year = 2001; year <= 2024; year++) {
+//   dates.push(year + '-06-01');
+// }
+// var ls = landsat_time_series.ls_fn(
+//   dates, 3, 'months', aoi, ['NDVI'], 'median'
+// );
+
+// // Sen's slope, Mann-Kendall and Pettitt tests of NDVI
+// var trend = trend_analysis.trend_fn(ls, ['NDVI']);
+// print('Trend image:', trend);
+
+// // Map significant NDVI trends
+// Map.centerObject(aoi, 10);
+// Map.addLayer(
+//   trend.select('NDVI_sens_slope')
+//        .updateMask(trend.select('NDVI_p_value').lt(0.05)),
+//   {min: -0.01, max: 0.01, palette: ['red', 'white', 'green']},
+//   'NDVI trend (p < 0.05)'
+// );
+
+// // Export the multiband trend image
+// Export.image.toDrive({
+//   image: trend,
+//   description: 'ndvi_trend_2001_2024',
+//   folder: 'gee_exports',
+//   region: aoi,
+//   scale: 30,
+//   crs: 'EPSG:4326',
+//   maxPixels: 1e13
+// });
@@ -18,6 +18,9 @@
  *    specified bands.
  * 8. Reduce an image to buffered points and export results.
  * 9. Reduce an image collection to buffered points and export results.
+ *    Both use the extraction engine in functions/image_to_points.js.
+ * 10. Build reducers from statistic names (including percentiles and 
+ *     combinations) and composite image collections with them.
  */
 
 
@@ -342,13 +345,12 @@ exports.splitAOIIntoTiles = function(aoi, tileSize) {
 
 
 /**
- * Reduce image to buffered points
- * 
- * Processes points by optionally buffering them, applying a reducer to the buffered
- * regions or directly to the points if buffer size is 0, and renaming the properties
- * of the resulting features based on the reducer type, buffer size, and specified CRS,
- * scale, and tileScale.
- * 
+ * Reduce image to buffered points and export the results.
+ *
+ * Kept for existing scripts: the extraction is done by
+ * extractToPoints in functions/image_to_points.js, which takes an
+ * options object and leaves exporting to exportTable.
+ *
  * @param {number} bufferSize - The buffer size to apply to points.
  * @param {Object} reducer - The reducer to apply to the buffered regions.
  * @param {Object} xyPoints - The collection of points for analysis.
@@ -359,102 +361,26 @@ exports.splitAOIIntoTiles = function(aoi, tileSize) {
  * @param {number} tileScale - The scale for parallel processing.
  * @param {string} file_name - The prefix for the exported file.
  * @returns {Object} The collection with renamed properties.
- * 
  */
 var image_to_points = function(bufferSize, reducer, xyPoints, aoi, 
                              image, crs, scale, tileScale, file_name) {
-  // Convert the buffer value to a string for suffix creation
-  var bufferStr = String(bufferSize);
-
-  // Dynamically determine the reducer type for suffix creation
-  var reducerInfo = reducer.getInfo();
-  var reducerType = reducerInfo.type.split('.').pop();
-
-  // Combine reducer type and buffer size to create a suffix
-  var suffix = ee.String(reducerType).cat('_').cat(bufferStr);
-
-  // Apply buffer if bufferSize is not 0, else use the point directly
-  var processedPoints = xyPoints.filterBounds(aoi).map(function(pt) {
-    return bufferSize === 0 ? pt : pt.buffer(bufferSize);
-  });
-  
-  // Retrieve property names from the first feature of xyPoints
-  var xyProperties = ee.Feature(xyPoints.first()).propertyNames();
-  
-  // Apply the specified reducer to the buffered points with given CRS, scale, and tileScale
-  var reducedRegions = image.reduceRegions({
-    collection: processedPoints,
-    reducer: reducer,
-    crs: crs,
-    scale: scale,
-    tileScale: tileScale
-  });
-
-  // Function to rename properties of each feature
-  var renameProperties = function(feature) {
-    // Iterate over property names to create new names
-    var newProperties = ee.Dictionary(
-      feature.propertyNames().map(function(name) {
-        // Conditionally rename properties not in xyProperties
-        var newName = ee.Algorithms.If(
-          xyProperties.contains(name),
-          name,
-          ee.String(name).cat('_').cat(suffix)
-        );
-        return [newName, feature.get(name)];
-      }).flatten()
-    );
-
-    // Return a new feature with the renamed properties
-    return ee.Feature(feature.geometry(), newProperties);
-  };
-
-  // Rename properties of each feature in the reduced collection
-  var renamedFeatureCollection = reducedRegions.map(renameProperties);
-
-
-  // Export the result to Google Drive
-  Export.table.toDrive({
-    collection: renamedFeatureCollection,
-    description: file_name,
-    folder: "gee_exports",
-    fileNamePrefix: file_name,
-    fileFormat: 'CSV'
-  });
-  
-  // Return the collection with renamed properties
-  return renamedFeatureCollection;
+  var extraction = require(
+    "users/bgcasey/science_centre:functions/image_to_points"
+  );
+  return extraction.image_to_points(bufferSize, reducer, xyPoints, aoi,
+                                    image, crs, scale, tileScale,
+                                    file_name);
 };
 
 exports.image_to_points = image_to_points
 
-// // Example usage
-// var bufferSize = 500;
-// var reducer = ee.Reducer.mean();
-// var xyPoints = ss_xy;
-// var aoi = aoi;
-// var image = cov_fixed;
-// var crs = 'EPSG:3348';
-// var scale = 30;
-// var tileScale = 8;
-// var file_name = "filename"
-
-// // Call the function with the specified parameters
-// var result = utils.processPoints(bufferSize, reducer, xyPoints, aoi, image,
-//                           crs, scale, tileScale, file_name);
-
-
-
-
 /**
- * Reduce image collection to buffered points
- * 
- * Processes points by optionally buffering them, applying a reducer 
- * to the buffered regions or directly to the points if buffer size 
- * is 0, and renaming the properties the resulting features based on 
- * the reducer type, buffer size, and specified CRS, scale, and 
- * tileScale.
- * 
+ * Reduce image collection to buffered points and export the results.
+ *
+ * Kept for existing scripts: the extraction is done by
+ * extractToPoints in functions/image_to_points.js, which takes an
+ * options object and leaves exporting to exportTable.
+ *
  * @param {number} bufferSize - The buffer size to apply to points.
  * @param {Object} reducer - The reducer to apply to the buffered regions.
  * @param {Object} xyPoints - The collection of points for analysis.
@@ -469,99 +395,40 @@ exports.image_to_points = image_to_points
 var imageCollectionToPoints = function(
   bufferSize, reducer, xyPoints, aoi, imageCollection,
   crs, scale, tileScale, file_name) {
-  
-  // Convert buffer size to string for suffix creation
-  var bufferStr = String(bufferSize);
-
-  // Get reducer type for suffix creation
-  var reducerInfo = reducer.getInfo();
-  var reducerType = reducerInfo.type.split('.').pop();
-  var suffix = ee.String(reducerType).cat('_').cat(bufferStr);
-
-  // Ensure input is an ee.ImageCollection
-  imageCollection = ee.ImageCollection(imageCollection);
-
-  // Apply buffer to points or use directly based on bufferSize
-  var processedPoints = xyPoints.filterBounds(aoi).map(function(pt) {
-    return bufferSize === 0 ? pt : pt.buffer(bufferSize);
-  });
-  
-  // Retrieve property names from the first feature
-  var xyProperties = ee.Feature(xyPoints.first()).propertyNames();
-  // Retrieve property names from the first image
-  var imgProperties = ee.Feature(imageCollection.first()).propertyNames();
-  var combinedProperties = xyProperties.cat(imgProperties);
-  
-  // Map over imageCollection to reduce regions
-  var reducedRegion = imageCollection.map(function(img) {
-    return img.reduceRegions({
-      collection: processedPoints,
-      crs: crs,
-      reducer: reducer, 
-      scale: scale, 
-      tileScale: tileScale
-    }).map(function(featureWithReduction) {
-      // Copy properties from image to feature
-      return featureWithReduction.copyProperties(img);
-    });
-  }).flatten(); // Flatten the collections
-
-  // Function to rename properties of each feature
-  var renameProperties = function(feature) {
-    var newProperties = ee.Dictionary(
-      feature.propertyNames().map(function(name) {
-        // Conditionally rename properties
-        var newName = ee.Algorithms.If(
-          combinedProperties.contains(name),
-          name,
-          ee.String(name).cat('_').cat(suffix)
-        );
-        return [newName, feature.get(name)];
-      }).flatten()
-    );
-    return ee.Feature(feature.geometry(), newProperties);
-  };
-
-  // Rename properties in the reduced collection
-  var renamedFeatureCollection = reducedRegion.map(renameProperties);
-
-  // Export the result to Google Drive
-  Export.table.toDrive({
-    collection: renamedFeatureCollection,
-    description: file_name,
-    folder: "gee_exports",
-    fileNamePrefix: file_name,
-    fileFormat: 'CSV'
-  });
-  
-  return renamedFeatureCollection;
+  var extraction = require(
+    "users/bgcasey/science_centre:functions/image_to_points"
+  );
+  return extraction.imageCollectionToPoints(
+    bufferSize, reducer, xyPoints, aoi, imageCollection,
+    crs, scale, tileScale, file_name
+  );
 }
 
 // Export the function for external use
 exports.imageCollectionToPoints = imageCollectionToPoints;
 
-// Example usage
-// var bufferSize = 500;
-// var reducer = ee.Reducer.mean();
-// // Define xyPoints and aoi properly
-// var xyPoints = ss_xy; // Placeholder, define properly
-// var aoi = aoi; // Placeholder, define properly
-// // Ensure imageCollection is an ee.ImageCollection
-// var imageCollection = ee.ImageCollection(ls);
-// var crs = 'EPSG:3348';
-// var scale = 30;
-// var tileScale = 8;
-// var file_name = "ss_s2_mean_500";
-
-// // Call the function with the specified parameters
-// var ssS2Mean500 = utils.imageCollectionToPoints(
-//   bufferSize, reducer, xyPoints, aoi, 
-//   imageCollection, crs, scale, tileScale, file_name
+// // Example usage
+// var extraction = require(
+//   "users/bgcasey/science_centre:functions/image_to_points"
 // );
 
+// // Extract the mean of each band within 500 m of each point, for
+// // every image in a collection
+// var ssS2Mean500 = extraction.extractToPoints(ls, ss_xy, {
+//   buffer: 500,
+//   reducer: ee.Reducer.mean(),
+//   aoi: aoi,
+//   crs: 'EPSG:3348',
+//   scale: 30,
+//   tileScale: 8
+// });
+
 // // Print the first 10 features of the result
 // print("ssS2Mean500", ssS2Mean500.limit(10));
 
+// // Export to Google Drive
+// extraction.exportTable(ssS2Mean500, "ss_s2_mean_500");
+
 /**
  * Export all bands of each image in an ImageCollection to Google Drive.
  * 
@@ -872,4 +739,111 @@ function exportStatsToCSV(statsCollection, fileName) {
 exports.exportStatsToCSV = exportStatsToCSV;
 
 
+// Single-output reducers that can be named as a statistic
+var STATISTICS = [
+  'count', 'first', 'last', 'max', 'mean', 'median', 'min', 'mode', 
+  'stdDev', 'sum', 'variance'
+];
+
+
+/**
+ * Build a Reducer from Statistic Names
+ * 
+ * Converts a statistic into an ee.Reducer. A statistic is the name 
+ * of a single-output reducer ('mean', 'median', 'max', 'stdDev', 
+ * ...), a percentile written as 'p' plus a number ('p10', 'p90'), or 
+ * an array of these, which are combined into one reducer that shares 
+ * its inputs.
+ * 
+ * @param {string|Array} statistic - Statistic name or array of names.
+ * @return {ee.Reducer} The reducer. Its output names match the 
+ * statistic names (e.g., 'mean', 'p90').
+ * @throws {Error} If a statistic is unknown or listed twice.
+ * 
+ * @example
+ * var reducer = getStatisticReducer(['mean', 'stdDev', 'p10', 'p90']);
+ */
+function getStatisticReducer(statistic) {
+  var statistics = Array.isArray(statistic) ? statistic : [statistic];
+  if (statistics.length === 0) {
+    throw new Error('At least one statistic is required.');
+  }
+
+  var reducers = statistics.map(function(name, i) {
+    if (statistics.indexOf(name) !== i) {
+      throw new Error('Statistic "' + name + '" is listed twice.');
+    }
+    // Percentiles: 'p' followed by a number from 0 to 100
+    var match = /^p(\d+(\.\d+)?)$/.exec(name);
+    if (match && Number(match[1]) <= 100) {
+      return ee.Reducer.percentile([Number(match[1])], [name]);
+    }
+    if (STATISTICS.indexOf(name) === -1) {
+      throw new Error(
+        'Unknown statistic "' + name + '". Use one of ' + 
+        STATISTICS.join(', ') + ', or a percentile such as "p90".'
+      );
+    }
+    return ee.Reducer[name]();
+  });
 
+  // Combine into a single reducer; each output keeps its own name
+  return reducers.slice(1).reduce(function(combined, reducer) {
+    return combined.combine({reducer2: reducer, sharedInputs: true});
+  }, reducers[0]);
+}
+exports.getStatisticReducer = getStatisticReducer;
+
+
+/**
+ * Reduce an Image Collection by Statistic
+ * 
+ * Composites an image collection with getStatisticReducer. A single 
+ * statistic keeps the input band names (e.g., 'NDVI'). An array of 
+ * statistics adds one suffix per statistic (e.g., 'NDVI_mean', 
+ * 'NDVI_stdDev', 'NDVI_p90'), even when it holds only one name.
+ * 
+ * @param {ee.ImageCollection} collection - The collection to reduce.
+ * @param {string|Array} statistic - Statistic name or array of names.
+ * @return {ee.Image} The composite image.
+ * 
+ * @example
+ * var seasonal = reduceByStatistic(s2Collection, ['p10', 'p50', 'p90']);
+ */
+function reduceByStatistic(collection, statistic) {
+  var reduced = collection.reduce(getStatisticReducer(statistic));
+  if (Array.isArray(statistic)) {
+    return reduced;
+  }
+
+  // Remove the "_statistic" suffix that reduce() appends
+  var renamedBands = reduced.bandNames().map(function(bandName) {
+    return ee.String(bandName).replace('_' + statistic + '$', '');
+  });
+  return reduced.rename(renamedBands);
+}
+exports.reduceByStatistic = reduceByStatistic;
+
+
+/**
+ * Count Valid Observations per Pixel
+ * 
+ * Counts the unmasked observations of one band in an image 
+ * collection. Unlike ImageCollection.count(), the result always has 
+ * the output band, with 0 where every observation is masked and 
+ * everywhere when the collection is empty (e.g., an interval without 
+ * scenes).
+ * 
+ * @param {ee.ImageCollection} collection - The collection to count.
+ * @param {string} band - Band whose mask marks a valid observation.
+ * @param {string} name - Name of the count band (e.g., 'clear_obs').
+ * @return {ee.Image} Single-band count image.
+ * 
+ * @example
+ * var clearObs = countObservations(s2Collection, 'B4', 'clear_obs');
+ */
+function countObservations(collection, band, name) {
+  var count = collection.select([band], [name]).count();
+  return ee.Image(0).rename(name).addBands(count, null, true).unmask(0);
+}
+exports.countObservations = countObservations;
@@ -0,0 +1,329 @@
+/**
+ * title: Zonal Statistics over Polygons
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Summarizes an image, or each image in an image collection (e.g.,
+ * from ls_fn or lc_fn, or the terrain layers), over arbitrary polygons
+ * such as watersheds or management units. The script performs the
+ * following steps:
+ *
+ * 1. Applies one or more reducers to the continuous bands over each
+ *    polygon. Pixels are weighted by the fraction of their area inside
+ *    the polygon, unless weighting is turned off.
+ * 2. Builds a histogram of each categorical band (e.g., land cover)
+ *    over each polygon, reported as class proportions or pixel counts.
+ * 3. Counts the valid (unmasked) pixels of every band in each polygon.
+ * 4. Returns the statistics in wide format (one feature per polygon,
+ *    one column per statistic) or long format (one feature per
+ *    polygon, band and statistic).
+ *
+ * Extraction at points and circular buffers is in image_to_points.
+ *
+ * Example usage is provided at the end of the script.
+ */
+
+var FORMATS = ['wide', 'long'];
+var HISTOGRAMS = ['proportion', 'count'];
+
+// Outputs every categorical band already has a <band>_<output> column
+// for, so they cannot be class names
+var RESERVED_CLASSES = ['count', 'histogram'];
+
+/**
+ * Reduces an image over regions and names the values
+ * <band>_<output> (e.g., NDVI_mean), whatever the number of bands.
+ *
+ * @param {ee.Image} image - Image to reduce.
+ * @param {ee.FeatureCollection} regions - Polygons.
+ * @param {ee.Reducer} reducer - Reducer with at least two outputs.
+ * @param {Object} opts - crs, scale and tileScale.
+ * @returns {ee.FeatureCollection} - Regions with the reduced values.
+ */
+var reduceAndName = function(image, regions, reducer, opts) {
+  var bands = image.bandNames();
+  var outputs = reducer.getOutputs();
+  var newNames = bands.map(function(band) {
+    return outputs.map(function(output) {
+      return ee.String(band).cat('_').cat(output);
+    });
+  }).flatten();
+  // reduceRegions names values by output alone for single-band images
+  var names = ee.List(ee.Algorithms.If(bands.size().eq(1), outputs,
+                                       newNames));
+  var nameMap = ee.Dictionary.fromLists(names, newNames);
+
+  return image.reduceRegions({
+    collection: regions,
+    reducer: reducer,
+    crs: opts.crs,
+    scale: opts.scale,
+    tileScale: opts.tileScale || 1
+  }).map(function(feature) {
+    var properties = ee.Dictionary(
+      feature.propertyNames().map(function(name) {
+        return [nameMap.get(name, name), feature.get(name)];
+      }).flatten()
+    );
+    return ee.Feature(feature.geometry(), properties);
+  });
+};
+
+/**
+ * Function to calculate zonal statistics over polygons.
+ *
+ * @param {ee.Image|ee.ImageCollection} source - Image, or image
+ *                        collection, to summarize.
+ * @param {ee.FeatureCollection} polygons - Zones to summarize over.
+ * @param {Object} [options] - Zonal statistics options.
+ * @param {ee.Reducer|Array} [options.reducer=ee.Reducer.mean()] -
+ *                        Reducer, or array of reducers, applied to the
+ *                        continuous bands.
+ * @param {Array} [options.categorical=[]] - Names of categorical bands
+ *                        (e.g., ['forest_lc_class']), summarized by a
+ *                        histogram instead of the reducers.
+ * @param {Object} [options.classes] - Class names mapped to codes
+ *                        (e.g., class_proportions.VLCE2_CLASSES) to
+ *                        report for every categorical band. Every
+ *                        polygon then gets the same columns, with 0
+ *                        for absent classes. Defaults to the codes
+ *                        found in each polygon, named by code.
+ *                        'count' and 'histogram' cannot be class
+ *                        names.
+ * @param {string} [options.histogram='proportion'] - 'proportion'
+ *                        reports each class's share of the valid area,
+ *                        'count' its (fractional) pixel count.
+ * @param {boolean} [options.weighted=true] - Weight pixels by the
+ *                        fraction of their area inside the polygon.
+ *                        If false, only pixels whose centres fall
+ *                        inside count, with equal weight.
+ * @param {string} [options.format='wide'] - 'wide' gives one feature
+ *                        per polygon (per polygon and image for
+ *                        collections) with a <band>_<statistic> or
+ *                        <band>_<class> column per value. 'long' gives
+ *                        one feature per value, without geometry, with
+ *                        'band', 'statistic', 'value' and, for
+ *                        classes, 'class' properties.
+ * @param {string} [options.crs] - CRS to reduce in (e.g.,
+ *                        'EPSG:3348'). Defaults to the image's.
+ * @param {number} [options.scale] - Scale in meters to reduce at.
+ *                        Defaults to the image's.
+ * @param {number} [options.tileScale=1] - Tile scale for large
+ *                        polygons.
+ * @returns {ee.FeatureCollection} - Statistics with the polygon's
+ *                                   properties and, for collections,
+ *                                   the image's properties. Every
+ *                                   band also gets a valid pixel
+ *                                   count (<band>_count).
+ * @throws {Error} If the format or histogram option is unknown, or a
+ *                 class is named 'count' or 'histogram'.
+ */
+exports.zonalStats = function(source, polygons, options) {
+  var opts = options || {};
+  var format = opts.format || 'wide';
+  var histogram = opts.histogram || 'proportion';
+  if (FORMATS.indexOf(format) === -1) {
+    throw new Error('Unknown format "' + format + '". Use one of: ' +
+                    FORMATS.join(', ') + '.');
+  }
+  if (HISTOGRAMS.indexOf(histogram) === -1) {
+    throw new Error('Unknown histogram "' + histogram + '". Use one ' +
+                    'of: ' + HISTOGRAMS.join(', ') + '.');
+  }
+  var categorical = opts.categorical || [];
+  var classNames = opts.classes ? Object.keys(opts.classes) : null;
+  (classNames || []).forEach(function(name) {
+    if (RESERVED_CLASSES.indexOf(name) !== -1) {
+      throw new Error('Class name "' + name + '" clashes with the <band>_' +
+                      name + ' column. Rename the class.');
+    }
+  });
+  var weighted = opts.weighted !== false;
+  polygons = ee.FeatureCollection(polygons);
+
+  var weigh = function(reducer) {
+    return weighted ? reducer : reducer.unweighted();
+  };
+  var combine = function(reducers) {
+    return reducers.slice(1).reduce(function(combined, next) {
+      return combined.combine({reducer2: next, sharedInputs: true});
+    }, reducers[0]);
+  };
+
+  // The count of valid pixels always comes along
+  var reducers = Array.isArray(opts.reducer) ? opts.reducer
+    : [opts.reducer || ee.Reducer.mean()];
+  var continuousReducer = combine(
+    reducers.concat([ee.Reducer.count()]).map(weigh)
+  );
+  var categoricalReducer = combine(
+    [ee.Reducer.frequencyHistogram(), ee.Reducer.count()].map(weigh)
+  );
+  var continuousOutputs = continuousReducer.getOutputs();
+
+  /**
+   * Lists the statistics of a reduced polygon as records with band,
+   * statistic, value and, for classes, class keys.
+   *
+   * @param {ee.Feature} feature - Polygon with reduced values.
+   * @param {ee.List} continuous - Continuous band names.
+   * @returns {ee.List} - Records (ee.Dictionary).
+   */
+  var toRecords = function(feature, continuous) {
+    var records = continuous.map(function(band) {
+      return continuousOutputs.map(function(output) {
+        return ee.Dictionary({
+          band: band,
+          statistic: output,
+          value: feature.get(ee.String(band).cat('_').cat(output))
+        });
+      });
+    }).flatten();
+
+    categorical.forEach(function(band) {
+      var hist = ee.Dictionary(feature.get(band + '_histogram'));
+      var total = ee.Number(hist.values().reduce(ee.Reducer.sum()));
+      var codes = classNames ? ee.List(classNames.map(function(name) {
+        return String(opts.classes[name]);
+      })) : hist.keys();
+      var names = classNames ? ee.List(classNames) : codes;
+
+      var classRecords = ee.List.sequence(0, codes.size().subtract(1))
+        .map(function(i) {
+          var pixels = ee.Number(hist.get(codes.get(i), 0));
+          return ee.Dictionary({
+            band: band,
+            statistic: histogram,
+            'class': names.get(i),
+            value: histogram === 'count' ? pixels : ee.Algorithms.If(
+              total.gt(0), pixels.divide(total), null
+            )
+          });
+        });
+      records = records.add(ee.Dictionary({
+        band: band,
+        statistic: 'count',
+        value: feature.get(band + '_count')
+      })).cat(ee.Algorithms.If(codes.size().gt(0), classRecords, []));
+    });
+    return records;
+  };
+
+  /**
+   * Summarizes one image over the polygons.
+   *
+   * @param {ee.Image} image - Image to summarize.
+   * @returns {ee.FeatureCollection} - Statistics in the output format.
+   */
+  var summarize = function(image) {
+    var continuous = image.bandNames().removeAll(categorical);
+    var reduced = ee.FeatureCollection(ee.Algorithms.If(
+      continuous.size().gt(0),
+      reduceAndName(image.select(continuous), polygons, continuousReducer,
+                    opts),
+      polygons
+    ));
+    if (categorical.length) {
+      reduced = reduceAndName(image.select(categorical), reduced,
+                              categoricalReducer, opts);
+    }
+
+    var rawNames = continuous.cat(categorical).map(function(band) {
+      return ee.List(['histogram']).cat(continuousOutputs)
+        .map(function(output) {
+          return ee.String(band).cat('_').cat(output);
+        });
+    }).flatten();
+
+    var summaries = reduced.map(function(feature) {
+      var zone = feature.select(feature.propertyNames().removeAll(rawNames));
+      var records = toRecords(feature, continuous);
+      if (format === 'long') {
+        // Record columns win over zone properties of the same name
+        return ee.FeatureCollection(records.map(function(record) {
+          return ee.Feature(null).copyProperties(zone)
+                                 .set(ee.Dictionary(record));
+        }));
+      }
+      var columns = records.map(function(record) {
+        record = ee.Dictionary(record);
+        var column = ee.String(record.get('band')).cat('_').cat(
+          record.get('class', record.get('statistic'))
+        );
+        return [column, record.get('value')];
+      }).flatten();
+      return zone.set(ee.Dictionary(columns));
+    });
+    return format === 'long' ? summaries.flatten() : summaries;
+  };
+
+  if (source.name() !== 'ImageCollection') {
+    return summarize(ee.Image(source));
+  }
+  return ee.ImageCollection(source).map(function(image) {
+    return summarize(image).map(function(feature) {
+      return feature.copyProperties(image);
+    });
+  }).flatten();
+};
+
+
+// // Usage example of zonalStats
+
+// var zonal = require(
+//   "users/bgcasey/science_centre:functions/zonal_statistics"
+// );
+// var classProportions = require(
+//   "users/bgcasey/science_centre:functions/class_proportions"
+// );
+// var forest_lc = require(
+//   "users/bgcasey/science_centre:functions/annual_forest_land_cover"
+// );
+// var landsatTimeSeries = require(
+//   "users/bgcasey/science_centre:functions/landsat_time_series"
+// );
+
+// // Define the AOI as an ee.Geometry object
+// var aoi = ee.Geometry.Polygon([
+//   [
+//     [-113.60000044487279, 55.15000133914695],
+//     [-113.60000044487279, 55.35000089418191],
+//     [-113.15000137891523, 55.35000086039801],
+//     [-113.15000138015347, 55.15000133548429],
+//     [-113.60000044487279, 55.15000133914695]
+//   ]
+// ]);
+
+// // Watersheds within the AOI
+// var watersheds = ee.FeatureCollection('WWF/HydroSHEDS/v1/Basins/hybas_10')
+//   .filterBounds(aoi)
+//   .select(['HYBAS_ID']);
+
+// // Mean and standard deviation of NDVI in each watershed and season
+// var ls = landsatTimeSeries.ls_fn(
+//   ['2021-06-01', '2022-06-01'], 3, 'months', aoi, ['NDVI']
+// );
+// var ndviStats = zonal.zonalStats(ls.select('NDVI'), watersheds, {
+//   reducer: [ee.Reducer.mean(), ee.Reducer.stdDev()],
+//   crs: 'EPSG:3348',
+//   scale: 30,
+//   tileScale: 8
+// });
+// print('NDVI by watershed:', ndviStats.limit(5));
+
+// // Share of each forest land cover class, in long format
+// var lc = forest_lc.lc_fn('2019-01-01', '2019-12-31', aoi);
+// var lcStats = zonal.zonalStats(lc, watersheds, {
+//   categorical: ['forest_lc_class'],
+//   classes: classProportions.VLCE2_CLASSES,
+//   format: 'long',
+//   scale: 30
+// });
+// print('Land cover by watershed:', lcStats.limit(20));
+
+// // Exporting is optional
+// var extraction = require(
+//   "users/bgcasey/science_centre:functions/image_to_points"
+// );
+// extraction.exportTable(lcStats, 'watershed_land_cover');
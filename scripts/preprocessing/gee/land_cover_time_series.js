@@ -0,0 +1,155 @@
+/*
+ * ---
+ * title: "Land Cover Time Series Analysis"
+ * author: "Brendan Casey"
+ * created: "2026-10-19"
+ * description: Stacks annual land cover from CA_FOREST_LC_VLCE2, ESA
+ * WorldCover, Dynamic World and MODIS MCD12Q1 on a shared legend, and
+ * outputs per-year class, class-proportion and change images as
+ * multiband images for further analysis.
+ * ---
+ */
+
+/* 1. Setup
+ * Prepare the environment, including the AOI, helper functions,
+ * and date list for time series processing.
+ */
+
+/* Load helper functions */
+var utils = require(
+  "users/bgcasey/science_centre:functions/utils"
+  );
+var landCoverTimeSeries = require(
+  "users/bgcasey/science_centre:functions/land_cover_time_series"
+  );
+
+/* Define area of interest (AOI) */
+var aoi = ee.FeatureCollection('FAO/GAUL_SIMPLIFIED_500m/2015/level1')
+  .filter(ee.Filter.eq('ADM0_NAME', 'Canada'))
+  .filter(ee.Filter.eq('ADM1_NAME', 'Alberta'))
+  .geometry()
+
+/* Small aoi for testing purposes */
+// var aoi = ee.Geometry.Polygon([
+//   [-113.5, 55.5],  // Top-left corner
+//   [-113.5, 55.0],  // Bottom-left corner
+//   [-112.8, 55.0],  // Bottom-right corner
+//   [-112.8, 55.5]   // Top-right corner
+// ]);
+
+
+/* Create a date list
+ * The date list specifies the starting points for time
+ * intervals used to extract a time series. The createDateList
+ * function generates a list of dates at a specified interval
+ * (e.g., 1 year), beginning on the provided start date
+ * ('2016-06-01') and ending on the end date ('2021-06-01').
+ *
+ * VLCE2, WorldCover and MCD12Q1 are annual maps for the year of
+ * each date. Dynamic World labels are summarized (mode) over the
+ * interval from each date, advanced by a user-defined number of
+ * time units (e.g., 4 months). Years outside a product's record
+ * use its nearest year, recorded in the '<product>_source_year'
+ * image property.
+ */
+var dateList = utils.createDateList(
+  ee.Date('2016-06-01'), ee.Date('2021-06-01'), 1, 'years'
+);
+
+print("Start Dates", dateList);
+
+/* Define the products
+ * 'vlce2' (1984-2019), 'worldcover' (2020-2021), 'dynamic_world'
+ * (2016 onwards) and 'mcd12q1' (2001-2023). Classes are crosswalked to
+ * the shared legend in functions/land_cover_time_series.js.
+ */
+var products = ['vlce2', 'worldcover', 'dynamic_world', 'mcd12q1'];
+
+
+/* 2. Land Cover Time Series Processing
+ * Stack the crosswalked classes, class proportions and changes from
+ * the previous date for each product.
+ *
+ * Shared legend:
+ * - 1: water
+ * - 2: snow_ice
+ * - 3: barren
+ * - 4: built
+ * - 5: cropland
+ * - 6: grassland
+ * - 7: shrubland
+ * - 8: wetland
+ * - 9: moss_lichen
+ * - 10: forest
+ */
+var lc = landCoverTimeSeries.land_cover_fn(
+  dateList, 4, 'months', aoi, {
+    products: products,
+    crs: 'EPSG:4326',
+    scale: 30
+  }
+);
+
+// print("Land Cover Time Series:", lc);
+
+/* Split the bands into class, proportion and change images
+ * Bands need to be the same data type in order to export
+ * multiband rasters to drive.
+ */
+var lcClass = lc.map(function(image) {
+  return image.select('.*_class').toUint8();
+});
+var lcProportion = lc.map(function(image) {
+  return image.select('.*_proportion').toFloat();
+});
+var lcChange = lc.map(function(image) {
+  return image.select(['.*_change', '.*_transition']).toUint16();
+});
+
+/* 3. Check Land Cover
+ * Review to make sure the crosswalked classes appear correct.
+ */
+
+// /* 3.1 Check the source year of each product */
+// print("VLCE2 source years", lc.aggregate_array('vlce2_source_year'));
+// print("WorldCover source years",
+//       lc.aggregate_array('worldcover_source_year'));
+
+// /* 3.2 Plot the shared-legend classes for the first date */
+// var palette = landCoverTimeSeries.legend.map(function(entry) {
+//   return entry.color;
+// });
+// var image_first = lcClass.first();
+
+// // Center the map on the area of interest (AOI)
+// Map.centerObject(aoi, 7);
+// products.forEach(function(product) {
+//   Map.addLayer(image_first.select(product + '_class'),
+//                {min: 1, max: 10, palette: palette}, product);
+// });
+
+
+/* 4. Export Time Series to Google Drive
+ * Export each image in the collections as multiband GeoTIFFs.
+ */
+
+/* Export parameters */
+var folder = 'gee_exports';
+var scale = 30; // 30-meter resolution
+var crs = 'EPSG:4326'; // WGS 84 CRS
+
+/* Define file naming functions */
+var fileNameFn = function(prefix) {
+  return function(img) {
+    var year = img.get('year').getInfo() || 'unknown';
+    return prefix + year;
+  };
+};
+
+/* Export images to Google Drive */
+utils.exportImageCollection(lcClass, aoi, folder, scale, crs,
+                            fileNameFn('land_cover_class_multiband_'));
+utils.exportImageCollection(lcProportion, aoi, folder, scale, crs,
+                            fileNameFn('land_cover_proportion_multiband_'));
+utils.exportImageCollection(lcChange, aoi, folder, scale, crs,
+                            fileNameFn('land_cover_change_multiband_'));
@@ -81,7 +81,35 @@ var dateList = utils.createDateList(
 print("Start Dates", dateList);
 
 /* Define reducer statistic */
-var statistic = 'mean'; // Choose from 'mean', 'median', 'max', etc.
+// Choose from 'mean', 'median', 'max', etc., a percentile such as 'p90',
+// or an array such as ['mean', 'stdDev'] for one band per statistic
+// Use 'medoid' or 'bap' to keep one real observation per pixel, with 
+// bands recording its acquisition date and sensor
+var statistic = 'mean';
+
+/* Define gap-fill method(s) 
+ * Masked pixels are filled by each method in turn: 'linear', 
+ * 'harmonic', 'climatology', 'gaussian', 'idw' or 'none'. The gap_fill
+ * band records the method that filled each pixel (see 
+ * functions/gap_filling.js).
+ */
+var gapFill = 'gaussian';
+
+/* Define the QA masking profile
+ * 'standard' masks fill, dilated cloud, cirrus, cloud, shadow, snow,
+ * saturated bands and terrain occlusion; 'strict' also masks medium
+ * cloud confidence; 'snow-retaining' keeps snow for winter composites
+ * (see functions/landsat_qa_masks.js).
+ */
+var maskProfile = 'standard';
+
+/* Define the harmonization
+ * Reflectance from every sensor is harmonized to one sensor space: 
+ * 'etm' (Landsat 7 ETM+) or 'oli' (Landsat 8 OLI). Use an options 
+ * object such as {target: 'oli', model: 'ols'} to choose the Roy et al. 
+ * (2016) regression model (see functions/harmonization.js).
+ */
+var harmonizationOptions = 'etm';
 
 
 /* 2. Landsat Time Series Processing
@@ -94,6 +122,7 @@ var statistic = 'mean'; // Choose from 'mean', 'median', 'max', etc.
  * - EVI: Enhanced Vegetation Index
  * - GNDVI: Green Normalized Difference Vegetation Index
  * - LAI: Leaf Area Index
+ * - LST: Land Surface Temperature (degrees Celsius)
  * - NBR: Normalized Burn Ratio
  * - NDMI: Normalized Difference Moisture Index
  * - NDSI: Normalized Difference Snow Index
@@ -101,6 +130,11 @@ var statistic = 'mean'; // Choose from 'mean', 'median', 'max', etc.
  * - NDWI: Normalized Difference Water Index
  * - SAVI: Soil Adjusted Vegetation Index
  * - SI: Shadow Index
+ * - TVDI: Temperature Vegetation Dryness Index (fits dry and wet 
+ *   edges per scene, so it is slower than the other indices)
+ *
+ * Formulas, valid ranges and the full list of indices are in
+ * functions/spectral_indices.js.
  */
 var ls = landsatTimeSeries.ls_fn(
   dateList, 121, 'days', aoi,
@@ -110,9 +144,13 @@ var ls = landsatTimeSeries.ls_fn(
     'NDWI', 'SAVI', 'SI',
     // add new indices here
     'RVI', 'DVI', 'TVI', 'CI', 'BI',
-    'NDBI', 'NSRVI'
+    'NDBI', 'NSRVI', 'LST'
   ],
-  statistic
+  statistic,
+  gapFill,
+  undefined,
+  maskProfile,
+  harmonizationOptions
 )
   // Apply NDRS for Conifer
   .map(function(image) {
@@ -127,9 +165,10 @@ var ls = landsatTimeSeries.ls_fn(
     return landsatIndicesAndMasks.addNDRS(image);
   })
   .map(function(image) {
-    // Exclude QA_PIXEL band and rename remaining bands
-    var filteredBandNames = image.bandNames().filter(
-      ee.Filter.neq('item', 'QA_PIXEL')
+    // Exclude the QA_PIXEL band, and the ST_B6 band that LST 
+    // duplicates, and rename remaining bands
+    var filteredBandNames = image.bandNames().removeAll(
+      ['QA_PIXEL', 'ST_B6']
     );
     return image
       .select(filteredBandNames)
@@ -0,0 +1,845 @@
+/**
+ * title: Offline Earth Engine Runtime - Collections
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * ee.ImageCollection and ee.FeatureCollection for the offline Earth
+ * Engine runtime. Collections are in-memory arrays of images or
+ * features. Asset ids resolve against the runtime's registered
+ * fixtures; unregistered ids resolve to empty collections and are
+ * listed in runtime.missingAssets so a test can assert on them.
+ */
+
+/**
+ * Installs ee.ImageCollection and ee.FeatureCollection on a runtime
+ * context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  var ee = ctx.ee;
+  var def = ctx.def;
+  var raw = ctx.raw;
+  var num = ctx.num;
+  var str = ctx.str;
+  var grid = ctx.grid;
+  var N = grid.width * grid.height;
+  var Image = ctx.Image;
+  var Feature = ctx.Feature;
+
+  /**
+   * Collection of images.
+   * @constructor
+   */
+  function ImageCollection(elements, props) {
+    this._elements = elements;
+    this._props = props || {};
+  }
+  ImageCollection.prototype = Object.create(ctx.EEObject.prototype);
+  ImageCollection.prototype._type = 'ImageCollection';
+
+  /**
+   * Collection of features.
+   * @constructor
+   */
+  function FeatureCollection(elements, props) {
+    this._elements = elements;
+    this._props = props || {};
+  }
+  FeatureCollection.prototype = Object.create(ctx.EEObject.prototype);
+  FeatureCollection.prototype._type = 'FeatureCollection';
+
+  var geometryOf = function() {
+    var geoms = this._elements.map(function(el) {
+      return el._geometry();
+    });
+    return geoms.length === 1 ? geoms[0]
+      : new ctx.Geometry('GeometryCollection', geoms);
+  };
+  ImageCollection.prototype._geometry = geometryOf;
+  FeatureCollection.prototype._geometry = geometryOf;
+
+  /**
+   * Builds a collection of the same kind as `like`.
+   *
+   * @param {ImageCollection|FeatureCollection} like - Template.
+   * @param {Array} elements - Elements.
+   * @param {Object} [props] - Collection properties.
+   * @returns {ImageCollection|FeatureCollection} New collection.
+   */
+  var sameKind = function(like, elements, props) {
+    var Ctor = like instanceof ImageCollection ? ImageCollection
+                                               : FeatureCollection;
+    return new Ctor(elements, props || like._props);
+  };
+
+  /**
+   * Returns a copy of an element with new properties.
+   *
+   * @param {Image|Feature} el - Element.
+   * @param {Object} props - Properties.
+   * @returns {Image|Feature} Copy.
+   */
+  var withProps = function(el, props) {
+    if (el instanceof Image) {
+      return new Image(el._bands, props, el._footprint);
+    }
+    return new Feature(el._geom, props);
+  };
+
+  // The server names flattened elements <outer index>_<inner index>,
+  // so elements from different inner collections stay distinct
+  var flattenElements = function(collections) {
+    var out = [];
+    collections.forEach(function(el, i) {
+      var outer = el._props['system:index'] !== undefined ?
+        el._props['system:index'] : String(i);
+      out = out.concat(indexed(el._elements).map(function(inner) {
+        return withProps(inner, Object.assign({}, inner._props, {
+          'system:index': outer + '_' + inner._props['system:index']
+        }));
+      }));
+    });
+    return out;
+  };
+
+  var indexed = function(elements) {
+    return elements.map(function(el, i) {
+      if (el._props['system:index'] !== undefined) {
+        return el;
+      }
+      return withProps(el, Object.assign({'system:index': String(i)},
+                                         el._props));
+    });
+  };
+
+  /**
+   * Casts collection-like values to a collection.
+   *
+   * @param {*} x - Collection, asset id, feature list or geometry.
+   * @returns {ImageCollection|FeatureCollection} Collection.
+   */
+  var toCollection = function(x) {
+    var v = raw(x);
+    if (v instanceof ImageCollection || v instanceof FeatureCollection) {
+      return v;
+    }
+    return ee.FeatureCollection(v);
+  };
+
+  /**
+   * Coerces a map() result back to a collection element. Earth
+   * Engine requires map() to return an element of the same kind;
+   * returning null drops the element.
+   */
+  var coerce = function(out, like, what) {
+    var v = raw(out);
+    if (v === null || v === undefined) {
+      return null;
+    }
+    // Collections of collections are allowed; flatten() unnests them
+    if (v instanceof ImageCollection || v instanceof FeatureCollection) {
+      return v;
+    }
+    if (like instanceof ImageCollection && !(v instanceof Image)) {
+      throw new Error(what + ': map() over an ImageCollection must ' +
+                      'return an Image, got ' +
+                      JSON.stringify(ctx.info(v)) + '.');
+    }
+    if (like instanceof FeatureCollection && !(v instanceof Feature)) {
+      if (v instanceof ctx.Geometry) {
+        return new Feature(v, {});
+      }
+      throw new Error(what + ': map() over a FeatureCollection must ' +
+                      'return a Feature, got ' +
+                      JSON.stringify(ctx.info(v)) + '.');
+    }
+    return v;
+  };
+
+  var aggregate = function(f) {
+    return function(property) {
+      var p = str(property, 'Collection.aggregate');
+      var values = this._elements.map(function(el) {
+        return ctx.propOf(el, p);
+      }).filter(function(v) {
+        return v !== undefined && v !== null;
+      });
+      return ctx.wrap(f(values));
+    };
+  };
+
+  var sum = function(v) {
+    return v.reduce(function(a, b) { return a + b; }, 0);
+  };
+
+  var commonMethods = {
+    size: function() {
+      return ee.Number(this._elements.length);
+    },
+    first: function() {
+      var first = this._elements[0];
+      return first === undefined ? new ctx.ComputedObject(null) : first;
+    },
+    toList: function(count, offset) {
+      var o = offset === undefined ? 0 : num(offset);
+      return ee.List(this._elements.slice(o, o + num(count)));
+    },
+    filter: function(filter) {
+      var f = raw(filter);
+      return sameKind(this, this._elements.filter(function(el) {
+        return f._test(el);
+      }));
+    },
+    filterMetadata: function(name, operator, value) {
+      var ops = {
+        equals: 'eq', not_equals: 'neq', less_than: 'lt',
+        greater_than: 'gt', not_less_than: 'gte', not_greater_than: 'lte',
+        string_contains: 'stringContains',
+        string_starts_with: 'stringStartsWith',
+        string_ends_with: 'stringEndsWith'
+      };
+      return this.filter(ee.Filter[ops[str(operator)]](name, value));
+    },
+    filterDate: function(start, end) {
+      return this.filter(ee.Filter.date(start, end));
+    },
+    filterBounds: function(geometry) {
+      return this.filter(ee.Filter.bounds(geometry));
+    },
+    map: function(fn, dropNulls) {
+      var self = this;
+      var out = [];
+      this._elements.forEach(function(el) {
+        var r = coerce(fn(el), self, 'Collection.map');
+        // The server keeps each element's system:index through map(),
+        // even when the mapped function drops every other property.
+        if (r !== null && !(r instanceof ImageCollection) &&
+            !(r instanceof FeatureCollection) &&
+            r._props['system:index'] === undefined &&
+            el._props['system:index'] !== undefined) {
+          r = withProps(r, Object.assign({
+            'system:index': el._props['system:index']
+          }, r._props));
+        }
+        if (r !== null) {
+          out.push(r);
+        } else if (!dropNulls) {
+          throw new Error('Collection.map: map() returned null; pass ' +
+                          'dropNulls = true to drop elements.');
+        }
+      });
+      return sameKind(this, out);
+    },
+    iterate: function(fn, first) {
+      var acc = first;
+      this._elements.forEach(function(el) {
+        acc = fn(el, acc);
+      });
+      return ctx.wrap(acc);
+    },
+    merge: function(other) {
+      var o = toCollection(other);
+      var prefix = function(els, p) {
+        return els.map(function(el) {
+          return withProps(el, Object.assign({}, el._props, {
+            'system:index': p + '_' + el._props['system:index']
+          }));
+        });
+      };
+      return sameKind(this, prefix(this._elements, '1')
+        .concat(prefix(o._elements, '2')));
+    },
+    sort: function(property, ascending) {
+      var p = str(property, 'Collection.sort');
+      var sorted = this._elements.slice().sort(function(a, b) {
+        return ctx.compareRaw(ctx.propOf(a, p), ctx.propOf(b, p));
+      });
+      return sameKind(this, ascending === false ? sorted.reverse() : sorted);
+    },
+    limit: function(max, property, ascending) {
+      var c = property === undefined ? this : this.sort(property, ascending);
+      return sameKind(this, c._elements.slice(0, num(max)));
+    },
+    distinct: function(properties) {
+      var names = raw(properties);
+      names = Array.isArray(names) ? names : [names];
+      var seen = {};
+      return sameKind(this, this._elements.filter(function(el) {
+        var key = JSON.stringify(names.map(function(n) {
+          return ctx.info(ctx.propOf(el, n));
+        }));
+        if (seen[key]) {
+          return false;
+        }
+        seen[key] = true;
+        return true;
+      }));
+    },
+    set: function() {
+      return sameKind(this, this._elements,
+                      ctx.setProps(this._props, arguments));
+    },
+    get: function(name) {
+      return ctx.getProp(this._props, name, 'Collection.get');
+    },
+    geometry: function() {
+      return this._geometry();
+    },
+    aggregate_array: aggregate(function(v) { return v; }),
+    aggregate_count: aggregate(function(v) { return v.length; }),
+    aggregate_sum: aggregate(sum),
+    aggregate_mean: aggregate(function(v) {
+      return v.length ? sum(v) / v.length : null;
+    }),
+    aggregate_min: aggregate(function(v) {
+      return v.length ? v.reduce(function(a, b) {
+        return ctx.compareRaw(a, b) <= 0 ? a : b;
+      }) : null;
+    }),
+    aggregate_max: aggregate(function(v) {
+      return v.length ? v.reduce(function(a, b) {
+        return ctx.compareRaw(a, b) >= 0 ? a : b;
+      }) : null;
+    }),
+    aggregate_first: aggregate(function(v) {
+      return v.length ? v[0] : null;
+    }),
+    aggregate_count_distinct: aggregate(function(v) {
+      var seen = {};
+      v.forEach(function(x) { seen[JSON.stringify(ctx.info(x))] = true; });
+      return Object.keys(seen).length;
+    }),
+    aggregate_histogram: aggregate(function(v) {
+      var h = {};
+      v.forEach(function(x) { h[String(x)] = (h[String(x)] || 0) + 1; });
+      return h;
+    }),
+    aggregate_stats: aggregate(function(v) {
+      var n = v.length;
+      var mean = n ? sum(v) / n : null;
+      var ss = v.reduce(function(a, x) { return a + (x - mean) * (x - mean); },
+                        0);
+      return {
+        max: n ? Math.max.apply(null, v) : null,
+        mean: mean,
+        min: n ? Math.min.apply(null, v) : null,
+        sample_sd: n > 1 ? Math.sqrt(ss / (n - 1)) : 0,
+        sample_var: n > 1 ? ss / (n - 1) : 0,
+        sum: sum(v),
+        sum_sq: v.reduce(function(a, x) { return a + x * x; }, 0),
+        total_count: n,
+        total_sd: n ? Math.sqrt(ss / n) : null,
+        total_var: n ? ss / n : null,
+        valid_count: n
+      };
+    }),
+    reduceColumns: function(reducer, selectors, weightSelectors) {
+      var p = reducer instanceof ctx.Reducer ? {
+        reducer: reducer,
+        selectors: selectors,
+        weightSelectors: weightSelectors
+      } : raw(reducer);
+      var sel = raw(p.selectors);
+      var cols = sel.map(function() { return []; });
+      var weights = [];
+      this._elements.forEach(function(el) {
+        var row = sel.map(function(s) { return ctx.propOf(el, s); });
+        if (row.some(function(v) { return v === undefined || v === null; })) {
+          return;
+        }
+        row.forEach(function(v, i) { cols[i].push(v); });
+        weights.push(1);
+      });
+      return ee.Dictionary(raw(p.reducer)._reduceValues(cols, weights));
+    },
+    randomColumn: function(columnName, seed) {
+      var name = columnName === undefined ? 'random' : str(columnName);
+      var state = seed === undefined ? 0 : num(seed);
+      return sameKind(this, this._elements.map(function(el, i) {
+        // Deterministic per (seed, position) so tests are repeatable.
+        var x = Math.sin((i + 1) * 12.9898 + state * 78.233) * 43758.5453;
+        var props = Object.assign({}, el._props);
+        props[name] = x - Math.floor(x);
+        return withProps(el, props);
+      }));
+    }
+  };
+
+  /**
+   * Reduces a list of images pixel-wise.
+   *
+   * @param {Array<Image>} images - Images with matching bands.
+   * @param {ctx.Reducer} reducer - Reducer.
+   * @param {boolean} keepNames - Keep input band names (mean(),
+   *     median(), ...) instead of suffixing with the output name.
+   * @returns {Image} Reduced image.
+   */
+  var reduceImages = function(images, reducer, keepNames) {
+    if (images.length === 0) {
+      return new Image([], {});
+    }
+    var names = images[0]._bands.map(function(b) { return b.id; });
+    images.forEach(function(img) {
+      var these = img._bands.map(function(b) { return b.id; });
+      if (these.join(',') !== names.join(',')) {
+        throw new Error('ImageCollection.reduce: All images must have the ' +
+                        'same bands. Got [' + names.join(', ') +
+                        '] and [' + these.join(', ') + '].');
+      }
+    });
+    var groups = reducer._nInputs > 1 ? [names.map(function(n, i) {
+      return i;
+    })] : names.map(function(n, i) { return [i]; });
+    if (reducer._nInputs > 1 && names.length !== reducer._nInputs) {
+      throw new Error('ImageCollection.reduce: Need ' + reducer._nInputs +
+                      ' bands for the reducer inputs, got ' + names.length +
+                      '.');
+    }
+    var bands = [];
+    groups.forEach(function(group) {
+      var outs = reducer._outputs.map(function(o) {
+        var id = reducer._nInputs > 1 ? o
+          : keepNames ? names[group[0]] : names[group[0]] + '_' + o;
+        return ctx.newBand(id, 'float');
+      });
+      for (var k = 0; k < N; k++) {
+        var cols = group.map(function() { return []; });
+        var weights = [];
+        images.forEach(function(img) {
+          var ok = group.every(function(bi) {
+            return img._bands[bi].mask[k] > 0;
+          });
+          if (ok) {
+            group.forEach(function(bi, c) {
+              cols[c].push(img._bands[bi].data[k]);
+            });
+            weights.push(1);
+          }
+        });
+        if (weights.length === 0) {
+          continue;
+        }
+        var res = reducer._reduceValues(cols, weights);
+        reducer._outputs.forEach(function(o, i) {
+          var v = res[o];
+          if (typeof v === 'number' && isFinite(v)) {
+            outs[i].data[k] = v;
+            outs[i].mask[k] = 1;
+          } else if (Array.isArray(v)) {
+            // Array-valued pixels (e.g. linearRegression coefficients)
+            if (outs[i].type !== 'array') {
+              outs[i].type = 'array';
+              outs[i].data = new Array(N).fill(null);
+            }
+            outs[i].data[k] = v;
+            outs[i].mask[k] = 1;
+          }
+        });
+      }
+      bands = bands.concat(outs);
+    });
+    return new Image(bands, {});
+  };
+
+  var composite = function(reducerName) {
+    return function() {
+      return reduceImages(this._elements, ee.Reducer[reducerName](), true);
+    };
+  };
+
+  def(ImageCollection, 'ImageCollection', commonMethods);
+  def(ImageCollection, 'ImageCollection', {
+    flatten: function() {
+      var out = flattenElements(this._elements);
+      var images = out.every(function(el) { return el instanceof Image; });
+      return images ? new ImageCollection(out, {})
+                    : new FeatureCollection(out, {});
+    },
+    select: function() {
+      var args = arguments;
+      return new ImageCollection(this._elements.map(function(img) {
+        return img.select.apply(img, args);
+      }), this._props);
+    },
+    reduce: function(reducer) {
+      return reduceImages(this._elements, raw(reducer), false);
+    },
+    mean: composite('mean'),
+    median: composite('median'),
+    min: composite('min'),
+    max: composite('max'),
+    sum: composite('sum'),
+    count: composite('count'),
+    mode: composite('mode'),
+    mosaic: function() {
+      return this._elements.reduce(function(acc, img) {
+        return acc === null ? img : acc.blend(img);
+      }, null) || new Image([], {});
+    },
+    qualityMosaic: function(qualityBand) {
+      var q = str(qualityBand, 'ImageCollection.qualityMosaic');
+      var images = this._elements;
+      if (images.length === 0) {
+        return new Image([], {});
+      }
+      var template = images[0]._bands;
+      var bands = template.map(function(b) {
+        return ctx.newBand(b.id, b.type);
+      });
+      for (var k = 0; k < N; k++) {
+        var best = null;
+        var bestQ = -Infinity;
+        images.forEach(function(img) {
+          var qb = ctx.selectBands(img, [q], 'qualityMosaic')[0];
+          if (qb.mask[k] > 0 && qb.data[k] > bestQ) {
+            bestQ = qb.data[k];
+            best = img;
+          }
+        });
+        if (best) {
+          best._bands.forEach(function(b, i) {
+            bands[i].data[k] = b.data[k];
+            bands[i].mask[k] = b.mask[k];
+          });
+        }
+      }
+      return new Image(bands, {});
+    },
+    toBands: function() {
+      var bands = [];
+      this._elements.forEach(function(img) {
+        var prefix = img._props['system:index'];
+        img._bands.forEach(function(b) {
+          bands.push(ctx.copyBand(b, prefix + '_' + b.id));
+        });
+      });
+      return new Image(bands, {});
+    }
+  });
+
+  def(FeatureCollection, 'FeatureCollection', commonMethods);
+  def(FeatureCollection, 'FeatureCollection', {
+    select: function(propertySelectors, newProperties, retainGeometry) {
+      return new FeatureCollection(this._elements.map(function(f) {
+        return f.select(propertySelectors, newProperties, retainGeometry);
+      }), this._props);
+    },
+    union: function() {
+      return new FeatureCollection([new Feature(this._geometry(), {
+        'system:index': '0'
+      })], this._props);
+    },
+    flatten: function() {
+      return new FeatureCollection(flattenElements(this._elements), {});
+    },
+    reduceToImage: function(properties, reducer) {
+      var props = raw(properties);
+      var r = raw(reducer);
+      var out = ctx.newBand(r._outputs[0], 'float');
+      var feats = this._elements;
+      var pixels = feats.map(function(f) {
+        var set = {};
+        ctx.regionPixels(f._geom).forEach(function(p) {
+          if (p.center || f._geom._isPointLike()) {
+            set[p.k] = true;
+          }
+        });
+        return set;
+      });
+      for (var k = 0; k < N; k++) {
+        var values = [];
+        feats.forEach(function(f, i) {
+          var v = f._props[props[0]];
+          if (pixels[i][k] && typeof v === 'number') {
+            values.push(v);
+          }
+        });
+        if (values.length) {
+          var res = r._reduceValues([values], values.map(function() {
+            return 1;
+          }))[r._outputs[0]];
+          if (res !== null) {
+            out.data[k] = res;
+            out.mask[k] = 1;
+          }
+        }
+      }
+      return new Image([out], {});
+    },
+    distance: function(searchRadius) {
+      var a = searchRadius !== null && typeof searchRadius === 'object' &&
+        !(searchRadius instanceof ctx.EEObject) ? raw(searchRadius)
+        : {searchRadius: searchRadius};
+      var limit = a.searchRadius === undefined ? 100000
+        : num(a.searchRadius);
+      var pts = this._elements.filter(function(f) {
+        return f._geom && f._geom._points;
+      }).map(function(f) {
+        return f._geom.centroid()._coords;
+      });
+      var out = ctx.newBand('distance', 'float');
+      for (var k = 0; k < N; k++) {
+        var x = grid.origin[0] + ((k % grid.width) + 0.5) * grid.scale;
+        var y = grid.origin[1] + (Math.floor(k / grid.width) + 0.5) *
+          grid.scale;
+        var best = Infinity;
+        pts.forEach(function(c) {
+          best = Math.min(best, Math.sqrt((c[0] - x) * (c[0] - x) +
+                                          (c[1] - y) * (c[1] - y)));
+        });
+        if (best <= limit) {
+          out.data[k] = best;
+          out.mask[k] = 1;
+        }
+      }
+      return new Image([out], {});
+    },
+    inverseDistance: function(range, propertyName, mean, stdDev, gamma) {
+      var a = range !== null && typeof range === 'object' &&
+        !(range instanceof ctx.EEObject) ? raw(range) : {
+          range: range, propertyName: propertyName, mean: mean,
+          stdDev: stdDev, gamma: gamma
+        };
+      var r = num(a.range);
+      var p = str(a.propertyName, 'FeatureCollection.inverseDistance');
+      var g = a.gamma === undefined ? 2 : num(a.gamma);
+      var pts = this._elements.filter(function(f) {
+        return typeof f._props[p] === 'number';
+      }).map(function(f) {
+        var c = f._geom._points ? f._geom.centroid()._coords : null;
+        return {x: c[0], y: c[1], v: f._props[p]};
+      });
+      var out = ctx.newBand(p, 'float');
+      for (var k = 0; k < N; k++) {
+        var x = grid.origin[0] + ((k % grid.width) + 0.5) * grid.scale;
+        var y = grid.origin[1] + (Math.floor(k / grid.width) + 0.5) *
+          grid.scale;
+        var sw = 0;
+        var s = 0;
+        var exact = null;
+        pts.forEach(function(pt) {
+          var d = Math.sqrt((pt.x - x) * (pt.x - x) + (pt.y - y) * (pt.y - y));
+          if (d === 0) {
+            exact = pt.v;
+          } else if (d <= r) {
+            var w = 1 / Math.pow(d, g);
+            sw += w;
+            s += w * pt.v;
+          }
+        });
+        if (exact !== null || sw > 0) {
+          out.data[k] = exact !== null ? exact : s / sw;
+          out.mask[k] = 1;
+        }
+      }
+      return new Image([out], {});
+    }
+  });
+
+  /**
+   * Looks up a registered asset, recording misses.
+   *
+   * @param {string} id - Asset id.
+   * @param {string} kind - 'Image', 'ImageCollection' or
+   *     'FeatureCollection'.
+   * @returns {Image|ImageCollection|FeatureCollection} Asset.
+   */
+  ctx.loadAsset = function(id, kind) {
+    var asset = ctx.assets[id];
+    if (asset === undefined) {
+      if (ctx.missingAssets.indexOf(id) === -1) {
+        ctx.missingAssets.push(id);
+      }
+      if (kind === 'Image') {
+        return new Image([], {'system:id': id});
+      }
+      return kind === 'ImageCollection' ? new ImageCollection([], {})
+                                        : new FeatureCollection([], {});
+    }
+    var value = typeof asset === 'function' ? asset(ee) : asset;
+    if (kind === 'ImageCollection' && Array.isArray(value)) {
+      return new ImageCollection(indexed(value.map(ctx.toImage)), {});
+    }
+    if (kind === 'FeatureCollection' && Array.isArray(value)) {
+      return new FeatureCollection(indexed(value), {});
+    }
+    return value;
+  };
+
+  ee.ImageCollection = function(args) {
+    var v = raw(args);
+    if (v instanceof ImageCollection) {
+      return v;
+    }
+    if (typeof v === 'string') {
+      return ctx.record('ImageCollection.load', arguments,
+                        ctx.loadAsset(v, 'ImageCollection'));
+    }
+    if (v instanceof Image) {
+      v = [v];
+    }
+    if (Array.isArray(v)) {
+      return ctx.record('ImageCollection.fromImages', arguments,
+        new ImageCollection(indexed(v.map(ctx.toImage)), {}));
+    }
+    throw new Error('ImageCollection: expected an asset id or a list of ' +
+                    'images, got ' + JSON.stringify(ctx.info(v)) + '.');
+  };
+  ee.ImageCollection.fromImages = function(images) {
+    return ctx.record('ImageCollection.fromImages', arguments,
+      new ImageCollection(raw(images).map(function(img, i) {
+        var im = ctx.toImage(img);
+        return withProps(im, Object.assign({}, im._props,
+                                           {'system:index': String(i)}));
+      }), {}));
+  };
+
+  ee.FeatureCollection = function(args) {
+    var v = raw(args);
+    if (v instanceof FeatureCollection) {
+      return v;
+    }
+    if (typeof v === 'string') {
+      return ctx.record('FeatureCollection.load', arguments,
+                        ctx.loadAsset(v, 'FeatureCollection'));
+    }
+    if (v instanceof Feature) {
+      v = [v];
+    } else if (v instanceof ctx.Geometry) {
+      v = [new Feature(v, {})];
+    }
+    if (Array.isArray(v)) {
+      return ctx.record('FeatureCollection', arguments,
+        new FeatureCollection(indexed(v.map(function(f) {
+          return f instanceof Feature ? f : ee.Feature(f);
+        })), {}));
+    }
+    throw new Error('FeatureCollection: expected an asset id, features or ' +
+                    'a geometry, got ' + JSON.stringify(ctx.info(v)) + '.');
+  };
+
+  /**
+   * Fits the piecewise-linear trajectory LandTrendr would for one
+   * pixel. Vertices are added greedily at the point farthest from the
+   * current fit (maxSegments caps them); the fit joins the source
+   * values at the vertices. The despiking, recovery and p-value
+   * filters of the real algorithm are not modelled.
+   */
+  var fitSegments = function(values, maxSegments) {
+    var n = values.length;
+    var vertices = [0, n - 1];
+    var interpolate = function(series) {
+      var out = [];
+      for (var s = 0; s < vertices.length - 1; s++) {
+        var a = vertices[s];
+        var b = vertices[s + 1];
+        for (var i = a; i < b || (s === vertices.length - 2 && i === b); i++) {
+          out.push(series[a] + (series[b] - series[a]) * (i - a) / (b - a));
+        }
+      }
+      return out;
+    };
+    while (vertices.length - 1 < maxSegments) {
+      var fit = interpolate(values);
+      var worst = -1;
+      var worstErr = 1e-9;
+      for (var i = 0; i < n; i++) {
+        var err = Math.abs(values[i] - fit[i]);
+        if (vertices.indexOf(i) === -1 && err > worstErr) {
+          worst = i;
+          worstErr = err;
+        }
+      }
+      if (worst === -1) {
+        break;
+      }
+      vertices.push(worst);
+      vertices.sort(function(a, b) { return a - b; });
+    }
+    return {vertices: vertices, interpolate: interpolate};
+  };
+
+  ctx.TemporalSegmentation = {
+    LandTrendr: function(timeSeries, maxSegments, spikeThreshold,
+                         vertexCountOvershoot, preventOneYearRecovery,
+                         recoveryThreshold, pvalThreshold,
+                         bestModelProportion, minObservationsNeeded) {
+      var p = raw(timeSeries);
+      if (!(p instanceof ImageCollection)) {
+        maxSegments = p.maxSegments;
+        minObservationsNeeded = p.minObservationsNeeded;
+        p = raw(p.timeSeries);
+      }
+      var maxSeg = num(maxSegments, 'LandTrendr');
+      var minObs = minObservationsNeeded === undefined ? 6
+        : num(minObservationsNeeded);
+      var images = p._elements.slice().sort(function(a, b) {
+        return a._props['system:time_start'] - b._props['system:time_start'];
+      });
+      if (images.length === 0) {
+        throw new Error('LandTrendr: The time series is empty.');
+      }
+      var years = images.map(function(img) {
+        return new Date(img._props['system:time_start']).getUTCFullYear();
+      });
+      var extras = images[0]._bands.slice(1).map(function(b) {
+        return b.id;
+      });
+      var lt = ctx.newBand('LandTrendr', 'array');
+      lt.data = new Array(N).fill(null);
+      var rmse = ctx.newBand('rmse', 'float');
+      var fits = extras.map(function(id) {
+        var b = ctx.newBand(id + '_fit', 'array');
+        b.data = new Array(N).fill(null);
+        return b;
+      });
+      for (var k = 0; k < N; k++) {
+        var obs = [];
+        images.forEach(function(img, t) {
+          if (img._bands[0].mask[k] > 0) {
+            obs.push(t);
+          }
+        });
+        if (obs.length < minObs) {
+          continue;
+        }
+        var source = obs.map(function(t) {
+          return images[t]._bands[0].data[k];
+        });
+        var segs = fitSegments(source, maxSeg);
+        var fitted = segs.interpolate(source);
+        var sse = 0;
+        source.forEach(function(v, i) {
+          sse += Math.pow(v - fitted[i], 2);
+        });
+        lt.data[k] = [
+          obs.map(function(t) { return years[t]; }),
+          source,
+          fitted,
+          obs.map(function(t, i) {
+            return segs.vertices.indexOf(i) === -1 ? 0 : 1;
+          })
+        ];
+        lt.mask[k] = 1;
+        rmse.data[k] = Math.sqrt(sse / source.length);
+        rmse.mask[k] = 1;
+        fits.forEach(function(b, e) {
+          b.data[k] = segs.interpolate(obs.map(function(t) {
+            return images[t]._bands[e + 1].data[k];
+          }));
+          b.mask[k] = 1;
+        });
+      }
+      return ctx.record('Algorithms.TemporalSegmentation.LandTrendr',
+                        arguments, new Image([lt, rmse].concat(fits), {}));
+    }
+  };
+
+  ctx.ImageCollection = ImageCollection;
+  ctx.FeatureCollection = FeatureCollection;
+  ctx.toCollection = toCollection;
+  ctx.sameKindCollection = sameKind;
+  ctx.withProps = withProps;
+};
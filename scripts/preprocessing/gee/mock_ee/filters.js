@@ -0,0 +1,473 @@
+/**
+ * title: Offline Earth Engine Runtime - Filters and Joins
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * ee.Filter and ee.Join for the offline Earth Engine runtime.
+ * A filter is a predicate over one element (collection filtering)
+ * or a pair of elements (joins); property lookups follow Earth
+ * Engine, including '.geo' for geometries and 'item' for list
+ * filtering.
+ */
+
+/**
+ * Installs ee.Filter and ee.Join on a runtime context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  var ee = ctx.ee;
+  var def = ctx.def;
+  var raw = ctx.raw;
+  var num = ctx.num;
+
+  /**
+   * Filter predicate.
+   * @constructor
+   * @param {Function} test - (left, right) -> boolean.
+   * @param {Function} [measure] - (left, right) -> number, for joins.
+   */
+  function Filter(test, measure) {
+    this._test = test;
+    this._measure = measure || null;
+  }
+  Filter.prototype = Object.create(ctx.EEObject.prototype);
+  Filter.prototype._type = 'Filter';
+
+  /** Wraps a list item so filters can read it as property 'item'. */
+  ctx.listItemElement = function(item) {
+    return {_props: {item: item}};
+  };
+
+  var propOf = function(el, name) {
+    if (!el) {
+      return undefined;
+    }
+    if (name === '.geo') {
+      return el._geom || (el._footprint ? el._footprint : null);
+    }
+    return el._props ? el._props[name] : undefined;
+  };
+
+  var comparable = function(v) {
+    v = raw(v);
+    if (v instanceof ctx.EEDate) {
+      return v._millis;
+    }
+    return v;
+  };
+
+  /**
+   * Resolves the left and right operands of a binary filter.
+   */
+  var operands = function(spec, left, right) {
+    var l = spec.leftField !== undefined ? propOf(left, spec.leftField)
+      : raw(spec.leftValue);
+    var r = spec.rightField !== undefined ? propOf(right, spec.rightField)
+      : raw(spec.rightValue);
+    return [comparable(l), comparable(r)];
+  };
+
+  var binary = function(name, cmp) {
+    return function(a, b) {
+      var spec = typeof a === 'object' && !(a instanceof ctx.EEObject) &&
+        b === undefined ? raw(a) : {leftField: raw(a), rightValue: b};
+      return ctx.record('Filter.' + name, arguments, new Filter(
+        function(left, right) {
+          var o = operands(spec, left, right);
+          if (o[0] === undefined || o[0] === null ||
+              o[1] === undefined || o[1] === null) {
+            return false;
+          }
+          return cmp(o[0], o[1]);
+        }));
+    };
+  };
+
+  var same = function(a, b) {
+    return JSON.stringify(ctx.info(a)) === JSON.stringify(ctx.info(b));
+  };
+
+  ee.Filter = function(filter) {
+    if (filter instanceof Filter) {
+      return filter;
+    }
+    return ee.Filter.and.apply(null, raw(filter));
+  };
+  ee.Filter.eq = binary('eq', same);
+  ee.Filter.equals = ee.Filter.eq;
+  ee.Filter.neq = function(a, b) {
+    var spec = b === undefined ? raw(a) : {leftField: raw(a), rightValue: b};
+    return ctx.record('Filter.neq', arguments, new Filter(
+      function(left, right) {
+        var o = operands(spec, left, right);
+        return !same(o[0], o[1]);
+      }));
+  };
+  ee.Filter.notEquals = ee.Filter.neq;
+  ee.Filter.lt = binary('lt', function(a, b) { return a < b; });
+  ee.Filter.lessThan = ee.Filter.lt;
+  ee.Filter.lte = binary('lte', function(a, b) { return a <= b; });
+  ee.Filter.lessThanOrEquals = ee.Filter.lte;
+  ee.Filter.gt = binary('gt', function(a, b) { return a > b; });
+  ee.Filter.greaterThan = ee.Filter.gt;
+  ee.Filter.gte = binary('gte', function(a, b) { return a >= b; });
+  ee.Filter.greaterThanOrEquals = ee.Filter.gte;
+  ee.Filter.stringContains = binary('stringContains', function(a, b) {
+    return String(a).indexOf(String(b)) !== -1;
+  });
+  ee.Filter.stringStartsWith = binary('stringStartsWith', function(a, b) {
+    return String(a).indexOf(String(b)) === 0;
+  });
+  ee.Filter.stringEndsWith = binary('stringEndsWith', function(a, b) {
+    var s = String(a);
+    return s.slice(s.length - String(b).length) === String(b);
+  });
+  ee.Filter.inList = function(a, b) {
+    var spec = b === undefined ? raw(a) : {leftField: raw(a), rightValue: b};
+    return ctx.record('Filter.inList', arguments, new Filter(
+      function(left, right) {
+        var o = operands(spec, left, right);
+        return (o[1] || []).some(function(x) { return same(x, o[0]); });
+      }));
+  };
+  ee.Filter.listContains = function(a, b) {
+    var spec = b === undefined ? raw(a) : {leftField: raw(a), rightValue: b};
+    return ctx.record('Filter.listContains', arguments, new Filter(
+      function(left, right) {
+        var o = operands(spec, left, right);
+        return (o[0] || []).some(function(x) { return same(x, o[1]); });
+      }));
+  };
+  ee.Filter.notNull = function(properties) {
+    var names = raw(properties);
+    return ctx.record('Filter.notNull', arguments, new Filter(
+      function(left) {
+        return names.every(function(n) {
+          var v = propOf(left, n);
+          return v !== undefined && v !== null;
+        });
+      }));
+  };
+  ee.Filter.date = function(start, end) {
+    var s = ctx.toMillis(start);
+    var e = end === undefined || end === null ? s + 1
+      : ctx.toMillis(end);
+    return ctx.record('Filter.date', arguments, new Filter(function(left) {
+      var t = propOf(left, 'system:time_start');
+      return t !== undefined && t !== null && t >= s && t < e;
+    }));
+  };
+  ee.Filter.calendarRange = function(start, end, field) {
+    var f = field === undefined ? 'day_of_year' : raw(field);
+    var s = num(start);
+    var e = end === undefined || end === null ? s : num(end);
+    return ctx.record('Filter.calendarRange', arguments, new Filter(
+      function(left) {
+        var t = propOf(left, 'system:time_start');
+        if (t === undefined || t === null) {
+          return false;
+        }
+        var d = new Date(t);
+        var v = {
+          year: d.getUTCFullYear(),
+          month: d.getUTCMonth() + 1,
+          week: Math.floor((t - Date.UTC(d.getUTCFullYear(), 0, 1)) /
+                           (7 * 864e5)) + 1,
+          day_of_year: Math.floor((t - Date.UTC(d.getUTCFullYear(), 0, 1)) /
+                                  864e5) + 1,
+          day_of_month: d.getUTCDate(),
+          day_of_week: (d.getUTCDay() + 6) % 7,
+          hour: d.getUTCHours()
+        }[f];
+        return s <= e ? v >= s && v <= e : v >= s || v <= e;
+      }));
+  };
+  ee.Filter.bounds = function(geometry) {
+    var g = ctx.toGeometry(geometry);
+    return ctx.record('Filter.bounds', arguments, new Filter(
+      function(left) {
+        var eg = propOf(left, '.geo');
+        return eg ? eg._intersects(g) : true;
+      }));
+  };
+  ee.Filter.intersects = function(spec) {
+    var p = raw(spec);
+    return ctx.record('Filter.intersects', arguments, new Filter(
+      function(left, right) {
+        var a = propOf(left, p.leftField);
+        var b = p.rightField !== undefined ? propOf(right, p.rightField)
+          : ctx.toGeometry(p.rightValue);
+        return Boolean(a && b && a._intersects(b));
+      }));
+  };
+  ee.Filter.maxDifference = function(difference, leftField, rightValue,
+                                     rightField, leftValue) {
+    var p = typeof difference === 'object' && !(difference instanceof
+      ctx.EEObject) ? raw(difference) : {
+        difference: difference,
+        leftField: leftField,
+        rightValue: rightValue,
+        rightField: rightField,
+        leftValue: leftValue
+      };
+    var d = num(p.difference);
+    var measure = function(left, right) {
+      var o = operands(p, left, right);
+      return Math.abs(num(o[0]) - num(o[1]));
+    };
+    return ctx.record('Filter.maxDifference', arguments, new Filter(
+      function(left, right) {
+        var o = operands(p, left, right);
+        if (o[0] === undefined || o[0] === null ||
+            o[1] === undefined || o[1] === null) {
+          return false;
+        }
+        return measure(left, right) <= d;
+      }, measure));
+  };
+  ee.Filter.withinDistance = function(spec) {
+    var p = raw(spec);
+    var measure = function(left, right) {
+      var a = propOf(left, p.leftField || '.geo');
+      var b = p.rightField !== undefined || right
+        ? propOf(right, p.rightField || '.geo')
+        : ctx.toGeometry(p.rightValue);
+      return num(a.distance(b));
+    };
+    return ctx.record('Filter.withinDistance', arguments, new Filter(
+      function(left, right) {
+        return measure(left, right) <= num(p.distance);
+      }, measure));
+  };
+  ee.Filter.dateRangeContains = function(spec) {
+    var p = raw(spec);
+    return ctx.record('Filter.dateRangeContains', arguments, new Filter(
+      function(left, right) {
+        var range = p.leftField !== undefined ? propOf(left, p.leftField)
+          : raw(p.leftValue);
+        var t = comparable(p.rightField !== undefined
+          ? propOf(right, p.rightField) : p.rightValue);
+        return Boolean(range) && t >= range._start && t < range._end;
+      }));
+  };
+  ee.Filter.and = function() {
+    var filters = Array.prototype.slice.call(arguments).map(raw);
+    return ctx.record('Filter.and', arguments, new Filter(
+      function(left, right) {
+        return filters.every(function(f) { return f._test(left, right); });
+      }, function(left, right) {
+        for (var i = 0; i < filters.length; i++) {
+          if (filters[i]._measure) {
+            return filters[i]._measure(left, right);
+          }
+        }
+        return null;
+      }));
+  };
+  ee.Filter.or = function() {
+    var filters = Array.prototype.slice.call(arguments).map(raw);
+    return ctx.record('Filter.or', arguments, new Filter(
+      function(left, right) {
+        return filters.some(function(f) { return f._test(left, right); });
+      }));
+  };
+
+  def(Filter, 'Filter', {
+    not: function() {
+      var self = this;
+      return new Filter(function(left, right) {
+        return !self._test(left, right);
+      });
+    },
+    and: function(other) {
+      return ee.Filter.and(this, other);
+    },
+    or: function(other) {
+      return ee.Filter.or(this, other);
+    }
+  });
+
+  ctx.Filter = Filter;
+  ctx.propOf = propOf;
+
+  /**
+   * Join between two collections.
+   * @constructor
+   * @param {Function} apply - (primary, secondary, condition) -> list
+   *     of output elements.
+   * @param {boolean} toFeatures - Whether output is always features.
+   */
+  function Join(apply, toFeatures) {
+    this._apply = apply;
+    this._toFeatures = toFeatures;
+  }
+  Join.prototype = Object.create(ctx.EEObject.prototype);
+  Join.prototype._type = 'Join';
+
+  var matchesOf = function(left, secondary, condition) {
+    return secondary.filter(function(right) {
+      return condition._test(left, right);
+    }).map(function(right) {
+      return {
+        el: right,
+        measure: condition._measure ? condition._measure(left, right) : null
+      };
+    });
+  };
+
+  var order = function(matches, ordering, ascending) {
+    if (!ordering) {
+      return matches;
+    }
+    var sorted = matches.slice().sort(function(a, b) {
+      return ctx.compareRaw(propOf(a.el, ordering), propOf(b.el, ordering));
+    });
+    return ascending === false ? sorted.reverse() : sorted;
+  };
+
+  var joinArgs = function(args, names) {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object' &&
+        !(args[0] instanceof ctx.EEObject)) {
+      return raw(args[0]);
+    }
+    var out = {};
+    names.forEach(function(n, i) {
+      out[n] = raw(args[i]);
+    });
+    return out;
+  };
+
+  var withProps = function(el, props) {
+    return ctx.withProps(el, Object.assign({}, el._props, props));
+  };
+
+  ee.Join = {};
+  ee.Join.saveFirst = function() {
+    var p = joinArgs(arguments,
+      ['matchKey', 'ordering', 'ascending', 'measureKey', 'outer']);
+    return ctx.record('Join.saveFirst', arguments, new Join(
+      function(primary, secondary, condition) {
+        var out = [];
+        primary.forEach(function(left) {
+          var m = order(matchesOf(left, secondary, condition),
+                        p.ordering, p.ascending);
+          if (m.length === 0) {
+            if (p.outer) {
+              out.push(left);
+            }
+            return;
+          }
+          var props = {};
+          props[p.matchKey] = m[0].el;
+          if (p.measureKey) {
+            props[p.measureKey] = m[0].measure;
+          }
+          out.push(withProps(left, props));
+        });
+        return out;
+      }, false));
+  };
+  ee.Join.saveAll = function() {
+    var p = joinArgs(arguments,
+      ['matchesKey', 'ordering', 'ascending', 'measureKey', 'outer']);
+    return ctx.record('Join.saveAll', arguments, new Join(
+      function(primary, secondary, condition) {
+        var out = [];
+        primary.forEach(function(left) {
+          var m = order(matchesOf(left, secondary, condition),
+                        p.ordering, p.ascending);
+          if (m.length === 0 && !p.outer) {
+            return;
+          }
+          var props = {};
+          props[p.matchesKey] = m.map(function(x) {
+            if (p.measureKey) {
+              var mp = {};
+              mp[p.measureKey] = x.measure;
+              return withProps(x.el, mp);
+            }
+            return x.el;
+          });
+          out.push(withProps(left, props));
+        });
+        return out;
+      }, false));
+  };
+  ee.Join.saveBest = function() {
+    var p = joinArgs(arguments, ['matchKey', 'measureKey', 'outer']);
+    return ctx.record('Join.saveBest', arguments, new Join(
+      function(primary, secondary, condition) {
+        var out = [];
+        primary.forEach(function(left) {
+          var m = matchesOf(left, secondary, condition);
+          if (m.length === 0) {
+            if (p.outer) {
+              out.push(left);
+            }
+            return;
+          }
+          var best = m.reduce(function(a, b) {
+            return b.measure < a.measure ? b : a;
+          });
+          var props = {};
+          props[p.matchKey] = best.el;
+          props[p.measureKey] = best.measure;
+          out.push(withProps(left, props));
+        });
+        return out;
+      }, false));
+  };
+  ee.Join.simple = function() {
+    return ctx.record('Join.simple', arguments, new Join(
+      function(primary, secondary, condition) {
+        return primary.filter(function(left) {
+          return matchesOf(left, secondary, condition).length > 0;
+        });
+      }, false));
+  };
+  ee.Join.inverted = function() {
+    return ctx.record('Join.inverted', arguments, new Join(
+      function(primary, secondary, condition) {
+        return primary.filter(function(left) {
+          return matchesOf(left, secondary, condition).length === 0;
+        });
+      }, false));
+  };
+  ee.Join.inner = function(primaryKey, secondaryKey, measureKey) {
+    var pk = primaryKey === undefined ? 'primary' : raw(primaryKey);
+    var sk = secondaryKey === undefined ? 'secondary' : raw(secondaryKey);
+    var mk = measureKey === undefined ? null : raw(measureKey);
+    return ctx.record('Join.inner', arguments, new Join(
+      function(primary, secondary, condition) {
+        var out = [];
+        primary.forEach(function(left) {
+          matchesOf(left, secondary, condition).forEach(function(m) {
+            var props = {};
+            props[pk] = left;
+            props[sk] = m.el;
+            if (mk) {
+              props[mk] = m.measure;
+            }
+            out.push(new ctx.Feature(null, props));
+          });
+        });
+        return out;
+      }, true));
+  };
+
+  def(Join, 'Join', {
+    apply: function(primary, secondary, condition) {
+      var p = ctx.toCollection(primary);
+      var s = ctx.toCollection(secondary);
+      var elements = this._apply(p._elements, s._elements, raw(condition));
+      if (this._toFeatures) {
+        return new ctx.FeatureCollection(elements, {});
+      }
+      return ctx.sameKindCollection(p, elements);
+    }
+  });
+
+  ctx.Join = Join;
+};
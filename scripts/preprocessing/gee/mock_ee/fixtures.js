@@ -0,0 +1,220 @@
+/**
+ * title: Offline Earth Engine Runtime - Scene Fixtures
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Builders for synthetic Landsat Collection 2 Level-2, Sentinel-2 SR
+ * and Sentinel-1 GRD scenes on a runtime grid. Reflectances are given
+ * in physical units and stored as the digital numbers the real
+ * collections use, so the helper modules' own scaling and QA bit logic
+ * is exercised.
+ */
+
+var LANDSAT_BANDS = {
+  // Sensor -> {common name: SR band}
+  LT05: {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4',
+         swir1: 'SR_B5', swir2: 'SR_B7'},
+  LE07: {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4',
+         swir1: 'SR_B5', swir2: 'SR_B7'},
+  LC08: {coastal: 'SR_B1', blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4',
+         nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7'},
+  LC09: {coastal: 'SR_B1', blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4',
+         nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7'}
+};
+
+var SPACECRAFT = {
+  LT05: 'LANDSAT_5', LE07: 'LANDSAT_7', LC08: 'LANDSAT_8', LC09: 'LANDSAT_9'
+};
+
+var S2_BANDS = ['B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B8A',
+                'B9', 'B11', 'B12'];
+
+var DEFAULT_REFLECTANCE = {
+  coastal: 0.03, blue: 0.04, green: 0.07, red: 0.05, nir: 0.30,
+  swir1: 0.15, swir2: 0.08, re1: 0.10, re2: 0.20, re3: 0.25, re4: 0.28,
+  wv: 0.05
+};
+
+/**
+ * Expands a per-scene value spec (constant, array or function) to a
+ * per-pixel function.
+ */
+var perPixel = function(spec, grid) {
+  if (typeof spec === 'function') {
+    return spec;
+  }
+  if (Array.isArray(spec)) {
+    return function(i, j) { return spec[j * grid.width + i]; };
+  }
+  return function() { return spec; };
+};
+
+/**
+ * Builds a Landsat Collection 2 Level-2 scene.
+ *
+ * @param {Object} runtime - Runtime from createRuntime().
+ * @param {Object} options - Scene options.
+ * @param {string} options.sensor - 'LT05', 'LE07', 'LC08' or 'LC09'.
+ * @param {string} options.date - Acquisition date ('YYYY-MM-DD').
+ * @param {Object} [options.reflectance] - Common band name -> surface
+ *     reflectance (constant, row-major array or function(i, j)).
+ * @param {*} [options.qa=0] - QA_PIXEL value(s); set bit 3 (cloud),
+ *     4 (shadow) or 5 (snow) to exercise the masks.
+ * @param {*} [options.radsat=0] - QA_RADSAT value(s); bits 0-6 flag
+ *     saturation in bands 1-7, bit 9 dropped pixels (LT05, LE07) and
+ *     bit 11 terrain occlusion (LC08, LC09).
+ * @param {*} [options.kelvin=290] - Surface temperature in kelvin.
+ * @param {*} [options.opacity=0.1] - Atmospheric opacity, stored in
+ *     SR_ATMOS_OPACITY (LT05, LE07).
+ * @param {*} [options.aerosol=1] - Aerosol level 0-3 (climatology,
+ *     low, medium, high), stored in bits 6-7 of SR_QA_AEROSOL (LC08,
+ *     LC09).
+ * @param {Object} [options.properties] - Extra image properties.
+ * @returns {ee.Image} Scene image with DN-scaled bands.
+ */
+exports.landsatScene = function(runtime, options) {
+  var sensor = options.sensor;
+  var names = LANDSAT_BANDS[sensor];
+  if (!names) {
+    throw new Error('landsatScene: Unknown sensor \'' + sensor + '\'.');
+  }
+  var refl = Object.assign({}, DEFAULT_REFLECTANCE,
+                           options.reflectance || {});
+  var bands = {};
+  Object.keys(names).forEach(function(common) {
+    var f = perPixel(refl[common], runtime.grid);
+    bands[names[common]] = function(i, j) {
+      var v = f(i, j);
+      return v === null ? null : Math.round((v + 0.2) / 0.0000275);
+    };
+  });
+  var kelvin = perPixel(options.kelvin === undefined ? 290 : options.kelvin,
+                        runtime.grid);
+  var stBand = sensor === 'LC08' || sensor === 'LC09' ? 'ST_B10' : 'ST_B6';
+  bands[stBand] = function(i, j) {
+    return Math.round((kelvin(i, j) - 149) / 0.00341802);
+  };
+  if (stBand === 'ST_B10') {
+    var aerosol = perPixel(options.aerosol === undefined ? 1
+                           : options.aerosol, runtime.grid);
+    bands.SR_QA_AEROSOL = function(i, j) {
+      // Bit 1: valid aerosol retrieval; bits 6-7: aerosol level
+      return aerosol(i, j) << 6 | 2;
+    };
+  } else {
+    var opacity = perPixel(options.opacity === undefined ? 0.1
+                           : options.opacity, runtime.grid);
+    bands.SR_ATMOS_OPACITY = function(i, j) {
+      return Math.round(opacity(i, j) / 0.001);
+    };
+  }
+  bands.QA_PIXEL = perPixel(options.qa === undefined ? 0 : options.qa,
+                            runtime.grid);
+  bands.QA_RADSAT = perPixel(options.radsat === undefined ? 0
+                             : options.radsat, runtime.grid);
+  var t = Date.parse(options.date + 'T00:00:00Z');
+  var id = sensor + '_042023_' + options.date.replace(/-/g, '');
+  return runtime.image(bands, Object.assign({
+    'system:time_start': t,
+    'system:index': id,
+    'system:id': 'LANDSAT/' + sensor + '/C02/T1_L2/' + id,
+    SPACECRAFT_ID: SPACECRAFT[sensor],
+    CLOUD_COVER: 0
+  }, options.properties || {}));
+};
+
+/**
+ * Builds a Sentinel-2 SR (harmonized) scene.
+ *
+ * @param {Object} runtime - Runtime from createRuntime().
+ * @param {Object} options - Scene options.
+ * @param {string} options.date - Acquisition date ('YYYY-MM-DD').
+ * @param {Object} [options.reflectance] - Band -> reflectance, keyed
+ *     by S2 band ('B4') or common name ('red').
+ * @param {*} [options.qa60=0] - QA60 value(s); bit 10 opaque cloud,
+ *     bit 11 cirrus.
+ * @param {*} [options.scl=4] - Scene classification value(s).
+ * @param {number} [options.cloudyPercentage=0] - Scene cloud cover.
+ * @param {number} [options.solarAzimuth=160] - Mean solar azimuth in
+ *     degrees clockwise from north.
+ * @param {Object} [options.properties] - Extra image properties.
+ * @returns {ee.Image} Scene image with DN-scaled bands.
+ */
+exports.sentinel2Scene = function(runtime, options) {
+  var common = {
+    B1: 'coastal', B2: 'blue', B3: 'green', B4: 'red', B5: 're1',
+    B6: 're2', B7: 're3', B8: 'nir', B8A: 're4', B9: 'wv', B11: 'swir1',
+    B12: 'swir2'
+  };
+  var given = options.reflectance || {};
+  var bands = {};
+  S2_BANDS.forEach(function(b) {
+    var spec = given[b] !== undefined ? given[b]
+      : given[common[b]] !== undefined ? given[common[b]]
+      : DEFAULT_REFLECTANCE[common[b]];
+    var f = perPixel(spec, runtime.grid);
+    bands[b] = function(i, j) {
+      var v = f(i, j);
+      return v === null ? null : Math.round(v * 10000);
+    };
+  });
+  bands.QA60 = perPixel(options.qa60 === undefined ? 0 : options.qa60,
+                        runtime.grid);
+  bands.SCL = perPixel(options.scl === undefined ? 4 : options.scl,
+                       runtime.grid);
+  var t = Date.parse(options.date + 'T00:00:00Z');
+  var id = options.date.replace(/-/g, '') + 'T184919_' +
+    options.date.replace(/-/g, '') + 'T185222_T12UUA';
+  return runtime.image(bands, Object.assign({
+    'system:time_start': t,
+    'system:index': id,
+    'system:id': 'COPERNICUS/S2_SR_HARMONIZED/' + id,
+    SPACECRAFT_NAME: 'Sentinel-2A',
+    CLOUDY_PIXEL_PERCENTAGE: options.cloudyPercentage || 0,
+    MEAN_SOLAR_AZIMUTH_ANGLE: options.solarAzimuth === undefined ? 160
+      : options.solarAzimuth
+  }, options.properties || {}));
+};
+
+/**
+ * Builds a Sentinel-1 GRD scene in linear power units
+ * (COPERNICUS/S1_GRD_FLOAT).
+ *
+ * @param {Object} runtime - Runtime from createRuntime().
+ * @param {Object} options - Scene options.
+ * @param {string} options.date - Acquisition date ('YYYY-MM-DD').
+ * @param {*} [options.vv=0.08] - VV backscatter (sigma0, linear).
+ * @param {*} [options.vh=0.02] - VH backscatter (sigma0, linear).
+ * @param {*} [options.angle=38] - Incidence angle in degrees.
+ * @param {string} [options.pass='DESCENDING'] - Orbit pass.
+ * @param {number} [options.relativeOrbit=20] - Relative orbit number.
+ * @param {string[]} [options.polarisations=['VV', 'VH']] - Polarisations.
+ * @param {Object} [options.properties] - Extra image properties.
+ * @returns {ee.Image} Scene image.
+ */
+exports.sentinel1Scene = function(runtime, options) {
+  var polarisations = options.polarisations || ['VV', 'VH'];
+  var bands = {};
+  polarisations.forEach(function(p) {
+    var spec = options[p.toLowerCase()];
+    bands[p] = perPixel(spec === undefined ? (p === 'VV' ? 0.08 : 0.02)
+                                           : spec, runtime.grid);
+  });
+  bands.angle = perPixel(options.angle === undefined ? 38 : options.angle,
+                         runtime.grid);
+  var t = Date.parse(options.date + 'T00:00:00Z');
+  var id = 'S1A_IW_GRDH_1SDV_' + options.date.replace(/-/g, '') +
+    'T011245_' + options.date.replace(/-/g, '') + 'T011310_040000_04BD3C_0F6A';
+  return runtime.image(bands, Object.assign({
+    'system:time_start': t,
+    'system:index': id,
+    'system:id': 'COPERNICUS/S1_GRD_FLOAT/' + id,
+    instrumentMode: 'IW',
+    platform_number: 'A',
+    orbitProperties_pass: options.pass || 'DESCENDING',
+    relativeOrbitNumber_start: options.relativeOrbit || 20,
+    transmitterReceiverPolarisation: polarisations,
+    resolution_meters: 10
+  }, options.properties || {}));
+};
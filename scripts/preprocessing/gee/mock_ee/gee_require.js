@@ -0,0 +1,62 @@
+/**
+ * title: Offline Earth Engine Runtime - require() Resolver
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Resolves Code Editor module ids of the form
+ * 'users/bgcasey/science_centre:functions/utils' to files under the
+ * gee/ scripts directory and runs them with the runtime's globals
+ * (ee, Export, Map, print, ui) in scope, the same way the Code
+ * Editor does. Modules are cached per runtime.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var REPO_PREFIX = 'users/bgcasey/science_centre:';
+
+/**
+ * Creates a Code Editor style require() bound to a runtime.
+ *
+ * @param {Object} runtime - Runtime from createRuntime().
+ * @param {Object} options - Resolver options.
+ * @param {string} options.root - Directory the repo prefix maps to.
+ * @param {Object} options.modules - Extra module ids -> exports.
+ * @returns {Function} require(id) -> module exports.
+ */
+exports.createRequire = function(runtime, options) {
+  var cache = {};
+
+  var geeRequire = function(id) {
+    if (Object.prototype.hasOwnProperty.call(options.modules, id)) {
+      return options.modules[id];
+    }
+    if (id.indexOf(REPO_PREFIX) !== 0) {
+      throw new Error('require: Unknown module \'' + id + '\'. Only ' +
+                      REPO_PREFIX + ' modules resolve offline; pass ' +
+                      'others via createRuntime({modules: ...}).');
+    }
+    var file = path.join(options.root, id.slice(REPO_PREFIX.length));
+    if (path.extname(file) !== '.js') {
+      file += '.js';
+    }
+    if (cache[file]) {
+      return cache[file].exports;
+    }
+    if (!fs.existsSync(file)) {
+      throw new Error('require: Cannot find module \'' + id + '\' (' +
+                      file + ').');
+    }
+    var module = {exports: {}};
+    cache[file] = module;
+    var src = fs.readFileSync(file, 'utf8') + '\n//# sourceURL=' + file;
+    var run = new Function('ee', 'Export', 'Map', 'print', 'ui', 'require',
+                           'exports', 'module', src);
+    run(runtime.ee, runtime.Export, runtime.Map, runtime.print, runtime.ui,
+        geeRequire, module.exports, module);
+    return module.exports;
+  };
+
+  return geeRequire;
+};
@@ -0,0 +1,747 @@
+/**
+ * title: Offline Earth Engine Runtime - Geometries and Features
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * ee.Geometry and ee.Feature for the offline Earth Engine runtime.
+ * Geometries are planar: coordinates, buffer distances and areas
+ * share the units of the runtime grid, so a test can lay points out
+ * on a grid of 30-unit pixels and buffer them by 45 units without
+ * any geodesy.
+ */
+
+var CIRCLE_VERTICES = 32;
+
+/**
+ * Ray-casting point-in-ring test.
+ */
+var inRing = function(ring, x, y) {
+  var inside = false;
+  for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    var xi = ring[i][0];
+    var yi = ring[i][1];
+    var xj = ring[j][0];
+    var yj = ring[j][1];
+    if ((yi > y) !== (yj > y) &&
+        x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+var segmentDistance = function(px, py, a, b) {
+  var dx = b[0] - a[0];
+  var dy = b[1] - a[1];
+  var len2 = dx * dx + dy * dy;
+  var t = len2 === 0 ? 0
+    : Math.max(0, Math.min(1, ((px - a[0]) * dx + (py - a[1]) * dy) / len2));
+  var cx = a[0] + t * dx;
+  var cy = a[1] + t * dy;
+  return Math.sqrt((px - cx) * (px - cx) + (py - cy) * (py - cy));
+};
+
+var ringArea = function(ring) {
+  var a = 0;
+  for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(a / 2);
+};
+
+var segmentsCross = function(a, b, c, d) {
+  var orient = function(p, q, r) {
+    return (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  };
+  var o1 = orient(a, b, c);
+  var o2 = orient(a, b, d);
+  var o3 = orient(c, d, a);
+  var o4 = orient(c, d, b);
+  return (o1 > 0) !== (o2 > 0) && (o3 > 0) !== (o4 > 0);
+};
+
+/**
+ * Installs ee.Geometry and ee.Feature on a runtime context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  var ee = ctx.ee;
+  var def = ctx.def;
+  var raw = ctx.raw;
+  var num = ctx.num;
+  var str = ctx.str;
+
+  /**
+   * Planar geometry.
+   * @constructor
+   * @param {string} gtype - GeoJSON type, 'Buffer' or 'Difference'.
+   * @param {*} coords - Coordinates, parts, {base, radius} or
+   *                     {base, minus}.
+   */
+  function Geometry(gtype, coords) {
+    this._gtype = gtype;
+    this._coords = coords;
+  }
+  Geometry.prototype = Object.create(ctx.EEObject.prototype);
+  Geometry.prototype._type = 'Geometry';
+
+  /**
+   * Whether the planar point (x, y) lies inside the geometry. Points
+   * and lines contain nothing; pixel lookups handle them separately.
+   */
+  Geometry.prototype._containsXY = function(x, y) {
+    switch (this._gtype) {
+      case 'Polygon':
+        if (!inRing(this._coords[0], x, y)) {
+          return false;
+        }
+        for (var h = 1; h < this._coords.length; h++) {
+          if (inRing(this._coords[h], x, y)) {
+            return false;
+          }
+        }
+        return true;
+      case 'MultiPolygon':
+        return this._coords.some(function(poly) {
+          return new Geometry('Polygon', poly)._containsXY(x, y);
+        });
+      case 'GeometryCollection':
+        return this._coords.some(function(g) {
+          return g._containsXY(x, y);
+        });
+      case 'Buffer':
+        return this._coords.base._distanceXY(x, y) <= this._coords.radius;
+      case 'Difference':
+        return this._coords.base._containsXY(x, y) &&
+          !this._coords.minus._containsXY(x, y);
+      default:
+        return false;
+    }
+  };
+
+  /** Distance from (x, y) to the geometry, 0 when inside. */
+  Geometry.prototype._distanceXY = function(x, y) {
+    var best = Infinity;
+    switch (this._gtype) {
+      case 'Point':
+        return Math.sqrt(Math.pow(x - this._coords[0], 2) +
+                         Math.pow(y - this._coords[1], 2));
+      case 'MultiPoint':
+        this._coords.forEach(function(p) {
+          best = Math.min(best, Math.sqrt(Math.pow(x - p[0], 2) +
+                                          Math.pow(y - p[1], 2)));
+        });
+        return best;
+      case 'LineString':
+        for (var i = 1; i < this._coords.length; i++) {
+          best = Math.min(best, segmentDistance(
+            x, y, this._coords[i - 1], this._coords[i]));
+        }
+        return best;
+      case 'Polygon':
+        if (this._containsXY(x, y)) {
+          return 0;
+        }
+        this._coords.forEach(function(ring) {
+          for (var k = 1; k < ring.length; k++) {
+            best = Math.min(best, segmentDistance(x, y, ring[k - 1], ring[k]));
+          }
+        });
+        return best;
+      case 'MultiPolygon':
+        this._coords.forEach(function(poly) {
+          best = Math.min(best,
+            new Geometry('Polygon', poly)._distanceXY(x, y));
+        });
+        return best;
+      case 'GeometryCollection':
+        this._coords.forEach(function(g) {
+          best = Math.min(best, g._distanceXY(x, y));
+        });
+        return best;
+      case 'Difference':
+        // Approximate: inside the removed part counts as touching it
+        return this._containsXY(x, y) ? 0
+          : this._coords.base._distanceXY(x, y);
+      default:
+        return Math.max(0,
+          this._coords.base._distanceXY(x, y) - this._coords.radius);
+    }
+  };
+
+  /** Point-like geometries select the pixel they fall in. */
+  Geometry.prototype._points = function() {
+    if (this._gtype === 'Point') {
+      return [this._coords];
+    }
+    if (this._gtype === 'MultiPoint') {
+      return this._coords;
+    }
+    if (this._gtype === 'GeometryCollection') {
+      return this._coords.reduce(function(acc, g) {
+        return acc.concat(g._points());
+      }, []);
+    }
+    return [];
+  };
+
+  Geometry.prototype._isPointLike = function() {
+    return this._gtype === 'Point' || this._gtype === 'MultiPoint' ||
+      (this._gtype === 'GeometryCollection' &&
+       this._coords.every(function(g) { return g._isPointLike(); }));
+  };
+
+  /** Vertices used for bounding boxes and intersection tests. */
+  Geometry.prototype._vertices = function() {
+    switch (this._gtype) {
+      case 'Point':
+        return [this._coords];
+      case 'MultiPoint':
+      case 'LineString':
+        return this._coords;
+      case 'Polygon':
+        return this._coords[0];
+      case 'MultiPolygon':
+        return this._coords.reduce(function(acc, poly) {
+          return acc.concat(poly[0]);
+        }, []);
+      case 'GeometryCollection':
+        return this._coords.reduce(function(acc, g) {
+          return acc.concat(g._vertices());
+        }, []);
+      case 'Difference':
+        return this._coords.base._vertices();
+      default:
+        return this._outline()[0];
+    }
+  };
+
+  /** Polygon approximation of a buffer. */
+  Geometry.prototype._outline = function() {
+    var base = this._coords.base;
+    var r = this._coords.radius;
+    if (base._gtype === 'Point') {
+      var ring = [];
+      for (var i = 0; i <= CIRCLE_VERTICES; i++) {
+        var a = 2 * Math.PI * i / CIRCLE_VERTICES;
+        ring.push([base._coords[0] + r * Math.cos(a),
+                   base._coords[1] + r * Math.sin(a)]);
+      }
+      return [ring];
+    }
+    var b = base._bbox();
+    return [[[b[0] - r, b[1] - r], [b[2] + r, b[1] - r], [b[2] + r, b[3] + r],
+             [b[0] - r, b[3] + r], [b[0] - r, b[1] - r]]];
+  };
+
+  Geometry.prototype._bbox = function() {
+    var v = this._vertices();
+    var b = [Infinity, Infinity, -Infinity, -Infinity];
+    v.forEach(function(p) {
+      b[0] = Math.min(b[0], p[0]);
+      b[1] = Math.min(b[1], p[1]);
+      b[2] = Math.max(b[2], p[0]);
+      b[3] = Math.max(b[3], p[1]);
+    });
+    return b;
+  };
+
+  Geometry.prototype._area = function() {
+    switch (this._gtype) {
+      case 'Polygon':
+        return this._coords.reduce(function(acc, ring, i) {
+          return acc + (i === 0 ? 1 : -1) * ringArea(ring);
+        }, 0);
+      case 'MultiPolygon':
+        return this._coords.reduce(function(acc, poly) {
+          return acc + new Geometry('Polygon', poly)._area();
+        }, 0);
+      case 'GeometryCollection':
+        return this._coords.reduce(function(acc, g) {
+          return acc + g._area();
+        }, 0);
+      case 'Buffer':
+        if (this._coords.base._gtype === 'Point') {
+          return Math.PI * Math.pow(this._coords.radius, 2);
+        }
+        return ringArea(this._outline()[0]);
+      case 'Difference':
+        // Assumes the removed part lies within the base
+        return this._coords.base._area() - this._coords.minus._area();
+      default:
+        return 0;
+    }
+  };
+
+  Geometry.prototype._segments = function() {
+    var rings;
+    switch (this._gtype) {
+      case 'LineString':
+        rings = [this._coords];
+        break;
+      case 'Polygon':
+        rings = this._coords;
+        break;
+      case 'MultiPolygon':
+        rings = this._coords.reduce(function(acc, p) {
+          return acc.concat(p);
+        }, []);
+        break;
+      case 'GeometryCollection':
+        return this._coords.reduce(function(acc, g) {
+          return acc.concat(g._segments());
+        }, []);
+      case 'Buffer':
+        rings = this._outline();
+        break;
+      case 'Difference':
+        return this._coords.base._segments()
+          .concat(this._coords.minus._segments());
+      default:
+        return [];
+    }
+    var segs = [];
+    rings.forEach(function(ring) {
+      for (var i = 1; i < ring.length; i++) {
+        segs.push([ring[i - 1], ring[i]]);
+      }
+    });
+    return segs;
+  };
+
+  Geometry.prototype._intersects = function(other) {
+    var a = this._bbox();
+    var b = other._bbox();
+    if (a[0] > b[2] || b[0] > a[2] || a[1] > b[3] || b[1] > a[3]) {
+      return false;
+    }
+    var self = this;
+    var touches = function(g, h) {
+      if (g._isPointLike()) {
+        return g._points().some(function(p) {
+          return h._distanceXY(p[0], p[1]) === 0 ||
+            (h._isPointLike() && h._distanceXY(p[0], p[1]) < 1e-9);
+        });
+      }
+      return g._vertices().some(function(p) {
+        return h._containsXY(p[0], p[1]);
+      });
+    };
+    if (touches(self, other) || touches(other, self)) {
+      return true;
+    }
+    var sa = self._segments();
+    var sb = other._segments();
+    return sa.some(function(s) {
+      return sb.some(function(t) {
+        return segmentsCross(s[0], s[1], t[0], t[1]);
+      });
+    });
+  };
+
+  Geometry.prototype._geojson = function() {
+    if (this._gtype === 'Buffer') {
+      return {type: 'Polygon', coordinates: this._outline()};
+    }
+    if (this._gtype === 'Difference') {
+      // The removed part becomes a hole
+      return {
+        type: 'Polygon',
+        coordinates: [this._coords.base._geojson().coordinates[0],
+                      this._coords.minus._geojson().coordinates[0]]
+      };
+    }
+    if (this._gtype === 'GeometryCollection') {
+      return {
+        type: 'GeometryCollection',
+        geometries: this._coords.map(function(g) { return g._geojson(); })
+      };
+    }
+    return {type: this._gtype, coordinates: this._coords};
+  };
+
+  var bboxPolygon = function(b) {
+    return new Geometry('Polygon', [[[b[0], b[1]], [b[2], b[1]],
+      [b[2], b[3]], [b[0], b[3]], [b[0], b[1]]]]);
+  };
+
+  var centroidOf = function(g) {
+    if (g._isPointLike()) {
+      var pts = g._points();
+      return [
+        pts.reduce(function(s, p) { return s + p[0]; }, 0) / pts.length,
+        pts.reduce(function(s, p) { return s + p[1]; }, 0) / pts.length
+      ];
+    }
+    if (g._gtype === 'Buffer' && g._coords.base._gtype === 'Point') {
+      return g._coords.base._coords.slice();
+    }
+    if (g._gtype === 'Polygon') {
+      var ring = g._coords[0];
+      var a = 0;
+      var cx = 0;
+      var cy = 0;
+      for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var f = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        a += f;
+        cx += (ring[j][0] + ring[i][0]) * f;
+        cy += (ring[j][1] + ring[i][1]) * f;
+      }
+      if (a !== 0) {
+        return [cx / (3 * a), cy / (3 * a)];
+      }
+    }
+    var b = g._bbox();
+    return [(b[0] + b[2]) / 2, (b[1] + b[3]) / 2];
+  };
+
+  def(Geometry, 'Geometry', {
+    type: function() {
+      return ee.String(this._gtype === 'Buffer' ||
+                       this._gtype === 'Difference' ? 'Polygon'
+                                                    : this._gtype);
+    },
+    coordinates: function() {
+      var gj = this._geojson();
+      return ee.List(gj.coordinates || gj.geometries.map(function(g) {
+        return g.coordinates;
+      }));
+    },
+    geometries: function() {
+      return ee.List(this._gtype === 'GeometryCollection'
+        ? this._coords : [this]);
+    },
+    bounds: function() {
+      return bboxPolygon(this._bbox());
+    },
+    centroid: function() {
+      return new Geometry('Point', centroidOf(this));
+    },
+    area: function() {
+      return ee.Number(this._area());
+    },
+    perimeter: function() {
+      return ee.Number(this._segments().reduce(function(s, seg) {
+        return s + Math.sqrt(Math.pow(seg[1][0] - seg[0][0], 2) +
+                             Math.pow(seg[1][1] - seg[0][1], 2));
+      }, 0));
+    },
+    buffer: function(distance) {
+      var d = num(distance, 'Geometry.buffer');
+      if (d === 0) {
+        return this;
+      }
+      return new Geometry('Buffer', {base: this, radius: d});
+    },
+    distance: function(right) {
+      var other = ctx.toGeometry(right);
+      var self = this;
+      if (this._intersects(other)) {
+        return ee.Number(0);
+      }
+      var best = Infinity;
+      other._vertices().forEach(function(p) {
+        best = Math.min(best, self._distanceXY(p[0], p[1]));
+      });
+      self._vertices().forEach(function(p) {
+        best = Math.min(best, other._distanceXY(p[0], p[1]));
+      });
+      return ee.Number(best);
+    },
+    intersects: function(right) {
+      return ee.Number(this._intersects(ctx.toGeometry(right)) ? 1 : 0);
+    },
+    contains: function(right) {
+      var self = this;
+      var other = ctx.toGeometry(right);
+      var pts = other._isPointLike() ? other._points() : other._vertices();
+      return ee.Number(pts.every(function(p) {
+        return self._distanceXY(p[0], p[1]) === 0;
+      }) ? 1 : 0);
+    },
+    containedIn: function(right) {
+      return ctx.toGeometry(right).contains(this);
+    },
+    union: function(right) {
+      return new Geometry('GeometryCollection',
+        [this, ctx.toGeometry(right)]);
+    },
+    difference: function(right) {
+      return new Geometry('Difference', {
+        base: this,
+        minus: ctx.toGeometry(right)
+      });
+    },
+    intersection: function(right) {
+      var other = ctx.toGeometry(right);
+      return this._intersects(other) ? this
+        : new Geometry('GeometryCollection', []);
+    },
+    transform: function() {
+      return this;
+    },
+    simplify: function() {
+      return this;
+    },
+    dissolve: function() {
+      return this;
+    },
+    isUnbounded: function() {
+      return ee.Number(0);
+    }
+  });
+
+  /**
+   * Casts geometry-like values (Geometry, Feature, collections,
+   * GeoJSON) to a Geometry.
+   *
+   * @param {*} x - Geometry-like value.
+   * @returns {Geometry} Geometry.
+   */
+  ctx.toGeometry = function(x) {
+    var v = raw(x);
+    if (v instanceof Geometry) {
+      return v;
+    }
+    if (v && typeof v._geometry === 'function') {
+      return v._geometry();
+    }
+    if (v && v.type && (v.coordinates || v.geometries)) {
+      return ee.Geometry(v);
+    }
+    throw new Error('Geometry: expected a geometry, got ' +
+                    JSON.stringify(ctx.info(v)) + '.');
+  };
+
+  var coordList = function(args) {
+    var list = args.length === 1 ? raw(args[0])
+      : Array.prototype.slice.call(args).map(raw);
+    return list;
+  };
+
+  ee.Geometry = function(geoJson) {
+    var v = raw(geoJson);
+    if (v instanceof Geometry) {
+      return v;
+    }
+    if (v && v.type === 'GeometryCollection') {
+      return new Geometry('GeometryCollection',
+        v.geometries.map(function(g) { return ee.Geometry(g); }));
+    }
+    if (v && v.type) {
+      return new Geometry(v.type, v.coordinates);
+    }
+    return ctx.toGeometry(v);
+  };
+  ee.Geometry.Point = function(coords) {
+    var c = coordList(arguments);
+    return ctx.record('Geometry.Point', arguments,
+      new Geometry('Point', [+c[0], +c[1]]));
+  };
+  ee.Geometry.MultiPoint = function(coords) {
+    return ctx.record('Geometry.MultiPoint', arguments,
+      new Geometry('MultiPoint', raw(coords)));
+  };
+  ee.Geometry.LineString = function(coords) {
+    return ctx.record('Geometry.LineString', arguments,
+      new Geometry('LineString', raw(coords)));
+  };
+  ee.Geometry.Polygon = function(coords) {
+    var c = raw(coords);
+    // Accept a bare ring as well as a list of rings.
+    if (typeof c[0][0] === 'number') {
+      c = [c];
+    }
+    c = c.map(function(ring) {
+      var first = ring[0];
+      var last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return ring.concat([first]);
+      }
+      return ring;
+    });
+    return ctx.record('Geometry.Polygon', arguments,
+      new Geometry('Polygon', c));
+  };
+  ee.Geometry.MultiPolygon = function(coords) {
+    return ctx.record('Geometry.MultiPolygon', arguments,
+      new Geometry('MultiPolygon', raw(coords)));
+  };
+  ee.Geometry.Rectangle = function(coords) {
+    // (coords, proj, geodesic, ...) passes the coordinates as one list
+    var c = Array.isArray(raw(coords)) ? raw(coords) : coordList(arguments);
+    if (Array.isArray(c[0])) {
+      c = [c[0][0], c[0][1], c[1][0], c[1][1]];
+    }
+    return ctx.record('Geometry.Rectangle', arguments, bboxPolygon([
+      Math.min(c[0], c[2]), Math.min(c[1], c[3]),
+      Math.max(c[0], c[2]), Math.max(c[1], c[3])
+    ]));
+  };
+
+  ctx.Geometry = Geometry;
+  ctx.bboxPolygon = bboxPolygon;
+
+  /**
+   * Implements Element.copyProperties semantics: without an explicit
+   * list, every non-system property is copied.
+   */
+  ctx.copyProps = function(target, source, properties, exclude) {
+    var src = raw(source);
+    var srcProps = src && src._props ? src._props : {};
+    var names = properties === undefined || properties === null
+      ? Object.keys(srcProps).filter(function(k) {
+          return k.indexOf('system:') !== 0;
+        })
+      : raw(properties);
+    var ex = exclude ? raw(exclude) : [];
+    var out = Object.assign({}, target);
+    names.forEach(function(k) {
+      if (ex.indexOf(k) === -1 &&
+          Object.prototype.hasOwnProperty.call(srcProps, k)) {
+        out[k] = srcProps[k];
+      }
+    });
+    return out;
+  };
+
+  /**
+   * Implements Element.set: either (key, value) or a dictionary.
+   */
+  ctx.setProps = function(props, args) {
+    var out = Object.assign({}, props);
+    if (args.length === 1) {
+      var d = raw(args[0]);
+      Object.keys(d).forEach(function(k) {
+        out[k] = d[k];
+      });
+    } else {
+      for (var i = 0; i < args.length; i += 2) {
+        out[str(args[i], 'Element.set')] = raw(args[i + 1]);
+      }
+    }
+    return out;
+  };
+
+  ctx.getProp = function(props, name, what) {
+    var k = str(name, what);
+    return ctx.wrap(Object.prototype.hasOwnProperty.call(props, k)
+      ? props[k] : null);
+  };
+
+  /**
+   * Feature: optional geometry plus properties.
+   * @constructor
+   */
+  function Feature(geom, props) {
+    this._geom = geom;
+    this._props = props || {};
+  }
+  Feature.prototype = Object.create(ctx.EEObject.prototype);
+  Feature.prototype._type = 'Feature';
+  Feature.prototype._geometry = function() {
+    if (!this._geom) {
+      throw new Error('Feature.geometry: feature has no geometry.');
+    }
+    return this._geom;
+  };
+
+  def(Feature, 'Feature', {
+    get: function(name) {
+      return ctx.getProp(this._props, name, 'Feature.get');
+    },
+    getNumber: function(name) {
+      return ee.Number(this._props[str(name)]);
+    },
+    getString: function(name) {
+      return ee.String(this._props[str(name)]);
+    },
+    set: function() {
+      return new Feature(this._geom, ctx.setProps(this._props, arguments));
+    },
+    propertyNames: function() {
+      return ee.List(Object.keys(this._props));
+    },
+    toDictionary: function(properties) {
+      var self = this._props;
+      var names = properties === undefined
+        ? Object.keys(self).filter(function(k) {
+            return k.indexOf('system:') !== 0;
+          })
+        : raw(properties);
+      var out = {};
+      names.forEach(function(k) {
+        if (Object.prototype.hasOwnProperty.call(self, k)) {
+          out[k] = self[k];
+        }
+      });
+      return ee.Dictionary(out);
+    },
+    copyProperties: function(source, properties, exclude) {
+      return new Feature(this._geom,
+        ctx.copyProps(this._props, source, properties, exclude));
+    },
+    select: function(propertySelectors, newProperties, retainGeometry) {
+      var self = this._props;
+      var sel = raw(propertySelectors);
+      var names = raw(newProperties);
+      var out = {};
+      var idx = 0;
+      sel.forEach(function(s) {
+        Object.keys(self).forEach(function(k) {
+          if (new RegExp('^' + s + '$').test(k)) {
+            out[names ? names[idx] : k] = self[k];
+            idx++;
+          }
+        });
+      });
+      if (self['system:index'] !== undefined) {
+        out['system:index'] = self['system:index'];
+      }
+      return new Feature(retainGeometry === false ? null : this._geom, out);
+    },
+    geometry: function() {
+      return this._geometry();
+    },
+    setGeometry: function(geometry) {
+      return new Feature(geometry ? ctx.toGeometry(geometry) : null,
+        this._props);
+    },
+    buffer: function(distance) {
+      return new Feature(this._geometry().buffer(distance), this._props);
+    },
+    centroid: function() {
+      return new Feature(this._geometry().centroid(), this._props);
+    },
+    bounds: function() {
+      return new Feature(this._geometry().bounds(), this._props);
+    },
+    area: function() {
+      return this._geometry().area();
+    },
+    distance: function(right) {
+      return this._geometry().distance(right);
+    },
+    intersects: function(right) {
+      return this._geometry().intersects(right);
+    },
+    id: function() {
+      return ee.String(String(this._props['system:index']));
+    }
+  });
+
+  ee.Feature = function(geometry, properties) {
+    var g = raw(geometry);
+    if (g instanceof Feature && properties === undefined) {
+      return g;
+    }
+    var geom = g === null || g === undefined ? null : ctx.toGeometry(g);
+    var props = properties === undefined || properties === null ? {}
+      : raw(properties);
+    return new Feature(geom, Object.assign({}, props));
+  };
+
+  ctx.Feature = Feature;
+};
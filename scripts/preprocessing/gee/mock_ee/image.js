@@ -0,0 +1,1794 @@
+/**
+ * title: Offline Earth Engine Runtime - Images
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * ee.Image and ee.Terrain for the offline Earth Engine runtime.
+ * Every image is a stack of bands on the runtime's shared pixel
+ * grid; each band holds a value array and a 0-1 mask array. Band
+ * math follows Earth Engine's rules for band matching, masking and
+ * output naming, and property-dropping: arithmetic results carry no
+ * properties, just as on the server.
+ */
+
+/**
+ * Installs ee.Image and ee.Terrain on a runtime context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  var ee = ctx.ee;
+  var def = ctx.def;
+  var raw = ctx.raw;
+  var num = ctx.num;
+  var str = ctx.str;
+  var grid = ctx.grid;
+  var N = grid.width * grid.height;
+
+  /**
+   * Pixel-grid image.
+   * @constructor
+   * @param {Array<Object>} bands - {id, data, mask, type} per band.
+   * @param {Object} props - Image properties.
+   * @param {ctx.Geometry} [footprint] - Footprint; the grid if unset.
+   */
+  function Image(bands, props, footprint) {
+    this._bands = bands;
+    this._props = props || {};
+    this._footprint = footprint || null;
+  }
+  Image.prototype = Object.create(ctx.EEObject.prototype);
+  Image.prototype._type = 'Image';
+  Image.prototype._geometry = function() {
+    return this._footprint || gridBounds();
+  };
+
+  var gridBounds = function() {
+    return ctx.bboxPolygon([
+      grid.origin[0], grid.origin[1],
+      grid.origin[0] + grid.width * grid.scale,
+      grid.origin[1] + grid.height * grid.scale
+    ]);
+  };
+
+  var centerX = function(k) {
+    return grid.origin[0] + ((k % grid.width) + 0.5) * grid.scale;
+  };
+  var centerY = function(k) {
+    return grid.origin[1] + (Math.floor(k / grid.width) + 0.5) * grid.scale;
+  };
+
+  var newBand = function(id, type) {
+    return {
+      id: id,
+      data: new Float64Array(N),
+      mask: new Float64Array(N),
+      type: type || 'float'
+    };
+  };
+
+  var constantBand = function(id, value) {
+    var b = newBand(id, Number.isInteger(value) ? 'int' : 'float');
+    b.data.fill(value);
+    b.mask.fill(1);
+    return b;
+  };
+
+  /**
+   * Builds a constant image; one band per value.
+   *
+   * @param {Array<number>|number} values - Band values.
+   * @param {string[]} [names] - Band names.
+   * @returns {Image} Constant image.
+   */
+  ctx.constantImage = function(values, names) {
+    var vs = Array.isArray(values) ? values : [values];
+    return new Image(vs.map(function(v, i) {
+      var name = names ? names[i]
+        : vs.length === 1 ? 'constant' : 'constant_' + i;
+      return constantBand(name, num(v, 'Image.constant'));
+    }), {});
+  };
+
+  /**
+   * Casts image-like values (images, numbers, lists of images) to
+   * an Image.
+   *
+   * @param {*} x - Image-like value.
+   * @returns {Image} Image.
+   */
+  var toImage = function(x) {
+    var v = raw(x);
+    if (v instanceof Image) {
+      return v;
+    }
+    if (typeof v === 'number' || typeof v === 'boolean') {
+      return ctx.constantImage([num(v)]);
+    }
+    if (Array.isArray(v)) {
+      if (v.length > 0 && v.every(function(e) {
+        return typeof e === 'number';
+      })) {
+        return ctx.constantImage(v);
+      }
+      return concatImages(v.map(toImage));
+    }
+    if (typeof v === 'string') {
+      return ctx.loadAsset(v, 'Image');
+    }
+    if (v === null || v === undefined) {
+      throw new Error('Image: expected an image, got null. ' +
+                      '(Was an empty collection reduced or first()-ed?)');
+    }
+    throw new Error('Image: expected an image, got ' +
+                    JSON.stringify(ctx.info(v)) + '.');
+  };
+  ctx.toImage = toImage;
+
+  var concatImages = function(images) {
+    var bands = [];
+    images.forEach(function(img) {
+      bands = bands.concat(img._bands);
+    });
+    return new Image(bands, images.length ? images[0]._props : {});
+  };
+
+  var copyBand = function(b, id) {
+    return {
+      id: id === undefined ? b.id : id,
+      data: b.data,
+      mask: b.mask,
+      type: b.type
+    };
+  };
+
+  /**
+   * Pairs the bands of two images the way Earth Engine does: equal
+   * counts pair by position, a single band broadcasts, names come
+   * from the longer input (or the first when equal).
+   */
+  var pairBands = function(a, b, op) {
+    var na = a._bands.length;
+    var nb = b._bands.length;
+    if (na !== nb && na !== 1 && nb !== 1) {
+      throw new Error('Image.' + op + ': Images must contain the same ' +
+                      'number of bands or only 1 band. Got ' + na +
+                      ' and ' + nb + '.');
+    }
+    // An image without bands stays without bands
+    var n = na === 0 || nb === 0 ? 0 : Math.max(na, nb);
+    var pairs = [];
+    for (var i = 0; i < n; i++) {
+      var ba = a._bands[na === 1 ? 0 : i];
+      var bb = b._bands[nb === 1 ? 0 : i];
+      pairs.push({a: ba, b: bb, id: nb > na ? bb.id : ba.id});
+    }
+    return pairs;
+  };
+
+  /**
+   * Applies f element-wise to array pixel values; scalars broadcast,
+   * arrays must have the same shape.
+   */
+  var arrayOp = function(a, b, f, op) {
+    if (!Array.isArray(a) && !Array.isArray(b)) {
+      return f(a, b);
+    }
+    if (Array.isArray(a) && Array.isArray(b) && a.length !== b.length) {
+      throw new Error('Image.' + op + ': Array shapes must match. Got ' +
+                      'lengths ' + a.length + ' and ' + b.length + '.');
+    }
+    var n = Array.isArray(a) ? a.length : b.length;
+    var out = [];
+    for (var i = 0; i < n; i++) {
+      out.push(arrayOp(Array.isArray(a) ? a[i] : a,
+                       Array.isArray(b) ? b[i] : b, f, op));
+    }
+    return out;
+  };
+
+  var newArrayBand = function(id) {
+    var b = newBand(id, 'array');
+    b.data = new Array(N).fill(null);
+    return b;
+  };
+
+  /**
+   * Maps f(value, k) over the array pixels of an image; non-array
+   * pixels (e.g. from reductions that produced no value) and a null
+   * result are masked.
+   */
+  var mapArrays = function(img, f) {
+    return new Image(img._bands.map(function(b) {
+      var out = newArrayBand(b.id);
+      for (var k = 0; k < N; k++) {
+        if (b.mask[k] > 0 && Array.isArray(b.data[k])) {
+          var v = f(b.data[k], k);
+          if (v !== null) {
+            out.data[k] = v;
+            out.mask[k] = b.mask[k];
+          }
+        }
+      }
+      return out;
+    }), {});
+  };
+
+  var binary = function(op, f, outType) {
+    return function(other) {
+      var a = this;
+      var b = toImage(other);
+      return new Image(pairBands(a, b, op).map(function(p) {
+        if (p.a.type === 'array' || p.b.type === 'array') {
+          var arr = newArrayBand(p.id);
+          for (var k = 0; k < N; k++) {
+            var am = Math.min(p.a.mask[k], p.b.mask[k]);
+            if (am > 0) {
+              arr.data[k] = arrayOp(p.a.data[k], p.b.data[k], f, op);
+              arr.mask[k] = am;
+            }
+          }
+          return arr;
+        }
+        var type = outType ||
+          (p.a.type === 'int' && p.b.type === 'int' ? 'int' : 'float');
+        var out = newBand(p.id, type);
+        for (var k = 0; k < N; k++) {
+          var m = Math.min(p.a.mask[k], p.b.mask[k]);
+          if (m > 0) {
+            var v = f(p.a.data[k], p.b.data[k]);
+            if (isFinite(v)) {
+              out.data[k] = type === 'int' ? Math.trunc(v) : v;
+              out.mask[k] = m;
+            }
+          }
+        }
+        return out;
+      }), {});
+    };
+  };
+
+  var unary = function(f, outType) {
+    return function() {
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, outType || 'float');
+        for (var k = 0; k < N; k++) {
+          if (b.mask[k] > 0) {
+            var v = f(b.data[k]);
+            if (isFinite(v)) {
+              out.data[k] = v;
+              out.mask[k] = b.mask[k];
+            }
+          }
+        }
+        return out;
+      }), {});
+    };
+  };
+
+  var cast = function(type, f) {
+    return function() {
+      return new Image(this._bands.map(function(b) {
+        if (b.type === 'array') {
+          return b;
+        }
+        var out = newBand(b.id, type);
+        out.mask.set(b.mask);
+        for (var k = 0; k < N; k++) {
+          out.data[k] = f ? f(b.data[k]) : b.data[k];
+        }
+        return out;
+      }), this._props, this._footprint);
+    };
+  };
+
+  var selectorList = function(args) {
+    if (args.length === 1 || (args.length === 2 && Array.isArray(raw(args[1])))) {
+      var first = raw(args[0]);
+      return Array.isArray(first) ? first : [first];
+    }
+    return Array.prototype.slice.call(args).map(raw);
+  };
+
+  /**
+   * Resolves band selectors (names, regexes or indices) to bands.
+   */
+  var selectBands = function(img, selectors, op) {
+    var out = [];
+    selectors.forEach(function(s) {
+      if (typeof s === 'number') {
+        if (s < 0 || s >= img._bands.length) {
+          throw new Error(op + ': Band index out of range: ' + s + '.');
+        }
+        out.push(img._bands[s]);
+        return;
+      }
+      var re = new RegExp('^(?:' + s + ')$');
+      var matched = img._bands.filter(function(b) { return re.test(b.id); });
+      if (matched.length === 0) {
+        throw new Error(op + ': Pattern \'' + s + '\' did not match any ' +
+                        'bands. Available bands: [' + img._bands.map(
+                          function(b) { return b.id; }).join(', ') + '].');
+      }
+      out = out.concat(matched);
+    });
+    return out;
+  };
+
+  var uniqueName = function(existing, name) {
+    if (existing.indexOf(name) === -1) {
+      return name;
+    }
+    var i = 1;
+    while (existing.indexOf(name + '_' + i) !== -1) {
+      i++;
+    }
+    return name + '_' + i;
+  };
+
+  /**
+   * Per-pixel inclusion weights for a region. Point geometries pick
+   * the pixel they fall in; areas use sub-pixel coverage fractions
+   * (4 x 4 samples) and flag whether the pixel centre is inside.
+   *
+   * @param {ctx.Geometry} geom - Region, or null for the whole grid.
+   * @returns {Array<Object>} {k, w, center} per touched pixel.
+   */
+  var regionPixels = function(geom) {
+    var out = [];
+    var k;
+    if (!geom) {
+      for (k = 0; k < N; k++) {
+        out.push({k: k, w: 1, center: true});
+      }
+      return out;
+    }
+    if (geom._isPointLike()) {
+      var seen = {};
+      geom._points().forEach(function(p) {
+        var i = Math.floor((p[0] - grid.origin[0]) / grid.scale);
+        var j = Math.floor((p[1] - grid.origin[1]) / grid.scale);
+        if (i >= 0 && i < grid.width && j >= 0 && j < grid.height) {
+          var idx = j * grid.width + i;
+          if (!seen[idx]) {
+            seen[idx] = true;
+            out.push({k: idx, w: 1, center: true});
+          }
+        }
+      });
+      return out;
+    }
+    var b = geom._bbox();
+    var i0 = Math.max(0, Math.floor((b[0] - grid.origin[0]) / grid.scale));
+    var i1 = Math.min(grid.width - 1,
+                      Math.floor((b[2] - grid.origin[0]) / grid.scale));
+    var j0 = Math.max(0, Math.floor((b[1] - grid.origin[1]) / grid.scale));
+    var j1 = Math.min(grid.height - 1,
+                      Math.floor((b[3] - grid.origin[1]) / grid.scale));
+    for (var j = j0; j <= j1; j++) {
+      for (var i = i0; i <= i1; i++) {
+        var x0 = grid.origin[0] + i * grid.scale;
+        var y0 = grid.origin[1] + j * grid.scale;
+        var hits = 0;
+        for (var sy = 0; sy < 4; sy++) {
+          for (var sx = 0; sx < 4; sx++) {
+            if (geom._containsXY(x0 + (sx + 0.5) * grid.scale / 4,
+                                 y0 + (sy + 0.5) * grid.scale / 4)) {
+              hits++;
+            }
+          }
+        }
+        var center = geom._containsXY(x0 + grid.scale / 2,
+                                      y0 + grid.scale / 2);
+        if (hits > 0 || center) {
+          out.push({k: j * grid.width + i, w: hits / 16, center: center});
+        }
+      }
+    }
+    return out;
+  };
+  ctx.regionPixels = regionPixels;
+
+  /**
+   * Reduces one or more bands over a region.
+   *
+   * @param {Array<Object>} bands - Bands feeding the reducer inputs.
+   * @param {Array<Object>} pixels - Output of regionPixels().
+   * @param {ctx.Reducer} reducer - Reducer.
+   * @returns {Object} Values by reducer output name.
+   */
+  var reduceBandsOver = function(bands, pixels, reducer) {
+    var cols = bands.map(function() { return []; });
+    var weights = [];
+    pixels.forEach(function(p) {
+      var w = reducer._weighted ? p.w : (p.center ? 1 : 0);
+      for (var c = 0; c < bands.length; c++) {
+        w = w * (reducer._weighted ? bands[c].mask[p.k]
+                                   : (bands[c].mask[p.k] > 0 ? 1 : 0));
+      }
+      if (w > 0) {
+        for (var b = 0; b < bands.length; b++) {
+          cols[b].push(bands[b].data[p.k]);
+        }
+        weights.push(w);
+      }
+    });
+    return reducer._reduceValues(cols, weights);
+  };
+
+  /**
+   * Shared implementation of reduceRegion/reduceRegions naming.
+   *
+   * @param {Image} img - Image to reduce.
+   * @param {ctx.Reducer} reducer - Reducer.
+   * @param {ctx.Geometry} geom - Region.
+   * @param {boolean} regionsNaming - Use reduceRegions naming.
+   * @returns {Object} Reduced values.
+   */
+  var reduceImageRegion = function(img, reducer, geom, regionsNaming) {
+    var pixels = regionPixels(geom);
+    var out = {};
+    if (reducer._nInputs > 1) {
+      if (img._bands.length !== reducer._nInputs) {
+        throw new Error('Image.reduceRegion: Need ' + reducer._nInputs +
+                        ' bands for the reducer inputs, got ' +
+                        img._bands.length + '.');
+      }
+      return reduceBandsOver(img._bands, pixels, reducer);
+    }
+    var singleBand = img._bands.length === 1 && regionsNaming;
+    img._bands.forEach(function(b) {
+      var r = reduceBandsOver([b], pixels, reducer);
+      reducer._outputs.forEach(function(o) {
+        var key = singleBand ? o
+          : reducer._outputs.length === 1 ? b.id : b.id + '_' + o;
+        out[key] = r[o];
+      });
+    });
+    return out;
+  };
+
+  /**
+   * Applies a kernel neighbourhood reducer to every pixel.
+   *
+   * @param {Object} band - Input band.
+   * @param {ctx.Kernel} kernel - Kernel.
+   * @param {Function} reduce - (values, weights) -> number or null.
+   * @param {boolean} skipMasked - Mask output where input is masked.
+   * @returns {Object} Output band (same id).
+   */
+  var neighborhood = function(band, kernel, reduce, skipMasked) {
+    var out = newBand(band.id, 'float');
+    var w = kernel._weights;
+    for (var j = 0; j < grid.height; j++) {
+      for (var i = 0; i < grid.width; i++) {
+        var k = j * grid.width + i;
+        if (skipMasked && band.mask[k] === 0) {
+          continue;
+        }
+        var values = [];
+        var weights = [];
+        for (var dy = -kernel._ry; dy <= kernel._ry; dy++) {
+          for (var dx = -kernel._rx; dx <= kernel._rx; dx++) {
+            var kw = w[dy + kernel._ry][dx + kernel._rx];
+            var ii = i + dx;
+            var jj = j + dy;
+            if (kw === 0 || ii < 0 || jj < 0 || ii >= grid.width ||
+                jj >= grid.height) {
+              continue;
+            }
+            var kk = jj * grid.width + ii;
+            if (band.mask[kk] > 0) {
+              values.push(band.data[kk]);
+              weights.push(kw * band.mask[kk]);
+            }
+          }
+        }
+        if (values.length > 0) {
+          var v = reduce(values, weights);
+          if (v !== null && isFinite(v)) {
+            out.data[k] = v;
+            out.mask[k] = 1;
+          }
+        }
+      }
+    }
+    return out;
+  };
+
+  var focal = function(reducerName) {
+    return function(radius, kernelType, units, iterations, kernel) {
+      var p = radius && typeof radius === 'object' &&
+        !(radius instanceof ctx.EEObject) ? raw(radius) : {
+          radius: radius,
+          kernelType: kernelType,
+          units: units,
+          iterations: iterations,
+          kernel: kernel
+        };
+      var k = p.kernel || ee.Kernel[p.kernelType || 'circle'](
+        p.radius === undefined ? 1.5 : p.radius, p.units || 'pixels');
+      var reducer = ee.Reducer[reducerName]();
+      var img = this;
+      for (var it = 0; it < (p.iterations || 1); it++) {
+        img = new Image(img._bands.map(function(b) {
+          return neighborhood(b, k, function(values, weights) {
+            return reducer._reduceValues([values], weights)[reducerName];
+          }, false);
+        }), {});
+      }
+      return img;
+    };
+  };
+
+  // Expression parsing
+
+  var tokenize = function(expr) {
+    var tokens = [];
+    var re = /\s*(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?|[A-Za-z_][A-Za-z0-9_]*|\*\*|<=|>=|==|!=|&&|\|\||'[^']*'|"[^"]*"|[-+*\/%^()<>?:!,.\[\]])/g;
+    var m;
+    var pos = 0;
+    while ((m = re.exec(expr)) !== null) {
+      if (m.index !== pos && expr.slice(pos, m.index).trim() !== '') {
+        throw new Error('Image.expression: Unexpected input \'' +
+                        expr.slice(pos, m.index) + '\'.');
+      }
+      tokens.push(m[1]);
+      pos = re.lastIndex;
+    }
+    if (expr.slice(pos).trim() !== '') {
+      throw new Error('Image.expression: Unexpected input \'' +
+                      expr.slice(pos) + '\'.');
+    }
+    return tokens;
+  };
+
+  var parseExpression = function(expr) {
+    var tokens = tokenize(expr);
+    var i = 0;
+    var peek = function() { return tokens[i]; };
+    var next = function() { return tokens[i++]; };
+    var expect = function(t) {
+      if (tokens[i] !== t) {
+        throw new Error('Image.expression: Expected \'' + t + '\' in \'' +
+                        expr + '\'.');
+      }
+      i++;
+    };
+    var ternary;
+    var primary = function() {
+      var t = next();
+      if (t === undefined) {
+        throw new Error('Image.expression: Unexpected end of \'' + expr +
+                        '\'.');
+      }
+      if (t === '(') {
+        var e = ternary();
+        expect(')');
+        return e;
+      }
+      if (/^[\d.]/.test(t)) {
+        return {k: 'num', v: parseFloat(t)};
+      }
+      if (/^['"]/.test(t)) {
+        return {k: 'str', v: t.slice(1, -1)};
+      }
+      if (/^[A-Za-z_]/.test(t)) {
+        if (peek() === '(') {
+          next();
+          var args = [];
+          if (peek() !== ')') {
+            args.push(ternary());
+            while (peek() === ',') {
+              next();
+              args.push(ternary());
+            }
+          }
+          expect(')');
+          return {k: 'call', name: t, args: args};
+        }
+        var node = {k: 'var', name: t};
+        while (peek() === '.') {
+          next();
+          node = {k: 'var', name: node.name + '.' + next()};
+        }
+        return node;
+      }
+      throw new Error('Image.expression: Unexpected token \'' + t +
+                      '\' in \'' + expr + '\'.');
+    };
+    var unaryExpr = function() {
+      if (peek() === '-' || peek() === '+' || peek() === '!') {
+        var op = next();
+        return {k: 'unary', op: op, a: unaryExpr()};
+      }
+      return power();
+    };
+    var power = function() {
+      var a = primary();
+      if (peek() === '**' || peek() === '^') {
+        next();
+        return {k: 'bin', op: '**', a: a, b: unaryExpr()};
+      }
+      return a;
+    };
+    var level = function(ops, sub) {
+      return function() {
+        var a = sub();
+        while (ops.indexOf(peek()) !== -1) {
+          var op = next();
+          a = {k: 'bin', op: op, a: a, b: sub()};
+        }
+        return a;
+      };
+    };
+    var mul = level(['*', '/', '%'], unaryExpr);
+    var add = level(['+', '-'], mul);
+    var cmp = level(['<', '<=', '>', '>='], add);
+    var eq = level(['==', '!='], cmp);
+    var and = level(['&&'], eq);
+    var or = level(['||'], and);
+    ternary = function() {
+      var c = or();
+      if (peek() === '?') {
+        next();
+        var a = ternary();
+        expect(':');
+        var b = ternary();
+        return {k: 'tern', c: c, a: a, b: b};
+      }
+      return c;
+    };
+    var ast = ternary();
+    if (i !== tokens.length) {
+      throw new Error('Image.expression: Unexpected token \'' + tokens[i] +
+                      '\' in \'' + expr + '\'.');
+    }
+    return ast;
+  };
+
+  var MATH = {
+    sqrt: Math.sqrt, abs: Math.abs, exp: Math.exp, log: Math.log,
+    log10: function(x) { return Math.log(x) / Math.LN10; },
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, atan: Math.atan,
+    asin: Math.asin, acos: Math.acos, atan2: Math.atan2,
+    floor: Math.floor, ceil: Math.ceil, round: Math.round,
+    pow: Math.pow, min: Math.min, max: Math.max,
+    hypot: function(a, b) { return Math.sqrt(a * a + b * b); }
+  };
+
+  var BIN = {
+    '+': function(a, b) { return a + b; },
+    '-': function(a, b) { return a - b; },
+    '*': function(a, b) { return a * b; },
+    '/': function(a, b) { return b === 0 ? 0 : a / b; },
+    '%': function(a, b) { return a % b; },
+    '**': Math.pow,
+    '<': function(a, b) { return a < b ? 1 : 0; },
+    '<=': function(a, b) { return a <= b ? 1 : 0; },
+    '>': function(a, b) { return a > b ? 1 : 0; },
+    '>=': function(a, b) { return a >= b ? 1 : 0; },
+    '==': function(a, b) { return a === b ? 1 : 0; },
+    '!=': function(a, b) { return a !== b ? 1 : 0; },
+    '&&': function(a, b) { return a && b ? 1 : 0; },
+    '||': function(a, b) { return a || b ? 1 : 0; }
+  };
+
+  /**
+   * Evaluates a parsed expression per pixel. Variables resolve to
+   * the map first, then to the image's own bands; b(i) and b('name')
+   * select bands of the image.
+   */
+  var evaluateExpression = function(img, expr, map) {
+    var ast = parseExpression(expr);
+    var vars = {};
+    var resolve = function(name) {
+      if (vars[name]) {
+        return vars[name];
+      }
+      var v;
+      if (map && Object.prototype.hasOwnProperty.call(map, name)) {
+        v = raw(map[name]);
+        if (v === undefined || v === null) {
+          throw new Error('Image.expression: Variable \'' + name +
+                          '\' is null.');
+        }
+        v = typeof v === 'number' ? v : toImage(v);
+      } else {
+        var matches = img._bands.filter(function(b) { return b.id === name; });
+        if (matches.length === 0) {
+          throw new Error('Image.expression: Variable \'' + name +
+                          '\' is not defined and is not a band name.');
+        }
+        v = new Image(matches, {});
+      }
+      vars[name] = v;
+      return v;
+    };
+    var collect = function(node, acc) {
+      if (node.k === 'var') {
+        acc.push(resolve(node.name));
+      } else if (node.k === 'call' && node.name === 'b') {
+        var sel = node.args[0].v;
+        node.img = new Image(selectBands(img, [sel], 'Image.expression'), {});
+        acc.push(node.img);
+      } else {
+        ['a', 'b', 'c'].forEach(function(key) {
+          if (node[key]) {
+            collect(node[key], acc);
+          }
+        });
+        (node.args || []).forEach(function(a) { collect(a, acc); });
+      }
+      return acc;
+    };
+    var inputs = collect(ast, []).filter(function(v) {
+      return v instanceof Image;
+    });
+    var nBands = inputs.reduce(function(n, im) {
+      return Math.max(n, im._bands.length);
+    }, 1);
+    var names = [];
+    var namer = inputs.filter(function(im) {
+      return im._bands.length === nBands;
+    })[0];
+    for (var bi = 0; bi < nBands; bi++) {
+      names.push(namer ? namer._bands[bi].id : 'constant');
+    }
+    var bandOf = function(im, bi) {
+      return im._bands[im._bands.length === 1 ? 0 : bi];
+    };
+    var bands = names.map(function(name, bi) {
+      var out = newBand(name, 'float');
+      var evalNode = function(node, k) {
+        switch (node.k) {
+          case 'num':
+            return node.v;
+          case 'var':
+            var v = vars[node.name];
+            return typeof v === 'number' ? v : bandOf(v, bi).data[k];
+          case 'unary':
+            var a = evalNode(node.a, k);
+            return node.op === '-' ? -a : node.op === '!' ? (a ? 0 : 1) : a;
+          case 'bin':
+            return BIN[node.op](evalNode(node.a, k), evalNode(node.b, k));
+          case 'tern':
+            return evalNode(node.c, k) ? evalNode(node.a, k)
+                                       : evalNode(node.b, k);
+          default:
+            if (node.name === 'b') {
+              return bandOf(node.img, bi).data[k];
+            }
+            var fn = MATH[node.name];
+            if (!fn) {
+              throw new Error('Image.expression: Unknown function \'' +
+                              node.name + '\'.');
+            }
+            return fn.apply(null, node.args.map(function(a) {
+              return evalNode(a, k);
+            }));
+        }
+      };
+      for (var k = 0; k < N; k++) {
+        var m = 1;
+        for (var q = 0; q < inputs.length; q++) {
+          m = Math.min(m, bandOf(inputs[q], bi).mask[k]);
+        }
+        if (m > 0) {
+          var val = evalNode(ast, k);
+          if (isFinite(val)) {
+            out.data[k] = val;
+            out.mask[k] = m;
+          }
+        }
+      }
+      return out;
+    });
+    return new Image(bands, {});
+  };
+
+  var typeInfo = function(type) {
+    return {type: 'PixelType', precision: type === 'int' ? 'int'
+      : type === 'double' ? 'double' : 'float'};
+  };
+
+  /**
+   * Dijkstra over the 8-connected grid for cumulativeCost.
+   */
+  var cumulativeCost = function(costBand, sourceBand, maxDistance) {
+    var out = newBand(costBand.id, 'float');
+    var dist = new Float64Array(N).fill(Infinity);
+    var done = new Uint8Array(N);
+    var queue = [];
+    for (var k = 0; k < N; k++) {
+      if (sourceBand.mask[k] > 0 && sourceBand.data[k] !== 0 &&
+          costBand.mask[k] > 0) {
+        dist[k] = 0;
+        queue.push(k);
+      }
+    }
+    while (queue.length) {
+      var best = 0;
+      for (var q = 1; q < queue.length; q++) {
+        if (dist[queue[q]] < dist[queue[best]]) {
+          best = q;
+        }
+      }
+      var cur = queue.splice(best, 1)[0];
+      if (done[cur]) {
+        continue;
+      }
+      done[cur] = 1;
+      var ci = cur % grid.width;
+      var cj = Math.floor(cur / grid.width);
+      for (var dy = -1; dy <= 1; dy++) {
+        for (var dx = -1; dx <= 1; dx++) {
+          var ni = ci + dx;
+          var nj = cj + dy;
+          if ((dx === 0 && dy === 0) || ni < 0 || nj < 0 ||
+              ni >= grid.width || nj >= grid.height) {
+            continue;
+          }
+          var nk = nj * grid.width + ni;
+          if (costBand.mask[nk] === 0 || done[nk]) {
+            continue;
+          }
+          var step = Math.sqrt(dx * dx + dy * dy) * grid.scale;
+          var d = dist[cur] + step * (costBand.data[cur] + costBand.data[nk]) / 2;
+          if (d < dist[nk]) {
+            dist[nk] = d;
+            queue.push(nk);
+          }
+        }
+      }
+    }
+    for (var m = 0; m < N; m++) {
+      if (isFinite(dist[m]) && (maxDistance === undefined ||
+          dist[m] <= maxDistance || dist[m] === 0)) {
+        out.data[m] = dist[m];
+        out.mask[m] = 1;
+      }
+    }
+    return out;
+  };
+
+  def(Image, 'Image', {
+    bandNames: function() {
+      return ee.List(this._bands.map(function(b) { return b.id; }));
+    },
+    bandTypes: function() {
+      var out = {};
+      this._bands.forEach(function(b) {
+        out[b.id] = typeInfo(b.type);
+      });
+      return ee.Dictionary(out);
+    },
+    select: function() {
+      var args = arguments;
+      var selectors = selectorList(args);
+      var bands = selectBands(this, selectors, 'Image.select');
+      var newNames = args.length === 2 && Array.isArray(raw(args[1]))
+        ? raw(args[1]) : null;
+      if (newNames) {
+        if (newNames.length !== bands.length) {
+          throw new Error('Image.select: Selected ' + bands.length +
+                          ' bands but got ' + newNames.length + ' names.');
+        }
+        bands = bands.map(function(b, i) { return copyBand(b, newNames[i]); });
+      }
+      return new Image(bands, this._props, this._footprint);
+    },
+    rename: function() {
+      var names = selectorList(arguments);
+      if (names.length !== this._bands.length) {
+        throw new Error('Image.rename: The number of names (' +
+                        names.length + ') must match the number of bands (' +
+                        this._bands.length + ').');
+      }
+      return new Image(this._bands.map(function(b, i) {
+        return copyBand(b, str(names[i], 'Image.rename'));
+      }), this._props, this._footprint);
+    },
+    addBands: function(srcImg, names, overwrite) {
+      var src = toImage(srcImg);
+      var add = names ? selectBands(src, raw(names), 'Image.addBands')
+                      : src._bands;
+      var bands = this._bands.slice();
+      add.forEach(function(b) {
+        var idx = bands.map(function(x) { return x.id; }).indexOf(b.id);
+        if (idx !== -1 && overwrite) {
+          bands[idx] = b;
+        } else if (idx !== -1) {
+          bands.push(copyBand(b, uniqueName(
+            bands.map(function(x) { return x.id; }), b.id)));
+        } else {
+          bands.push(b);
+        }
+      });
+      return new Image(bands, this._props, this._footprint);
+    },
+    updateMask: function(mask) {
+      var m = toImage(mask);
+      return new Image(pairBands(this, m, 'updateMask').map(function(p) {
+        var out = newBand(p.a.id, p.a.type);
+        out.data.set(p.a.data);
+        for (var k = 0; k < N; k++) {
+          var mv = p.b.mask[k] > 0 ? Math.max(0, Math.min(1, p.b.data[k])) : 0;
+          out.mask[k] = Math.min(p.a.mask[k], mv);
+        }
+        return out;
+      }), this._props, this._footprint);
+    },
+    mask: function(mask) {
+      if (mask !== undefined) {
+        return this.updateMask(mask);
+      }
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, 'float');
+        out.data.set(b.mask);
+        out.mask.fill(1);
+        return out;
+      }), this._props, this._footprint);
+    },
+    selfMask: function() {
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, b.type);
+        out.data.set(b.data);
+        for (var k = 0; k < N; k++) {
+          out.mask[k] = b.data[k] !== 0 ? b.mask[k] : 0;
+        }
+        return out;
+      }), this._props, this._footprint);
+    },
+    unmask: function(value, sameFootprint) {
+      var fill = value === undefined || value === null ? toImage(0)
+        : toImage(value);
+      var self = this;
+      return new Image(pairBands(this, fill, 'unmask').map(function(p) {
+        var out = newBand(p.a.id, p.a.type);
+        for (var k = 0; k < N; k++) {
+          if (p.a.mask[k] > 0) {
+            out.data[k] = p.a.data[k];
+            out.mask[k] = 1;
+          } else if (p.b.mask[k] > 0) {
+            out.data[k] = p.b.data[k];
+            out.mask[k] = p.b.mask[k];
+          }
+        }
+        if (sameFootprint !== false && self._footprint) {
+          var g = self._footprint;
+          for (var q = 0; q < N; q++) {
+            if (!g._containsXY(centerX(q), centerY(q))) {
+              out.mask[q] = 0;
+            }
+          }
+        }
+        return out;
+      }), this._props, this._footprint);
+    },
+    clip: function(geometry) {
+      var g = ctx.toGeometry(geometry);
+      var inside = new Float64Array(N);
+      regionPixels(g).forEach(function(p) {
+        inside[p.k] = p.center || g._isPointLike() ? 1 : 0;
+      });
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, b.type);
+        out.data.set(b.data);
+        for (var k = 0; k < N; k++) {
+          out.mask[k] = inside[k] ? b.mask[k] : 0;
+        }
+        return out;
+      }), this._props, g);
+    },
+    paint: function(featureCollection, color) {
+      var p = featureCollection instanceof ctx.EEObject ||
+        !(featureCollection && featureCollection.featureCollection)
+        ? {featureCollection: featureCollection, color: color}
+        : raw(featureCollection);
+      var g = ctx.toGeometry(p.featureCollection);
+      var value = p.color === undefined ? 0 : num(p.color);
+      var pixels = regionPixels(g);
+      // Fills the interior; painting outlines (width) is not mocked
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, b.type);
+        out.data.set(b.data);
+        out.mask.set(b.mask);
+        pixels.forEach(function(px) {
+          if (px.center || g._isPointLike()) {
+            out.data[px.k] = value;
+            out.mask[px.k] = 1;
+          }
+        });
+        return out;
+      }), this._props, this._footprint);
+    },
+    clipToCollection: function(collection) {
+      return this.clip(ctx.toCollection(collection)._geometry());
+    },
+    set: function() {
+      return new Image(this._bands, ctx.setProps(this._props, arguments),
+                       this._footprint);
+    },
+    get: function(name) {
+      return ctx.getProp(this._props, name, 'Image.get');
+    },
+    getNumber: function(name) {
+      return ee.Number(this._props[str(name)]);
+    },
+    getString: function(name) {
+      return ee.String(this._props[str(name)]);
+    },
+    propertyNames: function() {
+      return ee.List(Object.keys(this._props));
+    },
+    toDictionary: function(properties) {
+      var self = this._props;
+      var names = properties === undefined
+        ? Object.keys(self).filter(function(k) {
+            return k.indexOf('system:') !== 0;
+          })
+        : raw(properties);
+      var out = {};
+      names.forEach(function(k) {
+        if (Object.prototype.hasOwnProperty.call(self, k)) {
+          out[k] = self[k];
+        }
+      });
+      return ee.Dictionary(out);
+    },
+    copyProperties: function(source, properties, exclude) {
+      return new Image(this._bands,
+        ctx.copyProps(this._props, source, properties, exclude),
+        this._footprint);
+    },
+    date: function() {
+      var t = this._props['system:time_start'];
+      if (t === undefined || t === null) {
+        throw new Error('Image.date: Image has no \'system:time_start\'.');
+      }
+      return ee.Date(t);
+    },
+    geometry: function() {
+      return this._geometry();
+    },
+    id: function() {
+      return ee.String(String(this._props['system:id'] ||
+                              this._props['system:index']));
+    },
+    projection: function() {
+      return ctx.projection(grid.crs, grid.scale);
+    },
+    resample: function() {
+      return this;
+    },
+    reproject: function() {
+      return new Image(this._bands, this._props, this._footprint);
+    },
+    setDefaultProjection: function() {
+      return this;
+    },
+    reduceResolution: function() {
+      return this;
+    },
+    // Every image shares one grid, so there is nothing to register:
+    // displacements are zero and displace() returns the image as is
+    displacement: function() {
+      return ctx.constantImage([0, 0], ['dx', 'dy']);
+    },
+    displace: function() {
+      return new Image(this._bands, this._props, this._footprint);
+    },
+    toFloat: cast('float'),
+    float: cast('float'),
+    toDouble: cast('double'),
+    double: cast('double'),
+    toInt: cast('int', Math.trunc),
+    int: cast('int', Math.trunc),
+    toInt8: cast('int', Math.trunc),
+    int8: cast('int', Math.trunc),
+    toInt16: cast('int', Math.trunc),
+    int16: cast('int', Math.trunc),
+    toInt32: cast('int', Math.trunc),
+    int32: cast('int', Math.trunc),
+    toLong: cast('int', Math.trunc),
+    long: cast('int', Math.trunc),
+    toUint8: cast('int', Math.trunc),
+    uint8: cast('int', Math.trunc),
+    toByte: cast('int', Math.trunc),
+    byte: cast('int', Math.trunc),
+    toUint16: cast('int', Math.trunc),
+    uint16: cast('int', Math.trunc),
+    toShort: cast('int', Math.trunc),
+    short: cast('int', Math.trunc),
+    add: binary('add', function(a, b) { return a + b; }),
+    subtract: binary('subtract', function(a, b) { return a - b; }),
+    multiply: binary('multiply', function(a, b) { return a * b; }),
+    divide: binary('divide', function(a, b) {
+      return b === 0 ? 0 : a / b;
+    }, 'float'),
+    pow: binary('pow', Math.pow, 'float'),
+    mod: binary('mod', function(a, b) { return a % b; }),
+    min: binary('min', Math.min),
+    max: binary('max', Math.max),
+    atan2: binary('atan2', Math.atan2, 'float'),
+    hypot: binary('hypot', function(a, b) {
+      return Math.sqrt(a * a + b * b);
+    }, 'float'),
+    first: binary('first', function(a) { return a; }),
+    gt: binary('gt', function(a, b) { return a > b ? 1 : 0; }, 'int'),
+    gte: binary('gte', function(a, b) { return a >= b ? 1 : 0; }, 'int'),
+    lt: binary('lt', function(a, b) { return a < b ? 1 : 0; }, 'int'),
+    lte: binary('lte', function(a, b) { return a <= b ? 1 : 0; }, 'int'),
+    eq: binary('eq', function(a, b) { return a === b ? 1 : 0; }, 'int'),
+    neq: binary('neq', function(a, b) { return a !== b ? 1 : 0; }, 'int'),
+    and: binary('and', function(a, b) { return a && b ? 1 : 0; }, 'int'),
+    or: binary('or', function(a, b) { return a || b ? 1 : 0; }, 'int'),
+    bitwiseAnd: binary('bitwiseAnd', function(a, b) { return a & b; }, 'int'),
+    bitwise_and: binary('bitwise_and', function(a, b) {
+      return a & b;
+    }, 'int'),
+    bitwiseOr: binary('bitwiseOr', function(a, b) { return a | b; }, 'int'),
+    bitwiseXor: binary('bitwiseXor', function(a, b) { return a ^ b; }, 'int'),
+    rightShift: binary('rightShift', function(a, b) { return a >> b; }, 'int'),
+    leftShift: binary('leftShift', function(a, b) { return a << b; }, 'int'),
+    not: unary(function(a) { return a ? 0 : 1; }, 'int'),
+    abs: unary(Math.abs),
+    sqrt: unary(Math.sqrt),
+    exp: unary(Math.exp),
+    log: unary(Math.log),
+    log10: unary(function(a) { return Math.log(a) / Math.LN10; }),
+    sin: unary(Math.sin),
+    cos: unary(Math.cos),
+    tan: unary(Math.tan),
+    atan: unary(Math.atan),
+    asin: unary(Math.asin),
+    acos: unary(Math.acos),
+    floor: unary(Math.floor, 'int'),
+    ceil: unary(Math.ceil, 'int'),
+    round: unary(Math.round, 'int'),
+    signum: unary(Math.sign, 'int'),
+    erf: unary(function(x) { return ctx.erf(x); }),
+    erfc: unary(function(x) { return 1 - ctx.erf(x); }),
+    clamp: function(low, high) {
+      var lo = toImage(low);
+      var hi = toImage(high);
+      var lo0 = lo._bands[0];
+      var hi0 = hi._bands[0];
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, b.type);
+        for (var k = 0; k < N; k++) {
+          if (b.mask[k] > 0) {
+            out.data[k] = Math.min(hi0.data[k], Math.max(lo0.data[k],
+                                                         b.data[k]));
+            out.mask[k] = b.mask[k];
+          }
+        }
+        return out;
+      }), {});
+    },
+    unitScale: function(low, high) {
+      var lo = num(low);
+      var hi = num(high);
+      return unary(function(a) { return (a - lo) / (hi - lo); })
+        .call(this);
+    },
+    polynomial: function(coefficients) {
+      var c = raw(coefficients);
+      return unary(function(a) {
+        return c.reduce(function(s, ci, i) {
+          return s + ci * Math.pow(a, i);
+        }, 0);
+      }).call(this);
+    },
+    expression: function(expression, map) {
+      return evaluateExpression(this, str(expression, 'Image.expression'),
+                                map === undefined ? null : raw(map));
+    },
+    normalizedDifference: function(bandNames) {
+      var names = bandNames === undefined ? [0, 1] : raw(bandNames);
+      var a = new Image(selectBands(this, [names[0]],
+                                    'Image.normalizedDifference'), {});
+      var b = new Image(selectBands(this, [names[1]],
+                                    'Image.normalizedDifference'), {});
+      var band = binary('normalizedDifference', function(x, y) {
+        return x + y === 0 ? 0 : (x - y) / (x + y);
+      }, 'float').call(a, b)._bands[0];
+      return new Image([copyBand(band, 'nd')], {});
+    },
+    reduce: function(reducer) {
+      var r = raw(reducer);
+      var bands = this._bands;
+      var outs = r._outputs.map(function(o) { return newBand(o, 'float'); });
+      for (var k = 0; k < N; k++) {
+        var vals = [];
+        var weights = [];
+        bands.forEach(function(b) {
+          if (b.mask[k] > 0) {
+            vals.push(b.data[k]);
+            weights.push(1);
+          }
+        });
+        if (vals.length === 0) {
+          continue;
+        }
+        var res = r._reduceValues([vals], weights);
+        r._outputs.forEach(function(o, i) {
+          if (res[o] !== null && isFinite(res[o])) {
+            outs[i].data[k] = res[o];
+            outs[i].mask[k] = 1;
+          }
+        });
+      }
+      return new Image(outs, {});
+    },
+    arrayProject: function(axes) {
+      var ax = raw(axes);
+      if (ax.length !== 1 || (ax[0] !== 0 && ax[0] !== 1)) {
+        throw new Error('Image.arrayProject: Only axes [0] or [1] are ' +
+                        'supported offline.');
+      }
+      return mapArrays(this, function(v) {
+        // Keep one axis; the other must have length 1
+        if (ax[0] === 0) {
+          return v.map(function(row) {
+            return Array.isArray(row) ? row[0] : row;
+          });
+        }
+        if (v.length !== 1) {
+          throw new Error('Image.arrayProject: Cannot project a ' +
+                          v.length + '-row array onto axis 1.');
+        }
+        return v[0];
+      });
+    },
+    arraySlice: function(axis, start, end, step) {
+      var a = axis === undefined ? 0 : num(axis);
+      var s0 = start === undefined || start === null ? 0 : num(start);
+      var e0 = end === undefined || end === null ? null : num(end);
+      var st = step === undefined || step === null ? 1 : num(step);
+      var slice = function(list) {
+        var n = list.length;
+        var s = Math.max(0, Math.min(n, s0 < 0 ? n + s0 : s0));
+        var e = e0 === null ? n : Math.max(0, Math.min(n, e0 < 0 ? n + e0
+                                                                  : e0));
+        var out = [];
+        for (var i = s; i < e; i += st) {
+          out.push(list[i]);
+        }
+        return out;
+      };
+      return mapArrays(this, function(v) {
+        return a === 0 ? slice(v) : v.map(slice);
+      });
+    },
+    arrayMask: function(mask) {
+      var m = toImage(mask)._bands[0];
+      return mapArrays(this, function(v, k) {
+        var mv = m.data[k];
+        if (!Array.isArray(mv) || m.mask[k] === 0) {
+          return null;
+        }
+        if (!Array.isArray(mv[0])) {
+          return v.filter(function(x, i) { return mv[i]; });
+        }
+        if (mv.length === 1) {
+          // 1 x n mask: keep the columns
+          return v.map(function(row) {
+            return row.filter(function(x, j) { return mv[0][j]; });
+          });
+        }
+        return v.filter(function(row, i) { return mv[i][0]; });
+      });
+    },
+    arrayReduce: function(reducer, axes) {
+      var r = raw(reducer);
+      var ax = raw(axes);
+      if (ax.length !== 1 || ax[0] !== 0) {
+        throw new Error('Image.arrayReduce: Only axes [0] is supported ' +
+                        'offline.');
+      }
+      var o = r._outputs[0];
+      return mapArrays(this, function(v) {
+        // Reduce the rows; the axis keeps length 1
+        if (!Array.isArray(v[0])) {
+          return [r._reduceValues([v])[o]];
+        }
+        return [v[0].map(function(x, j) {
+          return r._reduceValues([v.map(function(row) {
+            return row[j];
+          })])[o];
+        })];
+      });
+    },
+    arraySort: function(keys) {
+      var kb = keys === undefined ? null : toImage(keys)._bands[0];
+      return mapArrays(this, function(v, k) {
+        var kv = kb ? kb.data[k] : v;
+        if (!Array.isArray(kv)) {
+          return null;
+        }
+        var flatKeys = Array.isArray(kv[0]) ? kv[0] : kv;
+        var order = flatKeys.map(function(x, i) { return i; });
+        order.sort(function(i, j) {
+          return flatKeys[i] - flatKeys[j] || i - j;
+        });
+        // 2-D arrays sort their columns
+        return Array.isArray(v[0]) ? v.map(function(row) {
+          return order.map(function(i) { return row[i]; });
+        }) : order.map(function(i) { return v[i]; });
+      });
+    },
+    arrayCat: function(image2, axis) {
+      var other = toImage(image2)._bands[0];
+      var a = num(axis);
+      return mapArrays(this, function(v, k) {
+        var w = other.data[k];
+        if (!Array.isArray(w) || other.mask[k] === 0) {
+          return null;
+        }
+        return a === 0 ? v.concat(w) : v.map(function(row, i) {
+          return row.concat(w[i]);
+        });
+      });
+    },
+    arrayLength: function(axis) {
+      var a = num(axis);
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, 'int');
+        for (var k = 0; k < N; k++) {
+          if (b.mask[k] > 0 && Array.isArray(b.data[k])) {
+            out.data[k] = a === 0 ? b.data[k].length
+                                  : (b.data[k][0] || []).length;
+            out.mask[k] = b.mask[k];
+          }
+        }
+        return out;
+      }), {});
+    },
+    toArray: function(axis) {
+      var a = axis === undefined ? 0 : num(axis);
+      var bands = this._bands;
+      var out = newArrayBand('array');
+      for (var k = 0; k < N; k++) {
+        var m = Math.min.apply(null, bands.map(function(b) {
+          return b.mask[k];
+        }));
+        if (!(m > 0)) {
+          continue;
+        }
+        var values = bands.map(function(b) { return b.data[k]; });
+        if (!Array.isArray(values[0])) {
+          out.data[k] = values;
+        } else if (a === 0) {
+          out.data[k] = [].concat.apply([], values);
+        } else {
+          out.data[k] = values.reduce(function(acc, v) {
+            return acc.map(function(row, i) { return row.concat(v[i]); });
+          });
+        }
+        out.mask[k] = m;
+      }
+      return new Image([out], {});
+    },
+    arrayFlatten: function(coordinateLabels, separator) {
+      var labels = raw(coordinateLabels);
+      var sep = separator === undefined ? '_' : str(separator);
+      var names = labels.length === 1 ? labels[0] : [];
+      if (labels.length === 2) {
+        labels[0].forEach(function(a) {
+          labels[1].forEach(function(b) {
+            names.push(a + sep + b);
+          });
+        });
+      }
+      var bands = [];
+      this._bands.forEach(function(b) {
+        names.forEach(function(name, i) {
+          var out = newBand(this._bands.length > 1 ? b.id + sep + name
+                                                    : name, 'float');
+          for (var k = 0; k < N; k++) {
+            var v = b.data[k];
+            var flat = Array.isArray(v) ? [].concat.apply([], v) : null;
+            if (b.mask[k] > 0 && flat && flat[i] !== null &&
+                flat[i] !== undefined) {
+              out.data[k] = flat[i];
+              out.mask[k] = 1;
+            }
+          }
+          bands.push(out);
+        }, this);
+      }, this);
+      return new Image(bands, {});
+    },
+    remap: function(from, to, defaultValue, bandName) {
+      var f = raw(from);
+      var t = raw(to);
+      var dv = defaultValue === undefined || defaultValue === null ? null
+        : num(defaultValue);
+      var b = bandName ? selectBands(this, [raw(bandName)], 'Image.remap')[0]
+                       : this._bands[0];
+      var out = newBand('remapped', 'float');
+      for (var k = 0; k < N; k++) {
+        if (b.mask[k] === 0) {
+          continue;
+        }
+        var idx = f.indexOf(b.data[k]);
+        if (idx !== -1) {
+          out.data[k] = t[idx];
+          out.mask[k] = b.mask[k];
+        } else if (dv !== null) {
+          out.data[k] = dv;
+          out.mask[k] = b.mask[k];
+        }
+      }
+      return new Image([out], this._props, this._footprint);
+    },
+    where: function(test, value) {
+      var t = toImage(test);
+      var v = toImage(value);
+      var self = this;
+      return new Image(this._bands.map(function(b, i) {
+        var tb = t._bands[t._bands.length === 1 ? 0 : i];
+        var vb = v._bands[v._bands.length === 1 ? 0 : i];
+        var out = newBand(b.id, b.type);
+        for (var k = 0; k < N; k++) {
+          if (tb.mask[k] > 0 && tb.data[k] !== 0) {
+            out.data[k] = vb.data[k];
+            out.mask[k] = Math.min(b.mask[k] > 0 ? 1 : vb.mask[k], vb.mask[k]);
+          } else {
+            out.data[k] = b.data[k];
+            out.mask[k] = b.mask[k];
+          }
+        }
+        return out;
+      }), self._props, self._footprint);
+    },
+    blend: function(top) {
+      var t = toImage(top);
+      return new Image(pairBands(this, t, 'blend').map(function(p) {
+        var out = newBand(p.a.id, p.a.type);
+        for (var k = 0; k < N; k++) {
+          if (p.b.mask[k] > 0) {
+            out.data[k] = p.b.data[k];
+            out.mask[k] = Math.max(p.a.mask[k], p.b.mask[k]);
+          } else {
+            out.data[k] = p.a.data[k];
+            out.mask[k] = p.a.mask[k];
+          }
+        }
+        return out;
+      }), this._props, this._footprint);
+    },
+    focal_mean: focal('mean'),
+    focalMean: focal('mean'),
+    focal_max: focal('max'),
+    focalMax: focal('max'),
+    focal_min: focal('min'),
+    focalMin: focal('min'),
+    focal_median: focal('median'),
+    focalMedian: focal('median'),
+    focal_mode: focal('mode'),
+    focalMode: focal('mode'),
+    reduceNeighborhood: function(reducer, kernel, inputWeight, skipMasked) {
+      var p = reducer instanceof ctx.Reducer ? {
+        reducer: reducer,
+        kernel: kernel,
+        skipMasked: skipMasked
+      } : raw(reducer);
+      var r = p.reducer;
+      var k = p.kernel || ee.Kernel.square(1);
+      var skip = p.skipMasked !== false;
+      var bands = [];
+      this._bands.forEach(function(b) {
+        r._outputs.forEach(function(o) {
+          var band = neighborhood(b, k, function(values, weights) {
+            return r._reduceValues([values], weights)[o];
+          }, skip);
+          bands.push(copyBand(band, b.id + '_' + o));
+        });
+      });
+      return new Image(bands, {});
+    },
+    neighborhoodToBands: function(kernel) {
+      var k = raw(kernel);
+      var bands = [];
+      this._bands.forEach(function(b) {
+        // One band per non-zero kernel weight, in row-major order
+        for (var dy = -k._ry; dy <= k._ry; dy++) {
+          for (var dx = -k._rx; dx <= k._rx; dx++) {
+            if (k._weights[dy + k._ry][dx + k._rx] === 0) {
+              continue;
+            }
+            var out = newBand(b.id + '_' + dx + '_' + dy, b.type);
+            for (var j = 0; j < grid.height; j++) {
+              for (var i = 0; i < grid.width; i++) {
+                var ii = i + dx;
+                var jj = j + dy;
+                if (ii < 0 || jj < 0 || ii >= grid.width ||
+                    jj >= grid.height) {
+                  continue;
+                }
+                out.data[j * grid.width + i] = b.data[jj * grid.width + ii];
+                out.mask[j * grid.width + i] = b.mask[jj * grid.width + ii];
+              }
+            }
+            bands.push(out);
+          }
+        }
+      });
+      return new Image(bands, {});
+    },
+    convolve: function(kernel) {
+      var k = raw(kernel);
+      var total = 0;
+      k._weights.forEach(function(row) {
+        row.forEach(function(w) { total += w; });
+      });
+      return new Image(this._bands.map(function(b) {
+        return neighborhood(b, k, function(values, weights) {
+          var sw = 0;
+          var s = 0;
+          for (var i = 0; i < values.length; i++) {
+            sw += weights[i];
+            s += weights[i] * values[i];
+          }
+          return sw === 0 ? null : s / sw * total;
+        }, false);
+      }), {});
+    },
+    fastDistanceTransform: function(neighborhoodSize) {
+      var limit = neighborhoodSize === undefined ? 256 : num(neighborhoodSize);
+      return new Image(this._bands.map(function(b) {
+        var out = newBand(b.id, 'float');
+        var sources = [];
+        for (var k = 0; k < N; k++) {
+          if (b.mask[k] > 0 && b.data[k] !== 0) {
+            sources.push(k);
+          }
+        }
+        for (var q = 0; q < N; q++) {
+          var qi = q % grid.width;
+          var qj = Math.floor(q / grid.width);
+          var best = Infinity;
+          sources.forEach(function(s) {
+            var di = (s % grid.width) - qi;
+            var dj = Math.floor(s / grid.width) - qj;
+            best = Math.min(best, di * di + dj * dj);
+          });
+          if (best <= limit * limit) {
+            out.data[q] = best;
+            out.mask[q] = 1;
+          }
+        }
+        return out;
+      }), {});
+    },
+    directionalDistanceTransform: function(angle, maxDistance) {
+      // Angle in degrees counter-clockwise from east; distance in pixels
+      var a = num(angle) * Math.PI / 180;
+      var limit = num(maxDistance);
+      var b = this._bands[0];
+      var out = newBand('distance', 'float');
+      for (var q = 0; q < N; q++) {
+        var qi = q % grid.width;
+        var qj = Math.floor(q / grid.width);
+        for (var d = 0; d <= limit; d++) {
+          var i = Math.round(qi + d * Math.cos(a));
+          var j = Math.round(qj + d * Math.sin(a));
+          if (i < 0 || j < 0 || i >= grid.width || j >= grid.height) {
+            break;
+          }
+          var k = j * grid.width + i;
+          if (b.mask[k] > 0 && b.data[k] !== 0) {
+            out.data[q] = d;
+            out.mask[q] = 1;
+            break;
+          }
+        }
+      }
+      return new Image([out], {});
+    },
+    cumulativeCost: function(source, maxDistance) {
+      var p = source instanceof Image || !(source && typeof source === 'object')
+        ? {source: source, maxDistance: maxDistance} : raw(source);
+      var src = toImage(p.source)._bands[0];
+      var md = p.maxDistance === undefined ? undefined : num(p.maxDistance);
+      return new Image(this._bands.map(function(b) {
+        return cumulativeCost(b, src, md);
+      }), {});
+    },
+    reduceRegion: function(reducer, geometry, scale) {
+      var p = reducer instanceof ctx.Reducer ? {
+        reducer: reducer,
+        geometry: geometry,
+        scale: scale
+      } : raw(reducer);
+      var geom = p.geometry === undefined || p.geometry === null
+        ? this._footprint : ctx.toGeometry(p.geometry);
+      return ee.Dictionary(reduceImageRegion(this, raw(p.reducer), geom,
+                                             false));
+    },
+    reduceRegions: function(collection, reducer, scale) {
+      var p = reducer !== undefined ? {
+        collection: collection,
+        reducer: reducer,
+        scale: scale
+      } : raw(collection);
+      var img = this;
+      var r = raw(p.reducer);
+      var fc = ctx.toCollection(p.collection);
+      return new ctx.FeatureCollection(fc._elements.map(function(f) {
+        var values = reduceImageRegion(img, r, f._geom, true);
+        return new ctx.Feature(f._geom, Object.assign({}, f._props, values));
+      }), {});
+    },
+    sample: function(region, scale) {
+      var p = region && !(region instanceof ctx.Geometry) &&
+        typeof region === 'object' && !region._geometry ? raw(region)
+        : {region: region, scale: scale};
+      var geom = p.region ? ctx.toGeometry(p.region) : this._footprint;
+      var bands = this._bands;
+      var pixels = regionPixels(geom).filter(function(px) {
+        return px.center && (p.dropNulls === false || bands.every(function(b) {
+          return b.mask[px.k] > 0;
+        }));
+      });
+      if (p.numPixels !== undefined && pixels.length > num(p.numPixels)) {
+        var n = num(p.numPixels);
+        var step = pixels.length / n;
+        var chosen = [];
+        for (var i = 0; i < n; i++) {
+          chosen.push(pixels[Math.floor(i * step)]);
+        }
+        pixels = chosen;
+      }
+      return new ctx.FeatureCollection(pixels.map(function(px, i) {
+        var props = {'system:index': String(i)};
+        bands.forEach(function(b) {
+          props[b.id] = b.mask[px.k] > 0 ? b.data[px.k] : null;
+        });
+        var g = p.geometries
+          ? new ctx.Geometry('Point', [centerX(px.k), centerY(px.k)]) : null;
+        return new ctx.Feature(g, props);
+      }), {});
+    },
+    sampleRegions: function(collection, properties) {
+      var p = collection && collection._elements === undefined &&
+        !(collection instanceof ctx.EEObject) ? raw(collection)
+        : {collection: collection, properties: properties};
+      var fc = ctx.toCollection(p.collection);
+      var bands = this._bands;
+      var keep = p.properties ? raw(p.properties) : null;
+      var out = [];
+      fc._elements.forEach(function(f) {
+        regionPixels(f._geom).forEach(function(px) {
+          if (!px.center || !bands.every(function(b) {
+            return b.mask[px.k] > 0;
+          })) {
+            return;
+          }
+          var props = {};
+          Object.keys(f._props).forEach(function(k) {
+            if (!keep || keep.indexOf(k) !== -1) {
+              props[k] = f._props[k];
+            }
+          });
+          bands.forEach(function(b) {
+            props[b.id] = b.data[px.k];
+          });
+          out.push(new ctx.Feature(p.geometries ? new ctx.Geometry('Point',
+            [centerX(px.k), centerY(px.k)]) : null, props));
+        });
+      });
+      return new ctx.FeatureCollection(out, {});
+    },
+    metadata: function(property, name) {
+      var v = num(this._props[str(property)], 'Image.metadata');
+      return ctx.constantImage([v], [name === undefined ? str(property)
+                                                         : str(name)]);
+    }
+  });
+
+  ee.Image = function(args) {
+    if (args === undefined) {
+      return ctx.record('Image', arguments, new Image([], {}));
+    }
+    return toImage(args);
+  };
+  ee.Image.constant = function(value) {
+    var v = raw(value);
+    return ctx.record('Image.constant', arguments,
+      ctx.constantImage(Array.isArray(v) ? v : [v]));
+  };
+  ee.Image.cat = function() {
+    var imgs = Array.prototype.slice.call(arguments);
+    if (imgs.length === 1 && Array.isArray(raw(imgs[0]))) {
+      imgs = raw(imgs[0]);
+    }
+    return ctx.record('Image.cat', arguments,
+      concatImages(imgs.map(toImage)));
+  };
+  ee.Image.pixelLonLat = function() {
+    var lon = newBand('longitude', 'float');
+    var lat = newBand('latitude', 'float');
+    for (var k = 0; k < N; k++) {
+      lon.data[k] = centerX(k);
+      lat.data[k] = centerY(k);
+    }
+    lon.mask.fill(1);
+    lat.mask.fill(1);
+    return ctx.record('Image.pixelLonLat', arguments,
+                      new Image([lon, lat], {}));
+  };
+  ee.Image.pixelCoordinates = function() {
+    var img = ee.Image.pixelLonLat();
+    return new Image([copyBand(img._bands[0], 'x'),
+                      copyBand(img._bands[1], 'y')], {});
+  };
+  ee.Image.pixelArea = function() {
+    return ctx.record('Image.pixelArea', arguments,
+      ctx.constantImage([grid.scale * grid.scale], ['area']));
+  };
+
+  /**
+   * 3 x 3 Horn gradient on the grid, edges clamped.
+   */
+  var gradient = function(band) {
+    var dzdx = new Float64Array(N);
+    var dzdy = new Float64Array(N);
+    var at = function(i, j) {
+      i = Math.max(0, Math.min(grid.width - 1, i));
+      j = Math.max(0, Math.min(grid.height - 1, j));
+      return band.data[j * grid.width + i];
+    };
+    for (var j = 0; j < grid.height; j++) {
+      for (var i = 0; i < grid.width; i++) {
+        var k = j * grid.width + i;
+        dzdx[k] = ((at(i + 1, j - 1) + 2 * at(i + 1, j) + at(i + 1, j + 1)) -
+                   (at(i - 1, j - 1) + 2 * at(i - 1, j) + at(i - 1, j + 1))) /
+                  (8 * grid.scale);
+        dzdy[k] = ((at(i - 1, j + 1) + 2 * at(i, j + 1) + at(i + 1, j + 1)) -
+                   (at(i - 1, j - 1) + 2 * at(i, j - 1) + at(i + 1, j - 1))) /
+                  (8 * grid.scale);
+      }
+    }
+    return {dzdx: dzdx, dzdy: dzdy};
+  };
+
+  ee.Terrain = {};
+  ee.Terrain.slope = function(input) {
+    var b = toImage(input)._bands[0];
+    var g = gradient(b);
+    var out = newBand('slope', 'float');
+    for (var k = 0; k < N; k++) {
+      out.data[k] = Math.atan(Math.sqrt(g.dzdx[k] * g.dzdx[k] +
+                                        g.dzdy[k] * g.dzdy[k])) * 180 / Math.PI;
+      out.mask[k] = b.mask[k];
+    }
+    return ctx.record('Terrain.slope', arguments, new Image([out], {}));
+  };
+  ee.Terrain.aspect = function(input) {
+    var b = toImage(input)._bands[0];
+    var g = gradient(b);
+    var out = newBand('aspect', 'float');
+    for (var k = 0; k < N; k++) {
+      var a = Math.atan2(-g.dzdx[k], g.dzdy[k]) * 180 / Math.PI;
+      out.data[k] = (a + 360) % 360;
+      out.mask[k] = b.mask[k];
+    }
+    return ctx.record('Terrain.aspect', arguments, new Image([out], {}));
+  };
+  ee.Terrain.products = function(input) {
+    var dem = toImage(input);
+    return concatImages([dem, ee.Terrain.slope(dem), ee.Terrain.aspect(dem)]);
+  };
+
+  ctx.Image = Image;
+  ctx.newBand = newBand;
+  ctx.copyBand = copyBand;
+  ctx.concatImages = concatImages;
+  ctx.selectBands = selectBands;
+  ctx.typeInfo = typeInfo;
+};
@@ -0,0 +1,543 @@
+/**
+ * title: Offline Earth Engine Runtime - Reducers and Kernels
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * ee.Reducer and ee.Kernel for the offline Earth Engine runtime.
+ * Reducers work on plain arrays of values (optionally weighted by
+ * pixel coverage) and report their output names the way Earth
+ * Engine does, so band and property suffixes ('_mean', '_p90',
+ * '_stdDev') come out as they would on the server.
+ */
+
+var sortNumeric = function(values) {
+  return values.slice().sort(function(a, b) { return a - b; });
+};
+
+var quantile = function(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  var h = (sorted.length - 1) * p / 100;
+  var lo = Math.floor(h);
+  var hi = Math.ceil(h);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+};
+
+var weightedMean = function(values, weights) {
+  var sw = 0;
+  var s = 0;
+  for (var i = 0; i < values.length; i++) {
+    var w = weights ? weights[i] : 1;
+    sw += w;
+    s += w * values[i];
+  }
+  return sw === 0 ? null : s / sw;
+};
+
+var weightedVariance = function(values, weights) {
+  var m = weightedMean(values, weights);
+  if (m === null) {
+    return null;
+  }
+  var sw = 0;
+  var s = 0;
+  for (var i = 0; i < values.length; i++) {
+    var w = weights ? weights[i] : 1;
+    sw += w;
+    s += w * Math.pow(values[i] - m, 2);
+  }
+  return s / sw;
+};
+
+/**
+ * Abramowitz-Stegun approximation of the error function.
+ */
+var erf = function(x) {
+  var sign = x < 0 ? -1 : 1;
+  x = Math.abs(x);
+  var t = 1 / (1 + 0.3275911 * x);
+  var y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t -
+    0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+};
+
+var median = function(values) {
+  return quantile(sortNumeric(values), 50);
+};
+
+/**
+ * Installs ee.Reducer and ee.Kernel on a runtime context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  ctx.erf = erf;
+  var ee = ctx.ee;
+  var def = ctx.def;
+  var raw = ctx.raw;
+  var num = ctx.num;
+
+  /**
+   * Reducer over columns of values.
+   * @constructor
+   * @param {string} name - Reducer name ('mean', 'percentile', ...).
+   * @param {string[]} outputs - Output names.
+   * @param {number} nInputs - Number of input columns.
+   * @param {Function} compute - (columns, weights) -> output values.
+   * @param {boolean} weighted - Whether coverage weights apply.
+   */
+  function Reducer(name, outputs, nInputs, compute, weighted) {
+    this._name = name;
+    this._outputs = outputs;
+    this._nInputs = nInputs;
+    this._compute = compute;
+    this._weighted = weighted;
+    this._info = {type: 'Reducer.' + name};
+  }
+  Reducer.prototype = Object.create(ctx.EEObject.prototype);
+  Reducer.prototype._type = 'Reducer';
+
+  /**
+   * Applies the reducer to input columns.
+   *
+   * @param {Array<number[]>} columns - One array per input.
+   * @param {number[]} [weights] - Per-row weights.
+   * @returns {Object} Values by output name (null when empty).
+   */
+  Reducer.prototype._reduceValues = function(columns, weights) {
+    var w = this._weighted ? weights : null;
+    var values = this._compute(columns, w);
+    var out = {};
+    this._outputs.forEach(function(name, i) {
+      out[name] = values[i] === undefined ? null : values[i];
+    });
+    return out;
+  };
+
+  var single = function(name, fn, weighted) {
+    return function() {
+      return ctx.record('Reducer.' + name, arguments,
+        new Reducer(name, [name], 1, function(cols, w) {
+          return [cols[0].length === 0 && name !== 'count' &&
+                  name !== 'sum' ? null : fn(cols[0], w)];
+        }, weighted));
+    };
+  };
+
+  ee.Reducer = {};
+  ee.Reducer.mean = single('mean', weightedMean, true);
+  ee.Reducer.sum = single('sum', function(v, w) {
+    return v.reduce(function(s, x, i) { return s + x * (w ? w[i] : 1); }, 0);
+  }, true);
+  ee.Reducer.count = single('count', function(v) {
+    return v.length;
+  }, false);
+  ee.Reducer.median = single('median', median, false);
+  ee.Reducer.min = single('min', function(v) {
+    return Math.min.apply(null, v);
+  }, false);
+  ee.Reducer.max = single('max', function(v) {
+    return Math.max.apply(null, v);
+  }, false);
+  ee.Reducer.stdDev = single('stdDev', function(v, w) {
+    return Math.sqrt(weightedVariance(v, w));
+  }, true);
+  ee.Reducer.variance = single('variance', weightedVariance, true);
+  ee.Reducer.first = single('first', function(v) { return v[0]; }, false);
+  ee.Reducer.last = single('last', function(v) {
+    return v[v.length - 1];
+  }, false);
+  ee.Reducer.firstNonNull = single('firstNonNull', function(v) {
+    return v[0];
+  }, false);
+  ee.Reducer.mode = single('mode', function(v, w) {
+    var counts = {};
+    v.forEach(function(x, i) {
+      counts[x] = (counts[x] || 0) + (w ? w[i] : 1);
+    });
+    var best = null;
+    Object.keys(counts).forEach(function(k) {
+      if (best === null || counts[k] > counts[best] ||
+          (counts[k] === counts[best] && +k < +best)) {
+        best = k;
+      }
+    });
+    return +best;
+  }, true);
+  ee.Reducer.countDistinct = single('countDistinct', function(v) {
+    return Object.keys(v.reduce(function(acc, x) {
+      acc[x] = true;
+      return acc;
+    }, {})).length;
+  }, false);
+  ee.Reducer.toList = single('list', function(v) { return v; }, false);
+  ee.Reducer.frequencyHistogram = function() {
+    return ctx.record('Reducer.frequencyHistogram', arguments,
+      new Reducer('frequencyHistogram', ['histogram'], 1, function(cols, w) {
+        var hist = {};
+        cols[0].forEach(function(x, i) {
+          var k = String(x);
+          hist[k] = (hist[k] || 0) + (w ? w[i] : 1);
+        });
+        return [hist];
+      }, true));
+  };
+  ee.Reducer.minMax = function() {
+    return ctx.record('Reducer.minMax', arguments,
+      new Reducer('minMax', ['min', 'max'], 1, function(cols) {
+        var v = cols[0];
+        if (v.length === 0) {
+          return [null, null];
+        }
+        return [Math.min.apply(null, v), Math.max.apply(null, v)];
+      }, false));
+  };
+  ee.Reducer.percentile = function(percentiles, outputNames) {
+    var ps = raw(percentiles);
+    var names = outputNames ? raw(outputNames) : ps.map(function(p) {
+      return 'p' + p;
+    });
+    var r = new Reducer('percentile', names, 1, function(cols) {
+      var sorted = sortNumeric(cols[0]);
+      return ps.map(function(p) { return quantile(sorted, p); });
+    }, false);
+    r._info = {type: 'Reducer.percentile', percentiles: ps};
+    return ctx.record('Reducer.percentile', arguments, r);
+  };
+  ee.Reducer.linearFit = function() {
+    return ctx.record('Reducer.linearFit', arguments,
+      new Reducer('linearFit', ['scale', 'offset'], 2, function(cols) {
+        var x = cols[0];
+        var y = cols[1];
+        var n = x.length;
+        if (n < 2) {
+          return [null, null];
+        }
+        var mx = weightedMean(x);
+        var my = weightedMean(y);
+        var sxy = 0;
+        var sxx = 0;
+        for (var i = 0; i < n; i++) {
+          sxy += (x[i] - mx) * (y[i] - my);
+          sxx += (x[i] - mx) * (x[i] - mx);
+        }
+        var scale = sxx === 0 ? 0 : sxy / sxx;
+        return [scale, my - scale * mx];
+      }, false));
+  };
+  ee.Reducer.linearRegression = function(numX, numY) {
+    var p = numX !== null && typeof numX === 'object' &&
+      !(numX instanceof ctx.EEObject) ? raw(numX) : {numX: numX, numY: numY};
+    var nx = num(p.numX, 'Reducer.linearRegression');
+    var ny = p.numY === undefined ? 1 : num(p.numY);
+    var r = new Reducer('linearRegression', ['coefficients', 'residuals'],
+      nx + ny, function(cols) {
+        var n = cols[0].length;
+        if (n < nx) {
+          return [null, null];
+        }
+        // Normal equations (X'X) B = X'Y, solved by Gauss-Jordan
+        var a = [];
+        for (var i = 0; i < nx; i++) {
+          a.push([]);
+          for (var j = 0; j < nx + ny; j++) {
+            var s = 0;
+            for (var k = 0; k < n; k++) {
+              s += cols[i][k] * cols[j][k];
+            }
+            a[i].push(s);
+          }
+        }
+        for (var c = 0; c < nx; c++) {
+          var pivot = c;
+          for (var q = c + 1; q < nx; q++) {
+            if (Math.abs(a[q][c]) > Math.abs(a[pivot][c])) {
+              pivot = q;
+            }
+          }
+          if (Math.abs(a[pivot][c]) < 1e-12) {
+            return [null, null];
+          }
+          var tmp = a[c];
+          a[c] = a[pivot];
+          a[pivot] = tmp;
+          for (var q2 = 0; q2 < nx; q2++) {
+            if (q2 !== c) {
+              var f = a[q2][c] / a[c][c];
+              for (var j2 = c; j2 < nx + ny; j2++) {
+                a[q2][j2] -= f * a[c][j2];
+              }
+            }
+          }
+        }
+        var coefficients = [];
+        for (var i2 = 0; i2 < nx; i2++) {
+          coefficients.push(a[i2].slice(nx).map(function(v) {
+            return v / a[i2][i2];
+          }));
+        }
+        // Root mean square residual per dependent variable
+        var residuals = [];
+        for (var y = 0; y < ny; y++) {
+          var ss = 0;
+          for (var k2 = 0; k2 < n; k2++) {
+            var fit = 0;
+            for (var x = 0; x < nx; x++) {
+              fit += coefficients[x][y] * cols[x][k2];
+            }
+            ss += Math.pow(cols[nx + y][k2] - fit, 2);
+          }
+          residuals.push(Math.sqrt(ss / n));
+        }
+        return [coefficients, residuals];
+      }, false);
+    r._info = {type: 'Reducer.linearRegression', numX: nx, numY: ny};
+    return ctx.record('Reducer.linearRegression', arguments, r);
+  };
+  ee.Reducer.sensSlope = function() {
+    return ctx.record('Reducer.sensSlope', arguments,
+      new Reducer('sensSlope', ['slope', 'offset'], 2, function(cols) {
+        var x = cols[0];
+        var y = cols[1];
+        var slopes = [];
+        for (var i = 0; i < x.length; i++) {
+          for (var j = i + 1; j < x.length; j++) {
+            if (x[j] !== x[i]) {
+              slopes.push((y[j] - y[i]) / (x[j] - x[i]));
+            }
+          }
+        }
+        if (slopes.length === 0) {
+          return [null, null];
+        }
+        var slope = median(slopes);
+        return [slope, median(y.map(function(v, k) {
+          return v - slope * x[k];
+        }))];
+      }, false));
+  };
+  ee.Reducer.kendallsCorrelation = function() {
+    return ctx.record('Reducer.kendallsCorrelation', arguments,
+      new Reducer('kendallsCorrelation', ['tau', 'p-value'], 2,
+        function(cols) {
+          var x = cols[0];
+          var y = cols[1];
+          var n = x.length;
+          if (n < 2) {
+            return [null, null];
+          }
+          var s = 0;
+          var n1 = 0;
+          var n2 = 0;
+          var pairs = n * (n - 1) / 2;
+          for (var i = 0; i < n; i++) {
+            for (var j = i + 1; j < n; j++) {
+              var dx = Math.sign(x[j] - x[i]);
+              var dy = Math.sign(y[j] - y[i]);
+              s += dx * dy;
+              if (dx === 0) {
+                n1++;
+              }
+              if (dy === 0) {
+                n2++;
+              }
+            }
+          }
+          var denom = Math.sqrt((pairs - n1) * (pairs - n2));
+          var tau = denom === 0 ? 0 : s / denom;
+          var variance = n * (n - 1) * (2 * n + 5) / 18;
+          var z = variance === 0 ? 0 : s / Math.sqrt(variance);
+          var p = 1 - erf(Math.abs(z) / Math.SQRT2);
+          return [tau, p];
+        }, false));
+  };
+  ee.Reducer.pearsonsCorrelation = function() {
+    return ctx.record('Reducer.pearsonsCorrelation', arguments,
+      new Reducer('pearsonsCorrelation', ['correlation', 'p-value'], 2,
+        function(cols) {
+          var x = cols[0];
+          var y = cols[1];
+          var n = x.length;
+          if (n < 3) {
+            return [null, null];
+          }
+          var mx = weightedMean(x);
+          var my = weightedMean(y);
+          var sxy = 0;
+          var sxx = 0;
+          var syy = 0;
+          for (var i = 0; i < n; i++) {
+            sxy += (x[i] - mx) * (y[i] - my);
+            sxx += (x[i] - mx) * (x[i] - mx);
+            syy += (y[i] - my) * (y[i] - my);
+          }
+          var r = sxy / Math.sqrt(sxx * syy);
+          var t = r * Math.sqrt((n - 2) / Math.max(1e-12, 1 - r * r));
+          return [r, 1 - erf(Math.abs(t) / Math.SQRT2)];
+        }, false));
+  };
+
+  def(Reducer, 'Reducer', {
+    combine: function(reducer2, outputPrefix, sharedInputs) {
+      var opts = reducer2 instanceof Reducer ? {
+        reducer2: reducer2,
+        outputPrefix: outputPrefix,
+        sharedInputs: sharedInputs
+      } : raw(reducer2);
+      var r1 = this;
+      var r2 = opts.reducer2;
+      var prefix = opts.outputPrefix || '';
+      var shared = Boolean(opts.sharedInputs);
+      var n = shared ? Math.max(r1._nInputs, r2._nInputs)
+        : r1._nInputs + r2._nInputs;
+      var combined = new Reducer('combine',
+        r1._outputs.concat(r2._outputs.map(function(o) {
+          return prefix + o;
+        })), n, function(cols, w) {
+          var c2 = shared ? cols : cols.slice(r1._nInputs);
+          var a = r1._compute(cols.slice(0, r1._nInputs),
+                              r1._weighted ? w : null);
+          var b = r2._compute(c2.slice(0, r2._nInputs),
+                              r2._weighted ? w : null);
+          return a.concat(b);
+        }, true);
+      combined._info = {
+        type: 'Reducer.combine',
+        reducer1: r1._info,
+        reducer2: r2._info,
+        outputPrefix: prefix,
+        sharedInputs: shared
+      };
+      return combined;
+    },
+    setOutputs: function(outputs) {
+      var r = Object.create(this);
+      r._outputs = raw(outputs);
+      return r;
+    },
+    unweighted: function() {
+      var r = Object.create(this);
+      r._weighted = false;
+      return r;
+    },
+    getOutputs: function() {
+      return ee.List(this._outputs.slice());
+    }
+  });
+
+  ctx.Reducer = Reducer;
+
+  /**
+   * Neighbourhood kernel; weights are indexed [dy][dx].
+   * @constructor
+   */
+  function Kernel(weights) {
+    this._weights = weights;
+    this._ry = (weights.length - 1) / 2;
+    this._rx = (weights[0].length - 1) / 2;
+  }
+  Kernel.prototype = Object.create(ctx.EEObject.prototype);
+  Kernel.prototype._type = 'Kernel';
+  // Positive rotations are clockwise
+  Kernel.prototype.rotate = function(rotations) {
+    var w = this._weights;
+    var n = ((num(rotations) % 4) + 4) % 4;
+    for (var r = 0; r < n; r++) {
+      w = w[0].map(function(x, i) {
+        return w.map(function(row) { return row[i]; }).reverse();
+      });
+    }
+    return ctx.record('Kernel.rotate', arguments, new Kernel(w));
+  };
+
+  var pixelRadius = function(radius, units) {
+    var r = num(radius);
+    if (units === 'meters') {
+      r = r / ctx.grid.scale;
+    }
+    return r;
+  };
+
+  var normalize = function(weights, doIt) {
+    if (doIt === false) {
+      return weights;
+    }
+    var s = 0;
+    weights.forEach(function(row) {
+      row.forEach(function(w) { s += w; });
+    });
+    return s === 0 ? weights : weights.map(function(row) {
+      return row.map(function(w) { return w / s; });
+    });
+  };
+
+  var build = function(r, fn) {
+    var n = Math.floor(r);
+    var weights = [];
+    for (var dy = -n; dy <= n; dy++) {
+      var row = [];
+      for (var dx = -n; dx <= n; dx++) {
+        row.push(fn(dx, dy));
+      }
+      weights.push(row);
+    }
+    return weights;
+  };
+
+  var kernelArgs = function(args, names) {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object' &&
+        !(args[0] instanceof ctx.EEObject)) {
+      return args[0];
+    }
+    var out = {};
+    names.forEach(function(n, i) {
+      out[n] = args[i];
+    });
+    return out;
+  };
+
+  ee.Kernel = {};
+  ee.Kernel.square = function() {
+    var p = kernelArgs(arguments, ['radius', 'units', 'normalize']);
+    var r = pixelRadius(p.radius, p.units || 'pixels');
+    return ctx.record('Kernel.square', arguments, new Kernel(
+      normalize(build(r, function() { return 1; }), p.normalize)));
+  };
+  ee.Kernel.circle = function() {
+    var p = kernelArgs(arguments, ['radius', 'units', 'normalize']);
+    var r = pixelRadius(p.radius, p.units || 'pixels');
+    return ctx.record('Kernel.circle', arguments, new Kernel(
+      normalize(build(r, function(dx, dy) {
+        return dx * dx + dy * dy <= r * r ? 1 : 0;
+      }), p.normalize)));
+  };
+  ee.Kernel.gaussian = function() {
+    var p = kernelArgs(arguments,
+      ['radius', 'sigma', 'units', 'normalize', 'magnitude']);
+    var units = p.units || 'pixels';
+    var r = pixelRadius(p.radius, units);
+    var sigma = pixelRadius(p.sigma === undefined ? 1 : p.sigma, units);
+    return ctx.record('Kernel.gaussian', arguments, new Kernel(
+      normalize(build(r, function(dx, dy) {
+        return Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+      }), p.normalize)));
+  };
+  ee.Kernel.euclidean = function() {
+    var p = kernelArgs(arguments, ['radius', 'units', 'normalize']);
+    var r = pixelRadius(p.radius, p.units || 'pixels');
+    return ctx.record('Kernel.euclidean', arguments, new Kernel(
+      build(r, function(dx, dy) {
+        return Math.sqrt(dx * dx + dy * dy);
+      })));
+  };
+  ee.Kernel.fixed = function() {
+    var p = kernelArgs(arguments,
+      ['width', 'height', 'weights', 'x', 'y', 'normalize']);
+    return ctx.record('Kernel.fixed', arguments,
+      new Kernel(normalize(raw(p.weights), p.normalize || false)));
+  };
+
+  ctx.Kernel = Kernel;
+};
@@ -0,0 +1,370 @@
+/**
+ * title: Offline Earth Engine Runtime
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Builds a self-contained stand-in for the Code Editor globals
+ * (ee, Export, Map, print, ui) so the helper modules in functions/
+ * can be run under Node without an Earth Engine session. Values are
+ * evaluated eagerly on a small in-memory pixel grid; every call is
+ * also logged to runtime.graph so tests can assert on which
+ * operations a helper used, not just on the numbers it produced.
+ *
+ * Usage:
+ *   var createRuntime = require('./mock_ee/runtime').createRuntime;
+ *   var rt = createRuntime({width: 4, height: 4, scale: 30});
+ *   rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [scene1, scene2]);
+ *   var ls = rt.require(
+ *     'users/bgcasey/science_centre:functions/landsat_time_series');
+ */
+
+var path = require('path');
+var geeRequire = require('./gee_require');
+
+/**
+ * Creates a fresh runtime. Runtimes share nothing, so each test can
+ * build its own grid and asset registry.
+ *
+ * @param {Object} [options] - Runtime options.
+ * @param {number} [options.width=8] - Grid width in pixels.
+ * @param {number} [options.height=8] - Grid height in pixels.
+ * @param {number[]} [options.origin=[0, 0]] - Lower-left corner (x, y).
+ * @param {number} [options.scale=30] - Pixel size in map units.
+ * @param {string} [options.crs='EPSG:3857'] - Nominal CRS reported by
+ *     projection().
+ * @param {Object} [options.assets] - Asset id -> value (or factory).
+ * @param {Object} [options.modules] - Extra require() ids -> exports,
+ *     for third-party Code Editor packages.
+ * @param {string} [options.root] - Directory that
+ *     'users/bgcasey/science_centre:' resolves to; defaults to the
+ *     gee/ scripts directory.
+ * @returns {Object} Runtime with ee, Export, Map, print, ui, require
+ *     and the recorded tasks, layers, printed values and graph.
+ */
+exports.createRuntime = function(options) {
+  var opts = options || {};
+  var ctx = {
+    ee: {},
+    graph: [],
+    assets: Object.assign({}, opts.assets || {}),
+    missingAssets: [],
+    grid: {
+      width: opts.width || 8,
+      height: opts.height || 8,
+      origin: opts.origin || [0, 0],
+      scale: opts.scale || 30,
+      crs: opts.crs || 'EPSG:3857'
+    }
+  };
+  var ee = ctx.ee;
+
+  require('./values').install(ctx);
+  require('./geometry').install(ctx);
+  require('./reducers').install(ctx);
+  require('./filters').install(ctx);
+  require('./image').install(ctx);
+  require('./collections').install(ctx);
+
+  /**
+   * Converts any runtime value to the JSON getInfo() would return.
+   *
+   * @param {*} x - Value.
+   * @returns {*} JSON-compatible value.
+   */
+  ctx.info = function(x) {
+    if (x === undefined || x === null) {
+      return null;
+    }
+    if (x instanceof ctx.EEObject) {
+      switch (x._type) {
+        case 'Number':
+        case 'String':
+        case 'List':
+        case 'Dictionary':
+        case 'ComputedObject':
+          return ctx.info(ctx.raw(x));
+        case 'Date':
+          return {type: 'Date', value: x._millis};
+        case 'DateRange':
+          return {type: 'DateRange', dates: [x._start, x._end]};
+        case 'Geometry':
+          return x._geojson();
+        case 'Feature':
+          var props = {};
+          Object.keys(x._props).forEach(function(k) {
+            if (k !== 'system:index') {
+              props[k] = ctx.info(x._props[k]);
+            }
+          });
+          return {
+            type: 'Feature',
+            geometry: x._geom ? x._geom._geojson() : null,
+            id: x._props['system:index'],
+            properties: props
+          };
+        case 'Image':
+          return {
+            type: 'Image',
+            bands: x._bands.map(function(b) {
+              return {id: b.id, data_type: ctx.typeInfo(b.type)};
+            }),
+            properties: ctx.info(x._props)
+          };
+        case 'ImageCollection':
+        case 'FeatureCollection':
+          return {
+            type: x._type,
+            features: x._elements.map(ctx.info),
+            properties: ctx.info(x._props)
+          };
+        case 'Reducer':
+          return x._info;
+        case 'Projection':
+          return {type: 'Projection', crs: x._crs,
+                  transform: [x._scale, 0, 0, 0, -x._scale, 0]};
+        default:
+          return {type: x._type};
+      }
+    }
+    if (Array.isArray(x)) {
+      return x.map(ctx.info);
+    }
+    if (typeof x === 'object') {
+      var out = {};
+      Object.keys(x).forEach(function(k) {
+        out[k] = ctx.info(x[k]);
+      });
+      return out;
+    }
+    return x;
+  };
+
+  /**
+   * Nominal projection; the runtime has one grid so this is only
+   * descriptive.
+   * @constructor
+   */
+  function Projection(crs, scale) {
+    this._crs = crs;
+    this._scale = scale;
+  }
+  Projection.prototype = Object.create(ctx.EEObject.prototype);
+  Projection.prototype._type = 'Projection';
+  ctx.def(Projection, 'Projection', {
+    nominalScale: function() {
+      return ee.Number(this._scale);
+    },
+    crs: function() {
+      return ee.String(this._crs);
+    },
+    atScale: function(scale) {
+      return new Projection(this._crs, ctx.num(scale));
+    }
+  });
+  ctx.projection = function(crs, scale) {
+    return new Projection(crs, scale);
+  };
+  ee.Projection = function(crs) {
+    return new Projection(ctx.str(crs), ctx.grid.scale);
+  };
+
+  ee.Algorithms = {};
+  ee.Algorithms.TemporalSegmentation = ctx.TemporalSegmentation;
+  ee.Algorithms.If = function(condition, trueCase, falseCase) {
+    var out = ctx.truthy(condition) ? trueCase : falseCase;
+    return ctx.record('Algorithms.If', arguments,
+      out instanceof ctx.EEObject ? out
+                                  : new ctx.ComputedObject(ctx.raw(out)));
+  };
+  ee.Algorithms.IsEqual = function(left, right) {
+    return ee.Number(JSON.stringify(ctx.info(ctx.raw(left))) ===
+                     JSON.stringify(ctx.info(ctx.raw(right))) ? 1 : 0);
+  };
+  ee.initialize = function(opt, data, success) {
+    if (typeof success === 'function') {
+      success();
+    }
+  };
+  ee.Initialize = ee.initialize;
+  ee.data = {
+    authenticateViaPrivateKey: function(key, success) {
+      if (typeof success === 'function') {
+        success();
+      }
+    }
+  };
+
+  var tasks = [];
+  var layers = [];
+  var printed = [];
+
+  var exporter = function(kind, dest) {
+    return function(params) {
+      var p = params && !(params instanceof ctx.EEObject) &&
+        typeof params === 'object' ? params : {
+          data: params,
+          description: arguments[1]
+        };
+      tasks.push({
+        type: kind,
+        destination: dest,
+        data: p.image || p.collection || p.data || null,
+        description: p.description,
+        params: p
+      });
+    };
+  };
+
+  var Export = {
+    image: {
+      toDrive: exporter('image', 'drive'),
+      toAsset: exporter('image', 'asset'),
+      toCloudStorage: exporter('image', 'cloudStorage')
+    },
+    table: {
+      toDrive: exporter('table', 'drive'),
+      toAsset: exporter('table', 'asset'),
+      toCloudStorage: exporter('table', 'cloudStorage')
+    },
+    video: {
+      toDrive: exporter('video', 'drive'),
+      toCloudStorage: exporter('video', 'cloudStorage')
+    }
+  };
+
+  var noop = function() {};
+  var Map = {
+    addLayer: function(eeObject, visParams, name, shown) {
+      layers.push({
+        data: eeObject,
+        visParams: visParams || {},
+        name: name,
+        shown: shown !== false
+      });
+    },
+    centerObject: noop,
+    setCenter: noop,
+    setOptions: noop,
+    setZoom: noop,
+    onClick: noop,
+    add: noop,
+    clear: function() {
+      layers.length = 0;
+    }
+  };
+
+  var print = function() {
+    printed.push(Array.prototype.slice.call(arguments));
+  };
+
+  /**
+   * Widget stub: every method is chainable and does nothing.
+   */
+  var widget = function() {
+    var w = {};
+    ['add', 'insert', 'remove', 'clear', 'style', 'setOptions', 'setValue',
+     'setLabel', 'setChartType', 'setSeriesNames', 'setShown', 'onClick',
+     'onChange', 'widgets', 'set'].forEach(function(m) {
+      w[m] = function() { return w; };
+    });
+    w.getValue = function() { return null; };
+    return w;
+  };
+  var chart = function() { return widget(); };
+  var ui = {
+    Panel: widget,
+    Label: widget,
+    Button: widget,
+    Checkbox: widget,
+    Select: widget,
+    Slider: widget,
+    Textbox: widget,
+    DateSlider: widget,
+    Thumbnail: widget,
+    Map: widget,
+    root: widget(),
+    Chart: {
+      image: {series: chart, seriesByRegion: chart, byRegion: chart,
+              byClass: chart, histogram: chart, doySeries: chart,
+              doySeriesByYear: chart, regions: chart},
+      feature: {byFeature: chart, byProperty: chart, groups: chart,
+                histogram: chart},
+      array: {values: chart}
+    }
+  };
+  ui.Panel.Layout = {flow: noop, absolute: noop};
+
+  /**
+   * Builds an image on the runtime grid from per-band pixel values.
+   *
+   * @param {Object} bands - Band name -> constant, row-major array
+   *     (null/NaN = masked), or function(i, j) -> value.
+   * @param {Object} [props] - Image properties.
+   * @returns {ee.Image} Image.
+   */
+  var image = function(bands, props) {
+    var n = ctx.grid.width * ctx.grid.height;
+    var list = Object.keys(bands).map(function(name) {
+      var spec = bands[name];
+      var b = ctx.newBand(name, 'float');
+      for (var k = 0; k < n; k++) {
+        var v = typeof spec === 'function'
+          ? spec(k % ctx.grid.width, Math.floor(k / ctx.grid.width))
+          : Array.isArray(spec) || ArrayBuffer.isView(spec) ? spec[k] : spec;
+        if (v !== null && v !== undefined && !isNaN(v)) {
+          b.data[k] = v;
+          b.mask[k] = 1;
+        }
+      }
+      b.type = Array.prototype.every.call(b.data, Number.isInteger)
+        ? 'int' : 'float';
+      return b;
+    });
+    return new ctx.Image(list, Object.assign({}, props || {}));
+  };
+
+  /**
+   * Reads a band back as a row-major array, null where masked.
+   *
+   * @param {ee.Image} img - Image.
+   * @param {string|number} [band=0] - Band name or index.
+   * @returns {Array<number|null>} Pixel values.
+   */
+  var pixels = function(img, band) {
+    var b = ctx.selectBands(ctx.toImage(img),
+                            [band === undefined ? 0 : band], 'pixels')[0];
+    return Array.prototype.map.call(b.data, function(v, k) {
+      return b.mask[k] > 0 ? v : null;
+    });
+  };
+
+  var runtime = {
+    ee: ee,
+    Export: Export,
+    Map: Map,
+    print: print,
+    ui: ui,
+    tasks: tasks,
+    layers: layers,
+    printed: printed,
+    graph: ctx.graph,
+    missingAssets: ctx.missingAssets,
+    grid: ctx.grid,
+    image: image,
+    pixels: pixels,
+    info: ctx.info,
+    registerAsset: function(id, value) {
+      ctx.assets[id] = value;
+    },
+    /** Operation names in call order, e.g. 'Image.updateMask'. */
+    ops: function() {
+      return ctx.graph.map(function(node) { return node.op; });
+    }
+  };
+  runtime.require = geeRequire.createRequire(runtime, {
+    root: opts.root || path.resolve(__dirname, '..'),
+    modules: opts.modules || {}
+  });
+  return runtime;
+};
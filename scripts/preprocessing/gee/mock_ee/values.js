@@ -0,0 +1,1101 @@
+/**
+ * title: Offline Earth Engine Runtime - Values
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Base object and value types (ee.Number, ee.String, ee.List,
+ * ee.Dictionary, ee.Date, ee.DateRange) for the offline Earth
+ * Engine runtime. Every value is evaluated eagerly; the raw
+ * JavaScript value is kept on the object and every method call is
+ * logged to the runtime's computation graph.
+ */
+
+var MS_PER_UNIT = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Normalises an Earth Engine time unit ('days', 'Day', 'year') to
+ * its singular lower-case form.
+ *
+ * @param {string} unit - Unit name.
+ * @returns {string} Singular unit name.
+ */
+var normalizeUnit = function(unit) {
+  var u = String(unit).toLowerCase();
+  if (u.charAt(u.length - 1) === 's') {
+    u = u.slice(0, -1);
+  }
+  if (['year', 'month', 'week', 'day', 'hour', 'minute', 'second']
+      .indexOf(u) === -1) {
+    throw new Error('Unknown time unit: ' + unit);
+  }
+  return u;
+};
+
+/**
+ * Advances a millisecond timestamp by a (possibly fractional)
+ * number of calendar units, in UTC.
+ *
+ * @param {number} millis - Start time.
+ * @param {number} delta - Number of units.
+ * @param {string} unit - Time unit.
+ * @returns {number} Advanced timestamp.
+ */
+var advanceMillis = function(millis, delta, unit) {
+  unit = normalizeUnit(unit);
+  if (unit === 'month' || unit === 'year') {
+    var months = unit === 'year' ? delta * 12 : delta;
+    var whole = Math.floor(months);
+    var d = new Date(millis);
+    var day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + whole);
+    var daysInMonth = new Date(Date.UTC(
+      d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    d.setUTCDate(Math.min(day, daysInMonth));
+    var out = d.getTime();
+    if (months !== whole) {
+      out += (months - whole) * daysInMonth * MS_PER_UNIT.day;
+    }
+    return out;
+  }
+  return millis + delta * MS_PER_UNIT[unit];
+};
+
+/**
+ * Fractional number of calendar units between two timestamps.
+ *
+ * @param {number} end - End timestamp.
+ * @param {number} start - Start timestamp.
+ * @param {string} unit - Time unit.
+ * @returns {number} end - start in the given unit.
+ */
+var differenceMillis = function(end, start, unit) {
+  unit = normalizeUnit(unit);
+  if (unit !== 'month' && unit !== 'year') {
+    return (end - start) / MS_PER_UNIT[unit];
+  }
+  var sign = end < start ? -1 : 1;
+  var a = sign > 0 ? start : end;
+  var b = sign > 0 ? end : start;
+  var da = new Date(a);
+  var db = new Date(b);
+  var months = (db.getUTCFullYear() - da.getUTCFullYear()) * 12 +
+    (db.getUTCMonth() - da.getUTCMonth());
+  if (advanceMillis(a, months, 'month') > b) {
+    months -= 1;
+  }
+  var anchor = advanceMillis(a, months, 'month');
+  var next = advanceMillis(a, months + 1, 'month');
+  var total = months + (b - anchor) / (next - anchor);
+  total *= sign;
+  return unit === 'year' ? total / 12 : total;
+};
+
+/**
+ * Parses a date string the way ee.Date does (ISO dates, UTC).
+ *
+ * @param {string} str - Date string.
+ * @returns {number} Timestamp in milliseconds.
+ */
+var parseDate = function(str) {
+  var m = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/
+    .exec(str);
+  if (!m) {
+    throw new Error('Date: Unable to parse date string \'' + str + '\'.');
+  }
+  return Date.UTC(+m[1], +m[2] - 1, m[3] ? +m[3] : 1,
+                  m[4] ? +m[4] : 0, m[5] ? +m[5] : 0, m[6] ? +m[6] : 0);
+};
+
+var pad = function(n, width) {
+  var s = String(Math.abs(n));
+  while (s.length < width) {
+    s = '0' + s;
+  }
+  return (n < 0 ? '-' : '') + s;
+};
+
+/**
+ * Formats a timestamp with the Joda-style patterns used by
+ * ee.Date.format ('YYYY-MM-dd', 'yyyy', 'DDD', ...).
+ *
+ * @param {number} millis - Timestamp.
+ * @param {string} pattern - Joda pattern.
+ * @returns {string} Formatted date.
+ */
+var formatDate = function(millis, pattern) {
+  var d = new Date(millis);
+  if (pattern === undefined || pattern === null) {
+    return d.toISOString().replace('Z', '').replace(/\.\d+$/, '');
+  }
+  var doy = Math.floor(
+    (millis - Date.UTC(d.getUTCFullYear(), 0, 1)) / MS_PER_UNIT.day) + 1;
+  return String(pattern).replace(/(Y+|y+|M+|d+|D+|H+|m+|s+)/g,
+    function(token) {
+      var c = token.charAt(0);
+      var n = token.length;
+      switch (c) {
+        case 'Y':
+        case 'y':
+          return n === 2 ? pad(d.getUTCFullYear() % 100, 2)
+                         : pad(d.getUTCFullYear(), n);
+        case 'M':
+          return pad(d.getUTCMonth() + 1, n);
+        case 'd':
+          return pad(d.getUTCDate(), n);
+        case 'D':
+          return pad(doy, n);
+        case 'H':
+          return pad(d.getUTCHours(), n);
+        case 'm':
+          return pad(d.getUTCMinutes(), n);
+        default:
+          return pad(d.getUTCSeconds(), n);
+      }
+    });
+};
+
+/**
+ * Installs the base object and value types on a runtime context.
+ *
+ * @param {Object} ctx - Runtime context under construction.
+ */
+exports.install = function(ctx) {
+  var ee = ctx.ee;
+  var nextId = 1;
+
+  /**
+   * Base class of every Earth Engine object in the runtime.
+   * @constructor
+   */
+  function EEObject() {}
+
+  EEObject.prototype.getInfo = function(callback) {
+    var info = ctx.info(this);
+    if (typeof callback === 'function') {
+      callback(info);
+      return undefined;
+    }
+    return info;
+  };
+
+  EEObject.prototype.evaluate = function(callback) {
+    callback(ctx.info(this), undefined);
+  };
+
+  EEObject.prototype.serialize = function() {
+    return JSON.stringify(ctx.info(this));
+  };
+
+  // Class name, as in the client library (e.g., 'ImageCollection')
+  EEObject.prototype.name = function() {
+    return this._type;
+  };
+
+  EEObject.prototype.aside = function(fn) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    fn.apply(null, [this].concat(args));
+    return this;
+  };
+
+  /**
+   * Summarises a method argument for the computation graph.
+   *
+   * @param {*} arg - Argument value.
+   * @returns {*} Node reference, primitive, or placeholder.
+   */
+  var describe = function(arg) {
+    if (arg instanceof EEObject) {
+      return {node: arg._id || null, type: arg._type};
+    }
+    if (typeof arg === 'function') {
+      return '<function>';
+    }
+    if (Array.isArray(arg)) {
+      return arg.map(describe);
+    }
+    if (arg && typeof arg === 'object') {
+      var out = {};
+      Object.keys(arg).forEach(function(k) {
+        out[k] = describe(arg[k]);
+      });
+      return out;
+    }
+    return arg;
+  };
+
+  /**
+   * Defines recorded methods on a runtime type. Each call appends a
+   * node {id, op, self, args} to ctx.graph and tags the returned
+   * object with the node id.
+   *
+   * @param {Function} Ctor - Constructor to extend.
+   * @param {string} typeName - Earth Engine type name.
+   * @param {Object} methods - Method implementations by name.
+   */
+  var def = function(Ctor, typeName, methods) {
+    Object.keys(methods).forEach(function(name) {
+      var fn = methods[name];
+      Ctor.prototype[name] = function() {
+        var args = Array.prototype.slice.call(arguments);
+        var out = fn.apply(this, args);
+        var node = {
+          id: nextId++,
+          op: typeName + '.' + name,
+          self: this._id || null,
+          args: args.map(describe)
+        };
+        ctx.graph.push(node);
+        if (out instanceof EEObject && out !== this) {
+          out._id = node.id;
+        }
+        return out;
+      };
+    });
+  };
+
+  /**
+   * Records a static constructor call (ee.Image.constant, ...).
+   *
+   * @param {string} op - Operation name.
+   * @param {Array} args - Arguments.
+   * @param {*} out - Result.
+   * @returns {*} The result, tagged with its node id.
+   */
+  var record = function(op, args, out) {
+    var node = {
+      id: nextId++,
+      op: op,
+      self: null,
+      args: Array.prototype.slice.call(args).map(describe)
+    };
+    ctx.graph.push(node);
+    if (out instanceof EEObject) {
+      out._id = node.id;
+    }
+    return out;
+  };
+
+  ctx.EEObject = EEObject;
+  ctx.def = def;
+  ctx.record = record;
+
+  /**
+   * Generic computed value, as returned by get() and
+   * ee.Algorithms.If.
+   * @constructor
+   */
+  function ComputedObject(value) {
+    this._v = value;
+  }
+  ComputedObject.prototype = Object.create(EEObject.prototype);
+  ComputedObject.prototype._type = 'ComputedObject';
+  ctx.ComputedObject = ComputedObject;
+
+  /**
+   * Unwraps a value to its raw form: numbers, strings, booleans,
+   * arrays, plain objects, or runtime entities (images, features,
+   * geometries, dates, reducers, filters).
+   *
+   * @param {*} x - Value to unwrap.
+   * @returns {*} Raw value.
+   */
+  var raw = function(x) {
+    if (x === undefined || x === null) {
+      return x === undefined ? undefined : null;
+    }
+    if (x instanceof ComputedObject || x instanceof EENumber ||
+        x instanceof EEString) {
+      return raw(x._v);
+    }
+    if (x instanceof EEList) {
+      return x._v.map(raw);
+    }
+    if (x instanceof EEDictionary) {
+      var d = {};
+      Object.keys(x._v).forEach(function(k) {
+        d[k] = raw(x._v[k]);
+      });
+      return d;
+    }
+    if (Array.isArray(x)) {
+      return x.map(raw);
+    }
+    if (x instanceof EEObject) {
+      return x;
+    }
+    if (typeof x === 'object') {
+      var o = {};
+      Object.keys(x).forEach(function(k) {
+        o[k] = raw(x[k]);
+      });
+      return o;
+    }
+    return x;
+  };
+
+  /**
+   * Wraps a raw value in the matching runtime type.
+   *
+   * @param {*} v - Raw value.
+   * @returns {EEObject} Wrapped value.
+   */
+  var wrap = function(v) {
+    v = raw(v);
+    if (v instanceof EEObject) {
+      return v;
+    }
+    if (typeof v === 'number' || typeof v === 'boolean') {
+      return new EENumber(v);
+    }
+    if (typeof v === 'string') {
+      return new EEString(v);
+    }
+    if (Array.isArray(v)) {
+      return new EEList(v);
+    }
+    if (v && typeof v === 'object') {
+      return new EEDictionary(v);
+    }
+    return new ComputedObject(v === undefined ? null : v);
+  };
+
+  /**
+   * Earth Engine truthiness: 0, false, null and '' are false.
+   *
+   * @param {*} x - Value to test.
+   * @returns {boolean} Truthiness.
+   */
+  var truthy = function(x) {
+    var v = raw(x);
+    if (v === null || v === undefined) {
+      return false;
+    }
+    if (typeof v === 'number') {
+      return v !== 0 && !isNaN(v);
+    }
+    if (typeof v === 'string') {
+      return v.length > 0;
+    }
+    return Boolean(v);
+  };
+
+  var num = function(x, what) {
+    var v = raw(x);
+    if (typeof v === 'boolean') {
+      return v ? 1 : 0;
+    }
+    if (typeof v !== 'number') {
+      throw new Error((what || 'Number') + ': expected a number, got ' +
+                      JSON.stringify(ctx.info(v)) + '.');
+    }
+    return v;
+  };
+
+  var str = function(x, what) {
+    var v = raw(x);
+    if (typeof v !== 'string') {
+      throw new Error((what || 'String') + ': expected a string, got ' +
+                      JSON.stringify(ctx.info(v)) + '.');
+    }
+    return v;
+  };
+
+  ctx.raw = raw;
+  ctx.wrap = wrap;
+  ctx.truthy = truthy;
+  ctx.num = num;
+  ctx.str = str;
+
+  // ee.Number
+
+  function EENumber(v) {
+    this._v = v;
+  }
+  EENumber.prototype = Object.create(EEObject.prototype);
+  EENumber.prototype._type = 'Number';
+
+  var unaryNumber = function(f) {
+    return function() {
+      return new EENumber(f(num(this)));
+    };
+  };
+  var binaryNumber = function(f) {
+    return function(other) {
+      return new EENumber(f(num(this), num(other)));
+    };
+  };
+  var boolNumber = function(f) {
+    return function(other) {
+      return new EENumber(f(num(this), num(other)) ? 1 : 0);
+    };
+  };
+
+  def(EENumber, 'Number', {
+    add: binaryNumber(function(a, b) { return a + b; }),
+    subtract: binaryNumber(function(a, b) { return a - b; }),
+    multiply: binaryNumber(function(a, b) { return a * b; }),
+    divide: binaryNumber(function(a, b) { return b === 0 ? 0 : a / b; }),
+    mod: binaryNumber(function(a, b) { return a % b; }),
+    pow: binaryNumber(Math.pow),
+    min: binaryNumber(Math.min),
+    max: binaryNumber(Math.max),
+    atan2: binaryNumber(Math.atan2),
+    hypot: binaryNumber(function(a, b) { return Math.sqrt(a * a + b * b); }),
+    lt: boolNumber(function(a, b) { return a < b; }),
+    lte: boolNumber(function(a, b) { return a <= b; }),
+    gt: boolNumber(function(a, b) { return a > b; }),
+    gte: boolNumber(function(a, b) { return a >= b; }),
+    eq: boolNumber(function(a, b) { return a === b; }),
+    neq: boolNumber(function(a, b) { return a !== b; }),
+    and: boolNumber(function(a, b) { return a && b; }),
+    or: boolNumber(function(a, b) { return a || b; }),
+    not: unaryNumber(function(a) { return a ? 0 : 1; }),
+    abs: unaryNumber(Math.abs),
+    sqrt: unaryNumber(Math.sqrt),
+    exp: unaryNumber(Math.exp),
+    log: unaryNumber(Math.log),
+    log10: unaryNumber(function(a) { return Math.log(a) / Math.LN10; }),
+    sin: unaryNumber(Math.sin),
+    cos: unaryNumber(Math.cos),
+    tan: unaryNumber(Math.tan),
+    atan: unaryNumber(Math.atan),
+    round: unaryNumber(Math.round),
+    floor: unaryNumber(Math.floor),
+    ceil: unaryNumber(Math.ceil),
+    int: unaryNumber(Math.trunc),
+    toInt: unaryNumber(Math.trunc),
+    long: unaryNumber(Math.trunc),
+    float: unaryNumber(function(a) { return a; }),
+    double: unaryNumber(function(a) { return a; }),
+    toFloat: unaryNumber(function(a) { return a; }),
+    signum: unaryNumber(Math.sign),
+    clamp: function(lo, hi) {
+      return new EENumber(Math.min(num(hi), Math.max(num(lo), num(this))));
+    },
+    format: function(pattern) {
+      var v = num(this);
+      if (!pattern) {
+        return new EEString(String(v));
+      }
+      var p = str(pattern);
+      return new EEString(p.replace(/%(0?)(\d*)(?:\.(\d+))?([dfsi])/,
+        function(all, zero, width, precision, type) {
+          var s = type === 'd' || type === 'i' ? String(Math.round(v))
+            : precision !== undefined ? v.toFixed(+precision) : String(v);
+          while (width && s.length < +width) {
+            s = (zero ? '0' : ' ') + s;
+          }
+          return s;
+        }));
+    }
+  });
+
+  ee.Number = function(v) {
+    if (v instanceof EENumber) {
+      return v;
+    }
+    return new EENumber(num(v, 'Number'));
+  };
+  ee.Number.parse = function(input) {
+    var v = raw(input);
+    var parsed = typeof v === 'number' ? v : parseFloat(v);
+    if (isNaN(parsed)) {
+      throw new Error('Number.parse: Unable to parse \'' + v + '\'.');
+    }
+    return record('Number.parse', arguments, new EENumber(parsed));
+  };
+
+  // ee.String
+
+  function EEString(v) {
+    this._v = v;
+  }
+  EEString.prototype = Object.create(EEObject.prototype);
+  EEString.prototype._type = 'String';
+
+  def(EEString, 'String', {
+    cat: function(other) {
+      var o = raw(other);
+      return new EEString(this._v + (typeof o === 'number' ? String(o)
+        : str(o, 'String.cat')));
+    },
+    replace: function(regex, replacement, flags) {
+      return new EEString(this._v.replace(
+        new RegExp(str(regex), flags === undefined ? '' : str(flags)),
+        str(replacement)));
+    },
+    split: function(regex, flags) {
+      return new EEList(this._v.split(
+        new RegExp(str(regex), flags === undefined ? '' : str(flags))));
+    },
+    length: function() {
+      return new EENumber(this._v.length);
+    },
+    slice: function(start, end) {
+      return new EEString(this._v.slice(num(start),
+        end === undefined ? undefined : num(end)));
+    },
+    index: function(pattern) {
+      return new EENumber(this._v.indexOf(str(pattern)));
+    },
+    rindex: function(pattern) {
+      return new EENumber(this._v.lastIndexOf(str(pattern)));
+    },
+    match: function(regex, flags) {
+      var m = this._v.match(new RegExp(str(regex),
+        flags === undefined ? '' : str(flags)));
+      return new EEList(m ? Array.prototype.slice.call(m) : []);
+    },
+    compareTo: function(other) {
+      var o = str(other);
+      return new EENumber(this._v < o ? -1 : this._v > o ? 1 : 0);
+    },
+    equals: function(other) {
+      return new EENumber(raw(other) === this._v ? 1 : 0);
+    },
+    toUpperCase: function() {
+      return new EEString(this._v.toUpperCase());
+    },
+    toLowerCase: function() {
+      return new EEString(this._v.toLowerCase());
+    },
+    trim: function() {
+      return new EEString(this._v.trim());
+    }
+  });
+
+  ee.String = function(v) {
+    if (v instanceof EEString) {
+      return v;
+    }
+    var r = raw(v);
+    if (typeof r === 'number') {
+      r = String(r);
+    }
+    return new EEString(str(r, 'String'));
+  };
+
+  // ee.List
+
+  function EEList(v) {
+    this._v = v;
+  }
+  EEList.prototype = Object.create(EEObject.prototype);
+  EEList.prototype._type = 'List';
+
+  var normIndex = function(list, i) {
+    i = num(i);
+    return i < 0 ? list.length + i : i;
+  };
+
+  var compareRaw = function(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    if (a instanceof EEDate && b instanceof EEDate) {
+      return a._millis - b._millis;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  };
+
+  var sameRaw = function(a, b) {
+    return JSON.stringify(ctx.info(a)) === JSON.stringify(ctx.info(b));
+  };
+
+  def(EEList, 'List', {
+    get: function(i) {
+      var idx = normIndex(this._v, i);
+      if (idx < 0 || idx >= this._v.length) {
+        throw new Error('List.get: List index must be between ' +
+                        (-this._v.length) + ' and ' +
+                        (this._v.length - 1) + ', but was ' + num(i) + '.');
+      }
+      return wrap(this._v[idx]);
+    },
+    getNumber: function(i) {
+      return ee.Number(this._v[normIndex(this._v, i)]);
+    },
+    getString: function(i) {
+      return ee.String(this._v[normIndex(this._v, i)]);
+    },
+    size: function() {
+      return new EENumber(this._v.length);
+    },
+    length: function() {
+      return new EENumber(this._v.length);
+    },
+    map: function(fn) {
+      return new EEList(this._v.map(function(item) {
+        return raw(fn(wrap(item)));
+      }));
+    },
+    filter: function(filter) {
+      return new EEList(this._v.filter(function(item) {
+        return filter._test(ctx.listItemElement(item));
+      }));
+    },
+    iterate: function(fn, first) {
+      var acc = first;
+      this._v.forEach(function(item) {
+        acc = fn(wrap(item), wrap(acc));
+      });
+      return wrap(acc);
+    },
+    flatten: function() {
+      var out = [];
+      var walk = function(items) {
+        items.forEach(function(item) {
+          if (Array.isArray(item)) {
+            walk(item);
+          } else {
+            out.push(item);
+          }
+        });
+      };
+      walk(this._v);
+      return new EEList(out);
+    },
+    cat: function(other) {
+      return new EEList(this._v.concat(raw(other)));
+    },
+    add: function(item) {
+      return new EEList(this._v.concat([raw(item)]));
+    },
+    insert: function(i, item) {
+      var out = this._v.slice();
+      out.splice(normIndex(out, i), 0, raw(item));
+      return new EEList(out);
+    },
+    set: function(i, item) {
+      var out = this._v.slice();
+      out[normIndex(out, i)] = raw(item);
+      return new EEList(out);
+    },
+    contains: function(item) {
+      var r = raw(item);
+      return new EENumber(this._v.some(function(x) {
+        return sameRaw(x, r);
+      }) ? 1 : 0);
+    },
+    containsAll: function(other) {
+      var self = this._v;
+      return new EENumber(raw(other).every(function(r) {
+        return self.some(function(x) { return sameRaw(x, r); });
+      }) ? 1 : 0);
+    },
+    indexOf: function(item) {
+      var r = raw(item);
+      for (var i = 0; i < this._v.length; i++) {
+        if (sameRaw(this._v[i], r)) {
+          return new EENumber(i);
+        }
+      }
+      return new EENumber(-1);
+    },
+    remove: function(item) {
+      var r = raw(item);
+      var removed = false;
+      return new EEList(this._v.filter(function(x) {
+        if (!removed && sameRaw(x, r)) {
+          removed = true;
+          return false;
+        }
+        return true;
+      }));
+    },
+    removeAll: function(other) {
+      var rs = raw(other);
+      return new EEList(this._v.filter(function(x) {
+        return !rs.some(function(r) { return sameRaw(x, r); });
+      }));
+    },
+    slice: function(start, end, step) {
+      var s = normIndex(this._v, start);
+      var e = end === undefined || end === null ? this._v.length
+        : normIndex(this._v, end);
+      var st = step === undefined ? 1 : num(step);
+      var out = [];
+      for (var i = s; i < Math.min(e, this._v.length); i += st) {
+        out.push(this._v[i]);
+      }
+      return new EEList(out);
+    },
+    sort: function(keys) {
+      var items = this._v.map(function(v, i) {
+        return {v: v, k: keys === undefined ? v : raw(keys)[i]};
+      });
+      items.sort(function(a, b) { return compareRaw(a.k, b.k); });
+      return new EEList(items.map(function(x) { return x.v; }));
+    },
+    reverse: function() {
+      return new EEList(this._v.slice().reverse());
+    },
+    distinct: function() {
+      var out = [];
+      this._v.forEach(function(x) {
+        if (!out.some(function(y) { return sameRaw(x, y); })) {
+          out.push(x);
+        }
+      });
+      return new EEList(out);
+    },
+    zip: function(other) {
+      var o = raw(other);
+      var n = Math.min(this._v.length, o.length);
+      var out = [];
+      for (var i = 0; i < n; i++) {
+        out.push([this._v[i], o[i]]);
+      }
+      return new EEList(out);
+    },
+    join: function(separator) {
+      return new EEString(this._v.join(
+        separator === undefined ? '' : str(separator)));
+    },
+    reduce: function(reducer) {
+      var values = this._v.map(function(x) { return num(x); });
+      var result = reducer._reduceValues([values], null);
+      var outputs = reducer._outputs;
+      if (outputs.length === 1) {
+        return wrap(result[outputs[0]]);
+      }
+      return new EEDictionary(result);
+    },
+    frequency: function(item) {
+      var r = raw(item);
+      return new EENumber(this._v.filter(function(x) {
+        return sameRaw(x, r);
+      }).length);
+    }
+  });
+
+  ee.List = function(v) {
+    if (v instanceof EEList) {
+      return v;
+    }
+    var r = raw(v);
+    if (!Array.isArray(r)) {
+      throw new Error('List: expected a list, got ' +
+                      JSON.stringify(ctx.info(r)) + '.');
+    }
+    return new EEList(r);
+  };
+  ee.List.sequence = function(start, end, step, count) {
+    var s = num(start);
+    var st = step === undefined || step === null ? 1 : num(step);
+    var out = [];
+    if (count !== undefined && count !== null) {
+      for (var c = 0; c < num(count); c++) {
+        out.push(s + c * st);
+      }
+    } else {
+      var e = num(end);
+      for (var v = s; v <= e + 1e-9; v += st) {
+        out.push(Math.round(v * 1e9) / 1e9);
+      }
+    }
+    return record('List.sequence', arguments, new EEList(out));
+  };
+  ee.List.repeat = function(value, count) {
+    var out = [];
+    for (var i = 0; i < num(count); i++) {
+      out.push(raw(value));
+    }
+    return record('List.repeat', arguments, new EEList(out));
+  };
+
+  // ee.Dictionary
+
+  function EEDictionary(v) {
+    this._v = v;
+  }
+  EEDictionary.prototype = Object.create(EEObject.prototype);
+  EEDictionary.prototype._type = 'Dictionary';
+
+  def(EEDictionary, 'Dictionary', {
+    get: function(key, defaultValue) {
+      var k = str(key, 'Dictionary.get');
+      if (!Object.prototype.hasOwnProperty.call(this._v, k)) {
+        if (defaultValue !== undefined) {
+          return wrap(defaultValue);
+        }
+        throw new Error('Dictionary.get: Dictionary does not contain key: ' +
+                        k + '.');
+      }
+      return wrap(this._v[k]);
+    },
+    getNumber: function(key) {
+      return ee.Number(this._v[str(key)]);
+    },
+    getString: function(key) {
+      return ee.String(this._v[str(key)]);
+    },
+    set: function(key, value) {
+      var out = Object.assign({}, this._v);
+      out[str(key)] = raw(value);
+      return new EEDictionary(out);
+    },
+    keys: function() {
+      return new EEList(Object.keys(this._v).sort());
+    },
+    values: function(keys) {
+      var self = this._v;
+      var ks = keys === undefined ? Object.keys(self).sort() : raw(keys);
+      return new EEList(ks.map(function(k) { return self[k]; }));
+    },
+    contains: function(key) {
+      return new EENumber(
+        Object.prototype.hasOwnProperty.call(this._v, str(key)) ? 1 : 0);
+    },
+    size: function() {
+      return new EENumber(Object.keys(this._v).length);
+    },
+    combine: function(second, overwrite) {
+      var out = Object.assign({}, this._v);
+      var other = raw(second);
+      Object.keys(other).forEach(function(k) {
+        if (overwrite !== false || !(k in out)) {
+          out[k] = other[k];
+        }
+      });
+      return new EEDictionary(out);
+    },
+    select: function(keys) {
+      var self = this._v;
+      var out = {};
+      raw(keys).forEach(function(k) {
+        Object.keys(self).forEach(function(key) {
+          if (new RegExp('^' + k + '$').test(key)) {
+            out[key] = self[key];
+          }
+        });
+      });
+      return new EEDictionary(out);
+    },
+    rename: function(from, to) {
+      var out = Object.assign({}, this._v);
+      var f = raw(from);
+      var t = raw(to);
+      f.forEach(function(k, i) {
+        out[t[i]] = out[k];
+        delete out[k];
+      });
+      return new EEDictionary(out);
+    },
+    map: function(fn) {
+      var self = this._v;
+      var out = {};
+      Object.keys(self).forEach(function(k) {
+        out[k] = raw(fn(new EEString(k), wrap(self[k])));
+      });
+      return new EEDictionary(out);
+    },
+    toImage: function(names) {
+      var self = this._v;
+      var ks = names === undefined ? Object.keys(self).sort() : raw(names);
+      return ctx.constantImage(ks.map(function(k) {
+        return self[k];
+      }), ks);
+    },
+    toArray: function(keys) {
+      var self = this._v;
+      var ks = keys === undefined ? Object.keys(self).sort() : raw(keys);
+      return new EEList(ks.map(function(k) { return self[k]; }));
+    }
+  });
+
+  ee.Dictionary = function(v) {
+    if (v instanceof EEDictionary) {
+      return v;
+    }
+    var r = v === undefined ? {} : raw(v);
+    if (Array.isArray(r)) {
+      var o = {};
+      for (var i = 0; i < r.length; i += 2) {
+        o[str(r[i], 'Dictionary')] = r[i + 1];
+      }
+      r = o;
+    }
+    if (!r || typeof r !== 'object' || r instanceof EEObject) {
+      var info = ctx.info(r);
+      if (r && r._type === 'Element' || r && r._props) {
+        return new EEDictionary(Object.assign({}, r._props));
+      }
+      throw new Error('Dictionary: expected a dictionary, got ' +
+                      JSON.stringify(info) + '.');
+    }
+    return new EEDictionary(r);
+  };
+  ee.Dictionary.fromLists = function(keys, values) {
+    var k = raw(keys);
+    var v = raw(values);
+    if (k.length !== v.length) {
+      throw new Error('Dictionary.fromLists: Keys and values must be the ' +
+                      'same length, got ' + k.length + ' and ' + v.length +
+                      '.');
+    }
+    var o = {};
+    k.forEach(function(key, i) {
+      o[str(key, 'Dictionary.fromLists')] = v[i];
+    });
+    return record('Dictionary.fromLists', arguments, new EEDictionary(o));
+  };
+
+  // ee.Date
+
+  function EEDate(millis) {
+    this._millis = millis;
+  }
+  EEDate.prototype = Object.create(EEObject.prototype);
+  EEDate.prototype._type = 'Date';
+
+  def(EEDate, 'Date', {
+    advance: function(delta, unit) {
+      return new EEDate(advanceMillis(this._millis, num(delta), str(unit)));
+    },
+    get: function(unit) {
+      var d = new Date(this._millis);
+      var u = normalizeUnit(str(unit));
+      var v = {
+        year: d.getUTCFullYear(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        hour: d.getUTCHours(),
+        minute: d.getUTCMinutes(),
+        second: d.getUTCSeconds(),
+        week: Math.floor(differenceMillis(this._millis,
+          Date.UTC(d.getUTCFullYear(), 0, 1), 'day') / 7) + 1
+      }[u];
+      return new EENumber(v);
+    },
+    getRelative: function(unit, inUnit) {
+      var d = new Date(this._millis);
+      var u = normalizeUnit(str(unit));
+      var inU = normalizeUnit(str(inUnit));
+      var startOf = {
+        year: Date.UTC(d.getUTCFullYear(), 0, 1),
+        month: Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1),
+        week: this._millis - ((d.getUTCDay() + 6) % 7) * MS_PER_UNIT.day,
+        day: Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+      }[inU];
+      return new EENumber(
+        Math.floor(differenceMillis(this._millis, startOf, u)));
+    },
+    getFraction: function(unit) {
+      var d = new Date(this._millis);
+      var u = normalizeUnit(str(unit));
+      var start = u === 'year' ? Date.UTC(d.getUTCFullYear(), 0, 1)
+        : Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+      var end = advanceMillis(start, 1, u);
+      return new EENumber((this._millis - start) / (end - start));
+    },
+    millis: function() {
+      return new EENumber(this._millis);
+    },
+    difference: function(start, unit) {
+      return new EENumber(differenceMillis(this._millis,
+        ctx.toMillis(start), str(unit)));
+    },
+    format: function(pattern) {
+      return new EEString(formatDate(this._millis,
+        pattern === undefined ? undefined : str(pattern)));
+    },
+    update: function(year, month, day) {
+      var d = new Date(this._millis);
+      if (year !== undefined && year !== null) {
+        d.setUTCFullYear(num(year));
+      }
+      if (month !== undefined && month !== null) {
+        d.setUTCMonth(num(month) - 1);
+      }
+      if (day !== undefined && day !== null) {
+        d.setUTCDate(num(day));
+      }
+      return new EEDate(d.getTime());
+    }
+  });
+
+  /**
+   * Converts a date-like value (ee.Date, string, millis) to millis.
+   *
+   * @param {*} x - Date-like value.
+   * @returns {number} Milliseconds since the epoch.
+   */
+  ctx.toMillis = function(x) {
+    var v = raw(x);
+    if (v instanceof EEDate) {
+      return v._millis;
+    }
+    if (typeof v === 'number') {
+      return v;
+    }
+    if (typeof v === 'string') {
+      return parseDate(v);
+    }
+    if (v instanceof Date) {
+      return v.getTime();
+    }
+    throw new Error('Date: expected a date, got ' +
+                    JSON.stringify(ctx.info(v)) + '.');
+  };
+
+  ee.Date = function(value) {
+    if (value instanceof EEDate) {
+      return value;
+    }
+    return new EEDate(ctx.toMillis(value));
+  };
+  ee.Date.fromYMD = function(year, month, day) {
+    return record('Date.fromYMD', arguments,
+      new EEDate(Date.UTC(num(year), num(month) - 1, num(day))));
+  };
+  ee.Date.parse = function(format, date) {
+    return record('Date.parse', arguments, new EEDate(parseDate(str(date))));
+  };
+
+  function EEDateRange(start, end) {
+    this._start = start;
+    this._end = end;
+  }
+  EEDateRange.prototype = Object.create(EEObject.prototype);
+  EEDateRange.prototype._type = 'DateRange';
+
+  def(EEDateRange, 'DateRange', {
+    start: function() {
+      return new EEDate(this._start);
+    },
+    end: function() {
+      return new EEDate(this._end);
+    },
+    contains: function(other) {
+      var t = ctx.toMillis(other);
+      return new EENumber(t >= this._start && t < this._end ? 1 : 0);
+    }
+  });
+
+  ee.DateRange = function(start, end, unit) {
+    var s = ctx.toMillis(start);
+    var e = end === undefined ? advanceMillis(s, 1, unit || 'day')
+      : ctx.toMillis(end);
+    return new EEDateRange(s, e);
+  };
+
+  ctx.EENumber = EENumber;
+  ctx.EEString = EEString;
+  ctx.EEList = EEList;
+  ctx.EEDictionary = EEDictionary;
+  ctx.EEDate = EEDate;
+  ctx.EEDateRange = EEDateRange;
+  ctx.compareRaw = compareRaw;
+  ctx.advanceMillis = advanceMillis;
+  ctx.differenceMillis = differenceMillis;
+  ctx.formatDate = formatDate;
+};
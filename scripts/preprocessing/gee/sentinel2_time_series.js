@@ -69,7 +69,24 @@ var dateList = utils.createDateList(
 print("Start Dates", dateList);
 
 /* Define reducer statistic */
-var statistic = 'mean'; // Options: 'mean', 'median', 'max', etc.
+// Options: 'mean', 'median', 'max', etc., a percentile such as 'p90',
+// or an array such as ['p10', 'p50', 'p90'] for one band per statistic
+var statistic = 'mean';
+
+/* Define cloud mask method */
+// Options: 'qa60', 'cloudScorePlus', 's2cloudless' or 'scl', or an
+// options object such as {method: 's2cloudless', shadows: true}.
+// QA60 is unreliable after January 2022; see 
+// functions/sentinel_cloud_masks.js
+var maskMethod = 'cloudScorePlus';
+
+/* Define the harmonization */
+// null keeps Sentinel-2 reflectance and band names. 'etm' or 'oli' 
+// harmonizes reflectance to a Landsat sensor space and uses the Landsat
+// band names, so the output can be merged with landsat_time_series.js;
+// red-edge indices are then not available (see 
+// functions/harmonization.js)
+var harmonizationOptions = null;
 
 /* 2. Sentinel-2 Time Series Processing
  * Calculate user-defined spectral indices for Sentinel-2 imagery.
@@ -86,13 +103,19 @@ var statistic = 'mean'; // Options: 'mean', 'median', 'max', etc.
  * - NDVI: Normalized Difference Vegetation Index
  * - NDWI: Normalized Difference Water Index
  * - RDI: Ratio Drought Index
+ *
+ * Formulas, valid ranges and the full list of indices are in
+ * functions/spectral_indices.js.
  */
 
 // Generate Sentinel-2 Time Series
 var s2 = sentinelTimeSeries.s2_fn(
   dateList, 121, 'days', aoi,
   ['CRE', 'DRS', 'DSWI', 'EVI', 'GNDVI', 'LAI', 'NBR', 
-   'NDRE1', 'NDRE2', 'NDRE3', 'NDVI', 'NDWI', 'RDI']
+   'NDRE1', 'NDRE2', 'NDRE3', 'NDVI', 'NDWI', 'RDI'],
+  statistic,
+  maskMethod,
+  harmonizationOptions
 )
   .map(function(image) { 
     return sentinelIndicesAndMasks.addNDRS(image, [210]); // Coniferous 
@@ -0,0 +1,65 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+// 3 x 3 VLCE2 classes, listed from the southern row up
+var VLCE2 = [210, 210, 220,
+             0, 230, 80,
+             20, 210, 50];
+
+var proportionRuntime = function() {
+  var s = h.setup({width: 3, height: 3});
+  s.cp = s.load('functions/class_proportions');
+  s.lc = s.rt.image({b1: VLCE2});
+  return s;
+};
+
+var round = function(values) {
+  return values.map(function(v) {
+    return v === null ? null : Math.round(v * 1000) / 1000;
+  });
+};
+
+test('classProportions shares classes within a radius', function() {
+  var s = proportionRuntime();
+  var out = s.cp.classProportions(s.lc, {coniferous: 210, broadleaf: 220},
+                                  {radius: 30, suffix: '_30m'});
+  assert.deepEqual(h.bandNames(out), ['coniferous_30m', 'broadleaf_30m']);
+  // Unclassified (0) still counts toward the total without a remap
+  assert.deepEqual(round(s.rt.pixels(out, 'coniferous_30m')),
+                   [0.667, 0.5, 0.333, 0.25, 0.4, 0, 0.333, 0.25, 0.333]);
+  assert.deepEqual(round(s.rt.pixels(out, 'broadleaf_30m')),
+                   [0, 0.25, 0.333, 0, 0, 0.25, 0, 0, 0]);
+});
+
+test('classProportions drops codes missing from the remap table',
+     function() {
+  var s = proportionRuntime();
+  var groups = s.cp.VLCE2_GROUPS;
+  var out = s.cp.classProportions(s.lc, groups.classes, {
+    kernel: s.ee.Kernel.square(1),
+    remap: groups.remap,
+    prefix: 'lc_'
+  });
+  assert.equal(h.bandNames(out)[0], 'lc_water_proportion');
+  // The unclassified centre-left pixel is masked and left out of its
+  // neighbours' totals
+  assert.deepEqual(round(s.rt.pixels(out, 'lc_forest_proportion')),
+                   [1, 0.8, 0.75, null, 0.625, 0.667, 0.667, 0.4, 0.5]);
+  assert.deepEqual(round(s.rt.pixels(out, 'lc_water_proportion')),
+                   [0, 0, 0, null, 0.125, 0, 0.333, 0.2, 0]);
+});
+
+test('classProportions needs exactly one method and an even remap',
+     function() {
+  var s = proportionRuntime();
+  [{}, {scale: 1000, radius: 3}].forEach(function(options) {
+    assert.throws(function() {
+      s.cp.classProportions(s.lc, {a: 1}, options);
+    }, /Set one of options.scale/);
+  });
+  assert.throws(function() {
+    s.cp.classProportions(s.lc, {a: 1},
+                          {scale: 1000, remap: {from: [1, 2], to: [1]}});
+  }, /as many "to" codes/);
+});
@@ -0,0 +1,90 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var ROOT = 'projects/sat-io/open-datasets/CA_FOREST/';
+
+var forestRuntime = function() {
+  var s = h.setup({width: 4, height: 1});
+  var rt = s.rt;
+  rt.registerAsset(ROOT + 'CA_forest_age_2019', rt.image({b1: [80, 30, 5, 0]}));
+  rt.registerAsset(ROOT + 'CA_forest_elev_p95', rt.image({b1: [22, 15, 3, 0]}));
+  rt.registerAsset(ROOT + 'CA_Forest_Harvest_1985-2020',
+                   rt.image({b1: [0, 2014, 0, 2020]}));
+  rt.registerAsset(ROOT + 'CA_Forest_Fire_1985-2020',
+                   rt.image({b1: [0, 0, 2001, 0]}));
+  s.forest = s.load('functions/forest_attributes');
+  return s;
+};
+
+var LAYERS = ['forest_age', 'canopy_height', 'harvest_year', 'fire_year'];
+
+test('getForestAttributes rewinds ages and masks later disturbances',
+     function() {
+  var s = forestRuntime();
+  var image = s.forest.getForestAttributes(2010, h.gridAoi(s.rt),
+                                           {layers: LAYERS});
+  assert.deepEqual(h.bandNames(image), LAYERS);
+  // Stands younger than 9 years in 2019 had not established in 2010
+  h.assertPixels(s.rt.pixels(image, 'forest_age'), [71, 21, null, null]);
+  h.assertPixels(s.rt.pixels(image, 'harvest_year'), null);
+  h.assertPixels(s.rt.pixels(image, 'fire_year'), [null, null, 2001, null]);
+  assert.equal(image.get('forest_age_in_range').getInfo(), 1);
+  assert.equal(image.get('canopy_height_source_year').getInfo(), 2015);
+  assert.equal(image.get('canopy_height_in_range').getInfo(), 0);
+});
+
+test('getForestAttributes uses the nearest year out of range by default',
+     function() {
+  var s = forestRuntime();
+  var image = s.forest.getForestAttributes(2022, h.gridAoi(s.rt),
+                                           {layers: LAYERS});
+  h.assertPixels(s.rt.pixels(image, 'forest_age'), [80, 30, 5, 0]);
+  h.assertPixels(s.rt.pixels(image, 'harvest_year'),
+                 [null, 2014, null, 2020]);
+  assert.equal(image.get('forest_age_source_year').getInfo(), 2019);
+  assert.equal(image.get('harvest_year_source_year').getInfo(), 2020);
+});
+
+test('getForestAttributes masks out-of-range layers on request',
+     function() {
+  var s = forestRuntime();
+  var image = s.forest.getForestAttributes(2022, h.gridAoi(s.rt), {
+    layers: LAYERS,
+    outOfRange: {forest_age: 'mask'}
+  });
+  h.assertPixels(s.rt.pixels(image, 'forest_age'), null);
+  h.assertPixels(s.rt.pixels(image, 'canopy_height'), [22, 15, 3, 0]);
+});
+
+test('forest_attributes_fn gives one image per date', function() {
+  var s = forestRuntime();
+  var out = s.forest.forest_attributes_fn(
+    ['2010-06-01', '2015-06-01'], h.gridAoi(s.rt), {layers: ['forest_age']}
+  );
+  assert.deepEqual(out.aggregate_array('year').getInfo(), [2010, 2015]);
+  h.assertPixels(s.rt.pixels(s.ee.Image(out.toList(2).get(1)),
+                             'forest_age'), [76, 26, 1, null]);
+});
+
+test('forest_attributes_fn rejects unknown layers and policies',
+     function() {
+  var s = forestRuntime();
+  assert.throws(function() {
+    s.forest.forest_attributes_fn(['2010-06-01'], h.gridAoi(s.rt),
+                                  {layers: ['x']});
+  }, /Unknown forest attribute "x"/);
+  assert.throws(function() {
+    s.forest.forest_attributes_fn(['2010-06-01'], h.gridAoi(s.rt),
+                                  {outOfRange: 'clamp'});
+  }, /Unknown out-of-range policy "clamp"/);
+});
+
+test('maskByForestAge keeps stands older than the threshold', function() {
+  var s = forestRuntime();
+  var masks = s.load('functions/masks');
+  var image = s.rt.image({x: [1, 2, 3, 4]}, {year: 2010});
+  var masked = masks.maskByForestAge(image, 20);
+  h.assertPixels(s.rt.pixels(masked, 'x'), [1, 2, null, null]);
+  assert.equal(masked.get('forest_age_source_year').getInfo(), 2010);
+});
@@ -0,0 +1,101 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * Builds a series of July composites, one per year, with an NDVI
+ * band. A null value gives a composite without bands (an interval
+ * with no scenes); an array gives per-pixel values.
+ */
+var series = function(s, values) {
+  return s.ee.ImageCollection(values.map(function(value, k) {
+    var props = {
+      'system:time_start': Date.UTC(2019 + k, 6, 1),
+      year: 2019 + k
+    };
+    if (value === null) {
+      return s.ee.Image([]).set(props);
+    }
+    return s.rt.image({NDVI: function(i) {
+      return Array.isArray(value) ? value[i] : value;
+    }}, props);
+  }));
+};
+
+var fill = function(s, values, methods) {
+  var gaps = s.load('functions/gap_filling');
+  var filled = gaps.fillGaps(series(s, values), methods).toList(10);
+  return function(k, band) {
+    return s.rt.pixels(s.ee.Image(filled.get(k)), band || 'NDVI');
+  };
+};
+
+test('linear fill interpolates between the nearest composites', function() {
+  var s = h.setup({width: 2, height: 1});
+  var image = fill(s, [[0.2, 0.2], [null, 0.5], [0.6, 0.6]], 'linear');
+  // 2020 is 366 days after 2019 and 365 before 2021
+  h.assertPixels(image(1), [0.2 + 0.4 * 366 / 731, 0.5]);
+  h.assertPixels(image(1, 'gap_fill'), [1, 0]);
+});
+
+test('climatology fill uses other years of the same season', function() {
+  var s = h.setup({width: 2, height: 1});
+  var image = fill(s, [[0.2, 0.2], [null, 0.5], [0.6, 0.6]],
+                   ['climatology']);
+  h.assertPixels(image(1), [0.4, 0.5]);
+  h.assertPixels(image(1, 'gap_fill'), [3, 0]);
+});
+
+test('composites without bands are filled like masked ones', function() {
+  var s = h.setup({width: 2, height: 1});
+  var linear = fill(s, [0.2, null, 0.6], 'linear');
+  h.assertPixels(linear(1), 0.2 + 0.4 * 366 / 731);
+  h.assertPixels(linear(1, 'gap_fill'), 1);
+
+  var climatology = fill(s, [0.2, null, 0.6], 'climatology');
+  h.assertPixels(climatology(1), 0.4);
+
+  // One composite a year cannot separate the harmonic terms, so the
+  // fit leaves the gap masked, but it runs
+  var harmonic = fill(s, [0.2, null, 0.6], ['harmonic', 'linear']);
+  h.assertPixels(harmonic(1), 0.2 + 0.4 * 366 / 731);
+  h.assertPixels(harmonic(1, 'gap_fill'), 1);
+});
+
+test('a series without any bands is left unfilled', function() {
+  var s = h.setup({width: 2, height: 1});
+  var image = fill(s, [null, null], 'linear');
+  h.assertPixels(image(0, 'gap_fill'), 0);
+});
+
+test('fillGaps rejects unknown methods and idw without an aoi', function() {
+  var s = h.setup({width: 2, height: 1});
+  var gaps = s.load('functions/gap_filling');
+  assert.throws(function() {
+    gaps.fillGaps(series(s, [0.2]), 'spline');
+  }, /Unknown gap-fill method "spline"/);
+  assert.throws(function() {
+    gaps.fillGaps(series(s, [0.2]), 'idw');
+  }, /needs options.aoi/);
+});
+
+test('IDW fills masked pixels only and reports the fill distance', function() {
+  var s = h.setup({width: 4, height: 1});
+  var gaps = s.load('functions/gap_filling');
+  var image = s.rt.image({a: [1, null, 3, null], b: [2, 4, null, 8]});
+  var projection = s.ee.Projection('EPSG:3857').atScale(30);
+
+  // Only pixel 0 has every band, so it is the only sample
+  var out = gaps.applyIDWInterpolation(image, h.gridAoi(s.rt), 100, 0.5,
+                                       50, projection);
+  assert.deepEqual(h.bandNames(out), ['a', 'b', 'idw_distance']);
+  h.assertPixels(s.rt.pixels(out, 'a'), [1, 1, 3, 1]);
+  h.assertPixels(s.rt.pixels(out, 'b'), [2, 4, 2, 8]);
+  h.assertPixels(s.rt.pixels(out, 'idw_distance'), [0, 30, 60, 90]);
+
+  // Pixels beyond the range stay masked
+  var near = gaps.applyIDWInterpolation(image, h.gridAoi(s.rt), 20, 0.5,
+                                        50, projection);
+  h.assertPixels(s.rt.pixels(near, 'a'), [1, null, 3, null]);
+  h.assertPixels(s.rt.pixels(near, 'idw_distance'), [0, null, null, null]);
+});
@@ -0,0 +1,85 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * Monthly NDVI following 0.5 + 0.02 t + 0.1 cos(2 pi t) +
+ * 0.05 sin(2 pi t), with t in years from 2021-01-01.
+ */
+var seasonalSeries = function(s, hr, origin) {
+  var images = [];
+  for (var m = 0; m < 24; m++) {
+    var time = Date.UTC(2020, m, 15);
+    var x = hr.harmonicVariables(
+      s.ee.Image.constant(0).set('system:time_start', time), 1, origin
+    );
+    var ndvi = x.select('constant').multiply(0.5)
+      .add(x.select('t').multiply(0.02))
+      .add(x.select('cos_1').multiply(0.1))
+      .add(x.select('sin_1').multiply(0.05));
+    images.push(ndvi.rename('NDVI').set('system:time_start', time));
+  }
+  return s.ee.ImageCollection(images);
+};
+
+test('fitHarmonics recovers the trend, amplitude and phase', function() {
+  var s = h.setup({width: 1, height: 1});
+  var hr = s.load('functions/harmonic_regression');
+  var origin = s.ee.Date('2021-01-01');
+  var fit = hr.fitHarmonics(seasonalSeries(s, hr, origin), ['NDVI'], 1,
+                            origin);
+  assert.deepEqual(h.bandNames(fit), [
+    'NDVI_mean', 'NDVI_trend', 'NDVI_amplitude_1', 'NDVI_phase_1',
+    'NDVI_rmse'
+  ]);
+  h.assertPixels(s.rt.pixels(fit, 'NDVI_mean'), 0.5, 1e-5);
+  h.assertPixels(s.rt.pixels(fit, 'NDVI_trend'), 0.02, 1e-5);
+  h.assertPixels(s.rt.pixels(fit, 'NDVI_amplitude_1'),
+                 Math.sqrt(0.1 * 0.1 + 0.05 * 0.05), 1e-5);
+  h.assertPixels(s.rt.pixels(fit, 'NDVI_phase_1'), Math.atan2(0.05, 0.1),
+                 1e-5);
+  h.assertPixels(s.rt.pixels(fit, 'NDVI_rmse'), 0, 1e-5);
+});
+
+test('predictHarmonics reproduces the fitted series', function() {
+  var s = h.setup({width: 1, height: 1});
+  var hr = s.load('functions/harmonic_regression');
+  var origin = s.ee.Date('2021-01-01');
+  var collection = seasonalSeries(s, hr, origin);
+  var fit = hr.fitHarmonics(collection, ['NDVI'], 1, origin);
+
+  var observed = s.ee.Image(collection.toList(24).get(18));
+  var predicted = hr.predictHarmonics(
+    fit, s.ee.Date(observed.get('system:time_start'))
+  );
+  assert.deepEqual(h.bandNames(predicted), ['NDVI']);
+  h.assertPixels(s.rt.pixels(predicted, 'NDVI'),
+                 s.rt.pixels(observed, 'NDVI'), 1e-5);
+});
+
+test('harmonic_fn fits Landsat index time series', function() {
+  var s = h.setup({width: 1, height: 1});
+  var scenes = [];
+  for (var m = 0; m < 24; m++) {
+    var month = m % 12 + 1;
+    scenes.push(s.fx.landsatScene(s.rt, {
+      sensor: 'LC08',
+      date: (2020 + Math.floor(m / 12)) + '-' +
+            (month < 10 ? '0' : '') + month + '-15',
+      reflectance: {nir: 0.3 + 0.1 * Math.cos(2 * Math.PI * (month - 7) / 12)}
+    }));
+  }
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', scenes);
+  var hr = s.load('functions/harmonic_regression');
+  var fit = hr.harmonic_fn('2020-01-01', '2022-01-01', h.gridAoi(s.rt),
+                           ['NDVI'], {harmonics: 1});
+  assert.equal(fit.get('harmonics').getInfo(), 1);
+  // The fixture NIR, and so NDVI, peaks in July
+  var july = hr.predictHarmonics(fit, '2021-07-15');
+  var january = hr.predictHarmonics(fit, '2021-01-15');
+  assert.ok(s.rt.pixels(july, 'NDVI')[0] > s.rt.pixels(january, 'NDVI')[0]);
+  assert.throws(function() {
+    hr.harmonic_fn('2020-01-01', '2022-01-01', h.gridAoi(s.rt), ['NDVI'],
+                   {sensor: 'modis'});
+  }, /modis/);
+});
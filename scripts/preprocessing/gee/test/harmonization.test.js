@@ -0,0 +1,95 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var ROY_RMA_SLOPES = [0.9785, 0.9542, 0.9825, 1.0073, 1.0171, 0.9949];
+var ROY_RMA_INTERCEPTS = [-0.0095, -0.0016, -0.0022, -0.0021, -0.003,
+                          0.0029];
+
+test('getCoefficients chains and inverts coefficient sets', function() {
+  var s = h.setup({width: 1, height: 1});
+  var harmonization = s.load('functions/harmonization');
+
+  var etmToOli = harmonization.getCoefficients('LE07', 'oli');
+  assert.deepEqual(etmToOli.steps, ['roy2016_rma']);
+  assert.deepEqual(etmToOli.slopes, ROY_RMA_SLOPES);
+
+  // OLI to ETM+ inverts the RMA line
+  var oliToEtm = harmonization.getCoefficients('LC08', 'etm');
+  assert.deepEqual(oliToEtm.steps, ['roy2016_rma-1']);
+  oliToEtm.slopes.forEach(function(slope, k) {
+    assert.ok(Math.abs(slope - 1 / ROY_RMA_SLOPES[k]) < 1e-12);
+    assert.ok(Math.abs(oliToEtm.intercepts[k] +
+                       ROY_RMA_INTERCEPTS[k] / ROY_RMA_SLOPES[k]) < 1e-12);
+  });
+
+  // Landsat 5 goes through ETM+ on its way to OLI
+  var custom = harmonization.getCoefficients('LT05', {
+    target: 'oli',
+    coefficients: {tm_to_etm: {slopes: [2, 2, 2, 2, 2, 2],
+                               intercepts: [0, 0, 0, 0, 0, 0.1]}}
+  });
+  assert.deepEqual(custom.steps, ['tm_to_etm', 'roy2016_rma']);
+  assert.ok(Math.abs(custom.slopes[0] - 2 * ROY_RMA_SLOPES[0]) < 1e-12);
+  assert.ok(Math.abs(custom.intercepts[5] -
+                     (0.1 * ROY_RMA_SLOPES[5] + ROY_RMA_INTERCEPTS[5])) <
+            1e-12);
+});
+
+test('getHarmonization rejects unknown targets, models and sets', function() {
+  var s = h.setup({width: 1, height: 1});
+  var harmonization = s.load('functions/harmonization');
+  assert.throws(function() {
+    harmonization.getHarmonization('x');
+  }, /Unknown harmonization target "x"/);
+  assert.throws(function() {
+    harmonization.getHarmonization({target: 'oli', model: 'foo'});
+  }, /Unknown harmonization model "foo"/);
+  assert.throws(function() {
+    harmonization.getHarmonization({coefficients: {bar: {}}});
+  }, /Unknown coefficient set "bar"/);
+  assert.throws(function() {
+    harmonization.getHarmonization({coefficients: {tm_to_etm: {slopes: [1]}}});
+  }, /needs six slopes and six intercepts/);
+});
+
+test('ls_fn harmonizes Landsat 8 to the chosen sensor space', function() {
+  var s = h.setup({width: 1, height: 1});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2022-07-01'})
+  ]);
+  ['LT05', 'LE07', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2', []);
+  });
+  var ls = s.load('functions/landsat_time_series');
+  var composite = function(target) {
+    return ls.ls_fn(['2022-06-01'], 2, 'months', h.gridAoi(s.rt), ['NDVI'],
+                    'mean', 'none', null, 'standard', target).first();
+  };
+
+  // OLI space leaves Landsat 8 as is; ETM+ space applies the inverse
+  var oli = composite('oli');
+  assert.equal(oli.get('harmonization_target').getInfo(), 'oli');
+  h.assertPixels(s.rt.pixels(oli, 'SR_B4'), 0.30, 1e-4);
+  var etm = composite('etm');
+  h.assertPixels(s.rt.pixels(etm, 'SR_B4'),
+                 (0.30 - ROY_RMA_INTERCEPTS[3]) / ROY_RMA_SLOPES[3], 1e-4);
+});
+
+test('s2_fn harmonized output has the Landsat band names', function() {
+  var s = h.setup({width: 1, height: 1});
+  s.rt.registerAsset('COPERNICUS/S2_SR_HARMONIZED', [
+    s.fx.sentinel2Scene(s.rt, {date: '2022-06-05'})
+  ]);
+  var s2 = s.load('functions/sentinel_time_series');
+  var image = s2.s2_fn(['2022-06-01'], 2, 'months', h.gridAoi(s.rt),
+                       ['NDVI'], 'median', undefined, 'etm').first();
+  assert.deepEqual(h.bandNames(image), [
+    'NDVI', 'SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7',
+    'clear_obs'
+  ]);
+  assert.throws(function() {
+    s2.s2_fn(['2022-06-01'], 2, 'months', h.gridAoi(s.rt), ['NDRE1'],
+             'median', undefined, 'etm');
+  }, /sentinel2_harmonized does not have/);
+});
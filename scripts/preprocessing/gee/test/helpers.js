@@ -0,0 +1,84 @@
+/**
+ * title: Test Helpers
+ * author: Brendan Casey
+ * date: 2026-10-19
+ *
+ * description:
+ * Shared setup for the Node tests: builds an offline runtime
+ * (mock_ee/runtime.js), loads modules through the Code Editor
+ * require() paths, and compares pixel arrays with a tolerance.
+ */
+
+var assert = require('node:assert/strict');
+var createRuntime = require('../mock_ee/runtime').createRuntime;
+var fixtures = require('../mock_ee/fixtures');
+
+var ROOT = 'users/bgcasey/science_centre:';
+
+/**
+ * Creates a runtime and a loader for the toolkit's modules.
+ *
+ * @param {Object} [options] - createRuntime() options.
+ * @returns {Object} - {rt, ee, fx, load(path)}, where path is relative
+ *                     to the gee/ scripts directory (e.g.,
+ *                     'functions/landsat_time_series').
+ */
+exports.setup = function(options) {
+  var rt = createRuntime(options);
+  return {
+    rt: rt,
+    ee: rt.ee,
+    fx: fixtures,
+    load: function(path) {
+      return rt.require(ROOT + path);
+    }
+  };
+};
+
+/**
+ * Rectangle covering a runtime's whole grid.
+ *
+ * @param {Object} rt - Runtime.
+ * @returns {ee.Geometry} - Grid extent.
+ */
+exports.gridAoi = function(rt) {
+  var g = rt.grid;
+  return rt.ee.Geometry.Rectangle([
+    g.origin[0], g.origin[1],
+    g.origin[0] + g.width * g.scale, g.origin[1] + g.height * g.scale
+  ]);
+};
+
+/**
+ * Asserts that pixel values match, within a tolerance; null marks a
+ * masked pixel on either side.
+ *
+ * @param {Array} actual - Values from rt.pixels().
+ * @param {Array|number} expected - Values, or one value for every
+ *                                  pixel.
+ * @param {number} [tolerance=1e-6] - Largest allowed difference.
+ */
+exports.assertPixels = function(actual, expected, tolerance) {
+  var tol = tolerance === undefined ? 1e-6 : tolerance;
+  var want = Array.isArray(expected) ? expected
+    : actual.map(function() { return expected; });
+  assert.equal(actual.length, want.length, 'pixel count');
+  actual.forEach(function(v, k) {
+    if (want[k] === null || v === null) {
+      assert.equal(v, want[k], 'pixel ' + k + ' mask');
+      return;
+    }
+    assert.ok(Math.abs(v - want[k]) <= tol,
+              'pixel ' + k + ': ' + v + ' != ' + want[k]);
+  });
+};
+
+/**
+ * Band names of an image.
+ *
+ * @param {ee.Image} image - Image.
+ * @returns {Array} - Band names.
+ */
+exports.bandNames = function(image) {
+  return image.bandNames().getInfo();
+};
@@ -0,0 +1,73 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var hlsRuntime = function(landsatDates, sentinel2Dates) {
+  var s = h.setup({width: 2, height: 1});
+  ['LT05', 'LE07', 'LC08', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2',
+      sensor !== 'LC08' ? [] : landsatDates.map(function(date) {
+        return s.fx.landsatScene(s.rt, {sensor: 'LC08', date: date});
+      }));
+  });
+  s.rt.registerAsset('COPERNICUS/S2_SR_HARMONIZED',
+    sentinel2Dates.map(function(date) {
+      return s.fx.sentinel2Scene(s.rt, {date: date});
+    }));
+  s.hls = s.load('functions/hls_time_series');
+  return s;
+};
+
+var observations = function(s, image) {
+  return ['clear_obs', 'landsat_obs', 'sentinel2_obs'].map(function(band) {
+    return s.rt.pixels(image, band);
+  });
+};
+
+test('hls_fn composites both sensors and counts each one', function() {
+  var s = hlsRuntime(['2022-06-20'], ['2022-06-15']);
+  var image = s.hls.hls_fn(['2022-06-01'], 1, 'months', h.gridAoi(s.rt),
+                           ['NDVI']).first();
+  assert.deepEqual(h.bandNames(image), [
+    'SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7', 'NDVI',
+    'clear_obs', 'landsat_obs', 'sentinel2_obs'
+  ]);
+  assert.deepEqual(observations(s, image), [[2, 2], [1, 1], [1, 1]]);
+  assert.equal(image.get('landsat_scenes').getInfo(), 1);
+  assert.equal(image.get('sentinel2_scenes').getInfo(), 1);
+});
+
+test('hls_fn handles an interval with only Sentinel-2 scenes', function() {
+  var s = hlsRuntime(['2018-07-15'], ['2022-06-15']);
+  var image = s.hls.hls_fn(['2022-06-11'], 1, 'months', h.gridAoi(s.rt),
+                           ['NDVI']).first();
+  assert.deepEqual(observations(s, image), [[1, 1], [0, 0], [1, 1]]);
+  assert.ok(s.rt.pixels(image, 'NDVI').every(function(v) {
+    return v !== null;
+  }));
+});
+
+test('hls_fn handles an interval with only Landsat scenes', function() {
+  var s = hlsRuntime(['2018-07-15'], ['2022-06-15']);
+  var image = s.hls.hls_fn(['2018-07-01'], 1, 'months', h.gridAoi(s.rt),
+                           ['NDVI']).first();
+  assert.deepEqual(observations(s, image), [[1, 1], [1, 1], [0, 0]]);
+  assert.equal(image.get('sentinel2_scenes').getInfo(), 0);
+});
+
+test('hls_fn uses Sentinel-2 scenes from before 2019', function() {
+  var s = hlsRuntime(['2018-07-15'], ['2018-07-20']);
+  var image = s.hls.hls_fn(['2018-07-01'], 1, 'months', h.gridAoi(s.rt),
+                           ['NDVI']).first();
+  assert.deepEqual(observations(s, image), [[2, 2], [1, 1], [1, 1]]);
+  assert.equal(image.get('sentinel2_scenes').getInfo(), 1);
+});
+
+test('hls_fn rejects indices one of the sensors lacks', function() {
+  var s = hlsRuntime([], []);
+  ['LST', 'NDRE1'].forEach(function(index) {
+    assert.throws(function() {
+      s.hls.hls_fn(['2022-06-01'], 1, 'months', h.gridAoi(s.rt), [index]);
+    });
+  });
+});
@@ -0,0 +1,315 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var pointsRuntime = function() {
+  var s = h.setup({width: 6, height: 6});
+  var ee = s.ee;
+  s.image = s.rt.image({
+    NDVI: function(i, j) { return i + 10 * j; },
+    NBR: function(i) { return -i; }
+  });
+  s.points = ee.FeatureCollection([
+    ee.Feature(ee.Geometry.Point([75, 75]), {id: 'a'}),
+    ee.Feature(ee.Geometry.Point([105, 45]), {id: 'b'})
+  ]);
+  s.extraction = s.load('functions/image_to_points');
+  return s;
+};
+
+var properties = function(fc) {
+  return fc.getInfo().features.map(function(f) { return f.properties; });
+};
+
+test('utils.image_to_points extracts values and exports them', function() {
+  var s = pointsRuntime();
+  var utils = s.load('functions/utils');
+  utils.image_to_points(0, s.ee.Reducer.first(), s.points, h.gridAoi(s.rt),
+                        s.image, 'EPSG:3857', 30, 1, 'points_export');
+  assert.equal(s.rt.tasks.length, 1);
+  assert.equal(s.rt.tasks[0].params.folder, 'gee_exports');
+  assert.equal(s.rt.tasks[0].description, 'points_export');
+  var rows = properties(s.rt.tasks[0].data);
+  // Pixels (2, 2) and (3, 1)
+  assert.equal(rows[0].id, 'a');
+  assert.equal(rows[0].NDVI_first_0, 22);
+  assert.equal(rows[1].NBR_first_0, -3);
+});
+
+test('extractToPoints reduces buffers without exporting', function() {
+  var s = pointsRuntime();
+  var out = s.extraction.extractToPoints(s.image.select('NDVI'), s.points, {
+    buffer: 40, reducer: s.ee.Reducer.max()
+  });
+  assert.equal(s.rt.tasks.length, 0);
+  assert.deepEqual(properties(out), [
+    {id: 'a', NDVI_max_40: 32},
+    {id: 'b', NDVI_max_40: 23}
+  ]);
+});
+
+test('image_to_points keeps the older names for single-band images',
+     function() {
+  var s = pointsRuntime();
+  var out = s.extraction.image_to_points(40, s.ee.Reducer.max(), s.points,
+                                         h.gridAoi(s.rt),
+                                         s.image.select('NDVI'), null, null,
+                                         1, 'legacy_export');
+  assert.deepEqual(properties(out), [
+    {id: 'a', max_max_40: 32},
+    {id: 'b', max_max_40: 23}
+  ]);
+  assert.equal(s.rt.tasks[0].description, 'legacy_export');
+});
+
+test('imageCollectionToPoints keeps the older names and image properties',
+     function() {
+  var s = pointsRuntime();
+  var collection = s.ee.ImageCollection([
+    s.image.select('NDVI').set('year', 2020),
+    s.image.select('NDVI').add(100).set('year', 2021)
+  ]);
+  var out = s.extraction.imageCollectionToPoints(
+    0, s.ee.Reducer.first(), s.points, h.gridAoi(s.rt), collection, null,
+    null, 1, 'legacy_collection'
+  );
+  var rows = properties(out);
+  assert.equal(rows.length, 4);
+  assert.equal(rows[0].first_first_0, 22);
+  assert.equal(rows[0].year, 2020);
+  assert.equal(rows[3].first_first_0, 113);
+  assert.equal(rows[3].year, 2021);
+});
+
+test('extractToPoints joins several buffers and reducers into one row',
+     function() {
+  var s = pointsRuntime();
+  var out = s.extraction.extractToPoints(s.image.select('NDVI'), s.points, {
+    buffer: [0, 40],
+    reducer: [s.ee.Reducer.mean(), s.ee.Reducer.max()]
+  });
+  var rows = out.getInfo().features;
+  // Several buffers keep the point geometry
+  assert.equal(rows[0].geometry.type, 'Point');
+  // Combined with the weighted mean, max also sees the corner pixels
+  // the buffer only partly covers
+  assert.deepEqual(rows.map(function(f) { return f.properties; }), [
+    {id: 'a', NDVI_mean_0: 22, NDVI_max_0: 22, NDVI_mean_40: 22,
+     NDVI_max_40: 33},
+    {id: 'b', NDVI_mean_0: 13, NDVI_max_0: 13, NDVI_mean_40: 13,
+     NDVI_max_40: 24}
+  ]);
+});
+
+test('extractToPoints joins buffers per point and image', function() {
+  var s = pointsRuntime();
+  var collection = s.ee.ImageCollection([
+    s.image.select('NDVI').set('year', 2020),
+    s.image.select('NDVI').multiply(2).set('year', 2021)
+  ]);
+  var rows = properties(s.extraction.extractToPoints(collection, s.points, {
+    buffer: [0, 40],
+    reducer: s.ee.Reducer.max()
+  }));
+  assert.deepEqual(rows.map(function(row) {
+    return [row.id, row.year, row.NDVI_max_0, row.NDVI_max_40];
+  }), [
+    ['a', 2020, 22, 32],
+    ['b', 2020, 13, 23],
+    ['a', 2021, 44, 64],
+    ['b', 2021, 26, 46]
+  ]);
+});
+
+test('extractToPoints only takes a suffix with one reducer and buffer',
+     function() {
+  var s = pointsRuntime();
+  assert.deepEqual(properties(s.extraction.extractToPoints(
+    s.image, s.points, {suffix: ''}
+  ))[0], {id: 'a', NDVI: 22, NBR: -2});
+  assert.throws(function() {
+    s.extraction.extractToPoints(s.image, s.points,
+                                 {suffix: '', buffer: [0, 40]});
+  }, /options.suffix can only be used with one reducer and one buffer/);
+});
+
+var seasonalRuntime = function() {
+  var s = pointsRuntime();
+  var season = function(k, year) {
+    return s.image.select('NDVI').multiply(k).set({
+      start_date: year + '-06-01',
+      end_date: year + '-09-01',
+      year: year
+    });
+  };
+  s.collection = s.ee.ImageCollection([
+    season(1, 2020), season(2, 2021), season(3, 2022)
+  ]);
+  s.surveys = s.ee.FeatureCollection([
+    s.ee.Feature(s.ee.Geometry.Point([75, 75]),
+                 {id: 'a', survey_date: '2021-07-15'}),
+    s.ee.Feature(s.ee.Geometry.Point([105, 45]),
+                 {id: 'b', survey_date: '2022-10-01'}),
+    s.ee.Feature(s.ee.Geometry.Point([45, 45]),
+                 {id: 'c', survey_date: '2019-01-01'})
+  ]);
+  return s;
+};
+
+var matched = function(fc) {
+  return properties(fc).map(function(row) {
+    return [row.id, row.year, row.offset_days, row.NDVI_mean_0];
+  }).sort();
+};
+
+test('extractToPoints matches each point to the nearest image window',
+     function() {
+  var s = seasonalRuntime();
+  var out = s.extraction.extractToPoints(s.collection, s.surveys,
+                                         {dateProperty: 'survey_date'});
+  assert.deepEqual(matched(out), [
+    ['a', 2021, 0, 44],
+    ['b', 2022, 31, 39],
+    ['c', 2020, 517, 11]
+  ]);
+});
+
+test('extractToPoints drops points beyond the maximum offset', function() {
+  var s = seasonalRuntime();
+  var out = s.extraction.extractToPoints(s.collection, s.surveys, {
+    dateProperty: 'survey_date',
+    maxOffset: 60
+  });
+  assert.deepEqual(matched(out), [
+    ['a', 2021, 0, 44],
+    ['b', 2022, 31, 39]
+  ]);
+  var lag = properties(s.extraction.extractToPoints(
+    s.collection, s.surveys,
+    {dateProperty: 'survey_date', maxOffset: 0, offsetProperty: 'lag'}
+  ));
+  assert.deepEqual(lag.map(function(row) { return [row.id, row.lag]; }),
+                   [['a', 0]]);
+});
+
+test('extractToPoints puts boundary dates in the later window', function() {
+  var s = pointsRuntime();
+  var month = function(k, start, end) {
+    return s.image.select('NDVI').multiply(k)
+                  .set({start_date: start, end_date: end});
+  };
+  var collection = s.ee.ImageCollection([
+    month(1, '2021-06-01', '2021-07-01'),
+    month(2, '2021-07-01', '2021-08-01')
+  ]);
+  var surveys = s.ee.FeatureCollection([
+    s.ee.Feature(s.ee.Geometry.Point([75, 75]),
+                 {id: 'a', survey_date: '2021-07-01'}),
+    s.ee.Feature(s.ee.Geometry.Point([105, 45]),
+                 {id: 'b', survey_date: '2021-08-01'})
+  ]);
+  var rows = properties(s.extraction.extractToPoints(collection, surveys, {
+    dateProperty: 'survey_date'
+  }));
+  assert.deepEqual(rows.map(function(row) {
+    return [row.id, row.start_date, row.offset_days];
+  }), [
+    ['a', '2021-07-01', 0],
+    ['b', '2021-07-01', 1]
+  ]);
+});
+
+test('extractToPoints needs a collection to match dates', function() {
+  var s = seasonalRuntime();
+  assert.throws(function() {
+    s.extraction.extractToPoints(s.image, s.surveys,
+                                 {dateProperty: 'survey_date'});
+  }, /needs an image collection/);
+});
+
+var shapeRuntime = function() {
+  var s = h.setup({width: 8, height: 8});
+  s.image = s.rt.image({v: function(i, j) { return i + 10 * j; }});
+  // Cheap to cross west of column 4, costly east of it
+  s.friction = s.rt.image({f: function(i) { return i >= 4 ? 100 : 1; }});
+  // Centre of pixel (3, 3)
+  s.points = s.ee.FeatureCollection([
+    s.ee.Feature(s.ee.Geometry.Point([110, 110]), {id: 'a'})
+  ]);
+  s.extraction = s.load('functions/image_to_points');
+  s.extract = function(buffer, options) {
+    var opts = {buffer: buffer,
+                reducer: [s.ee.Reducer.mean(), s.ee.Reducer.count()]};
+    Object.keys(options || {}).forEach(function(key) {
+      opts[key] = options[key];
+    });
+    return properties(s.extraction.extractToPoints(s.image, s.points,
+                                                   opts))[0];
+  };
+  return s;
+};
+
+test('extractToPoints leaves the centre out of annuli', function() {
+  var s = shapeRuntime();
+  var disk = s.extract(60);
+  var annulus = s.extract({shape: 'annulus', inner: 30, outer: 60});
+  assert.equal(disk.v_count_60, 21);
+  assert.equal(annulus.v_count_annulus30to60, 20);
+});
+
+test('extractToPoints aligns squares to the pixel grid', function() {
+  var s = shapeRuntime();
+  var square = s.extract({shape: 'square', size: 90},
+                         {crs: 'EPSG:3348', scale: 30});
+  assert.deepEqual(square, {id: 'a', v_mean_square90: 33,
+                            v_count_square90: 9});
+});
+
+test('extractToPoints reduces sectors around an azimuth', function() {
+  var s = shapeRuntime();
+  var north = s.extract({shape: 'sector', radius: 60, azimuth: 0},
+                        {crs: 'EPSG:3348'});
+  var east = s.extract({shape: 'sector', radius: 60, azimuth: 90,
+                        width: 60}, {crs: 'EPSG:3348'});
+  // v grows by 10 per pixel northward and by 1 eastward
+  assert.ok(north.v_mean_sector60az0w90 > 43);
+  assert.ok(east.v_mean_sector60az90w60 > 33 &&
+            east.v_mean_sector60az90w60 < 37);
+});
+
+test('extractToPoints limits cost shapes to reachable pixels', function() {
+  var s = shapeRuntime();
+  var cost = s.extract({shape: 'cost', friction: s.friction, maxCost: 60});
+  assert.equal(cost.v_count_cost60, 9);
+  // Only the cheap, western pixels are reachable
+  assert.ok(cost.v_mean_cost60 < s.extract(60).v_mean_60);
+});
+
+test('extractToPoints mixes shapes and custom labels in one row',
+     function() {
+  var s = shapeRuntime();
+  var row = properties(s.extraction.extractToPoints(s.image, s.points, {
+    buffer: [0, {shape: 'square', size: 90},
+             {shape: 'cost', friction: s.friction, maxCost: 60,
+              label: 'slope60'}],
+    crs: 'EPSG:3348',
+    scale: 30
+  }))[0];
+  assert.deepEqual(Object.keys(row),
+                   ['id', 'v_mean_0', 'v_mean_square90', 'v_mean_slope60']);
+  assert.equal(row.v_mean_0, 33);
+});
+
+test('extractToPoints rejects unknown and incomplete shapes', function() {
+  var s = shapeRuntime();
+  [
+    [{shape: 'hex'}, /Unknown buffer shape "hex"/],
+    [{shape: 'annulus', inner: 5}, /needs outer/],
+    [{shape: 'annulus', inner: 50, outer: 20}, /must be smaller/],
+    [{shape: 'square', size: 90}, /needs options.crs/]
+  ].forEach(function(c) {
+    assert.throws(function() {
+      s.extraction.extractToPoints(s.image, s.points, {buffer: c[0]});
+    }, c[1]);
+  });
+});
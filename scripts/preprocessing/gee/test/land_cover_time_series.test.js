@@ -0,0 +1,95 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var timeStart = function(date) {
+  return {'system:time_start': Date.parse(date + 'T00:00:00Z')};
+};
+
+var landCoverRuntime = function() {
+  var s = h.setup({width: 4, height: 1});
+  var image = function(band, values, date) {
+    var bands = {};
+    bands[band] = values;
+    return s.rt.image(bands, timeStart(date));
+  };
+  s.rt.registerAsset('projects/sat-io/open-datasets/CA_FOREST_LC_VLCE2', [
+    image('b1', [210, 20, 0, 100], '2018-01-01'),
+    image('b1', [210, 80, 50, 220], '2019-01-01')
+  ]);
+  s.rt.registerAsset('GOOGLE/DYNAMICWORLD/V1', [
+    image('label', [1, 0, 2, 6], '2019-06-10'),
+    image('label', [1, 0, 4, 6], '2019-07-10'),
+    image('label', [1, 0, 4, 6], '2019-08-10')
+  ]);
+  s.lc = s.load('functions/land_cover_time_series');
+  return s;
+};
+
+test('land_cover_fn crosswalks VLCE2 and flags changes', function() {
+  var s = landCoverRuntime();
+  var out = s.lc.land_cover_fn(['2018-06-01', '2019-06-01'], 4, 'months',
+                               h.gridAoi(s.rt), {products: ['vlce2']})
+                .toList(2);
+  var first = s.ee.Image(out.get(0));
+  var second = s.ee.Image(out.get(1));
+  // VLCE2 0 (unclassified) is masked
+  h.assertPixels(s.rt.pixels(first, 'vlce2_class'), [10, 1, null, 6]);
+  h.assertPixels(s.rt.pixels(second, 'vlce2_class'), [10, 8, 7, 10]);
+  h.assertPixels(s.rt.pixels(second, 'vlce2_wetland_proportion'),
+                 [0, 1, 0, 0]);
+  h.assertPixels(s.rt.pixels(first, 'vlce2_change'), null);
+  h.assertPixels(s.rt.pixels(second, 'vlce2_change'), [0, 1, null, 1]);
+  h.assertPixels(s.rt.pixels(second, 'vlce2_transition'),
+                 [0, 108, null, 610]);
+});
+
+test('land_cover_fn uses the nearest year a product covers', function() {
+  var s = landCoverRuntime();
+  var image = s.lc.land_cover_fn(['2021-06-01'], 4, 'months',
+                                 h.gridAoi(s.rt), {products: ['vlce2']})
+                  .first();
+  assert.equal(image.get('vlce2_source_year').getInfo(), 2019);
+  h.assertPixels(s.rt.pixels(image, 'vlce2_class'), [10, 8, 7, 10]);
+});
+
+test('land_cover_fn takes the modal Dynamic World label', function() {
+  var s = landCoverRuntime();
+  var image = s.lc.land_cover_fn(['2019-06-01'], 4, 'months',
+                                 h.gridAoi(s.rt),
+                                 {products: ['dynamic_world']}).first();
+  h.assertPixels(s.rt.pixels(image, 'dynamic_world_class'),
+                 [10, 1, 5, 4]);
+});
+
+test('land_cover_fn masks Dynamic World for windows without scenes',
+     function() {
+  var s = landCoverRuntime();
+  var out = s.lc.land_cover_fn(['2019-01-01', '2019-06-01'], 2, 'months',
+                               h.gridAoi(s.rt),
+                               {products: ['dynamic_world']}).toList(2);
+  var empty = s.ee.Image(out.get(0));
+  h.assertPixels(s.rt.pixels(empty, 'dynamic_world_class'), null);
+  h.assertPixels(s.rt.pixels(empty, 'dynamic_world_forest_proportion'),
+                 null);
+  h.assertPixels(s.rt.pixels(s.ee.Image(out.get(1)),
+                             'dynamic_world_class'), [10, 1, 6, 4]);
+});
+
+test('land_cover_fn rejects unknown products and invalid crosswalks',
+     function() {
+  var s = landCoverRuntime();
+  var aoi = h.gridAoi(s.rt);
+  assert.throws(function() {
+    s.lc.land_cover_fn(['2019-06-01'], 4, 'months', aoi,
+                       {products: ['foo']});
+  }, /Unknown land cover product "foo"/);
+  assert.throws(function() {
+    s.lc.land_cover_fn(['2019-06-01'], 4, 'months', aoi,
+                       {crosswalks: {vlce2: {from: [1], to: [99]}}});
+  }, /not in the legend/);
+  assert.throws(function() {
+    s.lc.land_cover_fn(['2019-06-01'], 4, 'months', aoi,
+                       {crosswalks: {vlce2: {from: [1, 2], to: [1]}}});
+  }, /as many "to" codes/);
+});
@@ -0,0 +1,83 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * LC08 scene whose NDVI rises and surface temperature falls along i.
+ */
+var thermalRuntime = function() {
+  var s = h.setup({width: 4, height: 1});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.fx.landsatScene(s.rt, {
+      sensor: 'LC08', date: '2022-07-01',
+      reflectance: {nir: function(i) { return 0.2 + 0.08 * i; }, red: 0.05},
+      kelvin: function(i) { return 310 - 4 * i; }
+    })
+  ]);
+  ['LT05', 'LE07', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2', []);
+  });
+  s.ls = s.load('functions/landsat_time_series');
+  return s;
+};
+
+test('ls_fn adds surface temperature in degrees Celsius', function() {
+  var s = thermalRuntime();
+  var image = s.ls.ls_fn(['2022-06-01'], 2, 'months', h.gridAoi(s.rt),
+                         ['LST', 'TVDI'], 'mean', 'none').first();
+  assert.ok(h.bandNames(image).indexOf('ST_B6') !== -1);
+  var celsius = [310, 306, 302, 298].map(function(k) { return k - 273.15; });
+  h.assertPixels(s.rt.pixels(image, 'ST_B6'), celsius, 1e-2);
+  h.assertPixels(s.rt.pixels(image, 'LST'), celsius, 1e-2);
+
+  // Hot, sparse pixels are dry (1) and cool, dense ones wet (0)
+  var tvdi = s.rt.pixels(image, 'TVDI');
+  tvdi.forEach(function(v) {
+    assert.ok(v >= 0 && v <= 1, String(v));
+  });
+  assert.ok(tvdi[0] > tvdi[3]);
+});
+
+test('thermal indices need a sensor with a thermal band', function() {
+  var s = thermalRuntime();
+  var spectral = s.load('functions/spectral_indices');
+  assert.throws(function() {
+    spectral.checkIndices(['LST'], 'sentinel2');
+  }, /needs the thermal band/);
+});
+
+test('applyScaleFactors converts Landsat 9 ST_B10 to kelvin', function() {
+  var s = thermalRuntime();
+  var lim = s.load('functions/landsat_indices_and_masks');
+  var scene = s.fx.landsatScene(s.rt, {
+    sensor: 'LC09', date: '2022-07-01', kelvin: 290
+  });
+  h.assertPixels(s.rt.pixels(lim.applyScaleFactors(scene), 'ST_B10'), 290,
+                 1e-2);
+});
+
+test('ls_fn masks TVDI for a fully clouded scene only', function() {
+  var s = h.setup({width: 4, height: 1});
+  var scene = function(date, qa) {
+    return s.fx.landsatScene(s.rt, {
+      sensor: 'LC08', date: date, qa: qa,
+      reflectance: {nir: function(i) { return 0.2 + 0.08 * i; }, red: 0.05},
+      kelvin: function(i) { return 310 - 4 * i; }
+    });
+  };
+  // QA_PIXEL bit 3 (cloud) set everywhere in the second scene
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    scene('2022-07-01', 0), scene('2022-07-17', 8)
+  ]);
+  ['LT05', 'LE07', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2', []);
+  });
+  var ls = s.load('functions/landsat_time_series');
+  var image = ls.ls_fn(['2022-06-01'], 2, 'months', h.gridAoi(s.rt),
+                       ['TVDI'], 'mean', 'none').first();
+  var tvdi = s.rt.pixels(image, 'TVDI');
+  tvdi.forEach(function(v) {
+    assert.ok(v !== null && v >= 0 && v <= 1, String(v));
+  });
+  assert.ok(tvdi[0] > tvdi[3]);
+});
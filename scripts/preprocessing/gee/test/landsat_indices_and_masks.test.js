@@ -0,0 +1,15 @@
+var test = require('node:test');
+var h = require('./helpers');
+
+test('mask_cloud_snow masks cloud and snow pixels', function() {
+  var s = h.setup({width: 4, height: 1});
+  var lim = s.load('functions/landsat_indices_and_masks');
+  // Pixel 1 cloud (bit 3), pixel 2 snow (bit 5), pixel 3 shadow (bit 4)
+  var qa = [0, 8, 32, 16];
+  var scene = s.fx.landsatScene(s.rt, {
+    sensor: 'LE07', date: '2010-07-01', qa: qa
+  });
+  var masked = s.rt.pixels(lim.mask_cloud_snow(scene), 'SR_B4');
+  var dn = Math.round((0.30 + 0.2) / 0.0000275);
+  h.assertPixels(masked.slice(0, 3), [dn, null, null]);
+});
@@ -0,0 +1,71 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * LC08 scene with a clear pixel, a dilated cloud, a medium-confidence
+ * cloud with a saturated band 4, and snow.
+ */
+var qaRuntime = function() {
+  var s = h.setup({width: 4, height: 1});
+  s.scene = s.fx.landsatScene(s.rt, {
+    sensor: 'LC08', date: '2022-06-01',
+    qa: [0, 2, 2 << 8, 32],
+    radsat: [0, 0, 8, 0]
+  });
+  s.qa = s.load('functions/landsat_qa_masks');
+  return s;
+};
+
+var isMasked = function(values) {
+  return values.map(function(v) { return v === null; });
+};
+
+test('mask profiles differ in confidence and snow handling', function() {
+  var s = qaRuntime();
+  var masked = function(profile, band) {
+    return isMasked(s.rt.pixels(s.qa.applyQAMask(s.scene, profile), band));
+  };
+  // Saturation masks band 4 only; strict also drops medium cloud
+  assert.deepEqual(masked('standard', 'SR_B4'), [false, true, true, true]);
+  assert.deepEqual(masked('standard', 'SR_B3'), [false, true, false, true]);
+  assert.deepEqual(masked('strict', 'SR_B3'), [false, true, true, true]);
+  assert.deepEqual(masked('snow-retaining', 'SR_B3'),
+                   [false, true, false, false]);
+});
+
+test('decodeQA unpacks flags, confidences and saturation', function() {
+  var s = qaRuntime();
+  var decoded = s.qa.decodeQA(s.scene);
+  assert.ok(h.bandNames(decoded).indexOf('dilated_cloud') !== -1);
+  h.assertPixels(s.rt.pixels(decoded, 'dilated_cloud'), [0, 1, 0, 0]);
+  h.assertPixels(s.rt.pixels(decoded, 'snow'), [0, 0, 0, 1]);
+  h.assertPixels(s.rt.pixels(decoded, 'cloud_confidence'), [0, 0, 2, 0]);
+  h.assertPixels(s.rt.pixels(decoded, 'saturated_bands'), [0, 0, 1, 0]);
+});
+
+test('getMaskProfile merges overrides and rejects unknown profiles', function() {
+  var s = qaRuntime();
+  var profile = s.qa.getMaskProfile({profile: 'strict', snow: false});
+  assert.equal(profile.snow, false);
+  assert.equal(profile.cloudConfidence, 2);
+  assert.throws(function() {
+    s.qa.getMaskProfile('foo');
+  }, /Unknown mask profile "foo"/);
+});
+
+test('qaSummary counts observations and flags over a date range', function() {
+  var s = qaRuntime();
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.scene, s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2022-07-01'})
+  ]);
+  ['LT05', 'LE07', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2', []);
+  });
+  var summary = s.qa.qaSummary('2022-01-01', '2023-01-01', h.gridAoi(s.rt),
+                               'strict');
+  assert.equal(summary.get('mask_profile').getInfo(), 'strict');
+  h.assertPixels(s.rt.pixels(summary, 'observations'), 2);
+  h.assertPixels(s.rt.pixels(summary, 'kept'), [2, 1, 1, 1]);
+  h.assertPixels(s.rt.pixels(summary, 'saturated'), [0, 0, 1, 0]);
+});
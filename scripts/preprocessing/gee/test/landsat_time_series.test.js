@@ -0,0 +1,135 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * Runtime with two LC08 scenes: nir 0.3 in June, nir 0.4 in July with
+ * a cloud (QA_PIXEL bit 3) over the first pixel.
+ */
+var landsatRuntime = function() {
+  var s = h.setup({width: 2, height: 2});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2022-06-01'}),
+    s.fx.landsatScene(s.rt, {
+      sensor: 'LC08', date: '2022-07-01', reflectance: {nir: 0.4},
+      qa: function(i, j) { return i === 0 && j === 0 ? 8 : 0; }
+    })
+  ]);
+  s.ls = s.load('functions/landsat_time_series');
+  return s;
+};
+
+var ndvi = function(nir, red) {
+  return (nir - red) / (nir + red);
+};
+
+test('ls_fn averages clear observations into NDVI composites', function() {
+  var s = landsatRuntime();
+  var out = s.ls.ls_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                       ['NDVI', 'NBR'], 'mean', 'none', null, 'standard',
+                       'oli');
+  var image = out.first();
+  assert.deepEqual(h.bandNames(image).slice(-2), ['NDVI', 'NBR']);
+  assert.equal(image.get('start_date').getInfo(), '2022-01-01');
+
+  // The clouded July pixel is masked, so only June is left there
+  var june = ndvi(0.3, 0.05);
+  var both = (june + ndvi(0.4, 0.05)) / 2;
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), [june, both, both, both],
+                 1e-3);
+});
+
+test('ls_fn rejects indices missing from the registry', function() {
+  var s = landsatRuntime();
+  assert.throws(function() {
+    s.ls.ls_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt), ['NOPE'],
+               'mean');
+  }, /NOPE/);
+});
+
+/**
+ * Runtime with three clear LC08 scenes (nir 0.2 in May, 0.3 in July,
+ * 0.4 in September) for the pixel compositing modes.
+ */
+var seasonRuntime = function() {
+  var s = h.setup({width: 2, height: 2});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    ['2022-05-01', 0.2], ['2022-07-10', 0.3], ['2022-09-01', 0.4]
+  ].map(function(scene) {
+    return s.fx.landsatScene(s.rt, {
+      sensor: 'LC08', date: scene[0], reflectance: {nir: scene[1]}
+    });
+  }));
+  s.ls = s.load('functions/landsat_time_series');
+  s.composite = function(statistic) {
+    return s.ls.ls_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                      ['NDVI'], statistic, 'none', null, 'standard',
+                      'oli').first();
+  };
+  return s;
+};
+
+test('ls_fn medoid composites keep the median observation', function() {
+  var s = seasonRuntime();
+  var image = s.composite('medoid');
+  h.assertPixels(s.rt.pixels(image, 'SR_B4'), 0.3, 1e-3);
+  h.assertPixels(s.rt.pixels(image, 'acquisition_doy'), 191);
+  h.assertPixels(s.rt.pixels(image, 'acquisition_sensor'), 8);
+});
+
+test('ls_fn BAP composites favour the target day of year', function() {
+  var s = seasonRuntime();
+  var image = s.composite({method: 'bap', targetDoy: 240});
+  h.assertPixels(s.rt.pixels(image, 'SR_B4'), 0.4, 1e-3);
+  h.assertPixels(s.rt.pixels(image, 'acquisition_doy'), 244);
+  assert.throws(function() {
+    s.composite({method: 'best'});
+  }, /Unknown compositing method "best"/);
+});
+
+test('ls_fn fills a year without scenes from its neighbours', function() {
+  var s = h.setup({width: 2, height: 1});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2020-07-01'}),
+    s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2022-07-01'})
+  ]);
+  var ls = s.load('functions/landsat_time_series');
+  var out = ls.ls_fn(['2020-01-01', '2021-01-01', '2022-01-01'], 12,
+                     'months', h.gridAoi(s.rt), ['NDVI'], 'mean',
+                     ['linear', 'climatology'], null, 'standard', 'oli');
+  var image = s.ee.Image(out.toList(3).get(1));
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), ndvi(0.3, 0.05), 1e-3);
+  h.assertPixels(s.rt.pixels(image, 'gap_fill'), 1);
+});
+
+/**
+ * BAP composite of two LC08 scenes three days either side of the
+ * target day of year, the earlier one with the given QA_PIXEL value
+ * on the first pixel. Returns the chosen day of year per pixel.
+ */
+var bapDays = function(qa) {
+  var s = h.setup({width: 4, height: 1});
+  s.rt.registerAsset('LANDSAT/LC08/C02/T1_L2', [
+    s.fx.landsatScene(s.rt, {
+      sensor: 'LC08', date: '2022-07-11',
+      qa: function(i) { return i === 0 ? qa : 0; }
+    }),
+    s.fx.landsatScene(s.rt, {sensor: 'LC08', date: '2022-07-18'})
+  ]);
+  var ls = s.load('functions/landsat_time_series');
+  var image = ls.ls_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                       ['NDVI'], {method: 'bap', targetDoy: 195}, 'none',
+                       null, 'standard', 'oli').first();
+  assert.equal(h.bandNames(image).indexOf('qa_cloud'), -1);
+  return s.rt.pixels(image, 'acquisition_doy');
+};
+
+test('BAP scores distance to QA clouds, not to other gaps', function() {
+  // The earlier scene is closer to the target day, so it wins unless a
+  // cloud nearby lowers its score
+  assert.deepEqual(bapDays(0), [192, 192, 192, 192]);
+  assert.deepEqual(bapDays(8), [199, 199, 199, 199]);
+  // Fill (bit 0) and snow (bit 5) are masked but are not clouds
+  assert.deepEqual(bapDays(1), [199, 192, 192, 192]);
+  assert.deepEqual(bapDays(32), [199, 192, 192, 192]);
+});
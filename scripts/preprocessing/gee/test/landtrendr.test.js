@@ -0,0 +1,68 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * Landsat 5 series with a disturbance in 2006 on the first pixel,
+ * recovering over six years, and a stable second pixel. 2003 has no
+ * scene.
+ */
+var disturbedRuntime = function() {
+  var s = h.setup({width: 2, height: 1});
+  var disturbance = function(year) {
+    if (year < 2006) {
+      return 0;
+    }
+    return Math.max(0, 1 - (year - 2006) / 6);
+  };
+  var scenes = [];
+  for (var year = 2000; year <= 2012; year++) {
+    if (year === 2003) {
+      continue;
+    }
+    var d = disturbance(year);
+    scenes.push(s.fx.landsatScene(s.rt, {
+      sensor: 'LT05', date: year + '-07-15',
+      reflectance: {nir: [0.3 - 0.15 * d, 0.3], swir2: [0.08 + 0.12 * d, 0.08]}
+    }));
+  }
+  s.rt.registerAsset('LANDSAT/LT05/C02/T1_L2', scenes);
+  ['LE07', 'LC08', 'LC09'].forEach(function(sensor) {
+    s.rt.registerAsset('LANDSAT/' + sensor + '/C02/T1_L2', []);
+  });
+  s.lt = s.load('functions/landtrendr');
+  return s;
+};
+
+test('annualComposites gives one index composite per year', function() {
+  var s = disturbedRuntime();
+  var composites = s.lt.annualComposites(2000, 2012, h.gridAoi(s.rt), 'NBR');
+  assert.equal(composites.size().getInfo(), 13);
+  assert.deepEqual(composites.aggregate_array('year').getInfo().slice(0, 4),
+                   [2000, 2001, 2002, 2003]);
+});
+
+test('landtrendr_fn maps the disturbance year and recovery', function() {
+  var s = disturbedRuntime();
+  var out = s.lt.landtrendr_fn(2000, 2012, h.gridAoi(s.rt), {
+    changeTypes: ['greatest'], minMagnitude: 0.05
+  });
+  var image = out.first();
+  assert.equal(image.get('change_type').getInfo(), 'greatest');
+  assert.deepEqual(h.bandNames(image), [
+    'yod', 'magnitude', 'duration', 'preval', 'rate', 'recovery_rate',
+    'rmse'
+  ]);
+  h.assertPixels(s.rt.pixels(image, 'yod'), [2006, null]);
+  h.assertPixels(s.rt.pixels(image, 'duration'), [1, null]);
+  var magnitude = s.rt.pixels(image, 'magnitude')[0];
+  assert.ok(magnitude > 0.6 && magnitude < 0.8, String(magnitude));
+  assert.ok(s.rt.pixels(image, 'recovery_rate')[0] > 0);
+});
+
+test('landtrendr_fn rejects unknown change types', function() {
+  var s = disturbedRuntime();
+  assert.throws(function() {
+    s.lt.landtrendr_fn(2000, 2012, h.gridAoi(s.rt), {changeTypes: ['big']});
+  }, /Unknown change type "big"/);
+});
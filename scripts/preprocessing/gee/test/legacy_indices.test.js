@@ -0,0 +1,31 @@
+var test = require('node:test');
+var h = require('./helpers');
+
+test('landsat addX functions match the registry formulas', function() {
+  var s = h.setup({width: 1, height: 1});
+  var lim = s.load('functions/landsat_indices_and_masks');
+  var spectral = s.load('functions/spectral_indices');
+  var image = s.rt.image({
+    SR_B1: 0.04, SR_B2: 0.07, SR_B3: 0.05, SR_B4: 0.30, SR_B5: 0.15,
+    SR_B7: 0.08
+  });
+  ['NDVI', 'NDMI', 'DSWI', 'RVI', 'LAI'].forEach(function(index) {
+    h.assertPixels(
+      s.rt.pixels(lim['add' + index](image), index),
+      s.rt.pixels(spectral.addIndex(image, index, 'landsat'), index)
+    );
+  });
+  h.assertPixels(s.rt.pixels(lim.addNDVI(image), 'NDVI'), 0.25 / 0.35);
+});
+
+test('sentinel addX functions match the registry formulas', function() {
+  var s = h.setup({width: 1, height: 1});
+  var sim = s.load('functions/sentinel_indices_and_masks');
+  var image = s.rt.image({
+    B2: 0.04, B3: 0.07, B4: 0.05, B5: 0.10, B6: 0.20, B7: 0.25,
+    B8: 0.30, B8A: 0.28, B11: 0.15, B12: 0.08
+  });
+  h.assertPixels(s.rt.pixels(sim.addNDVI(image), 'NDVI'), 0.25 / 0.35);
+  h.assertPixels(s.rt.pixels(sim.addCRE(image), 'CRE'), 0.25 / 0.10 - 1);
+  h.assertPixels(s.rt.pixels(sim.addRDI(image), 'RDI'), 0.08 / 0.28);
+});
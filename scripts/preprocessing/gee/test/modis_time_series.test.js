@@ -0,0 +1,86 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var REFLECTANCE = [0.05, 0.30, 0.04, 0.07, 0.28, 0.15, 0.08];
+
+var timeStart = function(date) {
+  return {'system:time_start': Date.parse(date + 'T00:00:00Z')};
+};
+
+// Pixel 0 clear, 1 cloudy (state bits 0-1), 2 snow (bit 12), 3 shadow
+// (bit 2)
+var mod09ga = function(rt, date, state) {
+  var bands = {state_1km: state};
+  REFLECTANCE.forEach(function(v, k) {
+    bands['sur_refl_b0' + (k + 1)] = Math.round(v * 10000);
+  });
+  return rt.image(bands, timeStart(date));
+};
+
+var mod13q1 = function(rt, date, summary) {
+  return rt.image({
+    NDVI: 7000, EVI: 4000, sur_refl_b01: 500, sur_refl_b02: 3000,
+    sur_refl_b03: 400, sur_refl_b07: 800, SummaryQA: summary,
+    DetailedQA: 0
+  }, timeStart(date));
+};
+
+var modisRuntime = function() {
+  var s = h.setup({width: 4, height: 1, scale: 500});
+  s.rt.registerAsset('MODIS/061/MOD09GA', [
+    mod09ga(s.rt, '2022-07-01', [0, 1, 4096, 4]),
+    mod09ga(s.rt, '2022-07-02', [0, 0, 0, 0])
+  ]);
+  s.rt.registerAsset('MODIS/061/MOD13Q1', [
+    mod13q1(s.rt, '2022-06-26', [0, 3, 0, 0])
+  ]);
+  s.modis = s.load('functions/modis_time_series');
+  return s;
+};
+
+test('modis_fn masks flagged MOD09GA pixels and counts the rest',
+     function() {
+  var s = modisRuntime();
+  var image = s.modis.modis_fn(['2022-07-01'], 1, 'months',
+                               h.gridAoi(s.rt), ['NDVI']).first();
+  h.assertPixels(s.rt.pixels(image, 'clear_obs'), [2, 1, 1, 1]);
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), 0.25 / 0.35);
+  h.assertPixels(s.rt.pixels(image, 'sur_refl_b01'), 0.05);
+});
+
+test('modis_fn keeps the native MOD13Q1 vegetation indices', function() {
+  var s = modisRuntime();
+  var image = s.modis.modis_fn(['2022-06-01'], 1, 'months',
+                               h.gridAoi(s.rt), ['NDVI', 'EVI'], 'max',
+                               {product: 'MOD13Q1'}).first();
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), [0.7, null, 0.7, 0.7]);
+  h.assertPixels(s.rt.pixels(image, 'EVI'), [0.4, null, 0.4, 0.4]);
+  h.assertPixels(s.rt.pixels(image, 'clear_obs'), [1, 0, 1, 1]);
+});
+
+test('modis_fn reports zero clear observations for an empty interval',
+     function() {
+  // MOD13Q1 is a 16-day product, so shorter intervals can be empty
+  var s = modisRuntime();
+  var out = s.modis.modis_fn(['2022-06-10', '2022-06-20'], 10, 'days',
+                             h.gridAoi(s.rt), ['NDVI'], 'median',
+                             {product: 'MOD13Q1'}).toList(2);
+  var empty = s.ee.Image(out.get(0));
+  assert.deepEqual(h.bandNames(empty), ['clear_obs']);
+  h.assertPixels(s.rt.pixels(empty, 'clear_obs'), 0);
+  h.assertPixels(s.rt.pixels(s.ee.Image(out.get(1)), 'clear_obs'),
+                 [1, 0, 1, 1]);
+});
+
+test('modis_fn rejects indices the product lacks', function() {
+  var s = modisRuntime();
+  assert.throws(function() {
+    s.modis.modis_fn(['2022-07-01'], 1, 'months', h.gridAoi(s.rt),
+                     ['NDMI'], 'median', {product: 'MOD13Q1'});
+  });
+  assert.throws(function() {
+    s.modis.modis_fn(['2022-07-01'], 1, 'months', h.gridAoi(s.rt),
+                     ['NDVI'], 'median', {product: 'MOD11A1'});
+  }, /Unknown MODIS product "MOD11A1"/);
+});
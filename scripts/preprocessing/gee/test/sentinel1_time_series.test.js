@@ -0,0 +1,69 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var s1Runtime = function(scenes) {
+  var s = h.setup({width: 3, height: 3});
+  s.rt.registerAsset('COPERNICUS/S1_GRD_FLOAT', scenes.map(function(o) {
+    return s.fx.sentinel1Scene(s.rt, o);
+  }));
+  s.rt.registerAsset('NRCan/CDEM', [s.rt.image({elevation: 500}, {})]);
+  s.s1 = s.load('functions/sentinel1_time_series');
+  return s;
+};
+
+var flat = {speckleFilter: 'none', terrainFlattening: 'none',
+            units: 'linear'};
+
+test('s1_fn composites backscatter and indices in linear power', function() {
+  var s = s1Runtime([
+    {date: '2022-06-10', vv: 0.08, vh: 0.02},
+    {date: '2022-06-22', vv: 0.12, vh: 0.02}
+  ]);
+  var image = s.s1.s1_fn(['2022-06-01'], 1, 'months', h.gridAoi(s.rt),
+                         ['CR'], 'mean', flat).first();
+  assert.deepEqual(h.bandNames(image), ['VV', 'VH', 'CR', 'valid_obs']);
+  h.assertPixels(s.rt.pixels(image, 'VV'), 0.1);
+  h.assertPixels(s.rt.pixels(image, 'CR'), (0.25 + 0.02 / 0.12) / 2);
+  h.assertPixels(s.rt.pixels(image, 'valid_obs'), 2);
+});
+
+test('s1_fn reports zero valid observations for an empty interval',
+     function() {
+  var s = s1Runtime([{date: '2022-06-10', vv: 0.08, vh: 0.02}]);
+  var out = s.s1.s1_fn(['2022-04-01', '2022-06-01'], 1, 'months',
+                       h.gridAoi(s.rt), ['RVI'], 'median', flat)
+                 .toList(2);
+  var empty = s.ee.Image(out.get(0));
+  assert.deepEqual(h.bandNames(empty), ['valid_obs']);
+  h.assertPixels(s.rt.pixels(empty, 'valid_obs'), 0);
+  h.assertPixels(s.rt.pixels(s.ee.Image(out.get(1)), 'valid_obs'), 1);
+});
+
+test('s1_fn filters scenes by orbit pass', function() {
+  var s = s1Runtime([
+    {date: '2022-06-10', pass: 'DESCENDING'},
+    {date: '2022-06-22', pass: 'ASCENDING'}
+  ]);
+  var options = {orbit: 'ASCENDING', speckleFilter: 'none',
+                 terrainFlattening: 'none'};
+  var image = s.s1.s1_fn(['2022-06-01'], 1, 'months', h.gridAoi(s.rt),
+                         [], 'median', options).first();
+  h.assertPixels(s.rt.pixels(image, 'valid_obs'), 1);
+});
+
+test('s1_fn rejects unknown indices and options', function() {
+  var s = s1Runtime([]);
+  var aoi = h.gridAoi(s.rt);
+  assert.throws(function() {
+    s.s1.s1_fn(['2022-06-01'], 1, 'months', aoi, ['FOO']);
+  });
+  assert.throws(function() {
+    s.s1.s1_fn(['2022-06-01'], 1, 'months', aoi, ['RVI'], 'median',
+               {polarisations: ['VV']});
+  });
+  assert.throws(function() {
+    s.s1.s1_fn(['2022-06-01'], 1, 'months', aoi, ['RVI'], 'median',
+               {speckleFilter: 'gamma'});
+  });
+});
@@ -0,0 +1,105 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var W = 5;
+
+/**
+ * 5 x 5 runtime with two Sentinel-2 scenes. The first has a cloud on
+ * the centre pixel, flagged by every product, and dark (shadow-like)
+ * pixels north of it; the sun is in the south.
+ */
+var cloudRuntime = function() {
+  var s = h.setup({width: W, height: W});
+  var cloud = function(i, j) { return i === 2 && j === 2; };
+  var dark = function(i, j) { return i === 2 && j > 2; };
+  var scenes = [];
+  var scores = [];
+  var probabilities = [];
+  ['2023-07-01', '2023-07-11'].forEach(function(date, n) {
+    var cloudy = function(i, j) { return n === 0 && cloud(i, j); };
+    var scene = s.fx.sentinel2Scene(s.rt, {
+      date: date,
+      solarAzimuth: 180,
+      reflectance: {nir: function(i, j) { return dark(i, j) ? 0.1 : 0.3; }},
+      qa60: function(i, j) { return cloudy(i, j) ? 1024 : 0; },
+      scl: function(i, j) { return cloudy(i, j) ? 9 : 4; }
+    });
+    var id = {'system:index': scene.get('system:index').getInfo()};
+    scenes.push(scene);
+    scores.push(s.rt.image({
+      cs: function(i, j) { return cloudy(i, j) ? 0.1 : 0.9; },
+      cs_cdf: function(i, j) { return cloudy(i, j) ? 0.2 : 0.95; }
+    }, id));
+    probabilities.push(s.rt.image({
+      probability: function(i, j) { return cloudy(i, j) ? 80 : 5; }
+    }, id));
+  });
+  s.rt.registerAsset('COPERNICUS/S2_SR_HARMONIZED', scenes);
+  s.rt.registerAsset('GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED', scores);
+  s.rt.registerAsset('COPERNICUS/S2_CLOUD_PROBABILITY', probabilities);
+  s.cm = s.load('functions/sentinel_cloud_masks');
+  s.scenes = s.ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED');
+  return s;
+};
+
+/**
+ * Masked pixels of a band, as [i, j] pairs.
+ */
+var maskedPixels = function(s, image, band) {
+  var masked = [];
+  s.rt.pixels(image, band).forEach(function(v, k) {
+    if (v === null) {
+      masked.push([k % W, Math.floor(k / W)]);
+    }
+  });
+  return masked;
+};
+
+test('each mask method masks the cloudy pixel only', function() {
+  var s = cloudRuntime();
+  var bands = h.bandNames(s.scenes.first());
+  ['qa60', 'cloudScorePlus', 'scl'].forEach(function(method) {
+    var first = s.cm.maskS2Collection(s.scenes, method).first();
+    assert.deepEqual(h.bandNames(first), bands, method);
+    assert.deepEqual(maskedPixels(s, first, 'B4'), [[2, 2]], method);
+  });
+  var s2cloudless = s.cm.maskS2Collection(s.scenes, 's2cloudless');
+  assert.deepEqual(h.bandNames(s2cloudless.first()), bands);
+  assert.ok(s.rt.pixels(s2cloudless.first(), 'B4')[2 * W + 2] === null);
+});
+
+test('shadows are projected away from the sun', function() {
+  var s = cloudRuntime();
+  var first = s.cm.maskS2Collection(s.scenes, {
+    method: 'scl', shadows: true
+  }).first();
+  assert.deepEqual(maskedPixels(s, first, 'B4'), [[2, 2], [2, 3], [2, 4]]);
+});
+
+test('an empty collection stays valid', function() {
+  var s = cloudRuntime();
+  var empty = s.scenes.filterDate('2020-01-01', '2020-02-01');
+  assert.equal(s.cm.maskS2Collection(empty, 'qa60').size().getInfo(), 0);
+  assert.equal(
+    s.cm.maskS2Collection(empty, 'cloudScorePlus').size().getInfo(), 0
+  );
+});
+
+test('maskS2Collection rejects unknown methods', function() {
+  var s = cloudRuntime();
+  assert.throws(function() {
+    s.cm.maskS2Collection(s.scenes, 'fmask');
+  }, /Unknown mask method "fmask"/);
+});
+
+test('the legacy maskS2clouds functions use the QA60 mask', function() {
+  var s = cloudRuntime();
+  var scene = s.scenes.first();
+  [s.load('functions/masks'),
+   s.load('functions/sentinel_indices_and_masks')].forEach(function(m) {
+    var masked = m.maskS2clouds(scene);
+    assert.deepEqual(maskedPixels(s, masked, 'B4'), [[2, 2]]);
+    h.assertPixels(s.rt.pixels(masked, 'B4').slice(0, 2), 0.05);
+  });
+});
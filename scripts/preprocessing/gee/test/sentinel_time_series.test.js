@@ -0,0 +1,75 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var sentinelRuntime = function(scenes) {
+  var s = h.setup({width: 2, height: 2});
+  s.rt.registerAsset('COPERNICUS/S2_SR_HARMONIZED', scenes.map(function(o) {
+    return s.fx.sentinel2Scene(s.rt, o);
+  }));
+  s.s2 = s.load('functions/sentinel_time_series');
+  return s;
+};
+
+test('s2_fn computes NDMI from NIR and SWIR1, not NDWI', function() {
+  // Regression: NDMI was once mapped to addNDWI
+  var s = sentinelRuntime([{date: '2022-06-05'}]);
+  var out = s.s2.s2_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                       ['NDVI', 'NDMI']);
+  var image = out.first();
+  h.assertPixels(s.rt.pixels(image, 'NDMI'),
+                 (0.30 - 0.15) / (0.30 + 0.15), 1e-6);
+  h.assertPixels(s.rt.pixels(image, 'NDVI'),
+                 (0.30 - 0.05) / (0.30 + 0.05), 1e-6);
+  assert.ok(h.bandNames(image).indexOf('clear_obs') !== -1);
+});
+
+test('s2_fn composites one band per statistic', function() {
+  var s = sentinelRuntime([0.2, 0.3, 0.4].map(function(nir, k) {
+    return {date: '2022-06-0' + (k + 1), reflectance: {nir: nir}};
+  }));
+  var out = s.s2.s2_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                       ['NDVI'], ['min', 'max', 'mean']);
+  var image = out.first();
+  var names = h.bandNames(image);
+  ['NDVI_min', 'NDVI_max', 'NDVI_mean', 'B8_max'].forEach(function(name) {
+    assert.ok(names.indexOf(name) !== -1, name);
+  });
+  h.assertPixels(s.rt.pixels(image, 'NDVI_min'), 0.15 / 0.25);
+  h.assertPixels(s.rt.pixels(image, 'NDVI_max'), 0.35 / 0.45);
+  h.assertPixels(s.rt.pixels(image, 'B8_mean'), 0.3);
+  h.assertPixels(s.rt.pixels(image, 'clear_obs'), 3);
+});
+
+test('s2_fn rejects unknown statistics before building anything', function() {
+  var s = sentinelRuntime([]);
+  assert.throws(function() {
+    s.s2.s2_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt), ['NDVI'],
+               'mode2');
+  }, /Unknown statistic "mode2"/);
+  assert.throws(function() {
+    s.s2.s2_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt), ['NDVI'],
+               ['p10', 'p10']);
+  }, /listed twice/);
+});
+
+test('s2_fn reports zero clear observations for an empty interval', function() {
+  var s = sentinelRuntime([{date: '2022-06-05'}]);
+  var out = s.s2.s2_fn(['2021-01-01', '2022-01-01'], 12, 'months',
+                       h.gridAoi(s.rt), ['NDVI']).toList(2);
+  var empty = s.ee.Image(out.get(0));
+  assert.deepEqual(h.bandNames(empty), ['clear_obs']);
+  h.assertPixels(s.rt.pixels(empty, 'clear_obs'), 0);
+  h.assertPixels(s.rt.pixels(s.ee.Image(out.get(1)), 'clear_obs'), 1);
+});
+
+test('s2_fn counts a masked observation as zero, not masked', function() {
+  var s = sentinelRuntime([{
+    date: '2022-06-05', qa60: function(i) { return i === 0 ? 1024 : 0; }
+  }]);
+  var image = s.s2.s2_fn(['2022-01-01'], 12, 'months', h.gridAoi(s.rt),
+                         ['NDVI']).first();
+  h.assertPixels(s.rt.pixels(image, 'clear_obs'), [0, 1, 0, 1]);
+  h.assertPixels(s.rt.pixels(image, 'NDVI').slice(0, 2),
+                 [null, 0.25 / 0.35]);
+});
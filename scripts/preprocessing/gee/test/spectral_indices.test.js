@@ -0,0 +1,41 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var reflectance = function(s) {
+  return s.rt.image({
+    SR_B1: 0.04, SR_B2: 0.07, SR_B3: 0.05, SR_B4: 0.30, SR_B5: 0.15,
+    SR_B7: 0.08
+  });
+};
+
+test('addIndices evaluates the registered formulas', function() {
+  var s = h.setup({width: 1, height: 1});
+  var spectral = s.load('functions/spectral_indices');
+  var image = spectral.addIndices(reflectance(s), ['NDVI', 'NDMI', 'NBR'],
+                                  'landsat');
+  assert.deepEqual(h.bandNames(image).slice(-3), ['NDVI', 'NDMI', 'NBR']);
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), 0.25 / 0.35);
+  h.assertPixels(s.rt.pixels(image, 'NDMI'), 0.15 / 0.45);
+  h.assertPixels(s.rt.pixels(image, 'NBR'), 0.22 / 0.38);
+});
+
+test('indices are clamped to their valid range', function() {
+  var s = h.setup({width: 1, height: 1});
+  var spectral = s.load('functions/spectral_indices');
+  var image = spectral.addIndex(
+    s.rt.image({SR_B3: 0.001, SR_B4: 0.5}), 'RVI', 'landsat'
+  );
+  h.assertPixels(s.rt.pixels(image, 'RVI'), 10);
+});
+
+test('checkIndices rejects unknown and unsupported indices', function() {
+  var s = h.setup({width: 1, height: 1});
+  var spectral = s.load('functions/spectral_indices');
+  assert.throws(function() {
+    spectral.checkIndices(['NDVI', 'FOO'], 'landsat');
+  }, /Unknown index "FOO"/);
+  assert.throws(function() {
+    spectral.checkIndices(['NDRE1'], 'landsat');
+  }, /needs the rededge/);
+});
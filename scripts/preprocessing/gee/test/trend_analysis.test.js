@@ -0,0 +1,61 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+/**
+ * Collection of NDVI images, one per [year, value] entry.
+ */
+var annualSeries = function(s, entries) {
+  return s.ee.ImageCollection(entries.map(function(entry) {
+    return s.rt.image({NDVI: entry[1]}, {year: entry[0]});
+  }));
+};
+
+test('trend_fn gives Sen\'s slope, tau and p-value per band', function() {
+  var s = h.setup({width: 2, height: 1});
+  var trend = s.load('functions/trend_analysis');
+  var out = trend.trend_fn(annualSeries(s, [
+    [2001, [1, 0.5]], [2002, [2, 0.5]], [2003, [3, 0.5]], [2004, [4, 0.5]],
+    [2005, [5, 0.5]]
+  ]));
+  assert.deepEqual(h.bandNames(out), [
+    'NDVI_sens_slope', 'NDVI_tau', 'NDVI_p_value', 'NDVI_n_years',
+    'NDVI_break_year', 'NDVI_break_p_value'
+  ]);
+  assert.equal(out.get('start_year').getInfo(), 2001);
+  assert.equal(out.get('end_year').getInfo(), 2005);
+  h.assertPixels(s.rt.pixels(out, 'NDVI_sens_slope'), [1, 0]);
+  h.assertPixels(s.rt.pixels(out, 'NDVI_tau'), [1, 0]);
+  h.assertPixels(s.rt.pixels(out, 'NDVI_n_years'), 5);
+  // S = 10 and var(S) = 50 / 3 with n = 5, so z = 9 / sqrt(50 / 3)
+  var p = s.rt.pixels(out, 'NDVI_p_value');
+  assert.ok(Math.abs(p[0] - 0.0275) < 1e-4, String(p[0]));
+  h.assertPixels([p[1]], 1);
+});
+
+test('trend_fn counts years, not images, when a year repeats', function() {
+  var s = h.setup({width: 1, height: 1});
+  var trend = s.load('functions/trend_analysis');
+  var out = trend.trend_fn(annualSeries(s, [
+    [2001, 5], [2002, 4], [2003, 3.2], [2003, 2.8], [2004, 2], [2005, 1]
+  ]));
+  h.assertPixels(s.rt.pixels(out, 'NDVI_n_years'), 5);
+  h.assertPixels(s.rt.pixels(out, 'NDVI_tau'), -1);
+  h.assertPixels(s.rt.pixels(out, 'NDVI_sens_slope'), -1);
+});
+
+test('trend_fn finds the Pettitt breakpoint year', function() {
+  var s = h.setup({width: 2, height: 1});
+  var trend = s.load('functions/trend_analysis');
+  var out = trend.trend_fn(annualSeries(s, [
+    [2001, [1, 0.5]], [2002, [1, 0.5]], [2003, [1, 0.5]], [2004, [5, 0.5]],
+    [2005, [5, 0.5]]
+  ]));
+  assert.deepEqual(h.bandNames(out).slice(4),
+                   ['NDVI_break_year', 'NDVI_break_p_value']);
+  // A constant series has no breakpoint
+  h.assertPixels(s.rt.pixels(out, 'NDVI_break_year'), [2004, null]);
+  // K = 6 with n = 5, so p = 2 * exp(-6 * 36 / 150)
+  h.assertPixels(s.rt.pixels(out, 'NDVI_break_p_value'),
+                 [2 * Math.exp(-1.44), 1]);
+});
@@ -0,0 +1,41 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var collection = function(s) {
+  return s.ee.ImageCollection([1, 2, 3, 4, 5].map(function(v) {
+    return s.rt.image({NDVI: v});
+  }));
+};
+
+test('reduceByStatistic keeps band names for a single statistic', function() {
+  var s = h.setup({width: 1, height: 1});
+  var utils = s.load('functions/utils');
+  var image = utils.reduceByStatistic(collection(s), 'median');
+  assert.deepEqual(h.bandNames(image), ['NDVI']);
+  h.assertPixels(s.rt.pixels(image, 'NDVI'), 3);
+});
+
+test('reduceByStatistic suffixes percentiles and other statistics', function() {
+  var s = h.setup({width: 1, height: 1});
+  var utils = s.load('functions/utils');
+  var image = utils.reduceByStatistic(collection(s), ['p0', 'p100', 'mean']);
+  assert.deepEqual(h.bandNames(image), ['NDVI_p0', 'NDVI_p100', 'NDVI_mean']);
+  h.assertPixels(s.rt.pixels(image, 'NDVI_p0'), 1);
+  h.assertPixels(s.rt.pixels(image, 'NDVI_p100'), 5);
+  h.assertPixels(s.rt.pixels(image, 'NDVI_mean'), 3);
+});
+
+test('countObservations counts unmasked pixels, 0 when none', function() {
+  var s = h.setup({width: 2, height: 1});
+  var utils = s.load('functions/utils');
+  var images = [s.rt.image({B4: [1, null]}), s.rt.image({B4: [2, null]})];
+  var count = utils.countObservations(s.ee.ImageCollection(images), 'B4',
+                                      'clear_obs');
+  assert.deepEqual(h.bandNames(count), ['clear_obs']);
+  h.assertPixels(s.rt.pixels(count, 'clear_obs'), [2, 0]);
+
+  var none = utils.countObservations(s.ee.ImageCollection([]), 'B4',
+                                     'clear_obs');
+  h.assertPixels(s.rt.pixels(none, 'clear_obs'), [0, 0]);
+});
@@ -0,0 +1,107 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var h = require('./helpers');
+
+var zonalRuntime = function(zoneProperties) {
+  var s = h.setup({width: 6, height: 6});
+  var ee = s.ee;
+  s.image = s.rt.image({
+    NDVI: function(i, j) { return i + 10 * j; },
+    lc: function(i) { return i < 3 ? 210 : 220; }
+  });
+  s.zones = ee.FeatureCollection([
+    ee.Feature(ee.Geometry.Rectangle([15, 15, 100, 100]),
+               zoneProperties || {id: 'w1'}),
+    ee.Feature(ee.Geometry.Rectangle([90, 0, 180, 60]), {id: 'w2'})
+  ]);
+  s.zonal = s.load('functions/zonal_statistics');
+  return s;
+};
+
+var properties = function(fc) {
+  return fc.getInfo().features.map(function(f) { return f.properties; });
+};
+
+test('zonalStats names single-band statistics by band', function() {
+  var s = zonalRuntime();
+  assert.deepEqual(properties(s.zonal.zonalStats(s.image.select('NDVI'),
+                                                 s.zones)), [
+    {id: 'w1', NDVI_mean: 15, NDVI_count: 16},
+    {id: 'w2', NDVI_mean: 9, NDVI_count: 6}
+  ]);
+});
+
+test('zonalStats weights pixels by the area inside the polygon',
+     function() {
+  var s = zonalRuntime();
+  var weighted = properties(s.zonal.zonalStats(s.image.select('NDVI'),
+                                               s.zones));
+  var unweighted = properties(s.zonal.zonalStats(
+    s.image.select('NDVI'), s.zones, {weighted: false}
+  ));
+  assert.equal(weighted[0].NDVI_mean, 15);
+  assert.equal(unweighted[0].NDVI_mean, 16.5);
+});
+
+test('zonalStats reports every listed class, absent ones as 0',
+     function() {
+  var s = zonalRuntime();
+  var rows = properties(s.zonal.zonalStats(s.image.select('lc'), s.zones, {
+    categorical: ['lc'],
+    classes: {conifer: 210, broadleaf: 220, mixed: 230},
+    histogram: 'count'
+  }));
+  assert.deepEqual(rows[1],
+                   {id: 'w2', lc_count: 6, lc_conifer: 0, lc_broadleaf: 6,
+                    lc_mixed: 0});
+});
+
+test('zonalStats keeps long records over same-named zone properties',
+     function() {
+  var s = zonalRuntime({id: 'w1', band: 'zone', statistic: 'zone',
+                        value: -1});
+  var rows = properties(s.zonal.zonalStats(s.image.select('NDVI'),
+                                           s.zones.limit(1),
+                                           {format: 'long'}));
+  assert.deepEqual(rows, [
+    {id: 'w1', band: 'NDVI', statistic: 'mean', value: 15},
+    {id: 'w1', band: 'NDVI', statistic: 'count', value: 16}
+  ]);
+});
+
+test('zonalStats gives long class records with image properties',
+     function() {
+  var s = zonalRuntime();
+  var collection = s.ee.ImageCollection([
+    s.image.set('year', 2020), s.image.set('year', 2021)
+  ]);
+  var rows = properties(s.zonal.zonalStats(collection, s.zones.limit(1), {
+    categorical: ['lc'],
+    format: 'long'
+  }));
+  assert.equal(rows.length, 10);
+  assert.deepEqual(rows[4], {
+    band: 'lc', statistic: 'proportion', 'class': '220',
+    value: 1 / 11, id: 'w1', year: 2020
+  });
+  assert.equal(rows[9].year, 2021);
+});
+
+test('zonalStats rejects unknown options and reserved class names',
+     function() {
+  var s = zonalRuntime();
+  assert.throws(function() {
+    s.zonal.zonalStats(s.image, s.zones, {format: 'tall'});
+  }, /Unknown format "tall"/);
+  assert.throws(function() {
+    s.zonal.zonalStats(s.image, s.zones, {histogram: 'share'});
+  }, /Unknown histogram "share"/);
+  ['count', 'histogram'].forEach(function(name) {
+    var classes = {conifer: 210};
+    classes[name] = 220;
+    assert.throws(function() {
+      s.zonal.zonalStats(s.image, s.zones,
+                         {categorical: ['lc'], classes: classes});
+    }, new RegExp('Class name "' + name + '" clashes'));
+  });
+});